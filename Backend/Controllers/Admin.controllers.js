@@ -0,0 +1,190 @@
+import mongoose from "mongoose";
+import Turn from "../Models/Turn.Model.js";
+import User, { ROLES } from "../Models/User.Model.js";
+import { revokeAllSessions } from "../sessions.js";
+
+// Admin API (read-only for fleet managers). app.locals.realtime ({ userSockets, store, fanout }) is set at startup.
+
+const TURN_EDITABLE = [
+  "type", "riskLevel", "isBlind", "speedLimit", "isOneWay",
+  "laneCount", "roadWidth", "roadName", "sightDistance",
+];
+const DEFAULT_TURN_LIMIT = 100;
+const MAX_TURN_LIMIT = 1000;
+
+function parseState(raw) {
+  if (!raw) return null;
+  try {
+    return typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch {
+    return null;
+  }
+}
+
+// Riders with a live socket on any instance, with their last published state
+const listConnectedVehicles = async (req, res) => {
+  const realtime = req.app.locals.realtime;
+  if (!realtime) {
+    return res.status(503).json({ message: "Realtime service not ready" });
+  }
+  try {
+    const { userSockets, store, fanout } = realtime;
+    const owners = store?.isReady ? await store.listPresence() : new Map();
+    for (const uid of userSockets.keys()) owners.set(uid, fanout.instanceId);
+    const ids = [...owners.keys()];
+    const [states, lastSeen] = ids.length && store?.isReady
+      ? await Promise.all([store.getStates(ids), store.getLastSeen(ids)])
+      : [[], []];
+
+    const vehicles = ids.map((uid, i) => {
+      const state = parseState(states[i]);
+      return {
+        userId: uid,
+        instanceId: owners.get(uid),
+        local: userSockets.has(uid),
+        lastSeen: lastSeen[i] ? Number(lastSeen[i]) : null,
+        latitude: state?.latitude ?? null,
+        longitude: state?.longitude ?? null,
+        speed: state?.speed ?? null,
+        heading: state?.heading ?? null,
+        vehicleType: state?.vehicleType ?? null,
+        roadId: state?.roadId ?? null,
+        roadName: state?.roadName ?? null,
+      };
+    });
+    return res.status(200).json({ count: vehicles.length, instanceId: fanout.instanceId, vehicles });
+  } catch (error) {
+    console.error("listConnectedVehicles error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Closes the rider's socket and, unless signOut is false, revokes their sessions
+// first so the app can't reconnect with the tokens it holds
+const disconnectVehicle = async (req, res) => {
+  const realtime = req.app.locals.realtime;
+  if (!realtime) {
+    return res.status(503).json({ message: "Realtime service not ready" });
+  }
+  try {
+    const { userId } = req.params;
+    const reason = typeof req.body?.reason === "string" && req.body.reason.trim()
+      ? req.body.reason.trim().slice(0, 120)
+      : "Disconnected by admin";
+    // V2X participants have no account to sign out of
+    const signOut = req.body?.signOut !== false && mongoose.isValidObjectId(userId);
+    const sessionsRevoked = signOut ? await revokeAllSessions(userId, "admin") : 0;
+    const result = await realtime.fanout.disconnect(userId, reason);
+    if (result === "offline" && sessionsRevoked === 0) {
+      return res.status(404).json({ message: "Vehicle not connected" });
+    }
+    console.log(`⛔ Admin ${req.user.username} disconnected ${userId} (${result}, ${sessionsRevoked} session(s) revoked)`);
+    return res.status(200).json({ message: "Disconnect sent", result, sessionsRevoked });
+  } catch (error) {
+    console.error("disconnectVehicle error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Query: bbox=minLng,minLat,maxLng,maxLat, type, minRisk, limit
+const listTurns = async (req, res) => {
+  const filter = {};
+  if (req.query.bbox) {
+    const bbox = String(req.query.bbox).split(",").map(Number);
+    if (bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+      return res.status(400).json({ message: "bbox must be minLng,minLat,maxLng,maxLat" });
+    }
+    filter.location = { $geoWithin: { $box: [[bbox[0], bbox[1]], [bbox[2], bbox[3]]] } };
+  }
+  if (req.query.type) filter.type = String(req.query.type);
+  if (req.query.minRisk) {
+    const minRisk = Number(req.query.minRisk);
+    if (!Number.isFinite(minRisk)) {
+      return res.status(400).json({ message: "minRisk must be a number" });
+    }
+    filter.riskLevel = { $gte: minRisk };
+  }
+  const limit = Math.min(MAX_TURN_LIMIT, Math.max(1, parseInt(req.query.limit || DEFAULT_TURN_LIMIT, 10) || DEFAULT_TURN_LIMIT));
+
+  try {
+    const turns = await Turn.find(filter).sort({ riskLevel: -1 }).limit(limit).lean();
+    return res.status(200).json({ count: turns.length, turns });
+  } catch (error) {
+    console.error("listTurns error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const getTurn = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: "Turn not found" });
+  }
+  try {
+    const turn = await Turn.findById(req.params.id).lean();
+    if (!turn) {
+      return res.status(404).json({ message: "Turn not found" });
+    }
+    return res.status(200).json({ turn });
+  } catch (error) {
+    console.error("getTurn error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const updateTurn = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: "Turn not found" });
+  }
+  const updates = {};
+  for (const key of TURN_EDITABLE) {
+    if (req.body[key] !== undefined) updates[key] = req.body[key];
+  }
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ message: `No valid fields to update (allowed: ${TURN_EDITABLE.join(", ")})` });
+  }
+  // An admin's risk level is the new baseline that observed junction risk builds on
+  if (updates.riskLevel !== undefined) updates.baseRiskLevel = updates.riskLevel;
+
+  try {
+    const turn = await Turn.findByIdAndUpdate(req.params.id, { $set: updates }, { new: true, runValidators: true }).lean();
+    if (!turn) {
+      return res.status(404).json({ message: "Turn not found" });
+    }
+    console.log(`🛠️ Admin ${req.user.username} updated turn ${req.params.id}: ${Object.keys(updates).join(", ")}`);
+    return res.status(200).json({ message: "Turn updated", turn });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("updateTurn error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const setUserRole = async (req, res) => {
+  const { role } = req.body;
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ message: `role must be one of ${ROLES.join(", ")}` });
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: "User not found" });
+  }
+  // Keeps at least one admin able to undo this
+  if (String(req.params.id) === String(req.user._id) && role !== "admin") {
+    return res.status(400).json({ message: "Admins cannot demote themselves" });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, { $set: { role } }, { new: true }).select("-password -refreshToken");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    console.log(`🛠️ Admin ${req.user.username} set role of ${user.username} to ${role}`);
+    return res.status(200).json({ message: "Role updated", user });
+  } catch (error) {
+    console.error("setUserRole error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export { listConnectedVehicles, disconnectVehicle, listTurns, getTurn, updateTurn, setUserRole };
@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+import User, { MAX_EMERGENCY_CONTACTS } from "../Models/User.Model.js";
+import { incidentView } from "./Incident.controllers.js";
+
+const CONTACT_FIELDS = ["name", "phoneNumber", "email", "relationship"];
+
+function pickContact(body = {}) {
+  const contact = {};
+  for (const key of CONTACT_FIELDS) {
+    if (body[key] !== undefined) contact[key] = typeof body[key] === "string" ? body[key].trim() : body[key];
+  }
+  return contact;
+}
+
+function validationMessage(error) {
+  return Object.values(error.errors || {}).map((e) => e.message).join(", ") || error.message;
+}
+
+const getEmergencyContacts = async (req, res) => {
+  return res.status(200).json({ contacts: req.user.emergencyContacts || [] });
+};
+
+const addEmergencyContact = async (req, res) => {
+  const contact = pickContact(req.body);
+  if (!contact.name) {
+    return res.status(400).json({ message: "Contact name is required" });
+  }
+  if (!contact.phoneNumber && !contact.email) {
+    return res.status(400).json({ message: "Contact needs a phone number or email" });
+  }
+
+  try {
+    if ((req.user.emergencyContacts || []).length >= MAX_EMERGENCY_CONTACTS) {
+      return res.status(400).json({ message: `At most ${MAX_EMERGENCY_CONTACTS} emergency contacts` });
+    }
+    req.user.emergencyContacts.push(contact);
+    await req.user.save();
+    return res.status(201).json({
+      message: "Emergency contact added",
+      contacts: req.user.emergencyContacts,
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    console.error("addEmergencyContact error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const updateEmergencyContact = async (req, res) => {
+  const updates = pickContact(req.body);
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ message: "No valid fields to update" });
+  }
+
+  try {
+    const contact = req.user.emergencyContacts.id(req.params.contactId);
+    if (!contact) {
+      return res.status(404).json({ message: "Emergency contact not found" });
+    }
+    contact.set(updates);
+    await req.user.save();
+    return res.status(200).json({
+      message: "Emergency contact updated",
+      contacts: req.user.emergencyContacts,
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    console.error("updateEmergencyContact error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const removeEmergencyContact = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.contactId)) {
+      return res.status(404).json({ message: "Emergency contact not found" });
+    }
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, "emergencyContacts._id": req.params.contactId },
+      { $pull: { emergencyContacts: { _id: req.params.contactId } } },
+      { new: true }
+    ).select("emergencyContacts");
+    if (!user) {
+      return res.status(404).json({ message: "Emergency contact not found" });
+    }
+    return res.status(200).json({
+      message: "Emergency contact removed",
+      contacts: user.emergencyContacts,
+    });
+  } catch (error) {
+    console.error("removeEmergencyContact error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Manual SOS. Uses the rider's last known matched position; latitude/longitude in
+// the body are only used when the server has never seen the rider.
+const sendSos = async (req, res) => {
+  const incidents = req.app.locals.incidents;
+  if (!incidents) {
+    return res.status(503).json({ message: "Incident service not ready" });
+  }
+  try {
+    const incident = await incidents.sos(req.user._id.toString(), req.body || {});
+    if (!incident) {
+      return res.status(422).json({ message: "No known position — send latitude and longitude" });
+    }
+    return res.status(201).json({
+      message: "SOS sent",
+      contacts: (req.user.emergencyContacts || []).length,
+      incident: incidentView(incident),
+    });
+  } catch (error) {
+    console.error("sendSos error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export { getEmergencyContacts, addEmergencyContact, updateEmergencyContact, removeEmergencyContact, sendSos };
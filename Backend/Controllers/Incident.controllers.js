@@ -0,0 +1,53 @@
+// Crash / SOS incidents for the signed-in rider. The IncidentManager is set on
+// app.locals.incidents at startup.
+
+function incidentView(incident) {
+  const [lng, lat] = incident.location.coordinates;
+  return {
+    id: incident._id,
+    type: incident.type,
+    status: incident.status,
+    lat,
+    lng,
+    roadId: incident.roadId,
+    roadName: incident.roadName || null,
+    detectedAt: incident.detectedAt,
+    escalateAt: incident.escalateAt,
+    cancelledAt: incident.cancelledAt || null,
+    escalatedAt: incident.escalatedAt || null,
+    contactsNotified: (incident.notifications || []).filter((n) => n.ok).length,
+  };
+}
+
+const getActiveIncident = async (req, res) => {
+  const incidents = req.app.locals.incidents;
+  if (!incidents) {
+    return res.status(503).json({ message: "Incident service not ready" });
+  }
+  try {
+    const incident = await incidents.activeFor(req.user._id.toString());
+    return res.status(200).json({ incident: incident ? incidentView(incident) : null });
+  } catch (error) {
+    console.error("getActiveIncident error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const cancelIncident = async (req, res) => {
+  const incidents = req.app.locals.incidents;
+  if (!incidents) {
+    return res.status(503).json({ message: "Incident service not ready" });
+  }
+  try {
+    const incident = await incidents.cancel(req.params.id, req.user._id.toString());
+    if (!incident) {
+      return res.status(409).json({ message: "No pending incident to cancel (not found, not yours, or already escalated)" });
+    }
+    return res.status(200).json({ message: "Incident cancelled", incident: incidentView(incident) });
+  } catch (error) {
+    console.error("cancelIncident error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export { getActiveIncident, cancelIncident, incidentView };
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+import User from "../Models/User.Model.js";
+import { ALERT_MODES, MUTABLE_THREAT_TYPES, normalizeAlertPreferences } from "../degradation.js";
+
+function preferencesView(user) {
+  return {
+    ...normalizeAlertPreferences(user.alertPreferences),
+    availableModes: ALERT_MODES,
+    mutableThreatTypes: MUTABLE_THREAT_TYPES,
+  };
+}
+
+const getAlertPreferences = async (req, res) => {
+  return res.status(200).json({ preferences: preferencesView(req.user) });
+};
+
+const updateAlertPreferences = async (req, res) => {
+  const { sensitivity, mutedThreatTypes } = req.body || {};
+  if (sensitivity === undefined && mutedThreatTypes === undefined) {
+    return res.status(400).json({ message: "No valid fields to update" });
+  }
+  if (sensitivity !== undefined && !ALERT_MODES.includes(sensitivity)) {
+    return res.status(400).json({ message: `sensitivity must be one of: ${ALERT_MODES.join(", ")}` });
+  }
+  if (mutedThreatTypes !== undefined) {
+    if (!Array.isArray(mutedThreatTypes)) {
+      return res.status(400).json({ message: "mutedThreatTypes must be an array" });
+    }
+    const unknown = mutedThreatTypes.filter((t) => !MUTABLE_THREAT_TYPES.includes(t));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Cannot mute: ${unknown.join(", ")}` });
+    }
+  }
+
+  const updates = {};
+  if (sensitivity !== undefined) updates["alertPreferences.sensitivity"] = sensitivity;
+  if (mutedThreatTypes !== undefined) updates["alertPreferences.mutedThreatTypes"] = [...new Set(mutedThreatTypes)];
+
+  try {
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true, runValidators: true })
+      .select("alertPreferences");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // A connected rider gets the new preferences without reconnecting
+    const preferences = normalizeAlertPreferences(user.alertPreferences);
+    const live = await req.app.locals.realtime?.fanout?.updatePreferences(String(user._id), preferences);
+
+    return res.status(200).json({
+      message: "Alert preferences updated",
+      preferences: preferencesView(user),
+      appliedToLiveConnection: live === "updated" || live === "published",
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("updateAlertPreferences error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export { getAlertPreferences, updateAlertPreferences };
@@ -0,0 +1,237 @@
+import RiskEvent, { RISK_EVENT_TYPES } from "../Models/RiskEvent.Model.js";
+import JunctionRisk from "../Models/JunctionRisk.Model.js";
+import Turn from "../Models/Turn.Model.js";
+import Road from "../Models/Road.Model.js";
+import TurningEvent from "../Models/TurningEvent.Model.js";
+import { riskScore, currentRiskScore } from "../junctionRisk.js";
+
+// Risk heatmap for the city-safety dashboard: risk events aggregated per
+// junction or per road inside a bbox, as GeoJSON FeatureCollections.
+//
+// Query: bbox=minLng,minLat,maxLng,maxLat (required)
+//        from, to   ISO date or epoch ms (default: the last 7 days)
+//        types      comma-separated RiskEvent types (default: all)
+//        limit      max features (default 500)
+
+const MAX_BBOX_AREA_DEG2 = 1; // ~100 × 100 km
+const DEFAULT_WINDOW_MS = 7 * 86400000;
+const MAX_WINDOW_MS = 366 * 86400000;
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 2000;
+
+// null when absent, false when unparseable
+function parseTime(value) {
+  if (value === undefined || value === "") return null;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ms) ? new Date(ms) : false;
+}
+
+function parseHeatmapQuery(query) {
+  const bbox = String(query.bbox || "").split(",").map(Number);
+  if (bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+    return { error: "bbox must be minLng,minLat,maxLng,maxLat" };
+  }
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  if (minLng >= maxLng || minLat >= maxLat || minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) {
+    return { error: "bbox is out of range or inverted" };
+  }
+  if ((maxLng - minLng) * (maxLat - minLat) > MAX_BBOX_AREA_DEG2) {
+    return { error: `bbox too large (max ${MAX_BBOX_AREA_DEG2} square degrees)` };
+  }
+
+  const to = parseTime(query.to) ?? new Date();
+  const from = parseTime(query.from) ?? (to instanceof Date ? new Date(to.getTime() - DEFAULT_WINDOW_MS) : null);
+  if (!(from instanceof Date) || !(to instanceof Date)) {
+    return { error: "from/to must be ISO dates or epoch milliseconds" };
+  }
+  if (from >= to || to - from > MAX_WINDOW_MS) {
+    return { error: "Time window must be positive and at most 366 days" };
+  }
+
+  let types = null;
+  if (query.types) {
+    types = String(query.types).split(",").map((t) => t.trim()).filter(Boolean);
+    const unknown = types.filter((t) => !RISK_EVENT_TYPES.includes(t));
+    if (unknown.length > 0) {
+      return { error: `Unknown types: ${unknown.join(", ")} (expected ${RISK_EVENT_TYPES.join(", ")})` };
+    }
+  }
+
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT));
+  return { bbox: [minLng, minLat, maxLng, maxLat], from, to, types, limit };
+}
+
+function eventMatch({ bbox, from, to, types }) {
+  const match = {
+    location: { $geoWithin: { $box: [[bbox[0], bbox[1]], [bbox[2], bbox[3]]] } },
+    timestamp: { $gte: from, $lte: to },
+  };
+  if (types) match.type = { $in: types };
+  return match;
+}
+
+// Counts per group key: per kind for the score, per type for the breakdown
+function countStages(groupKey) {
+  return [
+    {
+      $group: {
+        _id: { key: groupKey, type: "$type", kind: "$kind" },
+        count: { $sum: 1 },
+        location: { $first: "$location" },
+        lastEventAt: { $max: "$timestamp" },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.key",
+        location: { $first: "$location" },
+        events: { $sum: "$count" },
+        nearMisses: { $sum: { $cond: [{ $eq: ["$_id.kind", "nearMiss"] }, "$count", 0] } },
+        brakeEvents: { $sum: { $cond: [{ $eq: ["$_id.kind", "brake"] }, "$count", 0] } },
+        threats: { $sum: { $cond: [{ $eq: ["$_id.kind", "threat"] }, "$count", 0] } },
+        byType: { $push: { k: "$_id.type", v: "$count" } },
+        lastEventAt: { $max: "$lastEventAt" },
+      },
+    },
+    { $sort: { events: -1 } },
+  ];
+}
+
+function windowProperties(row) {
+  const byType = {};
+  for (const { k, v } of row.byType) byType[k] = (byType[k] || 0) + v;
+  return {
+    windowScore: riskScore(row),
+    events: row.events,
+    nearMisses: row.nearMisses,
+    brakeEvents: row.brakeEvents,
+    threats: row.threats,
+    byType,
+    lastEventAt: row.lastEventAt,
+  };
+}
+
+function collection(features, q) {
+  return {
+    type: "FeatureCollection",
+    features,
+    bbox: q.bbox,
+    window: { from: q.from, to: q.to },
+    types: q.types || RISK_EVENT_TYPES,
+  };
+}
+
+const getJunctionHeatmap = async (req, res) => {
+  const q = parseHeatmapQuery(req.query);
+  if (q.error) {
+    return res.status(400).json({ message: q.error });
+  }
+
+  try {
+    const rows = await RiskEvent.aggregate([
+      { $match: eventMatch(q) },
+      ...countStages("$junctionKey"),
+      { $limit: q.limit },
+    ]);
+
+    // Running (decayed) score and the Turn it is keyed to, where there is one
+    const risks = await JunctionRisk.find({ key: { $in: rows.map((r) => r._id) } }).lean();
+    const riskByKey = new Map(risks.map((r) => [r.key, r]));
+    const turnIds = risks.map((r) => r.turn).filter(Boolean);
+    const turns = turnIds.length
+      ? await Turn.find({ _id: { $in: turnIds } })
+        .select("type riskLevel baseRiskLevel brakeCount nearMissCount roadName isBlind")
+        .lean()
+      : [];
+    const turnById = new Map(turns.map((t) => [String(t._id), t]));
+
+    const now = Date.now();
+    const features = rows.map((row) => {
+      const risk = riskByKey.get(row._id);
+      const turn = risk?.turn ? turnById.get(String(risk.turn)) : null;
+      return {
+        type: "Feature",
+        geometry: row.location,
+        properties: {
+          junctionKey: row._id,
+          nodeId: risk?.nodeId ?? null,
+          riskScore: risk ? currentRiskScore(risk, now) : null,
+          ...windowProperties(row),
+          turn: turn
+            ? {
+              id: turn._id,
+              type: turn.type,
+              riskLevel: turn.riskLevel,
+              baseRiskLevel: turn.baseRiskLevel ?? turn.riskLevel,
+              brakeCount: turn.brakeCount,
+              nearMissCount: turn.nearMissCount,
+              roadName: turn.roadName || "",
+              isBlind: turn.isBlind || false,
+            }
+            : null,
+        },
+      };
+    });
+
+    console.log(`🔥 Junction heatmap: ${features.length} junction(s) in [${q.bbox.join(",")}]`);
+    return res.status(200).json(collection(features, q));
+  } catch (error) {
+    console.error("getJunctionHeatmap error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const getRoadHeatmap = async (req, res) => {
+  const q = parseHeatmapQuery(req.query);
+  if (q.error) {
+    return res.status(400).json({ message: q.error });
+  }
+
+  try {
+    const rows = await RiskEvent.aggregate([
+      { $match: { ...eventMatch(q), roadId: { $ne: null } } },
+      ...countStages("$roadId"),
+      { $limit: q.limit },
+    ]);
+    const roadIds = rows.map((r) => r._id);
+
+    const [roads, turning] = await Promise.all([
+      Road.find({ osmId: { $in: roadIds } }).select("osmId name highway geometry").lean(),
+      // Turning events in the same window: exposure, so busy roads aren't just "risky"
+      TurningEvent.aggregate([
+        { $match: { roadId: { $in: roadIds }, timestamp: { $gte: q.from, $lte: q.to } } },
+        { $group: { _id: "$roadId", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const roadById = new Map(roads.map((r) => [r.osmId, r]));
+    const turningByRoad = new Map(turning.map((t) => [t._id, t.count]));
+
+    const features = [];
+    for (const row of rows) {
+      const road = roadById.get(row._id);
+      // Roads evicted from the import have no geometry to draw
+      if (!road?.geometry?.coordinates?.length) continue;
+      const turningEvents = turningByRoad.get(row._id) || 0;
+      features.push({
+        type: "Feature",
+        geometry: road.geometry,
+        properties: {
+          roadId: row._id,
+          name: road.name || "",
+          highway: road.highway,
+          ...windowProperties(row),
+          turningEvents,
+          eventsPerTurn: turningEvents > 0 ? Math.round((row.events / turningEvents) * 1000) / 1000 : null,
+        },
+      });
+    }
+
+    console.log(`🔥 Road heatmap: ${features.length} road(s) in [${q.bbox.join(",")}]`);
+    return res.status(200).json(collection(features, q));
+  } catch (error) {
+    console.error("getRoadHeatmap error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export { getJunctionHeatmap, getRoadHeatmap };
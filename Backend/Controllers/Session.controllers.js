@@ -0,0 +1,53 @@
+import { listSessions, revokeSession, revokeAllSessions } from "../sessions.js";
+
+// Signed-in devices of the current user. req.sessionId is the session the
+// request's access token belongs to.
+
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    return res.status(200).json({
+      sessions: sessions.map((s) => ({
+        id: s._id,
+        deviceName: s.deviceName,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: String(s._id) === String(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error("getSessions error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id, "user");
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    console.log(`🔒 Session ${req.params.id} revoked by ${req.user._id}`);
+    return res.status(200).json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("deleteSession error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Signs out every other device
+const deleteOtherSessions = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user._id, "user", { except: req.sessionId });
+    console.log(`🔒 ${count} other session(s) revoked by ${req.user._id}`);
+    return res.status(200).json({ message: "Other sessions revoked", revoked: count });
+  } catch (error) {
+    console.error("deleteOtherSessions error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export { getSessions, deleteSession, deleteOtherSessions };
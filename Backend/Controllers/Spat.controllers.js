@@ -0,0 +1,62 @@
+// Signal phase and timing ingestion from partner junction controllers.
+// app.locals.spat (SpatFeed, see spat.js) is set at startup.
+
+const MAX_BATCH = 50;
+
+// Partner API key in the x-api-key header
+const verifyPartnerKey = (req, res, next) => {
+  const spat = req.app.locals.spat;
+  if (!spat) {
+    return res.status(503).json({ message: "Signal feed not ready" });
+  }
+  const partner = spat.authenticate(req.headers["x-api-key"]);
+  if (!partner) {
+    return res.status(401).json({ message: "Invalid API key" });
+  }
+  req.partner = partner;
+  next();
+};
+
+// One message, or { messages: [...] } for controllers that batch their junctions
+const ingestSpat = async (req, res) => {
+  const body = req.body || {};
+  const batch = Array.isArray(body.messages) ? body.messages : [body];
+  if (batch.length === 0 || batch.length > MAX_BATCH) {
+    return res.status(400).json({ message: `Send 1-${MAX_BATCH} messages` });
+  }
+  try {
+    const results = [];
+    for (const msg of batch) {
+      const result = await req.app.locals.spat.ingest(msg, req.partner);
+      results.push(result.accepted
+        ? { nodeId: result.message.nodeId, accepted: true }
+        : { nodeId: msg?.nodeId ?? null, accepted: false, reason: result.reason, ...(result.forbidden && { forbidden: true }) });
+    }
+    const accepted = results.filter((r) => r.accepted).length;
+    if (accepted === 0) {
+      // Every message was for junctions another partner owns
+      const forbidden = results.every((r) => r.forbidden);
+      return res.status(forbidden ? 403 : 400).json({ message: results[0].reason, results });
+    }
+    return res.status(202).json({ accepted, results });
+  } catch (err) {
+    console.error("❌ SPaT ingestion error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// What detection currently sees for a junction
+const getSpat = async (req, res) => {
+  try {
+    const message = await req.app.locals.spat.get(req.params.nodeId);
+    if (!message) {
+      return res.status(404).json({ message: "No live signal timing for this junction" });
+    }
+    return res.status(200).json({ spat: message });
+  } catch (err) {
+    console.error("❌ SPaT read error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+export { verifyPartnerKey, ingestSpat, getSpat };
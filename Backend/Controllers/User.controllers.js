@@ -1,35 +1,34 @@
 import bcrypt from "bcrypt"
 import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
-import User from "../Models/User.Model.js";
-
-async function generateBothToken(userid) {
-    try {
-        const user = await User.findById(userid);
-        if (!user) {
-            console.error(`generateBothToken: User not found for id ${userid}`);
-            throw new Error("User not found");
-        }
-
-        const accessToken = user.generateAccessToken();
-        const refreshToken = user.generateRefreshToken();
-
-        console.log(`generateBothToken: Tokens generated for user ${userid}`);
-        return { accessToken, refreshToken };
-    } catch (error) {
-        console.error("generateBothToken error:", error);
-        throw new Error("Error generating tokens");
-    }
+import User, { actionTokenFilter, clearActionToken } from "../Models/User.Model.js";
+import Vehicle from "../Models/Vehicle.Model.js";
+import { verificationMail, passwordResetMail } from "../mailer.js";
+import { startSession, rotateSession, revokeSession, revokeAllSessions, isSessionActive } from "../sessions.js";
+
+// Access token → { user, decoded } or { message }. The detection socket
+// handshake uses it too, so a token rejected here opens nothing anywhere:
+// not after a password reset, a logout or a revoked refresh token.
+// ignoreExpiration re-checks a socket that was opened with a live token.
+async function authenticateAccessToken(token, { ignoreExpiration = false } = {}) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, { ignoreExpiration });
+  } catch {
+    return { message: "Invalid token" };
+  }
+  if (!mongoose.Types.ObjectId.isValid(decoded?._id)) return { message: "Invalid token" };
+  const user = await User.findById(decoded._id).select("-password -refreshToken");
+  if (!user) return { message: "User not found" };
+  // Tokens issued before a password reset no longer count
+  if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+    return { message: "Invalid token" };
+  }
+  // Revoked sessions lose their access tokens too, not just the refresh token
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) return { message: "Session revoked" };
+  return { user, decoded };
 }
 
-const verifyToken = (token, secret) => {
-    try {
-        return jwt.verify(token, secret);
-    } catch {
-        return null;
-    }
-};
-
 // FIX ISSUE #27: JWT verification middleware for protected routes
 const verifyJWT = async (req, res, next) => {
   try {
@@ -37,17 +36,37 @@ const verifyJWT = async (req, res, next) => {
     if (!token) {
       return res.status(401).json({ message: "Unauthorized" });
     }
-    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-    req.user = await User.findById(decoded._id).select("-password -refreshToken");
-    if (!req.user) {
-      return res.status(401).json({ message: "User not found" });
+    const { user, decoded, message } = await authenticateAccessToken(token);
+    if (!user) {
+      return res.status(401).json({ message });
     }
+    req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (err) {
     return res.status(401).json({ message: "Invalid token" });
   }
 };
 
+// Use after verifyJWT: router.route(...).get(verifyJWT, requireRole("admin"), fn)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  next();
+};
+
+// Mail failures are logged, never surfaced: the user can ask for another link
+async function sendAccountMail(req, mail) {
+  const mailer = req.app.locals.mailer;
+  if (!mailer) {
+    console.warn(`⚠️ No mail transport — "${mail.subject}" to ${mail.to} not sent`);
+    return;
+  }
+  const result = await mailer.send(mail);
+  if (!result.ok) console.error(`❌ Mail "${mail.subject}" to ${mail.to} failed (${result.transport}):`, result.error);
+}
+
 const register = async (req, res) => {
   const { username, email, password, phoneNumber, vehicleType } = req.body;
 
@@ -73,11 +92,10 @@ const register = async (req, res) => {
       vehicleType: vehicleType || "two-wheeler",
     });
 
-    const accessToken = newUser.generateAccessToken();
-    const refreshToken = newUser.generateRefreshToken();
-
-    newUser.refreshToken = refreshToken;
+    const verificationToken = newUser.createActionToken("verify-email");
     await newUser.save();
+    const { accessToken, refreshToken } = await startSession(newUser, req);
+    await sendAccountMail(req, verificationMail(newUser, verificationToken));
 
     return res.status(201).json({
       message: "User created successfully",
@@ -87,6 +105,7 @@ const register = async (req, res) => {
         email: newUser.email,
         phoneNumber: newUser.phoneNumber,
         vehicleType: newUser.vehicleType,
+        emailVerified: newUser.emailVerified,
       },
       tokens: {
         accessToken,
@@ -122,10 +141,9 @@ const Login = async (req, res) => {
       return res.status(401).json({ message: "Incorrect password" });
     }
 
-    const { accessToken, refreshToken } = await generateBothToken(user._id);
-
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Each device gets its own session, so other devices stay signed in
+    const { accessToken, refreshToken } = await startSession(user, req);
+    await User.updateOne({ _id: user._id }, { $unset: { refreshToken: "" } });
 
     const loggedInUser = await User.findById(user._id).select("-password -refreshToken");
 
@@ -149,21 +167,16 @@ const refreshAccessToken = async (req, res) => {
   }
 
   try {
-    const payload = verifyToken(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-    if (!payload) {
-      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    // Rotation: the old refresh token is spent, the client must keep the new one
+    const rotated = await rotateSession(refreshToken);
+    if (rotated.error) {
+      return res.status(401).json({ message: rotated.error });
     }
 
-    const user = await User.findById(payload._id);
-    if (!user || user.refreshToken !== refreshToken) {
-      return res.status(401).json({ message: "Refresh token revoked or user not found" });
-    }
-
-    const newAccessToken = user.generateAccessToken();
-
     return res.status(200).json({
       message: "Token refreshed successfully",
-      accessToken: newAccessToken,
+      accessToken: rotated.accessToken,
+      refreshToken: rotated.refreshToken,
     });
   } catch (error) {
     console.error("refreshAccessToken error:", error);
@@ -180,6 +193,10 @@ const getuserprofile = async (req, res) => {
     if (!username || username.trim() === "") {
       return res.status(400).json({ message: "Username is required" });
     }
+    // Riders may only read their own profile; admins and fleet managers any
+    if (username !== req.user.username && !["admin", "fleet_manager"].includes(req.user.role)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
 
     const user = await User.findOne({ username }).select(
       "-password -refreshToken"
@@ -202,66 +219,14 @@ const getuserprofile = async (req, res) => {
 const getCurrentUserProfile = async (req, res) => {
   console.log("getCurrentUserProfile called");
 
-  try {
-    const authHeader = req.headers?.authorization || "";
-    if (!authHeader.startsWith("Bearer ")) {
-      return res
-        .status(401)
-        .json({ message: "Authorization header missing or malformed" });
-    }
-
-    const token = authHeader.split(" ")[1];
-    if (!token) {
-      return res.status(401).json({ message: "Token missing" });
-    }
-
-    let payload;
-    try {
-      payload = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-    } catch (err) {
-      return res.status(401).json({ message: "Invalid or expired token" });
-    }
-
-    const userId = payload?._id;
-    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({ message: "Invalid user identifier" });
-    }
-
-    const user = await User.findById(userId).select("-password -refreshToken");
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
-
-    return res.status(200).json({
-      message: "User profile fetched successfully",
-      user,
-    });
-  } catch (error) {
-    console.error("getCurrentUserProfile error:", error);
-    return res.status(500).json({ message: "Internal server error" });
-  }
+  return res.status(200).json({
+    message: "User profile fetched successfully",
+    user: req.user,
+  });
 };
 
 const updateProfile = async (req, res) => {
   try {
-    const authHeader = req.headers?.authorization || "";
-    if (!authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({ message: "Authorization header missing" });
-    }
-
-    const token = authHeader.split(" ")[1];
-    let payload;
-    try {
-      payload = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-    } catch {
-      return res.status(401).json({ message: "Invalid or expired token" });
-    }
-
-    const userId = payload?._id;
-    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({ message: "Invalid user identifier" });
-    }
-
     const allowedUpdates = ["username", "phoneNumber", "vehicleType"];
     const updates = {};
     for (const key of allowedUpdates) {
@@ -275,7 +240,7 @@ const updateProfile = async (req, res) => {
     }
 
     const user = await User.findByIdAndUpdate(
-      userId,
+      req.user._id,
       { $set: updates },
       { new: true, runValidators: true }
     ).select("-password -refreshToken");
@@ -296,25 +261,10 @@ const updateProfile = async (req, res) => {
 
 const deleteAccount = async (req, res) => {
   try {
-    const authHeader = req.headers?.authorization || "";
-    if (!authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({ message: "Authorization header missing" });
-    }
-
-    const token = authHeader.split(" ")[1];
-    let payload;
-    try {
-      payload = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-    } catch {
-      return res.status(401).json({ message: "Invalid or expired token" });
-    }
-
-    const userId = payload?._id;
-    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({ message: "Invalid user identifier" });
-    }
-
+    const userId = req.user._id;
     await User.findByIdAndDelete(userId);
+    await Vehicle.deleteMany({ userId });
+    await revokeAllSessions(userId, "account_deleted");
 
     return res.status(200).json({ message: "Account deleted successfully" });
   } catch (error) {
@@ -332,9 +282,10 @@ const logout = async (req, res) => {
 
     const token = authHeader.split(" ")[1];
 
+    // An expired access token can still end its own session
     let payload;
     try {
-      payload = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+      payload = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, { ignoreExpiration: true });
     } catch (err) {
       return res.status(200).json({ message: "Logged out successfully" });
     }
@@ -344,7 +295,11 @@ const logout = async (req, res) => {
       return res.status(400).json({ message: "Invalid user identifier" });
     }
 
-    await User.findByIdAndUpdate(userId, { $unset: { refreshToken: "" } });
+    if (payload.sid) {
+      await revokeSession(userId, payload.sid, "logout");
+    } else {
+      await User.findByIdAndUpdate(userId, { $unset: { refreshToken: "" } });
+    }
 
     res.clearCookie("accessToken");
     res.clearCookie("refreshToken");
@@ -356,5 +311,104 @@ const logout = async (req, res) => {
   }
 };
 
+const requestEmailVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: "Email already verified" });
+    }
+    const user = await User.findById(req.user._id);
+    const token = user.createActionToken("verify-email");
+    await user.save();
+    await sendAccountMail(req, verificationMail(user, token));
+    return res.status(200).json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("requestEmailVerification error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    return res.status(400).json({ message: "Verification token required" });
+  }
+
+  try {
+    const filter = actionTokenFilter(token, "verify-email");
+    const user = filter && await User.findOneAndUpdate(
+      filter,
+      { $set: { emailVerified: true }, $unset: clearActionToken("verify-email") },
+      { new: true }
+    ).select("-password -refreshToken");
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired verification token" });
+    }
+
+    console.log(`✅ Email verified for ${user.email}`);
+    return res.status(200).json({ message: "Email verified successfully", user });
+  } catch (error) {
+    console.error("verifyEmail error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Same answer whether or not the email is registered
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  if (!email || typeof email !== "string" || email.trim() === "") {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  try {
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user) {
+      const token = user.createActionToken("reset-password");
+      await user.save();
+      await sendAccountMail(req, passwordResetMail(user, token));
+    } else {
+      console.log(`ℹ️ Password reset requested for unknown email ${email}`);
+    }
+    return res.status(200).json({ message: "If that email is registered, a reset link has been sent" });
+  } catch (error) {
+    console.error("forgotPassword error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Consumes the token, sets the new password and signs the user out everywhere
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password || typeof password !== "string" || password.trim() === "") {
+    return res.status(400).json({ message: "Token and new password are required" });
+  }
+
+  try {
+    const filter = actionTokenFilter(token, "reset-password");
+    if (!filter) {
+      return res.status(400).json({ message: "Invalid or expired reset token" });
+    }
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await User.findOneAndUpdate(
+      filter,
+      {
+        // The reset link proves the mailbox, so it verifies the email too
+        $set: { password: hashedPassword, passwordChangedAt: new Date(), emailVerified: true },
+        $unset: { ...clearActionToken("reset-password"), refreshToken: "" },
+      },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired reset token" });
+    }
+
+    await revokeAllSessions(user._id, "password_reset");
+    console.log(`🔑 Password reset for ${user.email}`);
+    return res.status(200).json({ message: "Password reset successfully, please log in again" });
+  } catch (error) {
+    console.error("resetPassword error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 
-export {register, Login, getuserprofile, logout, getCurrentUserProfile, refreshAccessToken, updateProfile, deleteAccount, verifyJWT};
+export {register, Login, getuserprofile, logout, getCurrentUserProfile, refreshAccessToken, updateProfile, deleteAccount, verifyJWT, authenticateAccessToken, requireRole, requestEmailVerification, verifyEmail, forgotPassword, resetPassword};
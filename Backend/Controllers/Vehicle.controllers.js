@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+import Vehicle, { MAX_VEHICLES_PER_USER } from "../Models/Vehicle.Model.js";
+import User from "../Models/User.Model.js";
+import { normalizeProfile } from "../vehicleProfiles.js";
+
+const VEHICLE_FIELDS = ["name", "type", "plate", "lengthM", "widthM", "maxDecelMs2"];
+
+function pickVehicle(body = {}) {
+  const vehicle = {};
+  for (const key of VEHICLE_FIELDS) {
+    if (body[key] !== undefined) vehicle[key] = typeof body[key] === "string" ? body[key].trim() : body[key];
+  }
+  return vehicle;
+}
+
+function validationMessage(error) {
+  return Object.values(error.errors || {}).map((e) => e.message).join(", ") || error.message;
+}
+
+// The stored vehicle plus the profile detection will actually use
+function vehicleView(vehicle, activeId) {
+  return {
+    id: String(vehicle._id),
+    name: vehicle.name,
+    type: vehicle.type,
+    plate: vehicle.plate || null,
+    lengthM: vehicle.lengthM ?? null,
+    widthM: vehicle.widthM ?? null,
+    maxDecelMs2: vehicle.maxDecelMs2 ?? null,
+    active: activeId != null && String(activeId) === String(vehicle._id),
+    profile: normalizeProfile(vehicle),
+    createdAt: vehicle.createdAt,
+  };
+}
+
+function findOwnVehicle(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Vehicle.findOne({ _id: req.params.id, userId: req.user._id });
+}
+
+const getVehicles = async (req, res) => {
+  try {
+    const vehicles = await Vehicle.find({ userId: req.user._id }).sort({ createdAt: 1 });
+    return res.status(200).json({ vehicles: vehicles.map((v) => vehicleView(v, req.user.activeVehicle)) });
+  } catch (error) {
+    console.error("getVehicles error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const addVehicle = async (req, res) => {
+  const fields = pickVehicle(req.body);
+  if (!fields.name || !fields.type) {
+    return res.status(400).json({ message: "Vehicle name and type are required" });
+  }
+
+  try {
+    const count = await Vehicle.countDocuments({ userId: req.user._id });
+    if (count >= MAX_VEHICLES_PER_USER) {
+      return res.status(400).json({ message: `At most ${MAX_VEHICLES_PER_USER} vehicles` });
+    }
+    const vehicle = await Vehicle.create({ ...fields, userId: req.user._id });
+
+    // The first vehicle a rider registers becomes the active one
+    if (!req.user.activeVehicle) {
+      await User.updateOne({ _id: req.user._id, activeVehicle: null }, { $set: { activeVehicle: vehicle._id } });
+      req.user.activeVehicle = vehicle._id;
+    }
+
+    return res.status(201).json({
+      message: "Vehicle added",
+      vehicle: vehicleView(vehicle, req.user.activeVehicle),
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    console.error("addVehicle error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const updateVehicle = async (req, res) => {
+  const updates = pickVehicle(req.body);
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ message: "No valid fields to update" });
+  }
+
+  try {
+    const vehicle = await findOwnVehicle(req);
+    if (!vehicle) {
+      return res.status(404).json({ message: "Vehicle not found" });
+    }
+    vehicle.set(updates);
+    await vehicle.save();
+    return res.status(200).json({
+      message: "Vehicle updated",
+      vehicle: vehicleView(vehicle, req.user.activeVehicle),
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ message: validationMessage(error) });
+    }
+    console.error("updateVehicle error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const removeVehicle = async (req, res) => {
+  try {
+    const vehicle = await findOwnVehicle(req);
+    if (!vehicle) {
+      return res.status(404).json({ message: "Vehicle not found" });
+    }
+    await vehicle.deleteOne();
+
+    // Removing the active vehicle leaves the rider on their vehicleType defaults
+    await User.updateOne({ _id: req.user._id, activeVehicle: vehicle._id }, { $set: { activeVehicle: null } });
+
+    return res.status(200).json({ message: "Vehicle removed" });
+  } catch (error) {
+    console.error("removeVehicle error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Takes effect on the next socket connection
+const activateVehicle = async (req, res) => {
+  try {
+    const vehicle = await findOwnVehicle(req);
+    if (!vehicle) {
+      return res.status(404).json({ message: "Vehicle not found" });
+    }
+    await User.updateOne({ _id: req.user._id }, { $set: { activeVehicle: vehicle._id } });
+    return res.status(200).json({
+      message: "Active vehicle set",
+      vehicle: vehicleView(vehicle, vehicle._id),
+    });
+  } catch (error) {
+    console.error("activateVehicle error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export { getVehicles, addVehicle, updateVehicle, removeVehicle, activateVehicle };
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// A detected crash or a rider-triggered SOS. Pending incidents escalate at
+// escalateAt unless the rider cancels first; status changes are atomic so any
+// server instance can escalate or cancel.
+const incidentSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  type: { type: String, enum: ["crash", "sos"], default: "crash" },
+  status: {
+    type: String,
+    enum: ["pending", "cancelled", "escalated", "resolved"],
+    default: "pending",
+    index: true,
+  },
+  location: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true },
+  },
+  roadId: { type: Number, default: null },
+  roadName: String,
+  detectedAt: { type: Date, default: Date.now },
+  escalateAt: Date,
+  cancelledAt: Date,
+  escalatedAt: Date,
+  resolvedAt: Date,
+  signals: {
+    speedBeforeMs: Number,
+    peakDecelMs2: Number,
+    peakGyroDegS: Number,
+    peakAccelMs2: Number,
+    stationaryS: Number,
+  },
+  // One entry per emergency contact alerted on escalation
+  notifications: [{
+    contactName: String,
+    channel: String,
+    ok: Boolean,
+    error: String,
+    at: Date,
+  }],
+});
+
+incidentSchema.index({ location: "2dsphere" });
+incidentSchema.index({ status: 1, escalateAt: 1 });
+
+const Incident = mongoose.model("Incident", incidentSchema);
+export default Incident;
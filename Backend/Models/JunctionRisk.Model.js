@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Observed risk per junction. Counters decay exponentially (see junctionRisk.js);
+// decayedAt is when they were last brought forward to the present.
+const junctionRiskSchema = new mongoose.Schema({
+  // "turn:<Turn _id>", "node:<OSM node id>" or "grid:<lat>,<lng>" (4 decimals)
+  key: { type: String, required: true, unique: true },
+  turn: { type: mongoose.Schema.Types.ObjectId, ref: "Turn", default: null },
+  nodeId: { type: Number, default: null },
+  location: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true },
+  },
+  nearMisses: { type: Number, default: 0 },
+  brakeEvents: { type: Number, default: 0 },
+  threats: { type: Number, default: 0 },
+  decayedAt: { type: Date, default: Date.now },
+  // Undecayed lifetime counts
+  totalNearMisses: { type: Number, default: 0 },
+  totalBrakeEvents: { type: Number, default: 0 },
+  totalThreats: { type: Number, default: 0 },
+  lastEventAt: Date,
+});
+
+junctionRiskSchema.index({ location: "2dsphere" });
+
+const JunctionRisk = mongoose.model("JunctionRisk", junctionRiskSchema);
+export default JunctionRisk;
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// One observed risk event at a junction, for time-windowed heatmaps.
+// JunctionRisk holds the decayed running score; this is the raw history.
+const RISK_EVENT_TYPES = [
+  "near_miss", "hard_brake",
+  "turn_collision", "rear_end", "intersection_collision",
+];
+
+const RETENTION_DAYS = Number(process.env.RISK_EVENT_RETENTION_DAYS ?? 90);
+
+const riskEventSchema = new mongoose.Schema({
+  junctionKey: { type: String, required: true, index: true },
+  location: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true },
+  },
+  roadId: { type: Number, default: null },
+  kind: { type: String, enum: ["nearMiss", "brake", "threat"], required: true },
+  type: { type: String, enum: RISK_EVENT_TYPES, required: true },
+  timestamp: { type: Date, default: Date.now },
+});
+
+riskEventSchema.index({ location: "2dsphere" });
+riskEventSchema.index({ timestamp: -1 }, { expireAfterSeconds: RETENTION_DAYS * 86400 });
+riskEventSchema.index({ roadId: 1, timestamp: -1 });
+
+const RiskEvent = mongoose.model("RiskEvent", riskEventSchema);
+export default RiskEvent;
+export { RISK_EVENT_TYPES };
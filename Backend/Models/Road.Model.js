@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 
+// Ways only pedestrians and cyclists use. They are matched for vulnerable road
+// users only and never join the driving graph (no junctions, no adjacency).
+const FOOTWAY_HIGHWAYS = ["footway", "pedestrian", "path", "steps", "cycleway"];
+
 const roadSchema = new mongoose.Schema({
   osmId: { type: Number, unique: true, index: true },
   name: String,
@@ -16,11 +20,28 @@ const roadSchema = new mongoose.Schema({
   width: String,
   surface: String,
   junction: String,
+  // OSM footway=* on footways ("sidewalk", "crossing") and sidewalk=* on roads
+  footway: String,
+  sidewalk: String,
+  // OSM priority_road=designated|yes_unposted: crossing traffic yields to this way
+  priorityRoad: String,
+  // Stop, give-way and traffic signal nodes on this way; direction is OSM
+  // direction=forward|backward relative to the way, all marks an all-way stop
+  controls: [{
+    _id: false,
+    nodeId: Number,
+    type: { type: String },
+    direction: String,
+    all: Boolean,
+  }],
   // FIX ISSUE #8: osmAgeDays tracks how old the OSM data is for confidence calculation
   osmAgeDays: { type: Number, default: 365 },
 });
 
 roadSchema.index({ geometry: "2dsphere" });
 
+const isFootway = (road) => FOOTWAY_HIGHWAYS.includes(road?.highway);
+
 const Road = mongoose.model("Road", roadSchema);
 export default Road;
+export { FOOTWAY_HIGHWAYS, isFootway };
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// One signed-in device. Its refresh tokens form a family: each refresh rotates
+// currentJti, and presenting any earlier token of the family revokes the session.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  currentJti: { type: String, required: true },
+  deviceName: { type: String, trim: true },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  // Refresh-token expiry; slides forward with each rotation
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: {
+    type: String,
+    enum: ["logout", "user", "reuse", "password_reset", "account_deleted", "admin"],
+  },
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are removed by Mongo, revoked ones included
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
@@ -23,6 +23,8 @@ const turnSchema = new mongoose.Schema({
   },
   angle: { type: Number, default: 0 },
   riskLevel: { type: Number, min: 1, max: 5, default: 1 },
+  // Import-time riskLevel; riskLevel itself is raised by observed junction risk
+  baseRiskLevel: Number,
   isBlind: { type: Boolean, default: false },
   junctionCount: { type: Number, default: 0 },
   approachVectors: [{
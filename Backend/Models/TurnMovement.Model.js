@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Observed movements through a junction node: how often vehicles that arrived
+// on fromRoad left on toRoad. Learned from map-matched road transitions (see
+// turnPrediction.js); turn is relative to the approach.
+const turnMovementSchema = new mongoose.Schema({
+  nodeId: { type: Number, required: true },
+  fromRoad: { type: Number, required: true },
+  toRoad: { type: Number, required: true },
+  turn: { type: String, enum: ["left", "right", "straight", "u_turn"], required: true },
+  count: { type: Number, default: 0 },
+  lastSeenAt: Date,
+});
+
+turnMovementSchema.index({ nodeId: 1, fromRoad: 1, toRoad: 1, turn: 1 }, { unique: true });
+
+const TurnMovement = mongoose.model("TurnMovement", turnMovementSchema);
+export default TurnMovement;
@@ -2,6 +2,45 @@ import mongoose from "mongoose";
 import { Schema } from "mongoose";
 import jwt from "jsonwebtoken"
 import bcrypt from "bcrypt"
+import crypto from "crypto"
+import { VEHICLE_TYPES } from "../vehicleProfiles.js";
+import { ALERT_MODES, MUTABLE_THREAT_TYPES } from "../degradation.js";
+
+const ROLES = ["rider", "fleet_manager", "admin"];
+const MAX_EMERGENCY_CONTACTS = 5;
+
+// Single-use emailed tokens: a signed JWT whose hash is kept on the user until
+// it is consumed or replaced. The purpose claim stops one kind standing in for another.
+const ACTION_TOKENS = {
+    "verify-email": { hashField: "emailVerificationTokenHash", expiresField: "emailVerificationExpires", ttl: process.env.EMAIL_VERIFICATION_TTL || "24h" },
+    "reset-password": { hashField: "passwordResetTokenHash", expiresField: "passwordResetExpires", ttl: process.env.PASSWORD_RESET_TTL || "1h" },
+};
+// Its own secret (required at startup), so a refresh token can never pass for one
+const actionTokenSecret = () => process.env.ACTION_TOKEN_SECRET;
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const emergencyContactSchema = new mongoose.Schema({
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // A phone number or an email, at least
+    phoneNumber: {
+      type: String,
+      trim: true,
+      required: [function () { return !this.email; }, "An emergency contact needs a phone number or email"],
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    relationship: {
+      type: String,
+      trim: true,
+    },
+  })
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -24,14 +63,59 @@ const userSchema = new mongoose.Schema({
       type: String,
       trim: true,
     },
+    // Legacy single-device refresh token, superseded by Session; cleared on login
     refreshToken: {
       type: String,
+      select: false,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationTokenHash: { type: String, select: false },
+    emailVerificationExpires: { type: Date, select: false },
+    passwordResetTokenHash: { type: String, select: false },
+    passwordResetExpires: { type: Date, select: false },
+    // Access tokens issued before this are rejected
+    passwordChangedAt: Date,
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "rider",
+    },
+    // Type defaults used when the rider hasn't registered a vehicle
     vehicleType: {
       type: String,
-      enum: ["two-wheeler", "four-wheeler", "other"],
+      enum: VEHICLE_TYPES,
       default: "two-wheeler",
     },
+    // Vehicle used when a socket connects without ?vehicleId
+    activeVehicle: {
+      type: Schema.Types.ObjectId,
+      ref: "Vehicle",
+      default: null,
+    },
+    // How eager alerts are (classifyAlert mode) and threat types the rider never wants pushed
+    alertPreferences: {
+      sensitivity: {
+        type: String,
+        enum: ALERT_MODES,
+        default: "balanced",
+      },
+      mutedThreatTypes: {
+        type: [{ type: String, enum: MUTABLE_THREAT_TYPES }],
+        default: [],
+      },
+    },
+    // Alerted when a crash incident escalates or the rider sends an SOS
+    emergencyContacts: {
+      type: [emergencyContactSchema],
+      default: [],
+      validate: {
+        validator: (v) => v.length <= MAX_EMERGENCY_CONTACTS,
+        message: `At most ${MAX_EMERGENCY_CONTACTS} emergency contacts`,
+      },
+    },
   },
   { timestamps: true })
 userSchema.methods.isPasswordCorrect = async function(password) {
@@ -40,19 +124,61 @@ userSchema.methods.isPasswordCorrect = async function(password) {
     console.log(this.password)
     return await bcrypt.compare(password, this.password);
 };
-userSchema.methods.generateAccessToken = function () {
+userSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign({
         _id: this._id,
         username: this.username,
-        email: this.email
+        email: this.email,
+        sid: sessionId
     }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: '15m' });
 };
 
-userSchema.methods.generateRefreshToken = function () {
+// One rotation of a session's refresh token; jti must match Session.currentJti
+userSchema.methods.generateRefreshToken = function (sessionId, jti) {
     return jwt.sign({
-        _id: this._id
-    }, process.env.REFRESH_TOKEN_SECRET, { expiresIn: '7d' });
+        _id: this._id,
+        sid: sessionId,
+        jti
+    }, process.env.REFRESH_TOKEN_SECRET, { expiresIn: process.env.REFRESH_TOKEN_TTL || '7d' });
+};
+// Sets the token hash and expiry on the document; the caller saves it
+userSchema.methods.createActionToken = function (purpose) {
+    const { hashField, expiresField, ttl } = ACTION_TOKENS[purpose];
+    const token = jwt.sign({
+        _id: this._id,
+        purpose,
+        nonce: crypto.randomBytes(16).toString("hex")
+    }, actionTokenSecret(), { expiresIn: ttl });
+    this[hashField] = hashToken(token);
+    this[expiresField] = new Date(jwt.decode(token).exp * 1000);
+    return token;
 };
+
+// Query matching the user a still-valid token was issued to, or null
+function actionTokenFilter(token, purpose) {
+    const config = ACTION_TOKENS[purpose];
+    if (!config || typeof token !== "string") return null;
+    let payload;
+    try {
+        payload = jwt.verify(token, actionTokenSecret());
+    } catch {
+        return null;
+    }
+    if (payload.purpose !== purpose || !mongoose.Types.ObjectId.isValid(payload._id)) return null;
+    return {
+        _id: payload._id,
+        [config.hashField]: hashToken(token),
+        [config.expiresField]: { $gt: new Date() },
+    };
+}
+
+// Clears a consumed token in the same update that uses it
+function clearActionToken(purpose) {
+    const { hashField, expiresField } = ACTION_TOKENS[purpose];
+    return { [hashField]: "", [expiresField]: "" };
+}
+
 const User = mongoose.model("User",userSchema)
 
 export default User
+export { ROLES, MAX_EMERGENCY_CONTACTS, actionTokenFilter, clearActionToken }
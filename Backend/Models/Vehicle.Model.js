@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+import { VEHICLE_TYPES } from "../vehicleProfiles.js";
+
+const MAX_VEHICLES_PER_USER = 10;
+
+// A vehicle a rider has registered. The one selected when connecting drives
+// detection (collision radius, rear-end distance, stale timeout); unset sizes
+// and braking fall back to the type's defaults in vehicleProfiles.js.
+const vehicleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  name: { type: String, trim: true, required: true },
+  type: { type: String, enum: VEHICLE_TYPES, required: true },
+  plate: { type: String, trim: true, uppercase: true },
+  lengthM: { type: Number, min: 0.5, max: 25 },
+  widthM: { type: Number, min: 0.3, max: 4 },
+  maxDecelMs2: { type: Number, min: 1, max: 12 },
+}, { timestamps: true });
+
+const Vehicle = mongoose.model("Vehicle", vehicleSchema);
+export default Vehicle;
+export { MAX_VEHICLES_PER_USER };
@@ -0,0 +1,21 @@
+import { Router } from "express";
+import { verifyJWT, requireRole } from "../Controllers/User.controllers.js";
+import {
+  listConnectedVehicles,
+  disconnectVehicle,
+  listTurns,
+  getTurn,
+  updateTurn,
+  setUserRole,
+} from "../Controllers/Admin.controllers.js";
+const router = Router();
+// Fleet managers watch (connected vehicles, Turn records); only admins change anything
+const canView = requireRole("admin", "fleet_manager");
+const canEdit = requireRole("admin");
+router.use(verifyJWT);
+router.route("/vehicles").get(canView, listConnectedVehicles);
+router.route("/vehicles/:userId/disconnect").post(canEdit, disconnectVehicle);
+router.route("/turns").get(canView, listTurns);
+router.route("/turns/:id").get(canView, getTurn).patch(canEdit, updateTurn);
+router.route("/users/:id/role").put(canEdit, setUserRole);
+export default router;
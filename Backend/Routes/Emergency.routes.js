@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { verifyJWT } from "../Controllers/User.controllers.js";
+import {
+  getEmergencyContacts,
+  addEmergencyContact,
+  updateEmergencyContact,
+  removeEmergencyContact,
+  sendSos,
+} from "../Controllers/Emergency.controllers.js";
+const router = Router();
+// Emergency contacts and manual SOS
+router.route("/contacts").get(verifyJWT, getEmergencyContacts).post(verifyJWT, addEmergencyContact);
+router.route("/contacts/:contactId").put(verifyJWT, updateEmergencyContact).delete(verifyJWT, removeEmergencyContact);
+router.route("/sos").post(verifyJWT, sendSos);
+export default router;
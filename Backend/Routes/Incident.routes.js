@@ -0,0 +1,8 @@
+import { Router } from "express";
+import { verifyJWT } from "../Controllers/User.controllers.js";
+import { getActiveIncident, cancelIncident } from "../Controllers/Incident.controllers.js";
+const router = Router();
+// Crash incidents: the rider's countdown and cancel
+router.route("/active").get(verifyJWT, getActiveIncident);
+router.route("/:id/cancel").post(verifyJWT, cancelIncident);
+export default router;
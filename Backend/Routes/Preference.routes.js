@@ -0,0 +1,7 @@
+import { Router } from "express";
+import { verifyJWT } from "../Controllers/User.controllers.js";
+import { getAlertPreferences, updateAlertPreferences } from "../Controllers/Preference.controllers.js";
+const router = Router();
+// Alert sensitivity and muted threat types, applied to live connections too
+router.route("/").get(verifyJWT, getAlertPreferences).put(verifyJWT, updateAlertPreferences);
+export default router;
@@ -0,0 +1,8 @@
+import { Router } from "express";
+import { verifyJWT } from "../Controllers/User.controllers.js";
+import { getJunctionHeatmap, getRoadHeatmap } from "../Controllers/Risk.controllers.js";
+const router = Router();
+// Risk heatmap (GeoJSON) for the city-safety dashboard
+router.route("/junctions").get(verifyJWT, getJunctionHeatmap);
+router.route("/roads").get(verifyJWT, getRoadHeatmap);
+export default router;
@@ -0,0 +1,8 @@
+import { Router } from "express";
+import { verifyJWT } from "../Controllers/User.controllers.js";
+import { getSessions, deleteSession, deleteOtherSessions } from "../Controllers/Session.controllers.js";
+const router = Router();
+// Signed-in devices: list, revoke one, revoke all but this one
+router.route("/").get(verifyJWT, getSessions).delete(verifyJWT, deleteOtherSessions);
+router.route("/:id").delete(verifyJWT, deleteSession);
+export default router;
@@ -0,0 +1,8 @@
+import { Router } from "express";
+import { verifyPartnerKey, ingestSpat, getSpat } from "../Controllers/Spat.controllers.js";
+const router = Router();
+// Partner junction controllers (x-api-key): signal phase and timing per approach
+router.use(verifyPartnerKey);
+router.route("/").post(ingestSpat);
+router.route("/:nodeId").get(getSpat);
+export default router;
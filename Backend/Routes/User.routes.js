@@ -1,5 +1,5 @@
 import { Router } from "express";
-import { register, Login, getuserprofile, logout, getCurrentUserProfile, refreshAccessToken, updateProfile, deleteAccount, verifyJWT } from "../Controllers/User.controllers.js";
+import { register, Login, getuserprofile, logout, getCurrentUserProfile, refreshAccessToken, updateProfile, deleteAccount, verifyJWT, requestEmailVerification, verifyEmail, forgotPassword, resetPassword } from "../Controllers/User.controllers.js";
 const router = Router();
 router.route("/register").post(register);
 router.route("/Login").post(Login);
@@ -7,7 +7,12 @@ router.route("/refresh").post(refreshAccessToken);
 // FIX ISSUE #27: profile endpoint now requires authentication
 router.route("/getuserprofile").get(verifyJWT, getuserprofile);
 router.route("/logout").post(logout);
-router.route("/current").get(getCurrentUserProfile);
-router.route("/update-profile").put(updateProfile);
-router.route("/delete-account").delete(deleteAccount);
+router.route("/current").get(verifyJWT, getCurrentUserProfile);
+router.route("/update-profile").put(verifyJWT, updateProfile);
+router.route("/delete-account").delete(verifyJWT, deleteAccount);
+// Email verification and password reset (tokens are emailed)
+router.route("/verify-email/request").post(verifyJWT, requestEmailVerification);
+router.route("/verify-email").post(verifyEmail);
+router.route("/password/forgot").post(forgotPassword);
+router.route("/password/reset").post(resetPassword);
 export default router;
@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { verifyJWT } from "../Controllers/User.controllers.js";
+import {
+  getVehicles,
+  addVehicle,
+  updateVehicle,
+  removeVehicle,
+  activateVehicle,
+} from "../Controllers/Vehicle.controllers.js";
+const router = Router();
+// A rider's registered vehicles; the active one is used when the socket connects
+router.route("/").get(verifyJWT, getVehicles).post(verifyJWT, addVehicle);
+router.route("/:id").put(verifyJWT, updateVehicle).delete(verifyJWT, removeVehicle);
+router.route("/:id/activate").post(verifyJWT, activateVehicle);
+export default router;
@@ -0,0 +1,134 @@
+// Crash / fall detection from a rider's update stream.
+//
+// An impact is a sudden deceleration from riding speed together with a rotation
+// (gyro) or acceleration (accelerometer) spike within a few seconds of it. It only
+// becomes a crash when the rider then stays stationary; riding on clears it.
+//
+// Pure state machine: the state lives in the rider's shared session, so the
+// impact and the stationary period may be seen by different instances.
+//   idle → impact → reported → (cooldown or riding again) → idle
+
+const CRASH_CONFIG = {
+  MIN_SPEED_MS: Number(process.env.CRASH_MIN_SPEED_MS ?? 4), // ~15 km/h before the impact
+  DECEL_MS2: Number(process.env.CRASH_DECEL_MS2 ?? 6),
+  GYRO_DEG_S: Number(process.env.CRASH_GYRO_DEG_S ?? 180),
+  ACCEL_MS2: Number(process.env.CRASH_ACCEL_MS2 ?? 29.4), // 3 g including gravity
+  IMPACT_WINDOW_MS: 3000, // decel and spike may land in neighbouring samples
+  STATIONARY_MS: Number(process.env.CRASH_STATIONARY_S ?? 10) * 1000,
+  STATIONARY_SPEED_MS: 0.5,
+  RESUME_SPEED_MS: 2.5, // riding on after an impact clears it
+  CONFIRM_TIMEOUT_MS: 60000, // impact never settled into a stop
+  COOLDOWN_MS: 5 * 60000,
+};
+
+function magnitude(v) {
+  if (!v || typeof v !== "object") return 0;
+  const x = Number(v.x) || 0;
+  const y = Number(v.y) || 0;
+  const z = Number(v.z) || 0;
+  return Math.sqrt(x * x + y * y + z * z);
+}
+
+// Signals from one update. gyro is rad/s (sensors_plus), accelerometer m/s² with gravity.
+// speedHistory is the session's [{ speed, t }] including this sample.
+function crashSignals(data, track, speedHistory, kalmanMinSamples) {
+  const gyroDegS = magnitude(data.gyro) * (180 / Math.PI);
+  const accelMs2 = magnitude(data.accelerometer);
+
+  let prevSpeed = 0;
+  let decel = 0;
+  const n = speedHistory.length;
+  if (n >= 2) {
+    const prev = speedHistory[n - 2];
+    const cur = speedHistory[n - 1];
+    const dt = (cur.t - prev.t) / 1000;
+    prevSpeed = prev.speed;
+    if (dt > 0 && dt <= 5) decel = (prev.speed - cur.speed) / dt;
+  }
+  if (track && track.samples >= kalmanMinSamples) decel = Math.max(decel, -track.accel);
+
+  return { speed: Math.max(0, Number(data.speed ?? 0)), prevSpeed, decel, gyroDegS, accelMs2 };
+}
+
+// Returns { state, event } — event is set on the update that confirms a crash
+function updateCrashState(state, signals, { now, lat, lng, roadId = null, roadName = null }, config = CRASH_CONFIG) {
+  let s = state && state.phase ? { ...state } : { phase: "idle" };
+
+  if (s.phase === "reported") {
+    if (now - s.reportedAt >= config.COOLDOWN_MS || signals.speed >= config.RESUME_SPEED_MS) s = { phase: "idle" };
+    else return { state: s, event: null };
+  }
+
+  if (s.phase === "impact") {
+    if (signals.speed >= config.RESUME_SPEED_MS || now - s.at > config.CONFIRM_TIMEOUT_MS) {
+      s = { phase: "idle" };
+    } else {
+      if (signals.speed < config.STATIONARY_SPEED_MS) s.stationarySince ??= now;
+      else s.stationarySince = null;
+      if (s.stationarySince != null && now - s.stationarySince >= config.STATIONARY_MS) {
+        const event = {
+          lat: s.lat,
+          lng: s.lng,
+          roadId: s.roadId,
+          roadName: s.roadName,
+          impactAt: s.at,
+          signals: {
+            speedBeforeMs: s.speedBefore,
+            peakDecelMs2: s.peakDecel,
+            peakGyroDegS: s.peakGyro,
+            peakAccelMs2: s.peakAccel,
+            stationaryS: Math.round((now - s.stationarySince) / 1000),
+          },
+        };
+        return { state: { phase: "reported", reportedAt: now }, event };
+      }
+      return { state: s, event: null };
+    }
+  }
+
+  // idle: remember recent decel and spikes, impact when both fall inside the window
+  const fresh = (t) => t != null && now - t <= config.IMPACT_WINDOW_MS;
+  if (signals.prevSpeed >= config.MIN_SPEED_MS && signals.decel >= config.DECEL_MS2) {
+    if (!fresh(s.decelAt) || signals.decel > s.decel) {
+      s.decel = signals.decel;
+      s.speedBefore = signals.prevSpeed;
+      s.decelLat = lat;
+      s.decelLng = lng;
+    }
+    s.decelAt = now;
+  }
+  if (signals.gyroDegS >= config.GYRO_DEG_S || signals.accelMs2 >= config.ACCEL_MS2) {
+    const keep = fresh(s.spikeAt);
+    s.gyro = Math.max(signals.gyroDegS, keep ? s.gyro : 0);
+    s.accel = Math.max(signals.accelMs2, keep ? s.accel : 0);
+    s.spikeAt = now;
+  }
+  if (fresh(s.decelAt) && fresh(s.spikeAt)) {
+    return {
+      state: {
+        phase: "impact",
+        at: now,
+        lat: s.decelLat ?? lat,
+        lng: s.decelLng ?? lng,
+        roadId,
+        roadName,
+        speedBefore: s.speedBefore,
+        peakDecel: s.decel,
+        peakGyro: s.gyro,
+        peakAccel: s.accel,
+        stationarySince: signals.speed < config.STATIONARY_SPEED_MS ? now : null,
+      },
+      event: null,
+    };
+  }
+  // Drop stale partial signals so they don't pair with something much later
+  if (!fresh(s.decelAt)) {
+    delete s.decelAt; delete s.decel; delete s.speedBefore; delete s.decelLat; delete s.decelLng;
+  }
+  if (!fresh(s.spikeAt)) {
+    delete s.spikeAt; delete s.gyro; delete s.accel;
+  }
+  return { state: s, event: null };
+}
+
+export { CRASH_CONFIG, crashSignals, updateCrashState };
@@ -61,9 +61,9 @@ function computeAlertConfidence(collisionProbability, matchConfidence, sensorQua
   return Math.max(0, Math.min(1.0, confidence));
 }
 
-function classifyStaleness(lastTimestamp) {
+function classifyStaleness(lastTimestamp, now = Date.now()) {
   if (!lastTimestamp) return "expired";
-  const age = Date.now() - lastTimestamp;
+  const age = now - lastTimestamp;
   if (age < 2000) return "fresh";
   if (age < 5000) return "degraded";
   if (age < 10000) return "stale";
@@ -77,6 +77,21 @@ const ALERT_THRESHOLDS = {
   ignore: { minConfidence: 0, sound: false, vibration: false, banner: false },
 };
 
+const ALERT_MODES = ["conservative", "balanced", "minimal"];
+
+// Threat types a rider may mute. Their own crash countdown (crash_detected) always gets through.
+const MUTABLE_THREAT_TYPES = [
+  "predicted_collision",
+  "intersection_collision",
+  "turn_collision",
+  "rear_end",
+  "wrong_direction",
+  "oneway_violation",
+  "crash_ahead",
+  "vru_conflict",
+  "red_light_running",
+];
+
 function classifyAlert(confidence, mode = "balanced") {
   const thresholds = {
     conservative: { critical: 0.7, high: 0.4, monitor: 0.2 },
@@ -92,6 +107,39 @@ function classifyAlert(confidence, mode = "balanced") {
   return "ignore";
 }
 
+function normalizeAlertPreferences(prefs) {
+  const sensitivity = ALERT_MODES.includes(prefs?.sensitivity) ? prefs.sensitivity : "balanced";
+  const muted = Array.isArray(prefs?.mutedThreatTypes) ? prefs.mutedThreatTypes : [];
+  return { sensitivity, mutedThreatTypes: muted.filter((t) => MUTABLE_THREAT_TYPES.includes(t)) };
+}
+
+// Split threats into what the rider gets and what their preferences hold back.
+// Confidence-scored threats are reclassified in the rider's mode; suppressed
+// entries say why ("muted" or "below_sensitivity").
+function applyAlertPreferences(threats, prefs) {
+  const { sensitivity, mutedThreatTypes } = normalizeAlertPreferences(prefs);
+  const delivered = [];
+  const suppressed = [];
+  for (const threat of threats) {
+    const brief = { threatId: threat.threatId, type: threat.type, id: threat.id };
+    if (mutedThreatTypes.includes(threat.type)) {
+      suppressed.push({ ...brief, reason: "muted" });
+      continue;
+    }
+    if (typeof threat.alertConfidence === "number") {
+      const alertClass = classifyAlert(threat.alertConfidence, sensitivity);
+      if (alertClass === "ignore") {
+        suppressed.push({ ...brief, reason: "below_sensitivity", sensitivity, alertConfidence: threat.alertConfidence });
+        continue;
+      }
+      delivered.push(alertClass === threat.alertClass ? threat : { ...threat, alertClass });
+      continue;
+    }
+    delivered.push(threat);
+  }
+  return { threats: delivered, suppressed };
+}
+
 export {
   computePredictionUncertainty,
   // FIX ISSUE #24: removed computeCollisionRadius from exports
@@ -99,5 +147,9 @@ export {
   computeAlertConfidence,
   classifyStaleness,
   classifyAlert,
+  normalizeAlertPreferences,
+  applyAlertPreferences,
   ALERT_THRESHOLDS,
+  ALERT_MODES,
+  MUTABLE_THREAT_TYPES,
 };
@@ -0,0 +1,2117 @@
+import { EventEmitter } from "events";
+import { createHash } from "crypto";
+import Turn from "./Models/Turn.Model.js";
+import TurningEvent from "./Models/TurningEvent.Model.js";
+import VehicleTracker from "./vehicleTracker.js";
+import JunctionRiskTracker, { HIGH_RISK_SCORE } from "./junctionRisk.js";
+import TurnPredictor, { WATCH_RANGE_M } from "./turnPrediction.js";
+import SpatFeed from "./spat.js";
+import { crashSignals, updateCrashState } from "./crashDetector.js";
+import { MemoryVehicleStore } from "./vehicleStore.js";
+import { computePredictionUncertainty, computeOverlapProbability, classifyStaleness, classifyAlert, computeAlertConfidence, normalizeAlertPreferences, applyAlertPreferences } from "./degradation.js";
+import { REFERENCE_TYPE, normalizeProfile, profileFromUpdate, thresholdsFor, footprintExtra, brakingFactor, rearEndDistance, isVulnerable, motionModelFor } from "./vehicleProfiles.js";
+
+// Detection pipeline for a single position update, independent of the WebSocket
+// transport. Clock, vehicle-state store, road graph and models are injected so
+// detectors can be exercised without Mongo, Redis or a socket.
+
+const STATIONARY_THRESHOLD_S = 20;
+
+const NEARBY_CACHE_TTL_MS = 2000;
+const NEARBY_CACHE_MOVE_THRESHOLD_M = 10;
+
+// Road index members older than this have no vehicle state left (max state TTL is 30s)
+const ROAD_INDEX_MAX_AGE_MS = 30000;
+
+const CONFIG = {
+  NEARBY_RADIUS_METERS: Number(process.env.NEARBY_RADIUS_METERS ?? 75),
+  PROJECTION_TIME_SECONDS: Number(process.env.PROJECTION_TIME_SECONDS ?? 3),
+  THREAT_DISTANCE_METERS: Number(process.env.THREAT_DISTANCE_METERS ?? 15),
+  MIN_MOVING_SPEED_MS: Number(process.env.MIN_MOVING_SPEED_MS ?? 0.1),
+  ANGULAR_VEL_HIGH_DEG_S: Number(process.env.ANGULAR_VEL_HIGH_DEG_S ?? 45),
+  UNCERTAINTY_INFLATION_METERS: Number(process.env.UNCERTAINTY_INFLATION_METERS ?? 5),
+  BLIND_SPOT_RADIUS_BOOST_METERS: Number(process.env.BLIND_SPOT_RADIUS_BOOST_METERS ?? 8),
+  STALE_MS: Number(process.env.STALE_MS ?? 8000),
+  TTC_MAX_SECONDS: Number(process.env.TTC_MAX_SECONDS ?? 3),
+  CLOSING_SPEED_STRONG_MS: Number(process.env.CLOSING_SPEED_STRONG_MS ?? 10),
+};
+
+// Minimum speed (m/s) required to run predicted-collision logic (5 km/h = 1.388... m/s)
+const MIN_PREDICT_COLLISION_SPEED = 1.38;
+
+// FIX BUG #18: Wrong-direction threshold lowered from 150 to 120
+const WRONG_DIR_DIFF = 120;
+
+// One-way enforcement: consecutive against-flow samples before flagging a violator
+const ONEWAY_CONSECUTIVE_SAMPLES = 3;
+
+// Emergency-braking decel, collision radius and rear-end distance depend on the
+// vehicle: see THRESHOLDS in vehicleProfiles.js
+const REFERENCE_PROFILE = normalizeProfile(REFERENCE_TYPE);
+
+// FIX BUG #8: Predicted collision uses 0.5s steps (10 checkpoints instead of 5)
+const LOOKAHEAD_S = 8;
+const PREDICT_STEP = 0.5;
+
+// Kalman state is trusted for prediction once the filter has fused this many samples
+const KALMAN_MIN_SAMPLES = 3;
+
+// Junction risk: hard brakes and near misses count toward a junction this close
+const JUNCTION_EVENT_RADIUS_M = 30;
+// Near miss: two moving vehicles on crossing paths this close together
+const NEAR_MISS_DISTANCE_M = 5;
+const NEAR_MISS_MIN_ANGLE = 30;
+
+// Vulnerable road users (pedestrians, cyclists): vehicles moving slower than
+// VRU_MIN_VEHICLE_SPEED aren't warned; a VRU on a sidewalk heading within
+// VRU_PARALLEL_DEG of the vehicle's axis is walking alongside, not across.
+// Vehicles on the road bubble also look this far around them for VRUs, who sit
+// on footways the bubble doesn't reach.
+const VRU_LOOKAHEAD_S = 6;
+const VRU_MIN_VEHICLE_SPEED = 1.0;
+const VRU_PARALLEL_DEG = 30;
+const VRU_CONFLICT_PROBABILITY = 0.2;
+const VRU_SCAN_RADIUS_M = 60;
+
+// Intersection conflict wording by this vehicle's mustYield role
+const INTERSECTION_MESSAGES = {
+  true: "🛑 Give way — vehicle with right of way approaching the junction",
+  false: "⚠️ Vehicle approaching the junction should give way to you",
+  null: "🚦 Vehicles approaching same junction",
+};
+// When the inferred signal phase decides who goes
+const SIGNAL_MESSAGES = {
+  true: "🔴 Red light — crossing traffic has the green",
+  false: "⚠️ Crossing vehicle approaching a red light",
+};
+const RUNNING_RED_MESSAGE = "🚨 Crossing vehicle can't stop for its red light";
+const RED_LIGHT_MESSAGES = {
+  stop: "🔴 Red light ahead — too fast to stop before the line",
+  amber: "🟠 Light turns red before you reach the line — too fast to stop",
+};
+
+// FIX ISSUE #28: debounce TurningEvent creation — max 1 per 10 seconds per user
+const TURNING_COOLDOWN_MS = 10000;
+
+const SERVER_VERSION = "sprint4";
+
+const systemClock = { now: () => Date.now() };
+
+// --- Utility helpers ---
+function getDistanceInMeters(loc1, loc2) {
+  const R = 6371e3;
+  const φ1 = (loc1.lat * Math.PI) / 180;
+  const φ2 = (loc2.lat * Math.PI) / 180;
+  const Δφ = ((loc2.lat - loc1.lat) * Math.PI) / 180;
+  const Δλ = ((loc2.lng - loc1.lng) * Math.PI) / 180;
+  const a =
+    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  return getDistanceInMeters({ lat: lat1, lng: lon1 }, { lat: lat2, lng: lon2 });
+}
+
+function headingDiff(h1, h2) {
+  let d = Math.abs((h1 ?? 0) - (h2 ?? 0));
+  if (d > 180) d = 360 - d;
+  return d;
+}
+
+// FIX BUG #20: Rear-end distance now scales with speed (minimum 10m)
+// Follower's headway, both vehicles' braking envelope and their combined footprint
+function getRearEndDistance(speedMs, follower = REFERENCE_PROFILE, leader = REFERENCE_PROFILE) {
+  return rearEndDistance(speedMs, follower, leader);
+}
+
+// FIX BUG #38: Speed-based nearby radius
+// Widened for the participant with the largest range (heavy vehicles)
+function getSpeedBasedRadius(speedMs, ...profiles) {
+  const speedKmh = speedMs * 3.6;
+  const base = speedKmh < 20 ? 50 : speedKmh < 40 ? 100 : speedKmh < 60 ? 150 : 200;
+  const scale = Math.max(1, ...profiles.filter(Boolean).map((p) => thresholdsFor(p).rangeScale));
+  return base * scale;
+}
+
+function getStaleTimeout(speedMs, profile = null) {
+  // FIX BUG #21: Stale timeout based on speed
+  // Slow/city traffic: longer timeout (cellular networks)
+  // High speed: shorter timeout (safety critical)
+  const base = speedMs < 5 ? 10000 // 10s for slow traffic
+    : speedMs < 14 ? 6000 // 6s for moderate speeds
+    : 4000; // 4s for high speeds
+  // Vehicles that brake worse than a bike can't afford to act on older positions
+  return profile ? Math.round(base / Math.max(1, brakingFactor(profile))) : base;
+}
+
+// FIX ISSUE #22: threatId unique per recipient vehicle
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+function deterministicThreatId(type, roadId, otherId, timeHorizon, recipientId) {
+  const raw = `${type}|${roadId || "none"}|${otherId || "none"}|${Math.floor(timeHorizon || 0)}|${recipientId || "self"}`;
+  return createHash("sha256").update(raw).digest("hex").substring(0, 12);
+}
+
+function computeSeverity(type, speedMs, ttc, distToTurn, clientHour, junctionRisk) {
+  // FIX BUG #29: Severity scoring 1-3
+  let base = 1;
+  const speedKmh = speedMs * 3.6;
+
+  // Higher speed = more severe
+  if (speedKmh > 50) base += 1;
+  if (speedKmh > 80) base += 1;
+
+  // TTC modifier
+  // FIX ISSUE #3: null coerces to 0 in arithmetic, != null catches both null and undefined
+  if (ttc != null && ttc < 2) base += 1;
+
+  // Turn modifier: closer to turn = more urgent
+  if (distToTurn !== undefined && distToTurn < 20) base += 1;
+
+  // Time of day: night (10PM-6AM) is higher risk
+  // FIX ISSUE #21: uses rider local time not server UTC time
+  if (clientHour !== undefined && (clientHour < 6 || clientHour >= 22)) base += 1;
+
+  // Junction with a history of near misses and hard braking
+  if (junctionRisk !== undefined && junctionRisk >= HIGH_RISK_SCORE) base += 1;
+
+  return Math.min(3, base);
+}
+
+function normalizeHeadingDeg(value) {
+  if (!Number.isFinite(value)) return 0;
+  let h = value % 360;
+  if (h < 0) h += 360;
+  return h;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function projectPoint(latDeg, lonDeg, bearingDeg, distanceMeters) {
+  const R = 6371e3;
+  const φ1 = (latDeg * Math.PI) / 180;
+  const λ1 = (lonDeg * Math.PI) / 180;
+  const θ = (bearingDeg * Math.PI) / 180;
+  const δ = distanceMeters / R;
+
+  const sinφ1 = Math.sin(φ1);
+  const cosφ1 = Math.cos(φ1);
+  const sinδ = Math.sin(δ);
+  const cosδ = Math.cos(δ);
+
+  const sinφ2 = sinφ1 * cosδ + cosφ1 * sinδ * Math.cos(θ);
+  const φ2 = Math.asin(sinφ2);
+  const y = Math.sin(θ) * sinδ * cosφ1;
+  const x = cosδ - sinφ1 * sinφ2;
+  const λ2 = λ1 + Math.atan2(y, x);
+
+  const lat2 = (φ2 * 180) / Math.PI;
+  let lon2 = (λ2 * 180) / Math.PI;
+  if (lon2 > 180) lon2 -= 360;
+  if (lon2 < -180) lon2 += 360;
+  return { lat: lat2, lng: lon2 };
+}
+
+// ─── TURN DETECTION HELPERS ───
+
+function deg2rad(d) { return (d * Math.PI) / 180; }
+
+function getBearing(lat1, lon1, lat2, lon2) {
+  const dLon = deg2rad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(deg2rad(lat2));
+  const x = Math.cos(deg2rad(lat1)) * Math.sin(deg2rad(lat2)) -
+            Math.sin(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function isInCone(myLat, myLng, myHeading, nodeLat, nodeLng, coneAngleDeg, coneRangeM) {
+  const dist = getDistanceInMeters({ lat: myLat, lng: myLng }, { lat: nodeLat, lng: nodeLng });
+  if (dist > coneRangeM) return false;
+  const bearing = getBearing(myLat, myLng, nodeLat, nodeLng);
+  let diff = ((bearing - myHeading) % 360 + 360) % 360;
+  if (diff > 180) diff = 360 - diff;
+  return diff <= coneAngleDeg;
+}
+
+function getAlertThreshold(speedKmh, riskLevel) {
+  const base = { 1: 3, 2: 4, 3: 5, 4: 6, 5: 8 };
+  const seconds = base[riskLevel] || 4;
+  // Scale by speed: faster = more time needed
+  return speedKmh > 60 ? seconds + 2 : speedKmh > 40 ? seconds + 1 : seconds;
+}
+
+// motion: optional Kalman { accel, yawRate } — off-road prediction then follows
+// the tracked turn rate and braking instead of a straight constant-speed line
+function predictTrajectory(roadGraph, lat, lng, roadId, heading, speed, confidence, horizonSeconds, motion = null) {
+  // Road-constrained trajectory if we have a road match
+  if (roadId && roadGraph && roadGraph.initialized && confidence >= 0.3) {
+    const trajectory = roadGraph.getTrajectory(roadId, lat, lng, heading, speed, horizonSeconds);
+    if (trajectory && trajectory.length > 0) return trajectory;
+  }
+  // Fallback: dead reckoning (straight line without motion state)
+  const points = [];
+  const totalSteps = Math.ceil(horizonSeconds / PREDICT_STEP);
+  const accel = motion?.accel ?? 0;
+  const yawRate = motion?.yawRate ?? 0;
+  let pos = { lat, lng };
+  let h = heading;
+  let v = speed;
+  for (let step = 1; step <= totalSteps; step++) {
+    const t = step * PREDICT_STEP;
+    const hMid = h + (yawRate * PREDICT_STEP) / 2;
+    const dist = Math.max(0, v * PREDICT_STEP + 0.5 * accel * PREDICT_STEP * PREDICT_STEP);
+    pos = projectPoint(pos.lat, pos.lng, normalizeHeadingDeg(hMid), dist);
+    h += yawRate * PREDICT_STEP;
+    v = Math.max(0, v + accel * PREDICT_STEP);
+    points.push({ lat: pos.lat, lng: pos.lng, t });
+  }
+  return points;
+}
+
+// Prediction inputs for one vehicle: Kalman-smoothed once warmed up, raw otherwise.
+// A VRU can turn on the spot, so its heading uncertainty counts as velocity
+// uncertainty and its (noisy) turn rate and acceleration aren't extrapolated.
+function motionState(raw, kalman, vulnerable = false) {
+  if (kalman && kalman.samples >= KALMAN_MIN_SAMPLES && vulnerable) {
+    const headingSigmaRad = ((kalman.headingSigma ?? 0) * Math.PI) / 180;
+    return {
+      lat: kalman.lat,
+      lng: kalman.lng,
+      heading: kalman.heading,
+      speed: kalman.speed,
+      motion: null,
+      positionUncertainty: kalman.positionSigma,
+      velocityUncertainty: Math.hypot(kalman.speedSigma, kalman.speed * headingSigmaRad),
+    };
+  }
+  if (kalman && kalman.samples >= KALMAN_MIN_SAMPLES) {
+    return {
+      lat: kalman.lat,
+      lng: kalman.lng,
+      heading: kalman.heading,
+      speed: kalman.speed,
+      motion: { accel: kalman.accel, yawRate: kalman.yawRate },
+      positionUncertainty: kalman.positionSigma,
+      velocityUncertainty: kalman.speedSigma,
+    };
+  }
+  return { ...raw, motion: null, velocityUncertainty: 0 };
+}
+
+function avgHeading(arr) {
+  if (arr.length === 0) return null;
+  let x = 0, y = 0;
+  for (let h of arr) {
+    const rad = (h * Math.PI) / 180;
+    x += Math.cos(rad);
+    y += Math.sin(rad);
+  }
+  if (x === 0 && y === 0) return 0;
+  return (Math.atan2(y, x) * 180) / Math.PI;
+}
+
+function validateUpdate(data) {
+  if (!data || typeof data.userId !== "string" || data.userId.trim() === "") {
+    console.log("⚠️ validation failed: missing userId");
+    return "missing userId";
+  }
+  if (typeof data.latitude !== "number" || typeof data.longitude !== "number") {
+    console.log("⚠️ validation failed: invalid coordinates");
+    return "invalid coordinates";
+  }
+  // Range validation — lat must be -90..90, lng -180..180
+  if (data.latitude < -90 || data.latitude > 90 || data.longitude < -180 || data.longitude > 180) {
+    console.log(`⚠️ validation failed: coordinates out of range: ${data.latitude}, ${data.longitude}`);
+    return "coordinates out of range";
+  }
+  return null;
+}
+
+class DetectionEngine extends EventEmitter {
+  constructor({ clock = systemClock, store = null, roadGraph = null, mapMatcher = null, etaRegistry = null, tracker = null, junctionRisk = null, turnPredictor = null, spat = null, models = {}, enforceUserId = true } = {}) {
+    super();
+    this.clock = clock;
+    this.store = store;
+    this.roadGraph = roadGraph;
+    this.mapMatcher = mapMatcher;
+    this.etaRegistry = etaRegistry;
+    // Per-vehicle Kalman state (position, heading, speed, acceleration, turn rate)
+    this.tracker = tracker || new VehicleTracker();
+    this.Turn = models.Turn || Turn;
+    this.TurningEvent = models.TurningEvent || TurningEvent;
+    this.enforceUserId = enforceUserId;
+
+    // Per-vehicle state that must survive the rider moving to another server instance
+    // (session: time sync, Kalman, one-way, speed history, road; plus last seen,
+    // stationary since and the road index) lives in the vehicle store. This
+    // in-process store stands in while the shared one is unavailable.
+    this.localState = new MemoryVehicleStore({ clock });
+    // Nearby user cache to reduce store queries
+    // Key: userId, Value: { nearbyIds, timestamp, lat, lng }
+    this.nearbyCache = new Map();
+    // Persisted, decaying risk per junction (near misses, hard brakes, threats)
+    this.junctionRisk = junctionRisk || new JunctionRiskTracker({ models, clock });
+    // Learned turn movements per junction, predicting which way each vehicle leaves it
+    this.turnPredictor = turnPredictor || new TurnPredictor({ models, clock });
+    if (etaRegistry && !etaRegistry.turnPredictor) etaRegistry.turnPredictor = this.turnPredictor;
+    // Live signal timing from partner junction controllers
+    this.spat = spat || new SpatFeed({ store, clock });
+    if (etaRegistry && !etaRegistry.spat) etaRegistry.spat = this.spat;
+    // In-memory cache of nearby vehicles for turn queries
+    this.nearbyVehicleCache = new Map();
+    this.turningEventDebounce = new Map();
+    // Track last heading for turn learning
+    this.lastHeadingMap = new Map();
+    this.lastHeadingTimeMap = new Map();
+
+    // Clean stale entries from nearbyVehicleCache every 30s
+    this.nearbyCleanupInterval = setInterval(() => this._cleanupNearbyVehicles(), 30000);
+  }
+
+  // Late binding: road graph is loaded after the engine is constructed
+  setRoadGraph(roadGraph, mapMatcher, etaRegistry) {
+    this.roadGraph = roadGraph;
+    this.mapMatcher = mapMatcher;
+    this.etaRegistry = etaRegistry;
+    if (etaRegistry && !etaRegistry.turnPredictor) etaRegistry.turnPredictor = this.turnPredictor;
+    if (etaRegistry && !etaRegistry.spat) etaRegistry.spat = this.spat;
+  }
+
+  _hasRoadGraph() {
+    return !!(this.roadGraph && this.roadGraph.initialized);
+  }
+
+  async processUpdate(data, { authenticatedUserId = null } = {}) {
+    const reason = validateUpdate(data);
+    if (reason) return { status: "error", reason };
+
+    // FIX BUG #2: Enforce authenticated userId (skip in dev mode)
+    if (this.enforceUserId && data.userId !== authenticatedUserId) {
+      console.warn(`⚠️ userId mismatch: data=${data.userId} auth=${authenticatedUserId}`);
+      return { status: "error", reason: "userId mismatch" };
+    }
+
+    console.log(`ℹ️ Processing update for userId=${data.userId}`);
+
+    const serverTimeMs = this.clock.now();
+    const session = (await this._shared("getSession", (st) => st.getSession(data.userId))) || {};
+    const timeSyncEntry = this._syncTime(data, serverTimeMs, session);
+
+    // ─── Sprint 1: Map Matching ───
+    const sensorQuality = data.sensorQuality ?? 0.8;
+    const positionUncertainty = data.positionUncertainty ?? 10;
+    const vehicleSpeed = Math.max(0, Number(data.speed ?? 0));
+
+    // Dimensions and braking of the vehicle behind this update, and the rider's
+    // alert sensitivity and mutes (both stamped by the socket)
+    const profile = profileFromUpdate(data);
+    const alertPreferences = normalizeAlertPreferences(data.alertPreferences);
+    const vulnerable = isVulnerable(profile);
+
+    const track = this._track(data, sensorQuality, positionUncertainty, timeSyncEntry, serverTimeMs, session, motionModelFor(profile));
+
+    const matched = await this._matchPosition(data, vehicleSpeed, positionUncertainty, serverTimeMs, vulnerable);
+
+    const prevRoadId = await this._trackRoad(data.userId, matched.roadId, session, serverTimeMs);
+    const roadJunctions = prevRoadId !== matched.roadId
+      ? this._computeRoadJunctions(data, matched, vehicleSpeed)
+      : [];
+
+    // ─── Track last seen ───
+    await this._shared("setLastSeen", (st) => st.setLastSeen(data.userId, serverTimeMs));
+
+    const headingSelf = normalizeHeadingDeg(Number(data.heading ?? 0));
+    const speedSelf = Math.max(0, Number(data.speed ?? 0));
+
+    // One-way rules bind vehicles; pedestrians and cyclists use either direction
+    let onewayViolation = null;
+    if (vulnerable) session.oneway = null;
+    else onewayViolation = this._trackOneway(data, matched, headingSelf, speedSelf, session);
+
+    // Follow vehicles through junctions to learn which way traffic leaves them
+    if (vulnerable) session.turnWatch = null;
+    else session.turnWatch = this._watchJunction(matched, headingSelf, session.turnWatch);
+
+    // FIX ISSUE #11: maintain short speed history (shared with peers for the rear-end fallback)
+    session.speedHistory = [...(session.speedHistory || []), { speed: speedSelf, t: serverTimeMs }].slice(-10);
+
+    this._detectCrash(data, matched, track, session, serverTimeMs);
+
+    // ─── Build enriched payload for the store ───
+    // VRUs are only snapped onto footways: one crossing a road must keep its
+    // own position and heading, not the road's
+    const snapSelf = !vulnerable || !!matched.footway;
+    const storePayload = {
+      ...data,
+      vehicle: profile,
+      vehicleType: profile.type,
+      rawLatitude: data.latitude,
+      rawLongitude: data.longitude,
+      latitude: snapSelf ? matched.snappedLat : data.latitude,
+      longitude: snapSelf ? matched.snappedLng : data.longitude,
+      heading: (vulnerable ? data.heading : matched.roadHeading) ?? data.heading ?? 0,
+      roadId: matched.roadId,
+      roadName: matched.roadName,
+      highway: matched.highway,
+      matchConfidence: matched.matchConfidence,
+      vehicleStateConfidence: matched.vehicleStateConfidence,
+      roadConfidence: matched.roadConfidence ?? 0,
+      distanceToRoad: matched.distanceToRoad ?? null,
+      oneway: matched.oneway,
+      maxspeed: matched.maxspeed,
+      lanes: matched.lanes,
+      footway: matched.footway ?? null,
+      sensorQuality,
+      positionUncertainty,
+      timeSyncConfidence: timeSyncEntry.confidence,
+      serverTime: serverTimeMs,
+      staleness: "fresh",
+      kalman: track,
+      // Wrong-way tracking; oneway above is the road's tag
+      onewayTrack: session.oneway ?? null,
+      speedHistory: session.speedHistory,
+    };
+    await this._persist(data, storePayload);
+    await this._shared("setSession", (st) => st.setSession(data.userId, session));
+
+    const nearby = await this._findNearby(data, matched, vehicleSpeed, profile);
+    let { otherIds, usersData } = nearby;
+
+    // ─── Sprint 1: Road Eligibility Filter ───
+    // A VRU on a footway isn't on the driving graph; every vehicle near it counts
+    if (matched.roadId && this._hasRoadGraph() && !vulnerable) {
+      ({ otherIds, usersData } = this._filterEligible(matched.roadId, otherIds, usersData));
+    }
+
+    // ─── Sprint 1: Staleness Check ───
+    const lastSeenList = (await this._shared("getLastSeen", (st) => st.getLastSeen(otherIds))) || [];
+    for (let i = otherIds.length - 1; i >= 0; i--) {
+      const uid = otherIds[i];
+      const lastSeen = lastSeenList[i];
+      if (lastSeen && classifyStaleness(lastSeen, this.clock.now()) === "expired") {
+        otherIds.splice(i, 1);
+        usersData.splice(i, 1);
+        console.log(`⏳ Removed expired vehicle ${uid} from consideration`);
+      }
+    }
+
+    // Collect nearby vehicles for map display (reuses already-fetched data)
+    const nearbyVehicles = [];
+    for (let i = 0; i < otherIds.length; i++) {
+      const raw = usersData[i];
+      if (!raw) continue;
+      try {
+        const v = JSON.parse(raw);
+        nearbyVehicles.push({
+          id: v.userId ?? otherIds[i],
+          lat: v.latitude ?? v.lat,
+          lng: v.longitude ?? v.lng,
+          heading: v.heading ?? 0,
+          speed: v.speed ?? 0,
+        });
+      } catch {}
+    }
+
+    console.log(`🚗 Self id=${data.userId} lat=${data.latitude} lon=${data.longitude} speed=${speedSelf} heading=${headingSelf}`);
+
+    const now = this.clock.now();
+
+    // ─── Stationary detection: track how long speed has been below 0.5 ───
+    // Fetched for self and peers in one go; the pair checks gate on both
+    const sinceList = (await this._shared("getStationarySince", (st) => st.getStationarySince([data.userId, ...otherIds]))) || [];
+    let selfSince = sinceList[0] ?? null;
+    if (speedSelf < 0.5) {
+      if (selfSince === null) {
+        selfSince = now;
+        await this._shared("setStationarySince", (st) => st.setStationarySince(data.userId, now));
+      }
+    } else if (selfSince !== null) {
+      selfSince = null;
+      await this._shared("setStationarySince", (st) => st.setStationarySince(data.userId, null));
+    }
+    const selfStaSeconds = selfSince !== null ? (now - selfSince) / 1000 : 0;
+    const selfStationary = speedSelf < 0.5 && selfStaSeconds >= STATIONARY_THRESHOLD_S;
+    const peerStationarySince = new Map();
+    otherIds.forEach((uid, i) => {
+      if (sinceList[i + 1] != null) peerStationarySince.set(uid, sinceList[i + 1]);
+    });
+
+    // Risk history for the junctions this update is checked against
+    const junctionPoints = this._junctionPoints(data);
+    await this.junctionRisk.prefetch(junctionPoints);
+    if (!vulnerable) this._recordHardBrake(data, matched, track, junctionPoints, profile);
+
+    const threats = [];
+
+    // ─── ETA Registry (skipped for VRUs) ───
+    // Stationary vehicles still register, so a queue at a signal shows its
+    // phase, but aren't warned
+    if (this.etaRegistry && matched.matched && !vulnerable) {
+      const junctionThreats = await this._checkIntersections(data, matched, vehicleSpeed, sensorQuality, timeSyncEntry, alertPreferences.sensitivity, track, profile);
+      if (!selfStationary) threats.push(...junctionThreats);
+    }
+
+    // FIX BUG #10: Majority direction calculated from OTHER vehicles only
+    const otherHeadings = [];
+    for (let i = 0; i < otherIds.length; i++) {
+      const raw = usersData[i];
+      if (!raw) continue;
+      try {
+        const otherTmp = JSON.parse(raw);
+        otherHeadings.push(normalizeHeadingDeg(Number(otherTmp.heading ?? 0)));
+      } catch (e) {
+        console.log(`⚠️ malformed usersData[${i}] for ${otherIds[i]}`);
+      }
+    }
+    const majorityDirection = otherHeadings.length >= 2
+      ? normalizeHeadingDeg(avgHeading(otherHeadings))
+      : null;
+    console.log(`📐 majorityDirection=${majorityDirection} based on ${otherHeadings.length} other vehicles`);
+
+    const clientHour = this._clientHour(data.timestamp);
+
+    if (onewayViolation) {
+      threats.push({
+        type: "oneway_violation",
+        id: data.userId,
+        lat: data.latitude,
+        lng: data.longitude,
+        roadId: matched.roadId,
+        roadName: matched.roadName,
+        legalBearing: Math.round(onewayViolation.legalBearing),
+        heading: headingSelf,
+        consecutiveSamples: onewayViolation.count,
+        severity: computeSeverity("oneway_violation", speedSelf, null, undefined, clientHour),
+        message: "⛔ You are going the wrong way on a one-way road",
+      });
+    }
+
+    const self = {
+      data,
+      matched,
+      userId: data.userId,
+      lat: data.latitude,
+      lng: data.longitude,
+      heading: headingSelf,
+      speed: speedSelf,
+      sensorQuality,
+      roadJunctions,
+      clientHour,
+      stationary: selfStationary,
+      stationarySeconds: selfStaSeconds,
+      // A pedestrian waiting on a crossing is still in the carriageway
+      waitingOnCrossing: vulnerable && matched.footway === "crossing",
+      peerStationarySince,
+      majorityDirection,
+      onewayViolation,
+      track,
+      junctionPoints,
+      profile,
+      alertPreferences,
+      now,
+    };
+
+    // MAIN loop: check each nearby vehicle
+    for (let i = 0; i < otherIds.length; i++) {
+      const uid = otherIds[i];
+      try {
+        const raw = usersData[i];
+        if (!raw) {
+          console.log(`⚠️ skipping ${uid} because userData missing`);
+          continue;
+        }
+        this._checkPair(self, uid, JSON.parse(raw), threats);
+      } catch (innerErr) {
+        console.error("❌ Error processing nearby user:", uid, innerErr);
+      }
+    }
+
+    // Get upcoming turns for this vehicle
+    const upcomingTurns = await this._getUpcomingTurns(data.latitude, data.longitude, headingSelf, speedSelf);
+
+    if (!vulnerable) this._learnTurn(data.userId, data.latitude, data.longitude, headingSelf, speedSelf, matched.roadId);
+
+    console.log(`📤 Finished checks. Returning ${threats.length} threat(s), ${upcomingTurns.length} upcoming turn(s) to ${data.userId}`);
+
+    // Phase 1: Add deterministic threat IDs for replay validation
+    for (const t of threats) {
+      if (!t.threatId) {
+        // FIX ISSUE #22: include recipientId for unique per-vehicle threatId
+        t.threatId = deterministicThreatId(t.type, matched.roadId, t.id, t.time_s || t.eta || 0, data.userId);
+      }
+    }
+
+    // Rider's sensitivity and mutes; what they hold back is reported, not dropped silently
+    const { threats: deliveredThreats, suppressed } = applyAlertPreferences(threats, alertPreferences);
+    if (suppressed.length > 0) {
+      console.log(`🔕 Suppressed for ${data.userId}: ${suppressed.map((t) => `${t.type} (${t.reason})`).join(", ")}`);
+    }
+
+    return this._buildResponse({
+      matched,
+      timeSyncEntry,
+      threats: deliveredThreats,
+      suppressedThreats: suppressed,
+      nearbyVehicles,
+      upcomingTurns,
+      roadJunctions,
+      roadBubble: nearby.roadBubble,
+    });
+  }
+
+  // ─── Sprint 1: Time Sync (One-directional) ───
+  // FIX ISSUE #2: one-directional time sync eliminates cycle
+  // Frontend sends raw clientTime, backend computes offset, returns timeSyncOffset
+  _syncTime(data, serverTimeMs, session) {
+    const clientTimeMs = typeof data.clientTime === "number" ? data.clientTime : serverTimeMs;
+    const timeOffset = serverTimeMs - clientTimeMs;
+
+    const timeSyncEntry = session.timeSync || { offsets: [], confidence: 1.0 };
+    timeSyncEntry.offsets.push(timeOffset);
+    if (timeSyncEntry.offsets.length > 20) timeSyncEntry.offsets.shift();
+    const meanOffset = timeSyncEntry.offsets.reduce((a, b) => a + b, 0) / timeSyncEntry.offsets.length;
+    const variance = timeSyncEntry.offsets.reduce((a, b) => a + (b - meanOffset) ** 2, 0) / timeSyncEntry.offsets.length;
+    const stdDev = Math.sqrt(variance);
+    timeSyncEntry.confidence = Math.max(0.1, Math.min(1.0, 1.0 - stdDev / 500));
+    timeSyncEntry.offset = meanOffset;
+    session.timeSync = timeSyncEntry;
+    return timeSyncEntry;
+  }
+
+  // Store call against the shared store, or the local stand-in while it is down
+  async _shared(label, fn) {
+    const store = this.store?.isReady ? this.store : this.localState;
+    try {
+      return await fn(store);
+    } catch (e) {
+      console.error(`❌ Store ${label} failed:`, e);
+      return null;
+    }
+  }
+
+  // Fuse GPS, speed, heading and gyro into the per-vehicle Kalman filter.
+  // Samples are timed on the client clock shifted onto server time.
+  // The filter state travels in the session so any instance can continue it.
+  _track(data, sensorQuality, positionUncertainty, timeSyncEntry, serverTimeMs, session, model = "vehicle") {
+    const sampleTimeMs = typeof data.clientTime === "number"
+      ? data.clientTime + (timeSyncEntry.offset ?? 0)
+      : serverTimeMs;
+    if (session.kalman) this.tracker.importTrack(data.userId, session.kalman);
+    else this.tracker.remove(data.userId);
+    const track = this.tracker.update(data.userId, {
+      lat: data.latitude,
+      lng: data.longitude,
+      positionUncertainty,
+      speed: Number(data.speed),
+      heading: Number(data.heading),
+      gyroZ: Number(data.gyro?.z),
+      sensorQuality,
+    }, sampleTimeMs, model);
+    session.kalman = this.tracker.exportTrack(data.userId);
+    console.log(`🎯 Kalman ${data.userId}: v=${track.speed.toFixed(1)}±${track.speedSigma.toFixed(1)}m/s a=${track.accel.toFixed(2)}m/s² hdg=${track.heading.toFixed(0)}° pos±${track.positionSigma.toFixed(1)}m`);
+    return track;
+  }
+
+  async _matchPosition(data, vehicleSpeed, positionUncertainty, serverTimeMs, vulnerable = false) {
+    if (this._hasRoadGraph() && this.mapMatcher) {
+      // Lazy regions: pull in road tiles around the vehicle before matching
+      if (this.roadGraph.ensureTilesFor) {
+        await this.roadGraph.ensureTilesFor(data.latitude, data.longitude);
+      }
+      return this.mapMatcher.match(
+        data.userId,
+        data.latitude,
+        data.longitude,
+        data.heading ?? 0,
+        vehicleSpeed,
+        positionUncertainty,
+        serverTimeMs,
+        { vulnerable }
+      );
+    }
+    return {
+      matched: false,
+      roadId: null,
+      snappedLat: data.latitude,
+      snappedLng: data.longitude,
+      roadHeading: data.heading ?? 0,
+      matchConfidence: 0,
+      vehicleStateConfidence: 0.5,
+    };
+  }
+
+  // ─── Track vehicle on road ───
+  // Crash / fall: impact signals followed by a stationary period. The state rides in the
+  // shared session; the confirming update emits "crash" for the incident manager.
+  _detectCrash(data, matched, track, session, serverTimeMs) {
+    const signals = crashSignals(data, track, session.speedHistory, KALMAN_MIN_SAMPLES);
+    const { state, event } = updateCrashState(session.crash, signals, {
+      now: serverTimeMs,
+      lat: matched.snappedLat,
+      lng: matched.snappedLng,
+      roadId: matched.roadId,
+      roadName: matched.roadName,
+    });
+    session.crash = state;
+    if (!event) return;
+    console.warn(`🚑 Crash detected for ${data.userId}: decel=${event.signals.peakDecelMs2.toFixed(1)}m/s² gyro=${Math.round(event.signals.peakGyroDegS)}°/s, stationary ${event.signals.stationaryS}s`);
+    this.emit("crash", { userId: data.userId, ...event, detectedAt: serverTimeMs });
+  }
+
+  async _trackRoad(userId, roadId, session, serverTimeMs) {
+    const prevRoadId = session.roadId;
+    session.roadId = roadId;
+    await this._shared("moveToRoad", (st) => st.moveToRoad(userId, prevRoadId, roadId, serverTimeMs));
+    return prevRoadId;
+  }
+
+  // ─── When road changes, compute all junctions ahead ───
+  _computeRoadJunctions(data, matched, vehicleSpeed) {
+    if (!matched.roadId || !this._hasRoadGraph() || matched.matchConfidence < 0.3) return [];
+    try {
+      const reachable = this.roadGraph.getReachableRoads(
+        matched.roadId, 2000, vehicleSpeed, matched.roadHeading || data.heading || 0
+      );
+      const allRoadEntries = [{ rid: matched.roadId, hdg: matched.roadHeading || data.heading || 0 }];
+      for (const r of reachable) {
+        allRoadEntries.push({ rid: r.roadId, hdg: r.entryHeading });
+      }
+
+      const junctionMap = new Map();
+      for (const entry of allRoadEntries) {
+        const junctions = this.roadGraph.getJunctionsAhead(
+          entry.rid, matched.snappedLat, matched.snappedLng, entry.hdg, 2000
+        );
+        for (const j of junctions) {
+          const key = `${j.lat.toFixed(5)},${j.lng.toFixed(5)}`;
+          if (!junctionMap.has(key)) {
+            junctionMap.set(key, {
+              lat: j.lat,
+              lng: j.lng,
+              distance: Math.round(j.distance),
+              type: j.turnType || j.junctionType || "unknown",
+              dirs: j.dirs || [],
+              riskLevel: j.riskLevel || 1,
+              angle: j.angle || 0,
+              signalised: !!j.signalised,
+            });
+          }
+        }
+      }
+
+      return Array.from(junctionMap.values()).sort((a, b) => a.distance - b.distance);
+    } catch (e) {
+      console.error("❌ Error computing road junctions:", e.message);
+      return [];
+    }
+  }
+
+  async _persist(data, storePayload) {
+    const store = this.store;
+    if (!store?.isReady) {
+      console.warn("⚠️ Vehicle store not ready — skipping persistence, detection may be limited");
+      return;
+    }
+    try {
+      await store.setPosition(data.userId, storePayload.latitude, storePayload.longitude);
+      console.log(`🗺️ setPosition ${data.userId} @ ${storePayload.latitude},${storePayload.longitude} (${store.backend})`);
+    } catch (e) {
+      console.error("❌ Store setPosition failed:", e);
+    }
+
+    const ttl = data.speed > 5 ? 10 : 30;
+    try {
+      await store.setState(data.userId, JSON.stringify(storePayload), ttl);
+      console.log(`💾 setState ${data.userId} (ttl=${ttl}s)`);
+    } catch (e) {
+      console.error("❌ Store setState failed:", e);
+    }
+  }
+
+  async _findNearby(data, matched, vehicleSpeed, profile) {
+    // FIX BUG #6: Gyro conversion - correctly convert ALL axes from rad/s to deg/s
+    // Frontend sensors_plus sends gyro in rad/s
+    const gyroRaw = data.gyro || {};
+    const gyroXDeg = (gyroRaw.x || 0) * (180 / Math.PI);
+    const gyroYDeg = (gyroRaw.y || 0) * (180 / Math.PI);
+    const gyroZDeg = (gyroRaw.z || 0) * (180 / Math.PI);
+    const gyroMagnitude = Math.sqrt(gyroXDeg * gyroXDeg + gyroYDeg * gyroYDeg + gyroZDeg * gyroZDeg);
+    const isSuddenTurn = gyroMagnitude >= CONFIG.ANGULAR_VEL_HIGH_DEG_S;
+
+    // FIX BUG #38: Speed-based nearby radius (not just gyro-based)
+    const speedRadius = getSpeedBasedRadius(vehicleSpeed, profile);
+    const nearbyRadius = Math.max(speedRadius, CONFIG.NEARBY_RADIUS_METERS) +
+      (isSuddenTurn ? CONFIG.BLIND_SPOT_RADIUS_BOOST_METERS : 0);
+    console.log(`🧭 speed=${vehicleSpeed.toFixed(1)}m/s gyroMag=${gyroMagnitude.toFixed(1)}°/s radius=${nearbyRadius}m`);
+
+    // FIX BUG #32: Nearby user caching
+    const prevCache = this.nearbyCache.get(data.userId);
+    let shouldRescan = true;
+    if (prevCache) {
+      const timeSince = this.clock.now() - prevCache.timestamp;
+      const distSince = getDistanceInMeters(
+        { lat: prevCache.lat, lng: prevCache.lng },
+        { lat: data.latitude, lng: data.longitude }
+      );
+      if (timeSince < NEARBY_CACHE_TTL_MS && distSince < NEARBY_CACHE_MOVE_THRESHOLD_M) {
+        shouldRescan = false;
+      }
+    }
+
+    let nearbyUserIds = [];
+    let roadBubbleUsed = false;
+    let rawNearbyCount = 0;
+    // Found only by the VRU scan: kept only if they turn out to be VRUs
+    let vruScanIds = new Set();
+
+    if (shouldRescan) {
+      // ─── Sprint 2: Road Distance Bubble ───
+      // Footways aren't in the driving graph, so VRUs always search by distance
+      if (matched.roadId && this._hasRoadGraph() && !isVulnerable(profile)) {
+        const horizonMeters = Math.min(vehicleSpeed * 8, 500);
+        const reachableRoads = this.roadGraph.getReachableRoads(matched.roadId, horizonMeters, vehicleSpeed, matched.roadHeading || data.heading || 0);
+        const reachableRoadIds = new Set(reachableRoads.map(r => r.roadId));
+        reachableRoadIds.add(matched.roadId);
+
+        const onRoads = await this._shared("vehiclesOnRoads", (st) =>
+          st.vehiclesOnRoads([...reachableRoadIds], this.clock.now() - ROAD_INDEX_MAX_AGE_MS));
+        const userIdsOnReachableRoads = new Set(onRoads || []);
+
+        // Also get Euclidean for vehicles not yet in road map (first message)
+        if (userIdsOnReachableRoads.size < 3) {
+          try {
+            const euclideanIds = await this.store.nearby(data.userId, nearbyRadius, 50);
+            for (const uid of euclideanIds) userIdsOnReachableRoads.add(uid);
+          } catch (e) {
+            console.error("❌ Store nearby query failed:", e);
+          }
+        }
+
+        try {
+          const scanIds = await this.store.nearby(data.userId, VRU_SCAN_RADIUS_M, 50);
+          vruScanIds = new Set(scanIds.filter((uid) => !userIdsOnReachableRoads.has(uid)));
+        } catch (e) {
+          console.error("❌ Store nearby query failed:", e);
+        }
+
+        nearbyUserIds = [...userIdsOnReachableRoads, ...vruScanIds];
+        rawNearbyCount = nearbyUserIds.length;
+        roadBubbleUsed = true;
+        console.log(`🔎 Road bubble: ${reachableRoadIds.size} roads, ${nearbyUserIds.length} users (horizon=${horizonMeters}m)`);
+      } else {
+        // Euclidean fallback
+        try {
+          nearbyUserIds = await this.store.nearby(data.userId, nearbyRadius, 50);
+        } catch (e) {
+          console.error("❌ Store nearby query failed:", e);
+        }
+        rawNearbyCount = nearbyUserIds.length;
+      }
+
+      this.nearbyCache.set(data.userId, {
+        nearbyIds: nearbyUserIds,
+        vruScanIds,
+        timestamp: this.clock.now(),
+        lat: data.latitude,
+        lng: data.longitude,
+      });
+    } else {
+      nearbyUserIds = prevCache.nearbyIds;
+      vruScanIds = prevCache.vruScanIds || new Set();
+      console.log(`🔎 Using cached nearby list (${nearbyUserIds.length} members)`);
+    }
+
+    let otherIds = nearbyUserIds.filter(uid => uid !== data.userId);
+    console.log(`👥 otherIds (excluding self): ${otherIds.length}`, otherIds);
+
+    let usersData = [];
+    try {
+      usersData = await this.store.getStates(otherIds);
+      console.log(`📦 getStates returned ${usersData.length} entries`);
+    } catch (e) {
+      console.error("❌ Store getStates failed:", e);
+    }
+
+    if (vruScanIds.size > 0) {
+      const keep = otherIds.map((uid, i) => !vruScanIds.has(uid) || this._isVulnerableState(usersData[i]));
+      otherIds = otherIds.filter((_, i) => keep[i]);
+      usersData = usersData.filter((_, i) => keep[i]);
+    }
+
+    return {
+      otherIds,
+      usersData,
+      roadBubble: {
+        used: roadBubbleUsed,
+        rawCount: rawNearbyCount,
+        filteredCount: nearbyUserIds.length,
+        reduction: rawNearbyCount > 0 ? ((1 - nearbyUserIds.length / rawNearbyCount) * 100).toFixed(0) + "%" : "0%",
+      },
+    };
+  }
+
+  _isVulnerableState(raw) {
+    if (!raw) return false;
+    try {
+      return isVulnerable(profileFromUpdate(JSON.parse(raw)));
+    } catch {
+      return false;
+    }
+  }
+
+  _filterEligible(selfRoadId, otherIds, usersData) {
+    const filteredIds = [];
+    const filteredData = [];
+    for (let i = 0; i < otherIds.length; i++) {
+      const uid = otherIds[i];
+      const raw = usersData[i];
+      if (!raw) continue;
+      try {
+        const otherParsed = JSON.parse(raw);
+        const otherRoadId = otherParsed.roadId;
+        // VRUs may be on a footway beside the road, which no road connects to
+        if (otherRoadId && !isVulnerable(profileFromUpdate(otherParsed))) {
+          if (this.roadGraph.areRoadsConnected(selfRoadId, otherRoadId, 2)) {
+            filteredIds.push(uid);
+            filteredData.push(raw);
+          } else {
+            console.log(`⏭️ Skipping ${uid} (road ${otherRoadId}) — not reachable from ${selfRoadId}`);
+          }
+        } else {
+          filteredIds.push(uid);
+          filteredData.push(raw);
+        }
+      } catch {
+        filteredIds.push(uid);
+        filteredData.push(raw);
+      }
+    }
+    console.log(`🔎 After road eligibility: ${filteredIds.length} vehicles remain`);
+    return { otherIds: filteredIds, usersData: filteredData };
+  }
+
+  async _checkIntersections(data, matched, vehicleSpeed, sensorQuality, timeSyncEntry, alertMode, track, profile) {
+    const threats = [];
+    const tracks = this.etaRegistry.junctions.size;
+    // Conflicts come back from this update only; a shared queue would mix in concurrent updates
+    const etaConflicts = await this.etaRegistry.update(data.userId, matched, matched.snappedLat, matched.snappedLng, matched.roadHeading, vehicleSpeed, {
+      timeSyncQuality: timeSyncEntry.confidence,
+      turnCues: this._turnCues(data, matched, track),
+      maxDecelMs2: profile?.maxDecelMs2,
+    });
+
+    if (etaConflicts.length > 0) {
+      console.log(`🚦 ETA conflicts detected for ${data.userId}: ${etaConflicts.length} (tracks=${tracks})`);
+    }
+    // Cross-junction conflicts carry no junction position
+    const conflictJunctions = etaConflicts.filter((c) => c.nodeId != null);
+    await this.junctionRisk.prefetch(conflictJunctions.map((c) => ({ lat: c.junctionLat, lng: c.junctionLng })));
+
+    for (const conflict of etaConflicts) {
+      if (conflict.probability > 0.3) {
+        const icAlertConf = computeAlertConfidence(
+          conflict.probability,
+          matched.matchConfidence || 0.5,
+          sensorQuality,
+          matched.roadConfidence || 0.5,
+          matched.vehicleStateConfidence || 0.5
+        );
+        const icAlertClass = classifyAlert(icAlertConf, alertMode);
+        // Either side may be listed first; mustYield is null when no rule decides
+        const selfIsA = conflict.vehicleA.userId === data.userId;
+        const mine = selfIsA ? conflict.vehicleA : conflict.vehicleB;
+        const theirs = selfIsA ? conflict.vehicleB : conflict.vehicleA;
+        const mustYield = mine.mustYield ?? null;
+        let severity = conflict.probability > 0.7 ? 3 : 2;
+        // The vehicle with right of way only needs to stay alert
+        if (mustYield === false) severity -= 1;
+        if (conflict.nodeId != null) {
+          const junction = { lat: conflict.junctionLat, lng: conflict.junctionLng, nodeId: conflict.nodeId, roadId: matched.roadId };
+          if (this.junctionRisk.isHighRisk(this.junctionRisk.getScore(junction.lat, junction.lng))) severity = 3;
+          this.junctionRisk.record("threat", junction, {
+            dedupeKey: pairKey(conflict.vehicleA.userId, conflict.vehicleB.userId),
+            type: "intersection_collision",
+          });
+        }
+        threats.push({
+          type: "intersection_collision",
+          id: theirs.userId,
+          lat: conflict.junctionLat,
+          lng: conflict.junctionLng,
+          severity,
+          collisionProbability: conflict.probability,
+          alertConfidence: icAlertConf,
+          alertClass: icAlertClass,
+          etaSelf: mine.eta,
+          etaOther: theirs.eta,
+          etaDiff: conflict.etaDiff,
+          junctionType: conflict.junctionType,
+          mustYield,
+          rightOfWay: conflict.rightOfWay ?? "unresolved",
+          signalPhase: mine.signalPhase ?? null,
+          message: theirs.runsRed
+            ? RUNNING_RED_MESSAGE
+            : (conflict.rightOfWay === "traffic_signals" ? SIGNAL_MESSAGES : INTERSECTION_MESSAGES)[String(mustYield)],
+        });
+      }
+    }
+
+    // Junction controllers' feeds: a red this vehicle can no longer stop for
+    for (const risk of this.etaRegistry.takeSignalRisks(data.userId)) {
+      threats.push({
+        type: "red_light_running",
+        id: data.userId,
+        lat: risk.lat,
+        lng: risk.lng,
+        nodeId: risk.nodeId,
+        severity: 3,
+        signalPhase: risk.phase,
+        timeToChangeS: risk.timeToChangeS,
+        distanceToStopLine: Math.round(risk.distanceM),
+        stoppingDistance: Math.round(risk.stoppingM),
+        message: RED_LIGHT_MESSAGES[risk.phase],
+      });
+    }
+    return threats;
+  }
+
+  // The road's bearing in the direction the vehicle is travelling along it
+  _travelHeading(matched, heading) {
+    const roadHeading = matched.roadHeading ?? heading;
+    return headingDiff(heading, roadHeading) > 90 ? (roadHeading + 180) % 360 : roadHeading;
+  }
+
+  _watchJunction(matched, headingSelf, watch = null) {
+    if (!this._hasRoadGraph() || !matched.matched || matched.matchConfidence < 0.3) return watch;
+    const heading = this._travelHeading(matched, headingSelf);
+    const junctionsAhead = this.roadGraph.getJunctionsAhead(matched.roadId, matched.snappedLat, matched.snappedLng, heading, WATCH_RANGE_M);
+    return this.turnPredictor.observe(watch, {
+      roadId: matched.roadId,
+      heading,
+      lat: matched.snappedLat,
+      lng: matched.snappedLng,
+      junctionsAhead,
+    });
+  }
+
+  // What the vehicle is doing that hints at its exit (see turnPrediction.js).
+  // lane is optional from the client: { index, count } with 0 the kerb-side lane.
+  _turnCues(data, matched, track) {
+    const settled = track && track.samples >= KALMAN_MIN_SAMPLES;
+    const heading = settled ? track.heading : normalizeHeadingDeg(Number(data.heading ?? 0));
+    const travel = this._travelHeading(matched, heading);
+    return {
+      accel: settled ? track.accel : null,
+      yawRate: settled ? track.yawRate : null,
+      headingDrift: ((heading - travel + 540) % 360) - 180,
+      lane: data.lane ?? null,
+    };
+  }
+
+  // FIX ISSUE #21: Compute client local hour once for all severity calls
+  _clientHour(dataTs) {
+    if (!dataTs) return undefined;
+    const d = new Date(dataTs);
+    const match = String(dataTs).match(/([+-]\d{2}):\d{2}$/);
+    const offsetH = match ? parseInt(match[1], 10) : 5;
+    return (d.getUTCHours() + offsetH + 24) % 24;
+  }
+
+  _checkPair(self, uid, other, threats) {
+    const { now } = self;
+
+    const otherTs = new Date(other.timestamp || 0).getTime();
+    const staleTimeout = getStaleTimeout(self.speed, self.profile);
+    if (!Number.isFinite(otherTs) || now - otherTs > staleTimeout) {
+      console.log(`⏳ skipping ${uid} because stale: ageMs=${Number.isFinite(otherTs) ? (now - otherTs) : "invalid"} timeout=${staleTimeout}`);
+      return;
+    }
+
+    const headingOther = normalizeHeadingDeg(Number(other.heading ?? 0));
+    const speedOther = Math.max(0, Number(other.speed ?? 0));
+
+    // ─── Stationary gate: genuinely parked vehicles skip ALL pair checks ───
+    const otherSince = self.peerStationarySince.get(uid);
+    const otherStaSeconds = otherSince !== undefined ? (now - otherSince) / 1000 : 0;
+    const otherProfile = profileFromUpdate(other);
+    const otherWaitingOnCrossing = isVulnerable(otherProfile) && other.footway === "crossing";
+    const otherStationary = speedOther < 0.5 && otherStaSeconds >= STATIONARY_THRESHOLD_S && !otherWaitingOnCrossing;
+    if ((self.stationary && !self.waitingOnCrossing) || otherStationary) {
+      console.log(`🚫 Stationary gate: skip ${uid} (self=${self.stationarySeconds.toFixed(1)}s, other=${otherStaSeconds.toFixed(1)}s)`);
+      return;
+    }
+
+    // Update nearby vehicle cache for turn queries
+    this.nearbyVehicleCache.set(uid, {
+      userId: uid,
+      lat: other.latitude,
+      lng: other.longitude,
+      speed: speedOther,
+      heading: headingOther,
+      timestamp: now,
+    });
+
+    const pair = {
+      uid,
+      other,
+      heading: headingOther,
+      speed: speedOther,
+      distNow: haversineMeters(self.lat, self.lng, other.latitude, other.longitude),
+      hdiff: headingDiff(self.heading, headingOther),
+      profile: otherProfile,
+    };
+
+    console.log(`📏 [${self.userId} ↔ ${uid}] distNow=${pair.distNow.toFixed(2)}m headingDiff=${pair.hdiff}° speedSelf=${self.speed} speedOther=${speedOther}`);
+
+    if (this._checkVruConflict(self, pair, threats)) return;
+
+    this._recordNearMiss(self, pair);
+
+    this._checkTurnCollision(self, pair, threats);
+
+    if (self.speed < MIN_PREDICT_COLLISION_SPEED && speedOther < MIN_PREDICT_COLLISION_SPEED) {
+      console.log(`⛔ Skipping predicted collision: both too slow (<5km/h).`);
+      return;
+    }
+
+    this._checkPredictedCollision(self, pair, threats);
+    if (this._checkOneway(self, pair, threats)) return;
+    if (this._checkRearEnd(self, pair, threats)) return;
+    if (this._checkWrongDirection(self, pair, threats)) return;
+
+    console.log(`✅ No threat detected for neighbor ${uid}`);
+  }
+
+  // Mirrored threat for the counterpart vehicle; delivery is the transport's job.
+  // threatId is derived exactly as the recipient's own response would derive it,
+  // so the transport can de-duplicate pushes against each other.
+  _notifyPeer(uid, payload, recipientRoadId = null) {
+    if (!payload.threatId) {
+      payload.threatId = deterministicThreatId(payload.type, recipientRoadId, payload.id, payload.time_s || payload.eta || 0, uid);
+    }
+    this.emit("peerThreat", uid, payload);
+  }
+
+  // VULNERABLE ROAD USER CONFLICT
+  // A pedestrian or cyclist in a vehicle's path. The vehicle follows its road;
+  // the VRU goes straight on, with its heading uncertainty counted, since it can
+  // step off the kerb or swerve at any moment. The vehicle's driver is the one
+  // warned, whichever side's update found it.
+  // Returns true for any pair involving a VRU: the vehicle-to-vehicle checks
+  // (turns, rear-end, wrong way) don't apply to them.
+  _checkVruConflict(self, pair, threats) {
+    const selfVru = isVulnerable(self.profile);
+    const otherVru = isVulnerable(pair.profile);
+    if (!selfVru && !otherVru) return false;
+    if (selfVru && otherVru) return true;
+
+    const { data, matched, now } = self;
+    const { uid, other } = pair;
+    const selfSide = {
+      userId: data.userId,
+      raw: { lat: data.latitude, lng: data.longitude, heading: self.heading, speed: self.speed, positionUncertainty: data.positionUncertainty ?? 10 },
+      kalman: self.track,
+      roadId: matched.roadId,
+      matchConfidence: matched.matchConfidence || 0,
+      roadConfidence: matched.roadConfidence ?? 0.5,
+      vehicleStateConfidence: matched.vehicleStateConfidence || 0.5,
+      sensorQuality: self.sensorQuality,
+      footway: matched.footway ?? null,
+      profile: self.profile,
+      ageMs: 0,
+    };
+    const otherSide = {
+      userId: other.userId ?? uid,
+      raw: { lat: other.latitude, lng: other.longitude, heading: pair.heading, speed: pair.speed, positionUncertainty: other.positionUncertainty ?? 10 },
+      kalman: other.kalman,
+      roadId: other.roadId,
+      matchConfidence: other.matchConfidence || 0,
+      roadConfidence: other.roadConfidence ?? 0.5,
+      vehicleStateConfidence: other.vehicleStateConfidence || 0.5,
+      sensorQuality: other.sensorQuality ?? 0.8,
+      footway: other.footway ?? null,
+      profile: pair.profile,
+      ageMs: other.serverTime ? now - other.serverTime : 0,
+    };
+    const [vehicle, vru] = selfVru ? [otherSide, selfSide] : [selfSide, otherSide];
+
+    if (vehicle.raw.speed < VRU_MIN_VEHICLE_SPEED) return true;
+    if (vru.footway && vru.footway !== "crossing" && (pair.hdiff < VRU_PARALLEL_DEG || pair.hdiff > 180 - VRU_PARALLEL_DEG)) {
+      console.log(`🚶 ${vru.userId} moving along the ${vru.footway}, parallel to ${vehicle.userId}`);
+      return true;
+    }
+
+    const vehicleMotion = motionState(vehicle.raw, vehicle.kalman);
+    const vruMotion = motionState(vru.raw, vru.kalman, true);
+    const vehicleTrajectory = predictTrajectory(
+      this.roadGraph, vehicleMotion.lat, vehicleMotion.lng, vehicle.roadId,
+      vehicleMotion.heading, vehicleMotion.speed, vehicle.matchConfidence, VRU_LOOKAHEAD_S, vehicleMotion.motion
+    );
+    const vruTrajectory = predictTrajectory(
+      null, vruMotion.lat, vruMotion.lng, null, vruMotion.heading, vruMotion.speed, 0, VRU_LOOKAHEAD_S, null
+    );
+
+    const uncertainty = (side, motion, t) => computePredictionUncertainty({
+      timeHorizon: t,
+      speedMs: motion.speed,
+      sensorQuality: side.sensorQuality,
+      mapMatchConfidence: side.matchConfidence,
+      roadConfidence: side.roadConfidence,
+      networkRttMs: 0,
+      positionUncertainty: motion.positionUncertainty,
+      timeSinceLastUpdateMs: side.ageMs,
+      kalmanVelocityUncertainty: motion.velocityUncertainty,
+    });
+
+    const extraFootprint = footprintExtra(vehicle.profile, vru.profile);
+    let probability = 0;
+    let bestTime = 0;
+    let bestDist = Infinity;
+    const steps = Math.min(vehicleTrajectory.length, vruTrajectory.length);
+    for (let idx = 0; idx < steps; idx++) {
+      const vp = vehicleTrajectory[idx];
+      const up = vruTrajectory[idx];
+      const t = vp.t || (idx + 1) * PREDICT_STEP;
+      const dPred = haversineMeters(vp.lat, vp.lng, up.lat, up.lng);
+      const p = computeOverlapProbability(
+        Math.max(0, dPred - extraFootprint),
+        uncertainty(vehicle, vehicleMotion, t),
+        uncertainty(vru, vruMotion, t)
+      );
+      probability = Math.max(probability, p);
+      // Uncertainty grows with the horizon, so time the alert by closest approach
+      if (dPred < bestDist) {
+        bestTime = t;
+        bestDist = dPred;
+      }
+    }
+    // Paths that are only closest right now are already diverging
+    if (probability <= VRU_CONFLICT_PROBABILITY || bestDist >= pair.distNow) return true;
+
+    const alertConfidence = computeAlertConfidence(
+      probability,
+      vehicle.matchConfidence || 0.5,
+      vehicle.sensorQuality,
+      vehicle.roadConfidence || 0.5,
+      vehicle.vehicleStateConfidence
+    );
+    if (classifyAlert(alertConfidence, "conservative") === "ignore") return true;
+
+    // Classified in the driver's mode when they're the one updating; the fan-out
+    // reclassifies pushed copies in the recipient's
+    const alertClass = classifyAlert(alertConfidence, selfVru ? "balanced" : self.alertPreferences.sensitivity);
+    const pedestrian = vru.profile.type === "pedestrian";
+    const payload = {
+      type: "vru_conflict",
+      id: vru.userId,
+      lat: vru.raw.lat,
+      lng: vru.raw.lng,
+      participantType: pedestrian ? "pedestrian" : "cyclist",
+      vru: {
+        userId: vru.userId,
+        latitude: vru.raw.lat,
+        longitude: vru.raw.lng,
+        speed: vru.raw.speed,
+        heading: vru.raw.heading,
+        footway: vru.footway,
+      },
+      future_distance_m: Number(bestDist.toFixed(2)),
+      time_s: bestTime,
+      severity: computeSeverity("vru_conflict", vehicle.raw.speed, bestTime, undefined, self.clientHour),
+      collisionProbability: probability,
+      alertConfidence,
+      alertClass,
+      message: pedestrian ? "🚶 Pedestrian in your path" : "🚲 Cyclist in your path",
+    };
+
+    console.log(`🚸 VRU CONFLICT ${vehicle.userId} ↔ ${vru.userId}: prob=${(probability * 100).toFixed(0)}% in ${bestTime}s`);
+    if (selfVru) this._notifyPeer(uid, payload, other.roadId);
+    else threats.push(payload);
+    return true;
+  }
+
+  // TURN COLLISION DETECTION
+  // FIX BUG #7: Fire if EITHER vehicle detects the turn, not BOTH
+  // FIX BUG #22: Remove +0.1 hack, check speed > 0.5 m/s before ETA
+  // FIX: Multi-turn support — check all turns[] in payload
+  _checkTurnCollision(self, pair, threats) {
+    const { data } = self;
+    const { uid, other } = pair;
+    const speedSelf = self.speed;
+    const speedOther = pair.speed;
+    try {
+      // FIX ISSUE #6: uses backend roadJunctions when frontend has no turn data
+      const selfHasTurn = data.turnAhead === true ||
+        (Array.isArray(data.turns) && data.turns.length > 0) ||
+        (Array.isArray(self.roadJunctions) && self.roadJunctions.length > 0);
+      const otherHasTurn = other.turnAhead === true || (Array.isArray(other.turns) && other.turns.length > 0);
+
+      const selfTurns = data.turns && Array.isArray(data.turns) ? [...data.turns] : [];
+      const otherTurns = other.turns && Array.isArray(other.turns) ? other.turns : [];
+
+      // Include legacy single-turn fields as fallback
+      if (!selfTurns.length && data.intersectionLat != null) {
+        selfTurns.push({ lat: data.intersectionLat, lng: data.intersectionLng, distance: 0, type: 'turn' });
+      }
+      if (!otherTurns.length && other.intersectionLat != null) {
+        otherTurns.push({ lat: other.intersectionLat, lng: other.intersectionLng, distance: 0, type: 'turn' });
+      }
+
+      if (
+        !(selfHasTurn && otherHasTurn &&
+        selfTurns.length > 0 && otherTurns.length > 0 &&
+        speedSelf > MIN_PREDICT_COLLISION_SPEED &&
+        speedOther > MIN_PREDICT_COLLISION_SPEED)
+      ) {
+        return;
+      }
+
+      let matched = false;
+      for (const tA of selfTurns) {
+        if (matched) break;
+        const aLat = tA.lat != null ? tA.lat : data.intersectionLat;
+        const aLng = tA.lng != null ? tA.lng : data.intersectionLng;
+        if (aLat == null || aLng == null) continue;
+
+        for (const tB of otherTurns) {
+          const bLat = tB.lat != null ? tB.lat : other.intersectionLat;
+          const bLng = tB.lng != null ? tB.lng : other.intersectionLng;
+          if (bLat == null || bLng == null) continue;
+
+          const turnDist = haversineMeters(aLat, aLng, bLat, bLng);
+          // FIX ISSUE #13: dynamic 15-20m threshold accounts for GPS drift
+          const turnThreshold = 15 + Math.min(5, (matched?.matchConfidence ?? 0) * 10);
+          if (turnDist > turnThreshold) continue;
+
+          const distSelfToTurn = haversineMeters(self.lat, self.lng, aLat, aLng);
+          const distOtherToTurn = haversineMeters(other.latitude, other.longitude, aLat, aLng);
+
+          let etaSelf = Infinity, etaOther = Infinity;
+          if (speedSelf > 0.5) etaSelf = distSelfToTurn / speedSelf;
+          if (speedOther > 0.5) etaOther = distOtherToTurn / speedOther;
+
+          console.log("TURN MATCH:", tA.type, "vs", tB.type, "dist:", turnDist.toFixed(1), "m");
+          console.log("TURN ETA SELF:", etaSelf.toFixed(1), "s OTHER:", etaOther.toFixed(1), "s");
+
+          if (Math.abs(etaSelf - etaOther) <= 3.0) {
+            const riskScore = this.junctionRisk.getScore(aLat, aLng);
+            const severity = computeSeverity("turn", speedSelf, Math.min(etaSelf, etaOther), distSelfToTurn, self.clientHour, riskScore);
+
+            this.junctionRisk.record("threat", { lat: aLat, lng: aLng, roadId: self.matched.roadId }, {
+              dedupeKey: pairKey(data.userId, other.userId ?? uid),
+              type: "turn_collision",
+            });
+
+            const payloadSelf = {
+              type: "turn_collision",
+              id: other.userId ?? uid,
+              lat: other.latitude,
+              lng: other.longitude,
+              intersectionLat: aLat,
+              intersectionLng: aLng,
+              severity,
+              riskScore,
+              eta: Math.min(etaSelf, etaOther),
+              message: "⚠️ Collision risk at turn ahead",
+            };
+
+            threats.push(payloadSelf);
+            console.log("🚨 TURN COLLISION THREAT (SELF):", payloadSelf);
+
+            this._notifyPeer(uid, {
+              type: "turn_collision",
+              id: data.userId,
+              lat: data.latitude,
+              lng: data.longitude,
+              intersectionLat: aLat,
+              intersectionLng: aLng,
+              severity,
+              riskScore,
+              eta: Math.min(etaSelf, etaOther),
+              message: "⚠️ Collision risk at turn ahead",
+            }, other.roadId);
+            matched = true;
+            break;
+          }
+        }
+      }
+    } catch (e) {
+      console.error("❌ Turn collision logic error:", e);
+    }
+  }
+
+  // 1) Predicted collision check — Sprint 3: Road-constrained trajectory + probability
+  _checkPredictedCollision(self, pair, threats) {
+    const { data, matched, now } = self;
+    const { uid, other } = pair;
+    const selfMotion = motionState({
+      lat: data.latitude, lng: data.longitude, heading: self.heading, speed: self.speed,
+      positionUncertainty: data.positionUncertainty ?? 10,
+    }, self.track);
+    const otherMotion = motionState({
+      lat: other.latitude, lng: other.longitude, heading: pair.heading, speed: pair.speed,
+      positionUncertainty: other.positionUncertainty ?? 10,
+    }, other.kalman);
+
+    const selfTrajectory = predictTrajectory(
+      this.roadGraph, selfMotion.lat, selfMotion.lng, matched.roadId,
+      selfMotion.heading, selfMotion.speed, matched.matchConfidence || 0, LOOKAHEAD_S, selfMotion.motion
+    );
+    const otherTrajectory = predictTrajectory(
+      this.roadGraph, otherMotion.lat, otherMotion.lng, other.roadId,
+      otherMotion.heading, otherMotion.speed, other.matchConfidence || 0, LOOKAHEAD_S, otherMotion.motion
+    );
+
+    let highestCollisionProbability = 0;
+    let bestTimeHorizon = 0;
+    let bestPredDist = Infinity;
+    // Overlap is tuned for two bikes; bigger bodies touch at larger centre distances
+    const extraFootprint = footprintExtra(self.profile, pair.profile);
+
+    const maxSteps = Math.min(selfTrajectory.length, otherTrajectory.length);
+    for (let idx = 0; idx < maxSteps; idx++) {
+      const sp = selfTrajectory[idx];
+      const op = otherTrajectory[idx];
+      const t = sp.t || (idx + 1) * PREDICT_STEP;
+      const dPred = haversineMeters(sp.lat, sp.lng, op.lat, op.lng);
+
+      // FIX ISSUE #1: self uncertainty now uses SELF vehicle data not other's
+      const selfUncertainty = computePredictionUncertainty({
+        timeHorizon: t,
+        speedMs: selfMotion.speed,
+        sensorQuality: data.sensorQuality ?? 0.8,
+        mapMatchConfidence: matched?.matchConfidence ?? 0,
+        roadConfidence: matched?.roadConfidence ?? 0.5,
+        networkRttMs: 0,
+        positionUncertainty: selfMotion.positionUncertainty,
+        timeSinceLastUpdateMs: 0,
+        kalmanVelocityUncertainty: selfMotion.velocityUncertainty,
+      });
+
+      const otherUncertainty = computePredictionUncertainty({
+        timeHorizon: t,
+        speedMs: otherMotion.speed,
+        sensorQuality: other.sensorQuality ?? 0.8,
+        mapMatchConfidence: other.matchConfidence ?? 0,
+        roadConfidence: other.roadConfidence ?? 0.5,
+        networkRttMs: 0,
+        positionUncertainty: otherMotion.positionUncertainty,
+        timeSinceLastUpdateMs: other.serverTime ? (now - other.serverTime) : 0,
+        kalmanVelocityUncertainty: otherMotion.velocityUncertainty,
+      });
+
+      const collisionProb = computeOverlapProbability(Math.max(0, dPred - extraFootprint), selfUncertainty, otherUncertainty);
+
+      if (collisionProb > highestCollisionProbability) {
+        highestCollisionProbability = collisionProb;
+        bestTimeHorizon = t;
+        bestPredDist = dPred;
+      }
+    }
+
+    if (highestCollisionProbability <= 0.2) return;
+
+    const alertConfidence = computeAlertConfidence(
+      highestCollisionProbability,
+      matched.matchConfidence || 0.5,
+      self.sensorQuality,
+      matched.roadConfidence || 0.5,
+      matched.vehicleStateConfidence || 0.5
+    );
+
+    // Classified in this rider's mode; the peer's copy is reclassified in theirs on delivery
+    const alertClass = classifyAlert(alertConfidence, self.alertPreferences.sensitivity);
+    const severity = alertConfidence >= 0.7 ? 3 : alertConfidence >= 0.5 ? 2 : 1;
+
+    if (classifyAlert(alertConfidence, "conservative") === "ignore") {
+      console.log(`🔇 Predicted collision suppressed (confidence ${(alertConfidence * 100).toFixed(0)}% below every alert threshold)`);
+      return;
+    }
+
+    const payloadSelf = {
+      type: "predicted_collision",
+      id: other.userId ?? uid,
+      lat: other.latitude,
+      lng: other.longitude,
+      sourceVehicle: {
+        userId: other.userId ?? uid,
+        latitude: other.latitude,
+        longitude: other.longitude,
+        speed: pair.speed,
+        heading: pair.heading
+      },
+      future_distance_m: Number(bestPredDist.toFixed(2)),
+      time_s: bestTimeHorizon,
+      severity,
+      collisionProbability: highestCollisionProbability,
+      alertConfidence,
+      alertClass,
+      message: "⚠️ Predicted collision based on future paths"
+    };
+
+    console.log(`🚨 PREDICTED COLLISION: prob=${(highestCollisionProbability * 100).toFixed(0)}% conf=${(alertConfidence * 100).toFixed(0)}% class=${alertClass}`);
+    threats.push(payloadSelf);
+
+    this._notifyPeer(uid, {
+      type: "predicted_collision",
+      id: data.userId,
+      lat: data.latitude,
+      lng: data.longitude,
+      sourceVehicle: {
+        userId: data.userId,
+        latitude: data.latitude,
+        longitude: data.longitude,
+        speed: self.speed,
+        heading: self.heading
+      },
+      future_distance_m: Number(bestPredDist.toFixed(2)),
+      time_s: bestTimeHorizon,
+      severity,
+      collisionProbability: highestCollisionProbability,
+      alertConfidence,
+      alertClass,
+      message: "⚠️ Predicted collision based on future paths"
+    }, other.roadId);
+  }
+
+  // 2) Rear-end detection — front vehicle braking from its Kalman acceleration
+  // Returns true when the pair needs no further checks
+  _checkRearEnd(self, pair, threats) {
+    const { data } = self;
+    const { uid, other, distNow } = pair;
+    const speedSelf = self.speed;
+    const speedOther = pair.speed;
+
+    const braking = this._frontVehicleDecel(uid, other, pair.profile);
+    if (!braking) return false;
+    const { decel, sustained } = braking;
+
+    // FIX BUG #20: Dynamic rear-end distance based on speed
+    const rearEndDist = getRearEndDistance(speedOther, self.profile, pair.profile);
+    const relativeDist = distNow;
+    const closingSpeed = speedSelf - speedOther;
+
+    console.log(`🛑 Rear-check ${uid}: decel=${decel.toFixed(2)}m/s² (${braking.source}) sustained=${sustained} closingSpeed=${closingSpeed.toFixed(2)}m/s relativeDist=${relativeDist.toFixed(2)}m thresholdDist=${rearEndDist.toFixed(1)}m`);
+
+    // FIX ISSUE #14: skip rear-end alert for vehicles moving apart
+    const sameDirection = pair.hdiff < 45;
+    const vehiclesMovingApart = sameDirection && (speedSelf - speedOther) <= 0;
+    if (vehiclesMovingApart) {
+      console.log(`⏭️ Skipping rear-end: ${uid} moving apart (closingSpeed=${(speedSelf - speedOther).toFixed(2)}m/s)`);
+      return true;
+    }
+
+    if (!(sustained && relativeDist <= rearEndDist && closingSpeed > 0.5)) {
+      return false;
+    }
+
+    const junctionScore = data.intersectionLat != null
+      ? this.junctionRisk.getScore(data.intersectionLat, data.intersectionLng)
+      : undefined;
+    const severity = computeSeverity("rear_end", speedOther, null, relativeDist, self.clientHour, junctionScore);
+
+    const payloadSelf = {
+      type: "rear_end",
+      id: other.userId ?? uid,
+      lat: other.latitude,
+      lng: other.longitude,
+      sourceVehicle: {
+        userId: other.userId ?? uid,
+        latitude: other.latitude,
+        longitude: other.longitude,
+        speed: speedOther,
+        heading: pair.heading
+      },
+      distance_m: Number(relativeDist.toFixed(2)),
+      deceleration: Number(decel.toFixed(2)),
+      severity,
+      message: "🚨 Rear-end danger! Front vehicle is braking hard"
+    };
+
+    // Update junction risk for nearby turns
+    if (data.intersectionLat != null) {
+      this.junctionRisk.record("threat", { lat: data.intersectionLat, lng: data.intersectionLng, roadId: self.matched.roadId }, {
+        dedupeKey: pairKey(data.userId, other.userId ?? uid),
+        type: "rear_end",
+      });
+    }
+
+    console.log("🚨 REAR-END threat:", payloadSelf);
+    threats.push(payloadSelf);
+
+    this._notifyPeer(uid, {
+      type: "rear_end",
+      id: data.userId,
+      lat: data.latitude,
+      lng: data.longitude,
+      sourceVehicle: {
+        userId: data.userId,
+        latitude: data.latitude,
+        longitude: data.longitude,
+        speed: speedSelf,
+        heading: self.heading
+      },
+      distance_m: Number(relativeDist.toFixed(2)),
+      deceleration: Number(decel.toFixed(2)),
+      severity,
+      message: "🚨 Vehicle behind may hit you"
+    }, other.roadId);
+    return true;
+  }
+
+  // One-way violation: count consecutive samples travelling against the legal
+  // bearing of the matched one-way road. Returns the tracker entry once confirmed.
+  // The entry is kept in the session and published with the vehicle state.
+  _trackOneway(data, matched, heading, speed, session) {
+    const userId = data.userId;
+    const legalBearing = matched.roadId && this._hasRoadGraph() && (matched.matchConfidence ?? 0) >= 0.3
+      ? this.roadGraph.getOnewayBearing(matched.roadId, matched.snappedLat, matched.snappedLng)
+      : null;
+    if (legalBearing === null) {
+      session.oneway = null;
+      return null;
+    }
+
+    const prev = session.oneway;
+    const entry = prev && prev.roadId === matched.roadId
+      ? prev
+      : { roadId: matched.roadId, count: 0, heading };
+
+    // Heading is unreliable when crawling — hold the count instead of resetting it
+    if (speed >= MIN_PREDICT_COLLISION_SPEED) {
+      const diff = headingDiff(heading, legalBearing);
+      entry.count = diff >= WRONG_DIR_DIFF ? entry.count + 1 : 0;
+      entry.heading = heading;
+      console.log(`⛔ One-way check ${userId}: heading=${heading.toFixed(0)}° legal=${legalBearing.toFixed(0)}° diff=${diff.toFixed(0)}° count=${entry.count}`);
+    }
+    entry.lat = data.latitude;
+    entry.lng = data.longitude;
+    entry.legalBearing = legalBearing;
+    session.oneway = entry;
+
+    return entry.count >= ONEWAY_CONSECUTIVE_SAMPLES ? entry : null;
+  }
+
+  // Vehicles ahead of a confirmed one-way violator on the same road are warned,
+  // whichever side of the pair sent this update.
+  _checkOneway(self, pair, threats) {
+    const { data } = self;
+    const { uid, other, distNow } = pair;
+
+    const selfViolation = self.onewayViolation;
+    if (selfViolation && other.roadId === selfViolation.roadId) {
+      const range = getSpeedBasedRadius(self.speed, self.profile, pair.profile);
+      if (!isInCone(self.lat, self.lng, self.heading, other.latitude, other.longitude, 90, range)) return false;
+
+      console.log(`🚨 ONE-WAY violator ${self.userId} approaching ${uid} (${distNow.toFixed(1)}m)`);
+      this._notifyPeer(uid, {
+        type: "oneway_violation",
+        id: data.userId,
+        lat: data.latitude,
+        lng: data.longitude,
+        sourceVehicle: {
+          userId: data.userId,
+          latitude: data.latitude,
+          longitude: data.longitude,
+          speed: self.speed,
+          heading: self.heading
+        },
+        roadId: selfViolation.roadId,
+        distance_m: Number(distNow.toFixed(2)),
+        severity: computeSeverity("oneway_violation", self.speed, null, distNow, self.clientHour),
+        message: "⛔ Vehicle coming the wrong way on this one-way road"
+      }, other.roadId);
+      return true;
+    }
+
+    const tracked = other.onewayTrack;
+    const otherViolating = tracked && tracked.count >= ONEWAY_CONSECUTIVE_SAMPLES;
+    if (!otherViolating || tracked.roadId !== self.matched.roadId || other.roadId !== tracked.roadId) return false;
+
+    const range = getSpeedBasedRadius(pair.speed, self.profile, pair.profile);
+    if (!isInCone(tracked.lat, tracked.lng, tracked.heading, self.lat, self.lng, 90, range)) return false;
+
+    const payloadSelf = {
+      type: "oneway_violation",
+      id: other.userId ?? uid,
+      lat: other.latitude,
+      lng: other.longitude,
+      sourceVehicle: {
+        userId: other.userId ?? uid,
+        latitude: other.latitude,
+        longitude: other.longitude,
+        speed: pair.speed,
+        heading: tracked.heading
+      },
+      roadId: tracked.roadId,
+      distance_m: Number(distNow.toFixed(2)),
+      severity: computeSeverity("oneway_violation", pair.speed, null, distNow, self.clientHour),
+      message: "⛔ Vehicle coming the wrong way on this one-way road"
+    };
+
+    console.log("🚨 ONE-WAY threat:", payloadSelf);
+    threats.push(payloadSelf);
+    return true;
+  }
+
+  // Front vehicle braking: Kalman acceleration once the filter is warm, otherwise
+  // the median of the last speed samples (e.g. state written by an older server).
+  // "Sudden" is judged against what the front vehicle's class can do.
+  _frontVehicleDecel(uid, other, profile) {
+    const suddenDecel = thresholdsFor(profile).suddenDecelMs2;
+    const kalman = other.kalman;
+    if (kalman && kalman.samples >= KALMAN_MIN_SAMPLES) {
+      const decel = -kalman.accel;
+      return { decel, sustained: decel >= suddenDecel, source: "kalman" };
+    }
+
+    const otherHist = other.speedHistory ?? [];
+    if (otherHist.length < 3) {
+      console.log(`ℹ️ No sufficient speedHistory for ${uid} (len=${otherHist.length})`);
+      return null;
+    }
+
+    // FIX BUG #9: Use median of last 5 speed samples, require 3 above threshold
+    const window = otherHist.slice(-5);
+    const decels = [];
+    for (let j = 1; j < window.length; j++) {
+      const dt = (window[j].t - window[j-1].t) / 1000 || 1;
+      decels.push((window[j-1].speed - window[j].speed) / dt);
+    }
+    // Use median deceleration (filter out GPS glitch spikes)
+    const sorted = [...decels].sort((a, b) => a - b);
+    const medianDecel = sorted.length % 2 === 0
+      ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2
+      : sorted[Math.floor(sorted.length / 2)];
+    const aboveThreshold = decels.filter(d => d >= suddenDecel).length;
+    return { decel: medianDecel, sustained: medianDecel >= suddenDecel && aboveThreshold >= 3, source: "speedHistory" };
+  }
+
+  // 3) Wrong-direction detection
+  // FIX BUG #10: Only run if we have a valid majority from other vehicles
+  // FIX BUG #18: Use corrected threshold of 120 degrees
+  _checkWrongDirection(self, pair, threats) {
+    const { data, majorityDirection } = self;
+    const { uid, other, distNow } = pair;
+
+    if (majorityDirection === null) {
+      console.log(`↔️ Skipping wrong-direction check: insufficient data (need >=2 other vehicles)`);
+      return false;
+    }
+
+    const headingDifferenceFromMajority = headingDiff(pair.heading, majorityDirection);
+    console.log(`↔️ Wrong-direction check ${uid}: diffFromMajority=${headingDifferenceFromMajority}° (threshold=${WRONG_DIR_DIFF})`);
+
+    // FIX BUG #38: Dynamic wrong-direction detection range based on speed
+    const wrongDirRange = getSpeedBasedRadius(pair.speed, self.profile, pair.profile);
+
+    if (headingDifferenceFromMajority < WRONG_DIR_DIFF || distNow > wrongDirRange) return false;
+
+    const severity = computeSeverity("wrong_direction", pair.speed, null, distNow, self.clientHour);
+
+    const payloadSelf = {
+      type: "wrong_direction",
+      id: other.userId ?? uid,
+      lat: other.latitude,
+      lng: other.longitude,
+      sourceVehicle: {
+        userId: other.userId ?? uid,
+        latitude: other.latitude,
+        longitude: other.longitude,
+        heading: pair.heading
+      },
+      distance_m: Number(distNow.toFixed(2)),
+      severity,
+      message: "🚫 Vehicle traveling in opposite direction"
+    };
+
+    console.log("🚨 WRONG DIRECTION threat:", payloadSelf);
+    threats.push(payloadSelf);
+
+    this._notifyPeer(uid, {
+      type: "wrong_direction",
+      id: data.userId,
+      lat: data.latitude,
+      lng: data.longitude,
+      sourceVehicle: {
+        userId: data.userId,
+        latitude: data.latitude,
+        longitude: data.longitude,
+        heading: self.heading
+      },
+      distance_m: Number(distNow.toFixed(2)),
+      severity,
+      message: "🚫 You are going opposite to traffic"
+    }, other.roadId);
+    return true;
+  }
+
+  async _getUpcomingTurns(lat, lng, heading, speedMs) {
+    try {
+      const coneAngle = 60;
+      const coneRange = 200;
+      const speedKmh = speedMs * 3.6;
+
+      const nearbyTurns = await this.Turn.find({
+        location: {
+          $near: {
+            $geometry: { type: "Point", coordinates: [lng, lat] },
+            $maxDistance: coneRange,
+          },
+        },
+      }).limit(50).lean();
+
+      const upcoming = [];
+      for (const turn of nearbyTurns) {
+        const [turnLng, turnLat] = turn.location.coordinates;
+        if (!isInCone(lat, lng, heading, turnLat, turnLng, coneAngle, coneRange)) continue;
+
+        const distance = getDistanceInMeters({ lat, lng }, { lat: turnLat, lng: turnLng });
+        const timeToReach = speedMs > 0.5 ? distance / speedMs : 999;
+        const alertThreshold = getAlertThreshold(speedKmh, turn.riskLevel || 1);
+
+        // Check for other vehicles near this turn
+        const otherVehicles = Array.from(this.nearbyVehicleCache.values()).filter(v => {
+          const vDist = getDistanceInMeters({ lat: turnLat, lng: turnLng }, { lat: v.lat, lng: v.lng });
+          return vDist < 40 && v.userId !== undefined;
+        });
+
+        upcoming.push({
+          distance: Math.round(distance),
+          timeToReach: Math.round(timeToReach * 10) / 10,
+          type: turn.type,
+          angle: turn.angle,
+          blind: turn.isBlind || false,
+          riskLevel: turn.riskLevel || 1,
+          alertNow: timeToReach <= alertThreshold,
+          lat: turnLat,
+          lng: turnLng,
+          sightDistance: turn.sightDistance || 100,
+          roadName: turn.roadName || "",
+          speedLimit: turn.speedLimit,
+          isOneWay: turn.isOneWay,
+          laneCount: turn.laneCount,
+          vehiclesNearby: otherVehicles.length > 0,
+          vehicleCount: otherVehicles.length,
+        });
+      }
+
+      return upcoming.sort((a, b) => a.distance - b.distance);
+    } catch (e) {
+      console.error("Error getting upcoming turns:", e.message);
+      return [];
+    }
+  }
+
+  // Add turn learning: detect heading changes > 20 degrees
+  _learnTurn(userId, lat, lng, headingSelf, speedSelf, roadId = null) {
+    const now = this.clock.now();
+    const prevHeading = this.lastHeadingMap.get(userId);
+    const prevTime = this.lastHeadingTimeMap.get(userId) || 0;
+    this.lastHeadingMap.set(userId, headingSelf);
+    this.lastHeadingTimeMap.set(userId, now);
+
+    if (prevHeading === undefined || now - prevTime > 3000) return;
+    const headingChange = Math.abs(headingSelf - prevHeading);
+    if (headingChange <= 20 || speedSelf <= 1.38) return;
+
+    // FIX ISSUE #28: debounce TurningEvent — max 1 per 10s per user
+    const lastTurningEvent = this.turningEventDebounce.get(userId) || 0;
+    if (now - lastTurningEvent < TURNING_COOLDOWN_MS) return;
+    this.turningEventDebounce.set(userId, now);
+
+    const { Turn, TurningEvent } = this;
+
+    // Record turning event for auto-learning (fire-and-forget)
+    TurningEvent.create({
+      userId,
+      location: {
+        type: "Point",
+        coordinates: [lng, lat],
+      },
+      headingBefore: prevHeading,
+      headingAfter: headingSelf,
+      angleChange: headingChange,
+      speed: speedSelf,
+      roadId,
+      timestamp: new Date(now),
+    }).catch(() => {});
+
+    // Check if 5+ turning events at this location → auto-create turn (fire-and-forget)
+    TurningEvent.countDocuments({
+      location: {
+        $near: {
+          $geometry: { type: "Point", coordinates: [lng, lat] },
+          $maxDistance: 20,
+        },
+      },
+      timestamp: { $gte: new Date(now - 7 * 24 * 60 * 60 * 1000) },
+    }).then((nearbyEvents) => {
+      if (nearbyEvents < 5) return;
+      Turn.findOne({
+        location: {
+          $near: {
+            $geometry: { type: "Point", coordinates: [lng, lat] },
+            $maxDistance: 15,
+          },
+        },
+      }).then((existingTurn) => {
+        if (existingTurn) return;
+        Turn.create({
+          location: { type: "Point", coordinates: [lng, lat] },
+          type: headingChange > 60 ? "sharp_turn" : "moderate_turn",
+          angle: Math.round(headingChange),
+          riskLevel: headingChange > 60 ? 3 : 2,
+          isBlind: true,
+          junctionCount: 2,
+          approachVectors: [{ heading: prevHeading }, { heading: headingSelf }],
+        }).then(() => {
+          console.log(`🔄 Auto-created turn from rider behavior at ${lat},${lng}`);
+        }).catch(() => {});
+      }).catch(() => {});
+    }).catch(() => {});
+  }
+
+  // Sprint 1: Include time sync + road info in response
+  _buildResponse({ matched, timeSyncEntry, threats, suppressedThreats = [], nearbyVehicles, upcomingTurns, roadJunctions, roadBubble }) {
+    const selfRoad = matched.roadId ? this.roadGraph?.getRoad(matched.roadId) : null;
+    const storeBackend = this.store?.backend ?? null;
+    const responseRedisConnected = storeBackend === "redis" && this.store.isReady;
+    console.log(`📤 Sending response with store=${storeBackend} redisConnected=${responseRedisConnected}`);
+    return {
+      status: "received",
+      timestamp: new Date(this.clock.now()),
+      serverTime: this.clock.now(),
+      serverVersion: SERVER_VERSION,
+      redisConnected: responseRedisConnected,
+      storeBackend,
+      timeSyncConfidence: timeSyncEntry?.confidence ?? 1.0,
+      // FIX ISSUE #2: return computed offset for one-directional sync
+      timeSyncOffset: timeSyncEntry?.offset ?? 0,
+      threats,
+      suppressedThreats,
+      nearbyVehicles,
+      upcomingTurns,
+      currentRoadInfo: {
+        speedLimit: selfRoad?.maxspeed || null,
+        isOneWay: matched.oneway || null,
+        laneCount: matched.lanes || null,
+        roadName: matched.roadName || selfRoad?.name || null,
+        highway: matched.highway || null,
+        roadId: matched.roadId,
+        roadConfidence: matched.roadConfidence ?? null,
+        matchConfidence: matched.matchConfidence ?? null,
+      },
+      mapMatch: {
+        matched: matched.matched,
+        mode: matched.mode ?? null,
+        confidence: matched.matchConfidence ?? 0,
+        roadId: matched.roadId,
+        roadName: matched.roadName,
+        highway: matched.highway,
+        snappedLat: matched.snappedLat,
+        snappedLng: matched.snappedLng,
+        vehicleStateConfidence: matched.vehicleStateConfidence ?? 0.5,
+        hmmPath: matched.hmmPath,
+      },
+      roadBubble,
+      roadJunctions,
+    };
+  }
+
+  // Junctions the client reported ahead (turns[] or the single intersection)
+  _junctionPoints(data) {
+    const points = [];
+    if (Array.isArray(data.turns)) {
+      for (const t of data.turns) {
+        if (Number.isFinite(t?.lat) && Number.isFinite(t?.lng)) points.push({ lat: t.lat, lng: t.lng });
+      }
+    }
+    if (!points.length && Number.isFinite(data.intersectionLat) && Number.isFinite(data.intersectionLng)) {
+      points.push({ lat: data.intersectionLat, lng: data.intersectionLng });
+    }
+    return points;
+  }
+
+  _nearestJunction(lat, lng, points) {
+    let best = null;
+    let bestDist = JUNCTION_EVENT_RADIUS_M;
+    for (const p of points) {
+      const d = haversineMeters(lat, lng, p.lat, p.lng);
+      if (d <= bestDist) {
+        best = p;
+        bestDist = d;
+      }
+    }
+    return best;
+  }
+
+  // Emergency braking close to a junction counts toward its risk
+  _recordHardBrake(data, matched, track, junctionPoints, profile) {
+    if (!track || track.samples < KALMAN_MIN_SAMPLES || -track.accel < thresholdsFor(profile).suddenDecelMs2) return;
+    const junction = this._nearestJunction(data.latitude, data.longitude, junctionPoints);
+    if (junction && this.junctionRisk.record("brake", { ...junction, roadId: matched.roadId }, { dedupeKey: data.userId })) {
+      console.log(`🛑 Hard brake by ${data.userId} near junction ${junction.lat.toFixed(5)},${junction.lng.toFixed(5)}`);
+    }
+  }
+
+  _recordNearMiss(self, pair) {
+    if (pair.distNow > NEAR_MISS_DISTANCE_M + Math.max(0, footprintExtra(self.profile, pair.profile)) || pair.hdiff < NEAR_MISS_MIN_ANGLE) return;
+    if (self.speed < MIN_PREDICT_COLLISION_SPEED || pair.speed < MIN_PREDICT_COLLISION_SPEED) return;
+    const junction = this._nearestJunction(self.lat, self.lng, self.junctionPoints);
+    if (!junction) return;
+    if (this.junctionRisk.record("nearMiss", { ...junction, roadId: self.matched.roadId }, { dedupeKey: pairKey(self.userId, pair.uid) })) {
+      console.log(`⚠️ Near miss ${self.userId} ↔ ${pair.uid} at ${pair.distNow.toFixed(1)}m`);
+    }
+  }
+
+  _cleanupNearbyVehicles() {
+    const cutoff = this.clock.now() - 10000;
+    for (const [key, val] of this.nearbyVehicleCache) {
+      if (val.timestamp < cutoff) this.nearbyVehicleCache.delete(key);
+    }
+  }
+
+  // FIX ISSUE #7/#11/#28: Clean up per-user caches on disconnect
+  // shared: false leaves the store alone — the rider has already reconnected elsewhere
+  async removeUser(userId, { shared = true } = {}) {
+    this.nearbyCache.delete(userId);
+    this.turningEventDebounce.delete(userId);
+    this.tracker.remove(userId);
+    if (this.mapMatcher) await this.mapMatcher.removeUser(userId, { shared });
+    if (!shared) return;
+    await this._shared("deleteSession", (st) => st.deleteSession(userId));
+    await this._shared("setStationarySince", (st) => st.setStationarySince(userId, null));
+  }
+
+  destroy() {
+    clearInterval(this.nearbyCleanupInterval);
+    this.junctionRisk.destroy();
+    this.turnPredictor.destroy();
+    this.spat.destroy();
+    this.localState.destroy();
+    this.removeAllListeners();
+  }
+}
+
+export default DetectionEngine;
+export {
+  CONFIG,
+  SERVER_VERSION,
+  validateUpdate,
+  predictTrajectory,
+  avgHeading,
+  computeSeverity,
+  deterministicThreatId,
+  getDistanceInMeters,
+  getSpeedBasedRadius,
+  getRearEndDistance,
+  getStaleTimeout,
+};
@@ -0,0 +1,253 @@
+import { Worker } from "worker_threads";
+import { EventEmitter } from "events";
+import { validateUpdate } from "./detectionEngine.js";
+import { encodeGeohash, distanceOutsideCell } from "./geohash.js";
+import { serveStoreCall } from "./vehicleStore.js";
+
+// Runs detection on worker threads, partitioned by geohash cell. Each active cell
+// is pinned to one worker (the least loaded when the cell first sees a vehicle),
+// so a busy junction only slows the worker that owns its cell.
+//
+// Handoff: a vehicle keeps its cell until it is HANDOFF_MARGIN_M past the cell
+// edge, so riders on a border don't bounce between workers. A vehicle's updates
+// are serialised — the next one is dispatched only after the previous finished,
+// whichever worker it went to — and all its state is in the shared store.
+//
+// Same surface as DetectionEngine for index.js: processUpdate, removeUser, the
+// "peerThreat" and "crash" events, setRoadGraph (no-op: workers load their own graph).
+
+const DEFAULT_PRECISION = Number(process.env.DETECTION_GEOHASH_PRECISION ?? 6);
+const HANDOFF_MARGIN_M = 50;
+const REQUEST_TIMEOUT_MS = 10000;
+const VEHICLE_IDLE_MS = 60000;
+const LATENCY_WINDOW = 1000;
+
+const WORKER_URL = new URL("./detectionWorker.js", import.meta.url);
+
+class DetectionPool extends EventEmitter {
+  constructor({ size, store, precision = DEFAULT_PRECISION, enforceUserId = true } = {}) {
+    super();
+    this.size = size;
+    this.store = store;
+    this.precision = precision;
+    this.enforceUserId = enforceUserId;
+    this.workers = []; // { worker, index, pending: Map<id, {resolve, reject, timer}>, vehicles, handled }
+    this.nextRequestId = 1;
+    // cell → worker index, while the cell has vehicles
+    this.cellOwner = new Map();
+    this.cellVehicles = new Map(); // cell → Set<userId>
+    this.vehicleCell = new Map(); // userId → { cell, lastSeen }
+    this.inFlight = new Map(); // userId → Promise (serialises one vehicle's updates)
+    this.handoffs = 0;
+    this.latencies = [];
+    this.cleanupInterval = setInterval(() => this._evictIdleVehicles(), 30000);
+  }
+
+  async start() {
+    await Promise.all(Array.from({ length: this.size }, (_, i) => this._spawn(i)));
+    console.log(`🧵 Detection pool: ${this.size} worker(s), geohash precision ${this.precision}`);
+  }
+
+  _spawn(index) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_URL, {
+        workerData: { workerIndex: index, storeBackend: this.store.backend, enforceUserId: this.enforceUserId },
+      });
+      const slot = this.workers[index] || { index, vehicles: 0, handled: 0 };
+      slot.worker = worker;
+      slot.pending = new Map();
+      this.workers[index] = slot;
+
+      worker.on("message", (msg) => this._onMessage(slot, msg, resolve));
+      worker.on("error", (err) => {
+        console.error(`❌ Detection worker ${index} crashed:`, err);
+        reject(err);
+      });
+      worker.on("exit", (code) => this._onExit(slot, worker, code));
+    });
+  }
+
+  _onMessage(slot, msg, onReady) {
+    switch (msg.type) {
+      case "ready":
+        onReady();
+        break;
+      case "result": {
+        const call = slot.pending.get(msg.id);
+        if (!call) return;
+        slot.pending.delete(msg.id);
+        clearTimeout(call.timer);
+        if (msg.error) call.reject(new Error(msg.error));
+        else call.resolve(msg.response);
+        break;
+      }
+      case "peerThreat":
+        this.emit("peerThreat", msg.uid, msg.payload);
+        break;
+      case "crash":
+        this.emit("crash", msg.incident);
+        break;
+      case "store":
+        serveStoreCall(this.store, msg).then((reply) => slot.worker.postMessage(reply));
+        break;
+    }
+  }
+
+  // Requests in flight on a dead worker fail; its cells stay with the replacement
+  _onExit(slot, worker, code) {
+    if (slot.worker !== worker) return;
+    for (const call of slot.pending.values()) {
+      clearTimeout(call.timer);
+      call.reject(new Error(`Detection worker ${slot.index} exited`));
+    }
+    slot.pending.clear();
+    if (this.destroyed) return;
+    console.warn(`⚠️ Detection worker ${slot.index} exited (code ${code}), restarting`);
+    this._spawn(slot.index).catch((err) => {
+      console.error(`❌ Failed to restart detection worker ${slot.index}:`, err.message);
+    });
+  }
+
+  setRoadGraph() {}
+
+  async processUpdate(data, { authenticatedUserId = null } = {}) {
+    // Malformed updates never reach a worker; there is no cell to route them to
+    const reason = validateUpdate(data);
+    if (reason) return { status: "error", reason };
+
+    const userId = data.userId;
+    const previous = this.inFlight.get(userId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => {
+      const slot = this.workers[this._route(userId, data.latitude, data.longitude)];
+      return this._request(slot, { type: "update", data, authenticatedUserId });
+    });
+    this.inFlight.set(userId, run);
+    try {
+      return await run;
+    } finally {
+      if (this.inFlight.get(userId) === run) this.inFlight.delete(userId);
+    }
+  }
+
+  // Cell for this position, with hysteresis at the border; returns the worker index
+  _route(userId, lat, lng) {
+    const now = Date.now();
+    const current = this.vehicleCell.get(userId);
+    let cell = current?.cell;
+    if (!cell || distanceOutsideCell(cell, lat, lng) > HANDOFF_MARGIN_M) {
+      cell = encodeGeohash(lat, lng, this.precision);
+    }
+    if (current && current.cell !== cell) {
+      const from = this.cellOwner.get(current.cell);
+      this._leaveCell(userId, current.cell);
+      if (from !== this._ownerFor(cell)) this.handoffs++;
+    }
+    if (!current || current.cell !== cell) this._enterCell(userId, cell);
+    this.vehicleCell.set(userId, { cell, lastSeen: now });
+    return this.cellOwner.get(cell);
+  }
+
+  // Existing owner, or the worker that would get the cell now
+  _ownerFor(cell) {
+    if (this.cellOwner.has(cell)) return this.cellOwner.get(cell);
+    return this.workers.reduce((best, w) => (w.vehicles < best.vehicles ? w : best)).index;
+  }
+
+  _enterCell(userId, cell) {
+    if (!this.cellOwner.has(cell)) {
+      this.cellOwner.set(cell, this._ownerFor(cell));
+      this.cellVehicles.set(cell, new Set());
+    }
+    this.cellVehicles.get(cell).add(userId);
+    this.workers[this.cellOwner.get(cell)].vehicles++;
+  }
+
+  _leaveCell(userId, cell) {
+    const members = this.cellVehicles.get(cell);
+    if (!members?.delete(userId)) return;
+    this.workers[this.cellOwner.get(cell)].vehicles--;
+    // An empty cell is released so it can land on a quieter worker next time
+    if (members.size === 0) {
+      this.cellVehicles.delete(cell);
+      this.cellOwner.delete(cell);
+    }
+  }
+
+  _request(slot, msg) {
+    const id = this.nextRequestId++;
+    const started = performance.now();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        slot.pending.delete(id);
+        reject(new Error(`Detection worker ${slot.index} timed out`));
+      }, REQUEST_TIMEOUT_MS);
+      slot.pending.set(id, {
+        resolve: (response) => {
+          slot.handled++;
+          this._recordLatency(performance.now() - started);
+          resolve(response);
+        },
+        reject,
+        timer,
+      });
+      slot.worker.postMessage({ ...msg, id });
+    });
+  }
+
+  _recordLatency(ms) {
+    this.latencies.push(ms);
+    if (this.latencies.length > LATENCY_WINDOW) this.latencies.shift();
+  }
+
+  // Every worker that handled the vehicle before a handoff still holds its local
+  // state (tracker, caches), so all of them drop it; one clears the shared store
+  async removeUser(userId, { shared = true } = {}) {
+    const current = this.vehicleCell.get(userId);
+    const owner = current ? this.cellOwner.get(current.cell) : 0;
+    if (current) {
+      this._leaveCell(userId, current.cell);
+      this.vehicleCell.delete(userId);
+    }
+    for (const slot of this.workers) {
+      slot.worker.postMessage({ type: "removeUser", userId, shared: shared && slot.index === owner });
+    }
+  }
+
+  _evictIdleVehicles() {
+    const cutoff = Date.now() - VEHICLE_IDLE_MS;
+    for (const [userId, { cell, lastSeen }] of this.vehicleCell) {
+      if (lastSeen < cutoff) {
+        this._leaveCell(userId, cell);
+        this.vehicleCell.delete(userId);
+      }
+    }
+  }
+
+  getStatus() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const pct = (p) => (sorted.length ? Math.round(sorted[Math.floor(sorted.length * p)] * 10) / 10 : 0);
+    return {
+      workers: this.workers.map((w) => ({
+        index: w.index,
+        vehicles: w.vehicles,
+        cells: [...this.cellOwner.values()].filter((i) => i === w.index).length,
+        inFlight: w.pending.size,
+        handled: w.handled,
+      })),
+      precision: this.precision,
+      activeCells: this.cellOwner.size,
+      vehicles: this.vehicleCell.size,
+      handoffs: this.handoffs,
+      latencyMs: { p50: pct(0.5), p95: pct(0.95), p99: pct(0.99), samples: sorted.length },
+    };
+  }
+
+  async destroy() {
+    this.destroyed = true;
+    clearInterval(this.cleanupInterval);
+    await Promise.all(this.workers.map((w) => w.worker.terminate()));
+    this.removeAllListeners();
+  }
+}
+
+export default DetectionPool;
@@ -0,0 +1,101 @@
+import { parentPort, workerData } from "worker_threads";
+import mongoose from "mongoose";
+import { createClient } from "redis";
+import DetectionEngine from "./detectionEngine.js";
+import RoadGraph from "./roadGraph.js";
+import { loadRegionConfig } from "./roadRegions.js";
+import MapMatcher from "./mapMatcher.js";
+import EtaRegistry from "./etaRegistry.js";
+import { RedisVehicleStore, PortVehicleStore } from "./vehicleStore.js";
+
+// Detection worker thread: runs its own DetectionEngine for the geohash cells
+// DetectionPool assigns to it. Per-vehicle state lives in the shared store, so a
+// vehicle handed over to another worker at a cell border carries on unchanged.
+// Workers load the road graph lazily, in the tiles their own vehicles enter,
+// rather than each holding every preloaded region.
+//
+// Messages in:  { type: "update", id, data, authenticatedUserId }
+//               { type: "removeUser", userId, shared }
+//               { type: "storeResult", ... } (replies for PortVehicleStore)
+// Messages out: { type: "ready" }, { type: "result", id, response, error }
+//               { type: "peerThreat", uid, payload }, { type: "crash", incident }
+//               { type: "store", ... }
+
+const { workerIndex, storeBackend, enforceUserId } = workerData;
+const tag = `[worker ${workerIndex}]`;
+
+// Redis-backed deployments talk to Redis directly; otherwise store calls are
+// served by the main thread's in-memory store
+async function createStore() {
+  if (storeBackend === "redis" && process.env.REDIS_URL) {
+    try {
+      const client = createClient({ url: process.env.REDIS_URL });
+      client.on("error", (err) => console.error(`❌ ${tag} Redis Error:`, err.message));
+      await client.connect();
+      return new RedisVehicleStore(client);
+    } catch (err) {
+      console.warn(`⚠️ ${tag} Redis connection failed, using the main thread's store:`, err.message);
+    }
+  }
+  return new PortVehicleStore(parentPort, { backend: storeBackend });
+}
+
+// Tile loads are the only queries a worker makes
+const MONGO_POOL_SIZE = 2;
+
+// Without Mongo, model queries fail fast instead of buffering every update for 10s
+async function initRoadGraph(engine, store) {
+  if (!process.env.MONGO_URI) {
+    mongoose.set("bufferCommands", false);
+    return;
+  }
+  try {
+    await mongoose.connect(process.env.MONGO_URI, { maxPoolSize: MONGO_POOL_SIZE });
+    const regions = loadRegionConfig().map((r) => ({ ...r, preload: false }));
+    const roadGraph = new RoadGraph({ regions });
+    await roadGraph.loadFromMongo();
+    const mapMatcher = new MapMatcher(roadGraph, { store });
+    const etaRegistry = new EtaRegistry(roadGraph, { store });
+    engine.setRoadGraph(roadGraph, mapMatcher, etaRegistry);
+    console.log(`✅ ${tag} Road graph, map matcher (${mapMatcher.mode}), and ETA registry initialized`);
+  } catch (err) {
+    if (mongoose.connection.readyState !== 1) mongoose.set("bufferCommands", false);
+    console.error(`❌ ${tag} Road graph initialization failed:`, err.message);
+    console.warn(`⚠️ ${tag} Continuing without road graph (limited functionality)`);
+  }
+}
+
+const store = await createStore();
+const engine = new DetectionEngine({ store, enforceUserId });
+engine.on("peerThreat", (uid, payload) => {
+  parentPort.postMessage({ type: "peerThreat", uid, payload });
+});
+engine.on("crash", (incident) => {
+  parentPort.postMessage({ type: "crash", incident });
+});
+
+parentPort.on("message", async (msg) => {
+  switch (msg.type) {
+    case "update":
+      try {
+        const response = await engine.processUpdate(msg.data, { authenticatedUserId: msg.authenticatedUserId });
+        parentPort.postMessage({ type: "result", id: msg.id, response });
+      } catch (e) {
+        console.error(`❌ ${tag} processUpdate failed:`, e);
+        parentPort.postMessage({ type: "result", id: msg.id, error: e.message });
+      }
+      break;
+    case "removeUser":
+      engine.removeUser(msg.userId, { shared: msg.shared }).catch((e) => {
+        console.error(`❌ ${tag} Failed to clean up ${msg.userId}:`, e);
+      });
+      break;
+    case "storeResult":
+      store.handleResult?.(msg);
+      break;
+  }
+});
+
+parentPort.postMessage({ type: "ready" });
+// Bound late, like the main thread: updates are served without a road graph until it loads
+initRoadGraph(engine, store);
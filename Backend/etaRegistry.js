@@ -1,26 +1,67 @@
 import { EventEmitter } from "events";
+import { resolveRightOfWay } from "./rightOfWay.js";
+import { pathCrossWeight } from "./turnPrediction.js";
+import SignalPhaseTracker, { signalConflictWeight } from "./signalPhase.js";
+import { redLightRisk } from "./spat.js";
+
+// Junction approach entries are written to the shared vehicle store when one is
+// given, so vehicles handled by different server instances still meet at the
+// junction. this.junctions is then this instance's view, refreshed before every
+// conflict check.
+const ENTRY_EXPIRY_MS = 10000;
+
+const SIGNAL_CONTROL = { type: "traffic_signals", all: false };
+
+const systemClock = { now: () => Date.now() };
+
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371e3;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Spatial merge: round to 3 decimal places (≈110m resolution), so nearby
+// junction nodes make one logical junction
+function junctionKeyFor(junction) {
+  return `${Math.round(junction.lat * 1000) / 1000},${Math.round(junction.lng * 1000) / 1000}`;
+}
+
+function isSignalised(vehicle) {
+  return vehicle.control?.type === "traffic_signals";
+}
 
 class EtaRegistry extends EventEmitter {
-  constructor(roadGraph) {
+  constructor(roadGraph, { store = null, turnPredictor = null, signalPhases = null, spat = null, clock = systemClock } = {}) {
     super();
     this.roadGraph = roadGraph;
+    this.store = store;
+    this.clock = clock;
+    // Predicts each vehicle's exit (turnPrediction.js); without it every exit is equally likely
+    this.turnPredictor = turnPredictor;
+    // Signal phases inferred from vehicles stopping and going at signalised junctions
+    this.signalPhases = signalPhases || new SignalPhaseTracker({ store, clock });
+    // Live phases from partner junction controllers (spat.js); they win over inferred ones
+    this.spat = spat;
+    // userId → red lights this vehicle can no longer stop for, from its latest update
+    this.signalRisks = new Map();
     this.junctions = new Map();
     // FIX ISSUE #12: road-indexed junction lookup for O(n) cross-junction checks
     this.junctionsByRoad = new Map(); // roadId → Set<junctionKey>
     this.cleanupInterval = setInterval(() => this._cleanup(), 5000);
-    this.pendingConflicts = [];
   }
 
-  getPendingConflicts() {
-    const conflicts = [...this.pendingConflicts];
-    this.pendingConflicts = [];
-    return conflicts;
-  }
-
-  update(userId, matched, lat, lng, heading, speed, rawData) {
+  // Returns the conflicts found by this update
+  async update(userId, matched, lat, lng, heading, speed, rawData) {
+    const found = [];
+    this.signalRisks.delete(userId);
     if (!matched || !matched.roadId || matched.matchConfidence < 0.3) {
-      this._removeVehicle(userId);
-      return;
+      await this._removeVehicle(userId);
+      return found;
     }
 
     const junctionsAhead = this.roadGraph.getJunctionsAhead(
@@ -32,25 +73,46 @@ class EtaRegistry extends EventEmitter {
     );
 
     const timeSyncQuality = rawData?.timeSyncQuality ?? 1.0;
+    await this.turnPredictor?.prefetch(junctionsAhead);
+    await this.spat?.prefetch(junctionsAhead.map((j) => j.nodeId));
+    await this.signalPhases.prefetch(
+      junctionsAhead.filter((j) => j.signalised || this.spat?.phaseFor(j.nodeId, j.approachBearing)).map(junctionKeyFor)
+    );
     const vehicleStateConfidence = matched.vehicleStateConfidence ?? 0.5;
 
-    const now = Date.now();
+    const now = this.clock.now();
     let firstJunctionKey = null;
     let firstJunctionEta = Infinity;
 
     for (const junction of junctionsAhead) {
+      const key = junctionKeyFor(junction);
+
+      // A junction with a live feed is signalised whatever the map says
+      const live = this.spat?.phaseFor(junction.nodeId, junction.approachBearing) ?? null;
+      const signalised = !!junction.signalised || !!live;
+      // Stopped at or moving through a signal tells its phase. Junction
+      // distances count from the nearest node, so a vehicle at the stop line
+      // is measured directly; it may be too close to register below.
+      let runsRed = null;
+      if (signalised) {
+        const fromVehicle = haversineMeters(matched.snappedLat || lat, matched.snappedLng || lng, junction.lat, junction.lng);
+        await this.signalPhases.observe(key, junction.approachBearing, speed, fromVehicle);
+        runsRed = redLightRisk(live, speed, fromVehicle - (live?.stopLineM ?? 0), rawData?.maxDecelMs2);
+        const risks = this.signalRisks.get(userId) || [];
+        if (runsRed && !risks.some((r) => r.junction === key)) {
+          risks.push({ junction: key, nodeId: junction.nodeId, lat: junction.lat, lng: junction.lng, ...runsRed });
+          this.signalRisks.set(userId, risks);
+        }
+      }
       if (junction.distance < 1) continue;
 
-      // Spatial merge: round to 3 decimal places (≈110m resolution)
-      // Merges nearby junction nodes into one logical junction
-      const key = `${Math.round(junction.lat * 1000) / 1000},${Math.round(junction.lng * 1000) / 1000}`;
-
       if (!this.junctions.has(key)) {
         this.junctions.set(key, {
           lat: junction.lat,
           lng: junction.lng,
           nodeId: junction.nodeId,
           junctionType: junction.junctionType,
+          signalised,
           roadId: matched.roadId,
           vehicles: new Map(),
           lastConflictCheck: now,
@@ -69,8 +131,11 @@ class EtaRegistry extends EventEmitter {
       const eta = speed > 0.5 ? dist / speed : Infinity;
       const clockUncertainty = 1.0 - (1.0 - timeSyncQuality) * 0.5;
       const etaConfidence = vehicleStateConfidence * clockUncertainty * (speed > 0.5 ? 0.9 : 0.3);
+      const movements = this.turnPredictor
+        ? this.turnPredictor.predict(junction, matched.roadId, this.roadGraph.getJunctionExits(junction.nodeId, junction.approachBearing), rawData?.turnCues)
+        : [];
 
-      entry.vehicles.set(userId, {
+      const vehicle = {
         userId,
         eta,
         distance: dist,
@@ -80,29 +145,41 @@ class EtaRegistry extends EventEmitter {
         approachBearing: junction.approachBearing,
         timestamp: now,
         confidence: etaConfidence,
-      });
+        // Right of way inputs (see rightOfWay.js)
+        highway: junction.approach?.highway ?? matched.highway ?? null,
+        priorityRoad: junction.approach?.priorityRoad ?? null,
+        onRoundabout: junction.approach?.onRoundabout ?? false,
+        // A signal mapped on the junction node controls every approach
+        control: junction.approach?.control ?? (signalised ? SIGNAL_CONTROL : null),
+        // Too fast and too close to stop for a red: its red doesn't protect anyone
+        runsRed: !!runsRed,
+        // Predicted exits, most likely first, and the turn once one is likely
+        movements,
+        turn: this.turnPredictor?.likelyTurn(movements) ?? null,
+      };
+      // A junction nobody has approached for a while counts as new and is
+      // registered under this vehicle's road, as a fresh local entry would be
+      await this._refreshVehicles(key, entry);
+      const isNew = ![...entry.vehicles.values()].some((v) => now - v.timestamp <= ENTRY_EXPIRY_MS);
+      entry.vehicles.set(userId, vehicle);
+      await this._share(key, matched.roadId, vehicle, isNew, now);
 
       if (firstJunctionKey === null) {
         firstJunctionKey = key;
         firstJunctionEta = eta;
       }
 
-      this._checkConflicts(entry, key);
+      found.push(...this._checkConflicts(entry, key));
     }
 
     // Cross-junction check: check vehicles at nearby junctions on the same road
     // FIX ISSUE #12: O(n) not O(n²) via road-indexed lookup
     if (firstJunctionKey && matched.roadId) {
-      const sameRoadKeys = this.junctionsByRoad.get(matched.roadId) || new Set();
       const [firstLatStr, firstLngStr] = firstJunctionKey.split(",");
       const firstLatNum = parseFloat(firstLatStr);
       const firstLngNum = parseFloat(firstLngStr);
 
-      for (const otherKey of sameRoadKeys) {
-        const otherEntry = this.junctions.get(otherKey);
-        if (!otherEntry) continue;
-        if (now - (otherEntry.lastConflictCheck || 0) > 10000) continue;
-
+      for (const [otherKey, otherEntry] of await this._sameRoadJunctions(matched.roadId, now)) {
         // Check nearby keys (within ~200m)
         const [oLatStr, oLngStr] = otherKey.split(",");
         const isNearby = otherKey === firstJunctionKey ||
@@ -113,7 +190,7 @@ class EtaRegistry extends EventEmitter {
 
         for (const [otherUid, otherV] of otherEntry.vehicles) {
           if (otherUid === userId) continue;
-          if (now - otherV.timestamp > 10000) continue;
+          if (now - otherV.timestamp > ENTRY_EXPIRY_MS) continue;
           if (otherV.eta === Infinity || firstJunctionEta === Infinity) continue;
 
           const etaDiff = Math.abs(firstJunctionEta - otherV.eta);
@@ -126,7 +203,7 @@ class EtaRegistry extends EventEmitter {
 
           if (etaDiff <= threshold) {
             const conflictProbability = (1.0 - etaDiff / threshold) * combinedConfidence;
-            this.pendingConflicts.push({
+            found.push({
               junction: firstJunctionKey,
               junctionLat: 0, junctionLng: 0,
               junctionType: "cross",
@@ -141,15 +218,89 @@ class EtaRegistry extends EventEmitter {
         }
       }
     }
+
+    return found;
+  }
+
+  // Red lights the vehicle's latest update found it can't stop for
+  takeSignalRisks(userId) {
+    const risks = this.signalRisks.get(userId) || [];
+    this.signalRisks.delete(userId);
+    return risks;
+  }
+
+  // A controller's phase when the junction has a feed, else the inferred one
+  _phaseFor(entry, junctionKey, vehicle) {
+    if (!isSignalised(vehicle)) return null;
+    return this.spat?.phaseFor(entry.nodeId, vehicle.approachBearing) ?? this.signalPhases.phaseFor(junctionKey, vehicle.approachBearing);
+  }
+
+  _sharedStore() {
+    return this.store?.isReady ? this.store : null;
+  }
+
+  // Publish this vehicle's approach so other instances see it
+  async _share(key, roadId, vehicle, isNew, now) {
+    const store = this._sharedStore();
+    if (!store) return;
+    try {
+      // JSON has no Infinity: a stopped vehicle's ETA travels as null
+      await store.setJunctionVehicle(key, vehicle.userId, { ...vehicle, eta: Number.isFinite(vehicle.eta) ? vehicle.eta : null });
+      if (isNew) await store.indexRoadJunction(roadId, key, now);
+    } catch (e) {
+      console.error(`❌ Failed to share junction entry ${key}:`, e.message);
+    }
+  }
+
+  // Replace the local vehicle list with the shared one (which includes our own write)
+  async _refreshVehicles(key, entry) {
+    const store = this._sharedStore();
+    if (!store) return;
+    try {
+      const vehicles = await store.getJunctionVehicles(key);
+      for (const v of vehicles.values()) {
+        if (v.eta === null) v.eta = Infinity;
+      }
+      entry.vehicles = vehicles;
+    } catch (e) {
+      console.error(`❌ Failed to read junction entry ${key}:`, e.message);
+    }
+  }
+
+  // [key, entry] for junctions registered under this road in the last ENTRY_EXPIRY_MS
+  async _sameRoadJunctions(roadId, now) {
+    const store = this._sharedStore();
+    if (!store) {
+      const result = [];
+      for (const key of this.junctionsByRoad.get(roadId) || []) {
+        const entry = this.junctions.get(key);
+        if (entry && now - (entry.lastConflictCheck || 0) <= ENTRY_EXPIRY_MS) result.push([key, entry]);
+      }
+      return result;
+    }
+    try {
+      const result = [];
+      for (const key of await store.getRoadJunctions(roadId, now - ENTRY_EXPIRY_MS)) {
+        // Junctions first seen by another instance have no local entry
+        const entry = this.junctions.get(key) || { vehicles: new Map() };
+        await this._refreshVehicles(key, entry);
+        result.push([key, entry]);
+      }
+      return result;
+    } catch (e) {
+      console.error(`❌ Failed to read junctions on road ${roadId}:`, e.message);
+      return [];
+    }
   }
 
   _checkConflicts(entry, junctionKey) {
-    const now = Date.now();
+    const now = this.clock.now();
+    const found = [];
     const vehicles = Array.from(entry.vehicles.values()).filter(
-      (v) => now - v.timestamp < 10000
+      (v) => now - v.timestamp < ENTRY_EXPIRY_MS
     );
 
-    if (vehicles.length < 2) return;
+    if (vehicles.length < 2) return found;
 
     for (let i = 0; i < vehicles.length; i++) {
       for (let j = i + 1; j < vehicles.length; j++) {
@@ -167,40 +318,64 @@ class EtaRegistry extends EventEmitter {
 
         if (etaErrorMargin <= etaOverlapThreshold) {
           const baseProbability = 1.0 - (etaErrorMargin / etaOverlapThreshold);
-          const conflictProbability = baseProbability * combinedConfidence;
+          // Weighed by how likely the predicted paths are to cross at all
+          const pathWeight = pathCrossWeight(a, b);
+          // At a signal, an approach facing red all but rules the conflict out,
+          // unless the vehicle on it can no longer stop
+          const phaseA = this._phaseFor(entry, junctionKey, a);
+          const phaseB = this._phaseFor(entry, junctionKey, b);
+          const signalWeight = signalConflictWeight(a.runsRed ? null : phaseA, b.runsRed ? null : phaseB);
+          const conflictProbability = baseProbability * combinedConfidence * (pathWeight ?? 1) * signalWeight;
+          const sideA = { ...a, signalPhase: phaseA?.phase ?? null };
+          const sideB = { ...b, signalPhase: phaseB?.phase ?? null };
+          // mustYield: true for the vehicle that gives way, null when no rule decides
+          const { mustYield, rule } = resolveRightOfWay(sideA, sideB);
 
           const conflict = {
             junction: junctionKey,
             junctionLat: entry.lat,
             junctionLng: entry.lng,
+            nodeId: entry.nodeId,
             junctionType: entry.junctionType,
-            vehicleA: { ...a },
-            vehicleB: { ...b },
+            vehicleA: { ...sideA, mustYield: mustYield ? mustYield === "a" : null },
+            vehicleB: { ...sideB, mustYield: mustYield ? mustYield === "b" : null },
+            rightOfWay: rule,
+            pathWeight,
+            signalWeight,
             etaDiff,
             etaOverlapThreshold,
             probability: conflictProbability,
             timestamp: now,
           };
 
-          console.log(`🚦 ETA conflict: ${a.userId} (ETA=${a.eta.toFixed(1)}s) vs ${b.userId} (ETA=${b.eta.toFixed(1)}s) prob=${conflictProbability.toFixed(2)}`);
-          this.pendingConflicts.push(conflict);
+          console.log(`🚦 ETA conflict: ${a.userId} (ETA=${a.eta.toFixed(1)}s) vs ${b.userId} (ETA=${b.eta.toFixed(1)}s) prob=${conflictProbability.toFixed(2)}${pathWeight === null ? "" : ` paths×${pathWeight.toFixed(2)}`}${signalWeight < 1 ? ` signal×${signalWeight.toFixed(2)}` : ""} ${mustYield ? `${mustYield === "a" ? a.userId : b.userId} yields (${rule})` : "no priority"}`);
+          found.push(conflict);
           this.emit("junctionConflict", conflict);
         }
       }
     }
+    return found;
   }
 
-  _removeVehicle(userId) {
+  async _removeVehicle(userId) {
     for (const [, entry] of this.junctions) {
       entry.vehicles.delete(userId);
     }
+    const store = this._sharedStore();
+    if (!store) return;
+    try {
+      const keys = await store.getUserJunctions(userId);
+      await Promise.all(keys.map((key) => store.removeJunctionVehicle(key, userId)));
+    } catch (e) {
+      console.error(`❌ Failed to clear junction entries for ${userId}:`, e.message);
+    }
   }
 
   _cleanup() {
-    const now = Date.now();
+    const now = this.clock.now();
     for (const [key, entry] of this.junctions) {
       for (const [userId, vehicle] of entry.vehicles) {
-        if (now - vehicle.timestamp > 10000) {
+        if (now - vehicle.timestamp > ENTRY_EXPIRY_MS) {
           entry.vehicles.delete(userId);
         }
       }
@@ -228,6 +403,8 @@ class EtaRegistry extends EventEmitter {
 
   destroy() {
     clearInterval(this.cleanupInterval);
+    this.signalPhases.destroy();
+    this.signalRisks.clear();
     this.junctions.clear();
     this.removeAllListeners();
   }
@@ -0,0 +1,63 @@
+// Geohash cells for partitioning detection work.
+//
+// Precision → approximate cell size at the equator:
+//   4 → 39 × 20 km, 5 → 4.9 × 4.9 km, 6 → 1.2 × 0.6 km, 7 → 153 × 153 m
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+function encodeGeohash(lat, lng, precision = 5) {
+  let minLat = -90, maxLat = 90, minLng = -180, maxLng = 180;
+  let hash = "";
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (minLng + maxLng) / 2;
+      if (lng >= mid) { bits = (bits << 1) | 1; minLng = mid; } else { bits <<= 1; maxLng = mid; }
+    } else {
+      const mid = (minLat + maxLat) / 2;
+      if (lat >= mid) { bits = (bits << 1) | 1; minLat = mid; } else { bits <<= 1; maxLat = mid; }
+    }
+    evenBit = !evenBit;
+    if (++bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+  return hash;
+}
+
+// [minLng, minLat, maxLng, maxLat], same order as road region bboxes
+function geohashBbox(hash) {
+  let minLat = -90, maxLat = 90, minLng = -180, maxLng = 180;
+  let evenBit = true;
+  for (const ch of hash) {
+    const idx = BASE32.indexOf(ch);
+    if (idx < 0) throw new Error(`Invalid geohash character "${ch}"`);
+    for (let b = 4; b >= 0; b--) {
+      const bit = (idx >> b) & 1;
+      if (evenBit) {
+        const mid = (minLng + maxLng) / 2;
+        if (bit) minLng = mid; else maxLng = mid;
+      } else {
+        const mid = (minLat + maxLat) / 2;
+        if (bit) minLat = mid; else maxLat = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+  return [minLng, minLat, maxLng, maxLat];
+}
+
+// Metres from a point to the cell (0 when inside it)
+function distanceOutsideCell(hash, lat, lng) {
+  const [minLng, minLat, maxLng, maxLat] = geohashBbox(hash);
+  const dLat = lat < minLat ? minLat - lat : lat > maxLat ? lat - maxLat : 0;
+  const dLng = lng < minLng ? minLng - lng : lng > maxLng ? lng - maxLng : 0;
+  const mPerDegLng = 111320 * Math.cos((lat * Math.PI) / 180);
+  return Math.hypot(dLat * 111320, dLng * mPerDegLng);
+}
+
+export { encodeGeohash, geohashBbox, distanceOutsideCell };
@@ -0,0 +1,376 @@
+import { EventEmitter } from "events";
+import mongoose from "mongoose";
+import Incident from "./Models/Incident.Model.js";
+import User from "./Models/User.Model.js";
+import { incidentMessage } from "./notifier.js";
+
+// Incidents opened by crash detection or a manual SOS. After a crash the rider
+// gets a countdown to cancel a false alarm; once it runs out (or straight away
+// for an SOS) the incident escalates and the notifier alerts their emergency
+// contacts. Vehicles approaching a crash on the same or a connected road are
+// warned while it is active.
+//
+// Incidents live in Mongo and every status change is a conditional update, so a
+// countdown started on one instance is still escalated (exactly once) by the
+// sweep on any other if that instance goes away.
+//
+// Events: "opened", "cancelled", "escalate" (incident)
+
+const COUNTDOWN_MS = Number(process.env.CRASH_SOS_COUNTDOWN_S ?? 30) * 1000;
+// Nearby riders are warned for this long after detection
+const ACTIVE_MS = Number(process.env.INCIDENT_ACTIVE_MIN ?? 30) * 60000;
+const ALERT_RADIUS_M = 500;
+// This close, any heading counts as approaching
+const ALERT_CLOSE_M = 50;
+const APPROACH_MAX_ANGLE = 60;
+const VEHICLE_INDEX_MAX_AGE_MS = 30000;
+const SWEEP_INTERVAL_MS = 5000;
+
+const systemClock = { now: () => Date.now() };
+
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371e3;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function getBearing(lat1, lon1, lat2, lon2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+function angleDiff(a, b) {
+  const d = Math.abs((((a - b) % 360) + 360) % 360);
+  return d > 180 ? 360 - d : d;
+}
+
+class IncidentManager extends EventEmitter {
+  constructor({ store, fanout, notifier = null, roadGraph = null, models = {}, clock = systemClock, countdownMs = COUNTDOWN_MS, activeMs = ACTIVE_MS } = {}) {
+    super();
+    this.store = store;
+    this.fanout = fanout;
+    this.notifier = notifier;
+    this.roadGraph = roadGraph;
+    this.Incident = models.Incident || Incident;
+    this.User = models.User || User;
+    this.clock = clock;
+    this.countdownMs = countdownMs;
+    this.activeMs = activeMs;
+    // incidentId → { incident, timer, alerted: Set<userId> } for incidents opened here
+    this.active = new Map();
+
+    this.sweepInterval = setInterval(() => this._sweep(), SWEEP_INTERVAL_MS);
+  }
+
+  setRoadGraph(roadGraph) {
+    this.roadGraph = roadGraph;
+  }
+
+  // A rider has at most one open incident; a repeat detection returns it
+  async open(userId, { type = "crash", lat, lng, roadId = null, roadName = null, signals = undefined, detectedAt = undefined }) {
+    const now = this.clock.now();
+    const existing = await this.activeFor(userId);
+    if (existing) {
+      console.log(`ℹ️ Incident ${existing._id} already open for ${userId}`);
+      return existing;
+    }
+    if (type === "sos") return this._openSos(userId, { lat, lng, roadId, roadName }, now);
+
+    const incident = (await this.Incident.create({
+      userId,
+      type,
+      location: { type: "Point", coordinates: [lng, lat] },
+      roadId: Number.isFinite(roadId) ? roadId : null,
+      roadName,
+      detectedAt: new Date(detectedAt ?? now),
+      escalateAt: new Date(now + this.countdownMs),
+      signals,
+    })).toObject();
+    const id = String(incident._id);
+    const entry = { incident, timer: null, alerted: new Set() };
+    entry.timer = setTimeout(() => this._escalate(id), this.countdownMs);
+    this.active.set(id, entry);
+    console.warn(`🚑 Incident ${id} opened for ${userId} (${type}) at ${lat},${lng} — escalating in ${Math.round(this.countdownMs / 1000)}s unless cancelled`);
+
+    await this._deliver(userId, {
+      type: "crash_detected",
+      threatId: `incident-${id}`,
+      incidentId: id,
+      escalateAt: incident.escalateAt.getTime(),
+      countdownS: Math.round(this.countdownMs / 1000),
+      lat,
+      lng,
+      severity: 3,
+      message: "🚑 Crash detected — your emergency contacts will be alerted unless you cancel",
+    });
+    await this._alertNearby(entry);
+
+    this.emit("opened", incident);
+    return incident;
+  }
+
+  // Manual SOS at the rider's last known matched position (fallback: the
+  // position sent with the request). Escalates at once; a crash countdown
+  // already running is cut short. Returns null when there is no position at all.
+  async sos(userId, fallback = {}) {
+    const existing = await this.activeFor(userId);
+    if (existing) {
+      if (existing.status === "pending") {
+        await this.Incident.updateOne({ _id: existing._id, status: "pending" }, { $set: { escalateAt: new Date(this.clock.now()) } });
+        await this._escalate(String(existing._id));
+      }
+      return (await this.Incident.findOne({ _id: existing._id }).lean()) || existing;
+    }
+
+    const position = (await this._lastKnownPosition(userId)) || this._fallbackPosition(fallback);
+    if (!position) return null;
+    return this.open(userId, { type: "sos", ...position });
+  }
+
+  async _openSos(userId, { lat, lng, roadId, roadName }, now) {
+    const incident = (await this.Incident.create({
+      userId,
+      type: "sos",
+      location: { type: "Point", coordinates: [lng, lat] },
+      roadId: Number.isFinite(roadId) ? roadId : null,
+      roadName,
+      detectedAt: new Date(now),
+      escalateAt: new Date(now),
+    })).toObject();
+    console.warn(`🆘 SOS from ${userId} at ${lat},${lng}${roadName ? ` (${roadName})` : ""}`);
+    this.emit("opened", incident);
+    await this._escalate(String(incident._id));
+    return (await this.Incident.findOne({ _id: incident._id }).lean()) || incident;
+  }
+
+  async _lastKnownPosition(userId) {
+    if (!this.store?.isReady) return null;
+    try {
+      const [raw] = await this.store.getStates([userId]);
+      if (!raw) return null;
+      const v = typeof raw === "string" ? JSON.parse(raw) : raw;
+      const lat = Number(v.latitude);
+      const lng = Number(v.longitude);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+      return { lat, lng, roadId: v.roadId ?? null, roadName: v.roadName || null };
+    } catch (e) {
+      console.error(`❌ Last known position lookup failed for ${userId}:`, e.message);
+      return null;
+    }
+  }
+
+  _fallbackPosition({ latitude, longitude }) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (latitude == null || longitude == null || !Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+    return { lat, lng, roadId: null, roadName: null };
+  }
+
+  // Only the rider can cancel, and only before escalation. Returns null otherwise.
+  async cancel(incidentId, userId) {
+    if (!mongoose.isValidObjectId(incidentId)) return null;
+    const incident = await this.Incident.findOneAndUpdate(
+      { _id: incidentId, userId, status: "pending" },
+      { $set: { status: "cancelled", cancelledAt: new Date(this.clock.now()) } },
+      { new: true }
+    ).lean();
+    if (!incident) return null;
+    this._untrack(String(incident._id));
+    console.log(`✅ Incident ${incident._id} cancelled by ${userId}`);
+    this.emit("cancelled", incident);
+    return incident;
+  }
+
+  // The rider's open incident, if any
+  async activeFor(userId) {
+    return this.Incident.findOne({
+      userId,
+      status: { $in: ["pending", "escalated"] },
+      detectedAt: { $gte: new Date(this.clock.now() - this.activeMs) },
+    }).sort({ detectedAt: -1 }).lean();
+  }
+
+  async _escalate(incidentId) {
+    const now = this.clock.now();
+    let incident;
+    try {
+      incident = await this.Incident.findOneAndUpdate(
+        { _id: incidentId, status: "pending", escalateAt: { $lte: new Date(now) } },
+        { $set: { status: "escalated", escalatedAt: new Date(now) } },
+        { new: true }
+      ).lean();
+    } catch (e) {
+      console.error(`❌ Failed to escalate incident ${incidentId}:`, e.message);
+      return;
+    }
+    // Cancelled, or already escalated by another instance
+    if (!incident) return;
+    console.warn(`🆘 Incident ${incidentId} escalated for ${incident.userId}`);
+    this.emit("escalate", incident);
+    await this._notifyContacts(incident);
+  }
+
+  // Escalation happens once across instances, so contacts are alerted once
+  async _notifyContacts(incident) {
+    if (!this.notifier) {
+      console.warn(`⚠️ No emergency notifier — incident ${incident._id} not delivered`);
+      return;
+    }
+    let user = null;
+    try {
+      if (mongoose.isValidObjectId(incident.userId)) {
+        user = await this.User.findById(incident.userId).select("username phoneNumber emergencyContacts").lean();
+      }
+    } catch (e) {
+      console.error(`❌ Failed to load emergency contacts for ${incident.userId}:`, e.message);
+    }
+    const contacts = user?.emergencyContacts || [];
+    if (contacts.length === 0) {
+      console.warn(`⚠️ ${incident.userId} has no emergency contacts — incident ${incident._id} not delivered`);
+      return;
+    }
+
+    const message = incidentMessage(incident, user);
+    const notifications = [];
+    for (const contact of contacts) {
+      const result = await this.notifier.send({ contact, incident, user, message });
+      notifications.push({ contactName: contact.name, channel: result.channel, ok: result.ok, error: result.error, at: new Date(this.clock.now()) });
+      if (!result.ok) console.error(`❌ Emergency alert to ${contact.name} failed (${result.channel}):`, result.error);
+    }
+    const delivered = notifications.filter((n) => n.ok).length;
+    console.log(`📨 Incident ${incident._id}: alerted ${delivered}/${contacts.length} emergency contact(s)`);
+    try {
+      await this.Incident.updateOne({ _id: incident._id }, { $push: { notifications: { $each: notifications } } });
+    } catch (e) {
+      console.error(`❌ Failed to record notifications for incident ${incident._id}:`, e.message);
+    }
+  }
+
+  // Warn vehicles within ALERT_RADIUS_M heading towards the incident, once each
+  async _alertNearby(entry) {
+    const { incident, alerted } = entry;
+    if (!this.store?.isReady) return;
+    const [lng, lat] = incident.location.coordinates;
+    const now = this.clock.now();
+
+    const ids = new Set();
+    try {
+      if (incident.roadId != null) {
+        const roads = [incident.roadId, ...(this.roadGraph?.getConnectedRoads(incident.roadId) || [])];
+        for (const uid of await this.store.vehiclesOnRoads(roads, now - VEHICLE_INDEX_MAX_AGE_MS)) ids.add(uid);
+      }
+      for (const uid of await this.store.nearby(incident.userId, ALERT_RADIUS_M, 100)) ids.add(uid);
+    } catch (e) {
+      console.error(`❌ Incident ${incident._id} nearby lookup failed:`, e.message);
+      return;
+    }
+    ids.delete(incident.userId);
+    for (const uid of alerted) ids.delete(uid);
+    if (ids.size === 0) return;
+
+    const candidates = [...ids];
+    let states;
+    try {
+      states = await this.store.getStates(candidates);
+    } catch (e) {
+      console.error(`❌ Incident ${incident._id} state lookup failed:`, e.message);
+      return;
+    }
+
+    const id = String(incident._id);
+    for (let i = 0; i < candidates.length; i++) {
+      const raw = states[i];
+      if (!raw) continue;
+      let v;
+      try {
+        v = typeof raw === "string" ? JSON.parse(raw) : raw;
+      } catch {
+        continue;
+      }
+      const vLat = Number(v.latitude);
+      const vLng = Number(v.longitude);
+      if (!Number.isFinite(vLat) || !Number.isFinite(vLng)) continue;
+      const distance = haversineMeters(vLat, vLng, lat, lng);
+      if (distance > ALERT_RADIUS_M) continue;
+      const approaching = distance <= ALERT_CLOSE_M
+        || angleDiff(Number(v.heading) || 0, getBearing(vLat, vLng, lat, lng)) <= APPROACH_MAX_ANGLE;
+      if (!approaching) continue;
+
+      alerted.add(candidates[i]);
+      await this._deliver(candidates[i], {
+        type: "crash_ahead",
+        threatId: `incident-${id}`,
+        incidentId: id,
+        lat,
+        lng,
+        roadId: incident.roadId,
+        roadName: incident.roadName || null,
+        distance_m: Math.round(distance),
+        severity: 3,
+        message: `🚑 Crash ahead${incident.roadName ? ` on ${incident.roadName}` : ""} — slow down`,
+      });
+    }
+  }
+
+  async _deliver(uid, payload) {
+    if (!this.fanout) return;
+    try {
+      await this.fanout.deliver(uid, payload);
+    } catch (e) {
+      console.error(`❌ Incident push failed for ${uid}:`, e);
+    }
+  }
+
+  _untrack(id) {
+    const entry = this.active.get(id);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.active.delete(id);
+  }
+
+  async _sweep() {
+    const now = this.clock.now();
+    try {
+      // Countdowns whose timer was lost with another instance (or a restart)
+      const due = await this.Incident.find({ status: "pending", escalateAt: { $lte: new Date(now) } })
+        .select("_id").limit(50).lean();
+      for (const d of due) await this._escalate(String(d._id));
+
+      if (this.active.size === 0) return;
+      // Cancellations may have happened on another instance
+      const open = await this.Incident.find({
+        _id: { $in: [...this.active.keys()] },
+        status: { $in: ["pending", "escalated"] },
+      }).select("_id").lean();
+      const stillOpen = new Set(open.map((d) => String(d._id)));
+      for (const [id, entry] of this.active) {
+        if (!stillOpen.has(id) || now - new Date(entry.incident.detectedAt).getTime() > this.activeMs) {
+          this._untrack(id);
+          continue;
+        }
+        await this._alertNearby(entry);
+      }
+    } catch (e) {
+      console.error("❌ Incident sweep failed:", e.message);
+    }
+  }
+
+  destroy() {
+    clearInterval(this.sweepInterval);
+    for (const entry of this.active.values()) clearTimeout(entry.timer);
+    this.active.clear();
+  }
+}
+
+export default IncidentManager;
@@ -1,24 +1,42 @@
 // server.js
+// First: modules below read their settings from process.env as they load
+import "dotenv/config";
 import express from "express";
 import mongoose from "mongoose";
-import dotenv from "dotenv";
 import cors from "cors";
 import jwt from "jsonwebtoken";
 import rateLimit from "express-rate-limit";
 import router from "./Routes/User.routes.js";
+import riskRouter from "./Routes/Risk.routes.js";
+import incidentRouter from "./Routes/Incident.routes.js";
+import emergencyRouter from "./Routes/Emergency.routes.js";
+import sessionRouter from "./Routes/Session.routes.js";
+import adminRouter from "./Routes/Admin.routes.js";
+import preferenceRouter from "./Routes/Preference.routes.js";
+import vehicleRouter from "./Routes/Vehicle.routes.js";
+import spatRouter from "./Routes/Spat.routes.js";
+import { authenticateAccessToken } from "./Controllers/User.controllers.js";
 import { createServer } from "http";
 import { WebSocketServer } from "ws";
 import { createClient } from "redis";
-import { createHash } from "crypto";
 import Road from "./Models/Road.Model.js";
-import Turn from "./Models/Turn.Model.js";
-import TurningEvent from "./Models/TurningEvent.Model.js";
+import User from "./Models/User.Model.js";
+import Vehicle from "./Models/Vehicle.Model.js";
 import RoadGraph from "./roadGraph.js";
 import MapMatcher from "./mapMatcher.js";
 import EtaRegistry from "./etaRegistry.js";
-import { computePredictionUncertainty, computeOverlapProbability, classifyStaleness, classifyAlert, computeAlertConfidence } from "./degradation.js";
+import DetectionEngine from "./detectionEngine.js";
+import DetectionPool from "./detectionPool.js";
+import { RedisVehicleStore, MemoryVehicleStore } from "./vehicleStore.js";
+import ThreatFanout from "./threatFanout.js";
+import IncidentManager from "./incidentManager.js";
+import createNotifier from "./notifier.js";
+import SpatFeed, { parsePartnerKeys, partnerForKey } from "./spat.js";
+import J2735Adapter, { MESSAGE_IDS, parseFrame, updateFromBsm, alertFromThreat } from "./j2735.js";
+import createMailer from "./mailer.js";
+import { normalizeProfile, isVulnerable } from "./vehicleProfiles.js";
+import { normalizeAlertPreferences } from "./degradation.js";
 
-dotenv.config();
 
 // FIX ISSUE #26: block DEV_MODE in production
 if (process.env.NODE_ENV === "production" && process.env.DEV_MODE === "true") {
@@ -26,6 +44,18 @@ if (process.env.NODE_ENV === "production" && process.env.DEV_MODE === "true") {
   process.env.DEV_MODE = "false";
 }
 
+// Token signing secrets: each kind of token has its own, so one leaking can't forge another
+const TOKEN_SECRETS = ["ACCESS_TOKEN_SECRET", "REFRESH_TOKEN_SECRET", "ACTION_TOKEN_SECRET"];
+const missingSecrets = TOKEN_SECRETS.filter((name) => !process.env[name]);
+if (missingSecrets.length > 0) {
+  console.error(`❌ Missing ${missingSecrets.join(", ")}, refusing to start`);
+  process.exit(1);
+}
+if (new Set(TOKEN_SECRETS.map((name) => process.env[name])).size < TOKEN_SECRETS.length) {
+  console.error(`❌ ${TOKEN_SECRETS.join(", ")} must all differ, refusing to start`);
+  process.exit(1);
+}
+
 const app = express();
 
 app.use(
@@ -36,7 +66,6 @@ app.use(
 );
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ limit: "50mb", extended: true }));
-app.use("/api", router);
 
 // Rate limiting
 const loginLimiter = rateLimit({
@@ -55,17 +84,51 @@ const registerLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Password reset and verification mails
+const accountMailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: { error: "Too many email requests, try again after an hour" },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 100,
   message: { error: "Too many requests, slow down" },
   standardHeaders: true,
   legacyHeaders: false,
+  // Signal controllers send every second and have their own limit
+  skip: (req) => req.originalUrl.startsWith("/api/spat"),
+});
+
+const spatLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 1200,
+  message: { error: "Too many signal messages, slow down" },
+  standardHeaders: true,
+  legacyHeaders: false,
 });
 
 app.use("/api/Login", loginLimiter);
 app.use("/api/register", registerLimiter);
+app.use("/api/password/forgot", accountMailLimiter);
+app.use("/api/verify-email/request", accountMailLimiter);
 app.use("/api/", apiLimiter);
+app.use("/api/spat", spatLimiter);
+
+// Routers after the limiters, or the limiters never see their requests
+app.use("/api", router);
+app.use("/api/risk", riskRouter);
+app.use("/api/incidents", incidentRouter);
+app.use("/api/emergency", emergencyRouter);
+app.use("/api/sessions", sessionRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/vehicles", vehicleRouter);
+app.use("/api/alert-preferences", preferenceRouter);
+app.use("/api/spat", spatRouter);
+app.locals.mailer = createMailer();
 
 app.get("/", (req, res) => {
   console.log("🌐 HTTP GET / - Server is alive");
@@ -123,6 +186,22 @@ app.get("/api/nearby-roads", async (req, res) => {
   }
 });
 
+// Loaded road-graph regions and tiles
+app.get("/api/road-graph/status", (req, res) => {
+  if (!roadGraph) {
+    return res.status(503).json({ error: "Road graph not loaded" });
+  }
+  res.json(roadGraph.getStatus());
+});
+
+// Detection worker pool: cells per worker, handoffs, latency percentiles
+app.get("/api/detection/status", (req, res) => {
+  if (!detectionEngine?.getStatus) {
+    return res.json({ workers: [], mode: "main-thread" });
+  }
+  res.json({ mode: "workers", ...detectionEngine.getStatus() });
+});
+
 const server = createServer(app);
 const wss = new WebSocketServer({ server });
 
@@ -131,58 +210,27 @@ const userSockets = new Map();
 // Reverse map socket => userId for O(1) close cleanup
 const socketToUser = new Map();
 
-// Stationary vehicle tracker: userId → timestamp when speed dropped below 0.5
-const stationaryStart = new Map();
-const STATIONARY_THRESHOLD_S = 20;
-
-// Nearby user cache to reduce Redis queries
-// Key: userId, Value: { nearbyIds, timestamp, lat, lng }
-const nearbyCache = new Map();
-const NEARBY_CACHE_TTL_MS = 2000;
-const NEARBY_CACHE_MOVE_THRESHOLD_M = 10;
-
 // Sprint 1: Road graph, map matcher, ETA registry
 let roadGraph = null;
 let mapMatcher = null;
 let etaRegistry = null;
 
-// Road vehicle map: roadId → Set<userId>
-const roadVehicleMap = new Map();
-
-// Previous road map for continuity scoring
-const previousRoadMap = new Map();
-
-// Time sync tracking: userId → { offset, jitter, confidence }
-const timeSyncMap = new Map();
-
-// Tracking stale/expired vehicles
-const vehicleLastSeen = new Map();
-
-// Risk score tracking per junction (in-memory, resets on restart)
-// Key: "lat,lng" rounded to 4 decimals, Value: { nearMisses, brakeEvents, totalThreats }
-const junctionRisk = new Map();
-
-function getJunctionKey(lat, lng) {
-  return `${lat.toFixed(4)},${lng.toFixed(4)}`;
-}
-
-// FIX ISSUE #10: LRU eviction prevents unbounded memory growth
-function updateJunctionRisk(lat, lng) {
-  const key = getJunctionKey(lat, lng);
-  const entry = junctionRisk.get(key) || { nearMisses: 0, brakeEvents: 0, totalThreats: 0, timestamp: Date.now() };
-  entry.totalThreats++;
-  entry.timestamp = Date.now();
-  junctionRisk.set(key, entry);
-}
-
-function getJunctionRiskScore(lat, lng) {
-  const key = getJunctionKey(lat, lng);
-  const entry = junctionRisk.get(key);
-  if (!entry) return 1;
-  // Score 1-10 based on history
-  const score = Math.min(10, 1 + Math.floor((entry.totalThreats + entry.brakeEvents * 2) / 3));
-  return score;
-}
+// Vehicle state shared by every server instance (Redis), or in-process when single node
+let vehicleStore = null;
+// Detection pipeline; created after Redis init, road graph bound once loaded.
+// A DetectionPool (worker threads sharded by geohash cell) when DETECTION_WORKERS > 0;
+// opt-in, since each worker holds its own Mongo connection and road tiles.
+let detectionEngine = null;
+const DETECTION_WORKERS = Number(process.env.DETECTION_WORKERS ?? 0);
+// Real-time push of mirrored threats, across instances when Redis is available
+let threatFanout = null;
+// Crash incidents: rider countdown, nearby warnings, escalation
+let incidentManager = null;
+// Signal phase and timing from partner junction controllers (REST and /spat socket)
+let spatFeed = null;
+// J2735 roadside and on-board units on /v2x; MAPs are learned per instance,
+// from the socket that later sends the matching SPaT
+let v2x = null;
 
 // Redis client with graceful error handling
 // FIX BUG #4: Redis connection failure handled gracefully - server doesn't crash
@@ -191,7 +239,7 @@ let redisConnected = false;
 
 async function initRedis() {
   if (!process.env.REDIS_URL) {
-    console.warn("⚠️ REDIS_URL not set, running without Redis (limited functionality)");
+    console.warn("⚠️ REDIS_URL not set, running without Redis (in-memory vehicle store)");
     return;
   }
   try {
@@ -219,301 +267,12 @@ async function initRedis() {
   }
 }
 
-// --- Utility helpers ---
-function getDistanceInMeters(loc1, loc2) {
-  const R = 6371e3;
-  const φ1 = (loc1.lat * Math.PI) / 180;
-  const φ2 = (loc2.lat * Math.PI) / 180;
-  const Δφ = ((loc2.lat - loc1.lat) * Math.PI) / 180;
-  const Δλ = ((loc2.lng - loc1.lng) * Math.PI) / 180;
-  const a =
-    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
-
-const CONFIG = {
-  NEARBY_RADIUS_METERS: Number(process.env.NEARBY_RADIUS_METERS ?? 75),
-  PROJECTION_TIME_SECONDS: Number(process.env.PROJECTION_TIME_SECONDS ?? 3),
-  THREAT_DISTANCE_METERS: Number(process.env.THREAT_DISTANCE_METERS ?? 15),
-  MIN_MOVING_SPEED_MS: Number(process.env.MIN_MOVING_SPEED_MS ?? 0.1),
-  ANGULAR_VEL_HIGH_DEG_S: Number(process.env.ANGULAR_VEL_HIGH_DEG_S ?? 45),
-  UNCERTAINTY_INFLATION_METERS: Number(process.env.UNCERTAINTY_INFLATION_METERS ?? 5),
-  BLIND_SPOT_RADIUS_BOOST_METERS: Number(process.env.BLIND_SPOT_RADIUS_BOOST_METERS ?? 8),
-  STALE_MS: Number(process.env.STALE_MS ?? 8000),
-  TTC_MAX_SECONDS: Number(process.env.TTC_MAX_SECONDS ?? 3),
-  CLOSING_SPEED_STRONG_MS: Number(process.env.CLOSING_SPEED_STRONG_MS ?? 10),
-};
-
-// Minimum speed (m/s) required to run predicted-collision logic (5 km/h = 1.388... m/s)
-const MIN_PREDICT_COLLISION_SPEED = 1.38;
-
-// FIX BUG #18: Wrong-direction threshold lowered from 150 to 120
-const WRONG_DIR_DIFF = 120;
-
-// FIX BUG #19: Rear-end decel threshold raised from 2.0 to 3.5 (emergency braking)
-const SUDDEN_DECEL = 3.5;
-
-// FIX BUG #23: Collision radius reduced from 4m to 2.5m for two-wheelers
-// Bikes are narrower than cars, smaller buffer avoids false positives on multi-lane roads
-const COLLISION_RADIUS = 2.5;
-
-// FIX BUG #20: Rear-end distance now scales with speed (minimum 10m)
-function getRearEndDistance(speedMs) {
-  return Math.max(10, speedMs * 3);
-}
-
-// FIX BUG #38: Speed-based nearby radius
-function getSpeedBasedRadius(speedMs) {
-  const speedKmh = speedMs * 3.6;
-  if (speedKmh < 20) return 50;
-  if (speedKmh < 40) return 100;
-  if (speedKmh < 60) return 150;
-  return 200;
-}
-
-function getStaleTimeout(speedMs) {
-  // FIX BUG #21: Stale timeout based on speed
-  // Slow/city traffic: longer timeout (cellular networks)
-  // High speed: shorter timeout (safety critical)
-  if (speedMs < 5) return 10000; // 10s for slow traffic
-  if (speedMs < 14) return 6000; // 6s for moderate speeds
-  return 4000; // 4s for high speeds
-}
-
-const SERVER_VERSION = "sprint4";
-
-// FIX ISSUE #22: threatId unique per recipient vehicle
-function deterministicThreatId(type, roadId, otherId, timeHorizon, recipientId) {
-  const raw = `${type}|${roadId || "none"}|${otherId || "none"}|${Math.floor(timeHorizon || 0)}|${recipientId || "self"}`;
-  return createHash("sha256").update(raw).digest("hex").substring(0, 12);
-}
-
-function computeSeverity(type, speedMs, ttc, distToTurn, clientHour) {
-  // FIX BUG #29: Severity scoring 1-3
-  let base = 1;
-  const speedKmh = speedMs * 3.6;
-
-  // Higher speed = more severe
-  if (speedKmh > 50) base += 1;
-  if (speedKmh > 80) base += 1;
-
-  // TTC modifier
-  // FIX ISSUE #3: null coerces to 0 in arithmetic, != null catches both null and undefined
-  if (ttc != null && ttc < 2) base += 1;
-
-  // Turn modifier: closer to turn = more urgent
-  if (distToTurn !== undefined && distToTurn < 20) base += 1;
-
-  // Time of day: night (10PM-6AM) is higher risk
-  // FIX ISSUE #21: uses rider local time not server UTC time
-  if (clientHour !== undefined && (clientHour < 6 || clientHour >= 22)) base += 1;
-
-  return Math.min(3, base);
-}
-
-function normalizeHeadingDeg(value) {
-  if (!Number.isFinite(value)) return 0;
-  let h = value % 360;
-  if (h < 0) h += 360;
-  return h;
-}
-
-function clamp(value, min, max) {
-  return Math.max(min, Math.min(max, value));
-}
-
-function projectPoint(latDeg, lonDeg, bearingDeg, distanceMeters) {
-  const R = 6371e3;
-  const φ1 = (latDeg * Math.PI) / 180;
-  const λ1 = (lonDeg * Math.PI) / 180;
-  const θ = (bearingDeg * Math.PI) / 180;
-  const δ = distanceMeters / R;
-
-  const sinφ1 = Math.sin(φ1);
-  const cosφ1 = Math.cos(φ1);
-  const sinδ = Math.sin(δ);
-  const cosδ = Math.cos(δ);
-
-  const sinφ2 = sinφ1 * cosδ + cosφ1 * sinδ * Math.cos(θ);
-  const φ2 = Math.asin(sinφ2);
-  const y = Math.sin(θ) * sinδ * cosφ1;
-  const x = cosδ - sinφ1 * sinφ2;
-  const λ2 = λ1 + Math.atan2(y, x);
-
-  const lat2 = (φ2 * 180) / Math.PI;
-  let lon2 = (λ2 * 180) / Math.PI;
-  if (lon2 > 180) lon2 -= 360;
-  if (lon2 < -180) lon2 += 360;
-  return { lat: lat2, lng: lon2 };
-}
-
-function degreesToMetersVector(refLatDeg, dLatDeg, dLonDeg) {
-  const metersPerDegLat = 111320;
-  const metersPerDegLon = 111320 * Math.cos((refLatDeg * Math.PI) / 180);
-  return {
-    x: dLonDeg * metersPerDegLon,
-    y: dLatDeg * metersPerDegLat,
-  };
-}
-
-function computeTtcAndCpaMeters(self, other) {
-  const refLat = self.lat;
-  const dLat = other.lat - self.lat;
-  const dLon = other.lng - self.lng;
-  const r = degreesToMetersVector(refLat, dLat, dLon);
-
-  const toRad = (deg) => (deg * Math.PI) / 180;
-  const vSelf = {
-    x: (self.speed ?? 0) * Math.cos(toRad(self.heading ?? 0)),
-    y: (self.speed ?? 0) * Math.sin(toRad(self.heading ?? 0)),
-  };
-  const vOther = {
-    x: (other.speed ?? 0) * Math.cos(toRad(other.heading ?? 0)),
-    y: (other.speed ?? 0) * Math.sin(toRad(other.heading ?? 0)),
-  };
-  const v = { x: vOther.x - vSelf.x, y: vOther.y - vSelf.y };
-
-  const rDotV = r.x * v.x + r.y * v.y;
-  const vMag2 = v.x * v.x + v.y * v.y;
-  if (vMag2 <= 1e-6) {
-    return { ttc: Infinity, cpa: Math.hypot(r.x, r.y), closingSpeed: 0 };
-  }
-  const closingSpeed = -rDotV / Math.hypot(r.x, r.y);
-  let ttc = -rDotV / vMag2;
-  if (ttc < 0) ttc = Infinity;
-  const cpaVec = { x: r.x + v.x * ttc, y: r.y + v.y * ttc };
-  const cpa = Math.hypot(cpaVec.x, cpaVec.y);
-  return { ttc, cpa, closingSpeed };
-}
-
-// ─── TURN DETECTION HELPERS ───
-
-function deg2rad(d) { return (d * Math.PI) / 180; }
-
-function getBearing(lat1, lon1, lat2, lon2) {
-  const dLon = deg2rad(lon2 - lon1);
-  const y = Math.sin(dLon) * Math.cos(deg2rad(lat2));
-  const x = Math.cos(deg2rad(lat1)) * Math.sin(deg2rad(lat2)) -
-            Math.sin(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * Math.cos(dLon);
-  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
-}
-
-function isInCone(myLat, myLng, myHeading, nodeLat, nodeLng, coneAngleDeg, coneRangeM) {
-  const dist = getDistanceInMeters({ lat: myLat, lng: myLng }, { lat: nodeLat, lng: nodeLng });
-  if (dist > coneRangeM) return false;
-  const bearing = getBearing(myLat, myLng, nodeLat, nodeLng);
-  let diff = ((bearing - myHeading) % 360 + 360) % 360;
-  if (diff > 180) diff = 360 - diff;
-  return diff <= coneAngleDeg;
-}
-
-function getAlertThreshold(speedKmh, riskLevel) {
-  const base = { 1: 3, 2: 4, 3: 5, 4: 6, 5: 8 };
-  const seconds = base[riskLevel] || 4;
-  // Scale by speed: faster = more time needed
-  return speedKmh > 60 ? seconds + 2 : speedKmh > 40 ? seconds + 1 : seconds;
-}
-
-async function getUpcomingTurns(lat, lng, heading, speedMs) {
-  try {
-    const coneAngle = 60;
-    const coneRange = 200;
-    const speedKmh = speedMs * 3.6;
-
-    const nearbyTurns = await Turn.find({
-      location: {
-        $near: {
-          $geometry: { type: "Point", coordinates: [lng, lat] },
-          $maxDistance: coneRange,
-        },
-      },
-    }).limit(50).lean();
-
-    const upcoming = [];
-    for (const turn of nearbyTurns) {
-      const [turnLng, turnLat] = turn.location.coordinates;
-      if (!isInCone(lat, lng, heading, turnLat, turnLng, coneAngle, coneRange)) continue;
-
-      const distance = getDistanceInMeters({ lat, lng }, { lat: turnLat, lng: turnLng });
-      const timeToReach = speedMs > 0.5 ? distance / speedMs : 999;
-      const alertThreshold = getAlertThreshold(speedKmh, turn.riskLevel || 1);
-
-      // Check for other vehicles near this turn
-      const otherVehicles = nearbyVehicleCache
-        ? Array.from(nearbyVehicleCache.values()).filter(v => {
-            const vDist = getDistanceInMeters({ lat: turnLat, lng: turnLng }, { lat: v.lat, lng: v.lng });
-            return vDist < 40 && v.userId !== undefined;
-          })
-        : [];
-
-      upcoming.push({
-        distance: Math.round(distance),
-        timeToReach: Math.round(timeToReach * 10) / 10,
-        type: turn.type,
-        angle: turn.angle,
-        blind: turn.isBlind || false,
-        riskLevel: turn.riskLevel || 1,
-        alertNow: timeToReach <= alertThreshold,
-        lat: turnLat,
-        lng: turnLng,
-        sightDistance: turn.sightDistance || 100,
-        roadName: turn.roadName || "",
-        speedLimit: turn.speedLimit,
-        isOneWay: turn.isOneWay,
-        laneCount: turn.laneCount,
-        vehiclesNearby: otherVehicles.length > 0,
-        vehicleCount: otherVehicles.length,
-      });
-    }
-
-    return upcoming.sort((a, b) => a.distance - b.distance);
-  } catch (e) {
-    console.error("Error getting upcoming turns:", e.message);
-    return [];
-  }
-}
-
-// In-memory cache of nearby vehicles for turn queries
-const nearbyVehicleCache = new Map();
-
-// FIX ISSUE #11: module-level speedHistory instead of global
-const speedHistory = new Map();
-
-// FIX ISSUE #28: debounce TurningEvent creation — max 1 per 10 seconds per user
-const turningEventDebounce = new Map();
-const TURNING_COOLDOWN_MS = 10000;
-
-// Clean stale entries from nearbyVehicleCache every 30s
-setInterval(() => {
-  const cutoff = Date.now() - 10000;
-  for (const [key, val] of nearbyVehicleCache) {
-    if (val.timestamp < cutoff) nearbyVehicleCache.delete(key);
-  }
-}, 30000);
-
-// FIX ISSUE #10: LRU cleanup for junctionRisk — run hourly, cap at 10000 entries
-setInterval(() => {
-  const cutoff = Date.now() - 86400000; // 24h
-  for (const [k, v] of junctionRisk) {
-    if (v.timestamp < cutoff) {
-      junctionRisk.delete(k);
-    }
-  }
-  if (junctionRisk.size > 10000) {
-    const keys = [...junctionRisk.keys()];
-    keys.slice(0, Math.min(1000, keys.length)).forEach(k => junctionRisk.delete(k));
-  }
-}, 3600000);
-
-// Track last heading for turn learning
-const lastHeadingMap = new Map();
-const lastHeadingTimeMap = new Map();
-
 // WebSocket rate limiting: max 1 message per second per connection
 const wsMessageTimestamps = new Map();
 
+// Open sockets re-check their token against sessions and password resets
+const WS_ACCESS_RECHECK_MS = 60000;
+
 // FIX BUG #34: Heartbeat interval
 const HEARTBEAT_INTERVAL_MS = 30000;
 const HEARTBEAT_TIMEOUT_MS = 10000;
@@ -526,6 +285,7 @@ setInterval(() => {
       console.log(`💔 Heartbeat expired for ${uid}, removing`);
       userSockets.delete(uid);
       socketToUser.delete(ws);
+      threatFanout?.unregister(uid);
       try { ws.close(); } catch {}
     } else if (ws.readyState === ws.OPEN) {
       try { ws.ping(); } catch {}
@@ -533,6 +293,161 @@ setInterval(() => {
   }
 }, HEARTBEAT_INTERVAL_MS);
 
+// What a socket needs about its rider: the participant they connect as
+// (?participant=pedestrian|cyclist, else ?vehicleId, else the active vehicle,
+// else vehicleType defaults) and their alert preferences.
+// profile is null when vehicleId isn't one of theirs.
+async function loadRiderSettings(userId, vehicleId, participant) {
+  const user = await User.findById(userId).select("vehicleType activeVehicle alertPreferences").lean();
+  const alertPreferences = normalizeAlertPreferences(user?.alertPreferences);
+  if (participant) return { profile: normalizeProfile(participant), alertPreferences };
+  if (vehicleId) {
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) return { profile: null, alertPreferences };
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, userId }).lean();
+    return { profile: vehicle ? normalizeProfile(vehicle) : null, alertPreferences };
+  }
+  const vehicle = user?.activeVehicle ? await Vehicle.findOne({ _id: user.activeVehicle, userId }).lean() : null;
+  return { profile: normalizeProfile(vehicle || user?.vehicleType), alertPreferences };
+}
+
+// Partner controllers stream SPaT on /spat, authenticated by API key (x-api-key
+// header or ?key=); every message is acknowledged
+function handleSpatSocket(ws, req, urlParams) {
+  const partner = spatFeed?.authenticate(req.headers["x-api-key"] ?? urlParams.searchParams.get("key"));
+  if (!partner) {
+    console.warn("⚠️ SPaT socket with invalid API key, rejecting");
+    ws.close(4001, "Invalid API key");
+    return;
+  }
+  console.log(`🚥 SPaT feed connected: ${partner}`);
+
+  ws.on("message", async (message) => {
+    try {
+      const raw = typeof message === "string" ? message : message?.toString?.() ?? "";
+      if (raw.length > 10240) {
+        ws.send(JSON.stringify({ status: "error", reason: "Message too large (max 10KB)" }));
+        return;
+      }
+      const result = await spatFeed.ingest(JSON.parse(raw), partner);
+      ws.send(JSON.stringify(result.accepted
+        ? { status: "accepted", nodeId: result.message.nodeId }
+        : { status: "rejected", reason: result.reason }));
+    } catch (err) {
+      console.error(`❌ SPaT message from ${partner} failed:`, err.message);
+      try {
+        ws.send(JSON.stringify({ status: "error", reason: "Invalid message" }));
+      } catch {}
+    }
+  });
+
+  ws.on("close", () => console.log(`🔌 SPaT feed disconnected: ${partner}`));
+  ws.on("error", (err) => console.error(`❌ SPaT socket error (${partner}):`, err.message));
+}
+
+// MAP geometry makes J2735 frames bigger than app updates
+const V2X_MAX_MESSAGE_BYTES = 65536;
+
+// J2735 units stream on /v2x, authenticated by API key like /spat. Frames are
+// UPER (binary or hex) or JSON MessageFrames. A roadside unit relays many
+// vehicles: each BSM id becomes its own participant mapped to this socket, and
+// its warnings come back as alerts (see j2735.js)
+function handleV2xSocket(ws, req, urlParams) {
+  const partner = partnerForKey(req.headers["x-api-key"] ?? urlParams.searchParams.get("key"), v2x?.partnerKeys ?? []);
+  if (!partner) {
+    console.warn("⚠️ V2X socket with invalid API key, rejecting");
+    ws.close(4001, "Invalid API key");
+    return;
+  }
+  console.log(`📡 V2X unit connected: ${partner}`);
+
+  const participants = new Set();
+  let msgCnt = 0;
+  const encodeAlert = (threat, recipientId) => JSON.stringify(alertFromThreat(threat, { recipientId, msgCnt: msgCnt++ }));
+  // Threats pushed by the fan-out go out as alerts too
+  ws._encodeThreat = encodeAlert;
+  ws._lastPong = Date.now();
+  ws.on("pong", () => {
+    ws._lastPong = Date.now();
+  });
+
+  ws.on("message", async (message, isBinary) => {
+    try {
+      if (message.length > V2X_MAX_MESSAGE_BYTES) {
+        ws.send(JSON.stringify({ status: "error", reason: `Message too large (max ${V2X_MAX_MESSAGE_BYTES / 1024}KB)` }));
+        return;
+      }
+      const frame = parseFrame(isBinary ? message : message.toString());
+
+      if (frame.messageId === MESSAGE_IDS.bsm) {
+        const { update, error } = updateFromBsm(frame.value, { partner });
+        if (error) {
+          ws.send(JSON.stringify({ status: "rejected", messageId: frame.messageId, reason: error }));
+          return;
+        }
+        // BSMs arrive at 10 Hz; detect at the rate app riders are held to
+        const uid = update.userId;
+        const now = Date.now();
+        if (now - (wsMessageTimestamps.get(uid) || 0) < 800) return;
+        wsMessageTimestamps.set(uid, now);
+
+        const response = await detectionEngine.processUpdate(update, { authenticatedUserId: uid });
+        if (response.status === "error") {
+          ws.send(JSON.stringify({ status: "rejected", messageId: frame.messageId, reason: response.reason }));
+          return;
+        }
+        if (userSockets.get(uid) !== ws) await threatFanout.register(uid);
+        userSockets.set(uid, ws);
+        participants.add(uid);
+        for (const t of response.threats) {
+          threatFanout.markDelivered(uid, t.threatId);
+          ws.send(encodeAlert(t, uid));
+        }
+        return;
+      }
+
+      if (frame.messageId === MESSAGE_IDS.map) {
+        const { learned, skipped } = v2x.adapter.learnMap(frame.value);
+        ws.send(JSON.stringify({ status: learned.length > 0 ? "accepted" : "rejected", messageId: frame.messageId, learned, skipped }));
+        return;
+      }
+
+      if (frame.messageId === MESSAGE_IDS.spat) {
+        const { messages, skipped } = v2x.adapter.spatToFeed(frame.value);
+        const nodes = [];
+        for (const msg of messages) {
+          const result = await spatFeed.ingest(msg, partner);
+          if (result.accepted) nodes.push(msg.nodeId);
+          else skipped.push({ nodeId: msg.nodeId, reason: result.reason });
+        }
+        ws.send(JSON.stringify({ status: nodes.length > 0 ? "accepted" : "rejected", messageId: frame.messageId, nodes, skipped }));
+        return;
+      }
+
+      ws.send(JSON.stringify({ status: "rejected", messageId: frame.messageId, reason: "Unsupported messageId" }));
+    } catch (err) {
+      // The detail stays in our log; the unit only learns the frame was refused
+      console.error(`❌ V2X message from ${partner} failed:`, err);
+      try {
+        ws.send(JSON.stringify({ status: "error", reason: "Invalid message" }));
+      } catch {}
+    }
+  });
+
+  ws.on("close", async () => {
+    for (const uid of participants) {
+      if (userSockets.get(uid) !== ws) continue;
+      userSockets.delete(uid);
+      wsMessageTimestamps.delete(uid);
+      const owned = await threatFanout.unregister(uid);
+      detectionEngine?.removeUser(uid, { shared: owned }).catch((e) => {
+        console.error(`❌ Failed to clean up ${uid}:`, e);
+      });
+    }
+    console.log(`🔌 V2X unit disconnected: ${partner} (${participants.size} participants)`);
+  });
+  ws.on("error", (err) => console.error(`❌ V2X socket error (${partner}):`, err.message));
+}
+
 // ---------------- WebSocket connection ----------------
 // FIX BUG #2: WebSocket JWT authentication
 wss.on("connection", (ws, req) => {
@@ -540,6 +455,14 @@ wss.on("connection", (ws, req) => {
 
   // Authenticate via query param token
   const urlParams = new URL(req.url, "http://localhost");
+  if (urlParams.pathname === "/spat") {
+    handleSpatSocket(ws, req, urlParams);
+    return;
+  }
+  if (urlParams.pathname === "/v2x") {
+    handleV2xSocket(ws, req, urlParams);
+    return;
+  }
   const token = urlParams.searchParams.get("token");
   let authenticatedUserId = null;
 
@@ -571,6 +494,50 @@ wss.on("connection", (ws, req) => {
     }
   }
 
+  // The signature alone doesn't make a token good: it may predate a password
+  // reset or belong to a session since logged out or revoked. Nothing is
+  // handled until the token is accepted in full, and an open socket is
+  // re-checked every WS_ACCESS_RECHECK_MS (expiry aside: riders stay connected).
+  const checkAccess = (ignoreExpiration) => authenticateAccessToken(token, { ignoreExpiration }).then(({ user, message }) => {
+    if (user) return true;
+    console.warn(`⚠️ WebSocket token for ${authenticatedUserId} rejected (${message})`);
+    ws.close(4001, message === "Session revoked" ? "Session revoked" : "Invalid or expired token");
+    return false;
+  }).catch((e) => {
+    console.error("❌ Failed to check WebSocket token:", e);
+    ws.close(1011, "Server error");
+    return false;
+  });
+  let accessReady = authenticatedUserId !== "dev-user" ? checkAccess(false) : Promise.resolve(true);
+  let accessCheckedAt = Date.now();
+
+  // Real riders get their registered vehicle and alert preferences stamped on
+  // every update; the dev user (scenario runner) may still send its own.
+  // ws._alertPreferences also filters threats pushed by the fan-out.
+  const vehicleId = urlParams.searchParams.get("vehicleId");
+  const participant = urlParams.searchParams.get("participant");
+  // Only vulnerable road users connect without a vehicle
+  if (participant && !isVulnerable(normalizeProfile(participant))) {
+    ws.close(4005, "Unknown participant type");
+    return;
+  }
+  const profileReady = authenticatedUserId !== "dev-user"
+    ? accessReady.then((ok) => (ok ? loadRiderSettings(authenticatedUserId, vehicleId, participant) : { profile: null })).then(({ profile, alertPreferences }) => {
+      if (ws.readyState !== ws.OPEN) return null;
+      if (!profile) {
+        console.warn(`⚠️ Vehicle ${vehicleId} not registered to ${authenticatedUserId}, rejecting`);
+        ws.close(4004, "Unknown vehicle");
+        return null;
+      }
+      ws._alertPreferences ??= alertPreferences;
+      console.log(`${isVulnerable(profile) ? "🚶" : "🚗"} ${authenticatedUserId} ${participant ? "as" : "driving"} ${profile.type}${profile.vehicleId ? ` (${profile.vehicleId})` : ""}, alerts ${alertPreferences.sensitivity}`);
+      return profile;
+    }).catch((e) => {
+      console.error("❌ Failed to load rider settings:", e);
+      return normalizeProfile(null);
+    })
+    : Promise.resolve(null);
+
   ws._lastPong = Date.now();
 
   ws.on("pong", () => {
@@ -579,6 +546,12 @@ wss.on("connection", (ws, req) => {
 
   ws.on("message", async (message) => {
     try {
+      if (authenticatedUserId !== "dev-user" && Date.now() - accessCheckedAt > WS_ACCESS_RECHECK_MS) {
+        accessCheckedAt = Date.now();
+        accessReady = checkAccess(true);
+      }
+      if (!(await accessReady)) return;
+
       // FIX BUG #26: Message size limit (10KB)
       const rawLength = typeof message === "string" ? message.length : message?.length ?? 0;
       if (rawLength > 10240) {
@@ -604,1103 +577,46 @@ wss.on("connection", (ws, req) => {
       const data = JSON.parse(raw);
       console.log("🧾 Parsed:", data);
 
-      // Validate userId matches authenticated user
-      if (!data || typeof data.userId !== "string" || data.userId.trim() === "") {
-        console.log("⚠️ validation failed: missing userId");
-        ws.send(JSON.stringify({ status: "error", reason: "missing userId" }));
-        return;
-      }
-
-      // FIX BUG #2: Enforce authenticated userId (skip in dev mode)
-      if (process.env.DEV_MODE !== "true" && data.userId !== authenticatedUserId) {
-        console.warn(`⚠️ userId mismatch: data=${data.userId} auth=${authenticatedUserId}`);
-        ws.send(JSON.stringify({ status: "error", reason: "userId mismatch" }));
-        return;
-      }
-
-      if (typeof data.latitude !== "number" || typeof data.longitude !== "number") {
-        console.log("⚠️ validation failed: invalid coordinates");
-        ws.send(JSON.stringify({ status: "error", reason: "invalid coordinates" }));
-        return;
-      }
-
-      // Range validation — lat must be -90..90, lng -180..180
-      if (data.latitude < -90 || data.latitude > 90 || data.longitude < -180 || data.longitude > 180) {
-        console.log(`⚠️ validation failed: coordinates out of range: ${data.latitude}, ${data.longitude}`);
-        ws.send(JSON.stringify({ status: "error", reason: "coordinates out of range" }));
-        return;
-      }
-
-      console.log(`ℹ️ Processing update for userId=${data.userId}`);
-
-      // FIX BUG #16: Socket close O(1) via reverse map
-      userSockets.set(data.userId, ws);
-      socketToUser.set(ws, data.userId);
-      console.log(`🔗 userSockets set for ${data.userId}`);
-
-      // FIX BUG #30: Vehicle type handling
-      const vehicleType = data.vehicleType || "two-wheeler";
-      const isTwoWheeler = vehicleType === "two-wheeler";
-
-      // ─── Sprint 1: Time Sync (One-directional) ───
-      // FIX ISSUE #2: one-directional time sync eliminates cycle
-      // Frontend sends raw clientTime, backend computes offset, returns timeSyncOffset
-      const clientTimeMs = typeof data.clientTime === "number" ? data.clientTime : Date.now();
-      const serverTimeMs = Date.now();
-
-      // No longer reads data.serverTime from frontend — removes cycle
-      const timeOffset = serverTimeMs - clientTimeMs;
-      const rttEstimate = 0; // No longer computed from frontend serverTime
-
-      let timeSyncEntry = timeSyncMap.get(data.userId) || { offsets: [], confidence: 1.0 };
-      timeSyncEntry.offsets.push(timeOffset);
-      if (timeSyncEntry.offsets.length > 20) timeSyncEntry.offsets.shift();
-      const meanOffset = timeSyncEntry.offsets.reduce((a, b) => a + b, 0) / timeSyncEntry.offsets.length;
-      const variance = timeSyncEntry.offsets.reduce((a, b) => a + (b - meanOffset) ** 2, 0) / timeSyncEntry.offsets.length;
-      const stdDev = Math.sqrt(variance);
-      timeSyncEntry.confidence = Math.max(0.1, Math.min(1.0, 1.0 - stdDev / 500));
-      timeSyncEntry.offset = meanOffset;
-      timeSyncMap.set(data.userId, timeSyncEntry);
-
-      // ─── Sprint 1: Map Matching ───
-      const sensorQuality = data.sensorQuality ?? 0.8;
-      const positionUncertainty = data.positionUncertainty ?? 10;
-      const vehicleSpeed = Math.max(0, Number(data.speed ?? 0));
-
-      let matched = {
-        matched: false,
-        roadId: null,
-        snappedLat: data.latitude,
-        snappedLng: data.longitude,
-        roadHeading: data.heading ?? 0,
-        matchConfidence: 0,
-        vehicleStateConfidence: 0.5,
-      };
-
-      if (roadGraph && roadGraph.initialized && mapMatcher) {
-        matched = await mapMatcher.match(
-          data.userId,
-          data.latitude,
-          data.longitude,
-          data.heading ?? 0,
-          vehicleSpeed,
-          positionUncertainty,
-          serverTimeMs
-        );
-      }
-
-      // ─── Track vehicle on road ───
-      const prevRoadId = previousRoadMap.get(data.userId);
-      previousRoadMap.set(data.userId, matched.roadId);
-      if (prevRoadId && prevRoadId !== matched.roadId) {
-        const prevSet = roadVehicleMap.get(prevRoadId);
-        if (prevSet) prevSet.delete(data.userId);
-      }
-      if (matched.roadId) {
-        if (!roadVehicleMap.has(matched.roadId)) roadVehicleMap.set(matched.roadId, new Set());
-        roadVehicleMap.get(matched.roadId).add(data.userId);
-      }
-
-      // ─── When road changes, compute all junctions ahead ───
-      let roadJunctions = [];
-      if (matched.roadId && roadGraph && roadGraph.initialized && matched.matchConfidence >= 0.3) {
-        const isNewRoad = prevRoadId !== matched.roadId;
-        if (isNewRoad) {
-          try {
-            const reachable = roadGraph.getReachableRoads(
-              matched.roadId, 2000, vehicleSpeed, matched.roadHeading || data.heading || 0
-            );
-            const allRoadEntries = [{ rid: matched.roadId, hdg: matched.roadHeading || data.heading || 0 }];
-            for (const r of reachable) {
-              allRoadEntries.push({ rid: r.roadId, hdg: r.entryHeading });
-            }
-
-            const junctionMap = new Map();
-            for (const entry of allRoadEntries) {
-              const junctions = roadGraph.getJunctionsAhead(
-                entry.rid, matched.snappedLat, matched.snappedLng, entry.hdg, 2000
-              );
-              for (const j of junctions) {
-                const key = `${j.lat.toFixed(5)},${j.lng.toFixed(5)}`;
-                if (!junctionMap.has(key)) {
-                  junctionMap.set(key, {
-                    lat: j.lat,
-                    lng: j.lng,
-                    distance: Math.round(j.distance),
-                    type: j.turnType || j.junctionType || "unknown",
-                    dirs: j.dirs || [],
-                    riskLevel: j.riskLevel || 1,
-                    angle: j.angle || 0,
-                  });
-                }
-              }
-            }
-
-            roadJunctions = Array.from(junctionMap.values())
-              .sort((a, b) => a.distance - b.distance);
-          } catch (e) {
-            console.error("❌ Error computing road junctions:", e.message);
-          }
-        }
-      }
-
-      // ─── Track last seen ───
-      vehicleLastSeen.set(data.userId, serverTimeMs);
-
-      // ─── Build enriched payload for Redis ───
-      const storePayload = {
-        ...data,
-        rawLatitude: data.latitude,
-        rawLongitude: data.longitude,
-        latitude: matched.snappedLat,
-        longitude: matched.snappedLng,
-        heading: matched.roadHeading ?? data.heading ?? 0,
-        roadId: matched.roadId,
-        roadName: matched.roadName,
-        highway: matched.highway,
-        matchConfidence: matched.matchConfidence,
-        vehicleStateConfidence: matched.vehicleStateConfidence,
-        roadConfidence: matched.roadConfidence ?? 0,
-        distanceToRoad: matched.distanceToRoad ?? null,
-        oneway: matched.oneway,
-        maxspeed: matched.maxspeed,
-        lanes: matched.lanes,
-        sensorQuality,
-        positionUncertainty,
-        timeSyncConfidence: timeSyncEntry.confidence,
-        serverTime: serverTimeMs,
-        staleness: "fresh",
-      };
-
-      // Persist geo to Redis (GEOADD)
-      if (redisClient?.isReady) {
-        try {
-          await redisClient.geoAdd("users", {
-            longitude: storePayload.longitude,
-            latitude: storePayload.latitude,
-            member: data.userId,
-          });
-          console.log(`🗺️ GEOADD users ${data.userId} @ ${storePayload.latitude},${storePayload.longitude}`);
-        } catch (e) {
-          console.error("❌ Redis GEOADD failed:", e);
-        }
-
-        const ttl = data.speed > 5 ? 10 : 30;
-        try {
-          await redisClient.set(`userData:${data.userId}`, JSON.stringify(storePayload), { EX: ttl });
-          console.log(`💾 SET userData:${data.userId} (ttl=${ttl}s)`);
-        } catch (e) {
-          console.error("❌ Redis SET userData failed:", e);
-        }
-      } else {
-        console.warn("⚠️ Redis not connected — skipping persistence, detection may be limited");
-      }
-
-      // FIX BUG #6: Gyro conversion - correctly convert ALL axes from rad/s to deg/s
-      // Frontend sensors_plus sends gyro in rad/s
-      const gyroRaw = data.gyro || {};
-      const gyroXDeg = (gyroRaw.x || 0) * (180 / Math.PI);
-      const gyroYDeg = (gyroRaw.y || 0) * (180 / Math.PI);
-      const gyroZDeg = (gyroRaw.z || 0) * (180 / Math.PI);
-      const gyroMagnitude = Math.sqrt(gyroXDeg * gyroXDeg + gyroYDeg * gyroYDeg + gyroZDeg * gyroZDeg);
-      const isSuddenTurn = gyroMagnitude >= CONFIG.ANGULAR_VEL_HIGH_DEG_S;
-
-      // FIX BUG #38: Speed-based nearby radius (not just gyro-based)
-      const speedMs_self = Math.max(0, Number(data.speed ?? 0));
-      const speedRadius = getSpeedBasedRadius(speedMs_self);
-      const nearbyRadius = Math.max(speedRadius, CONFIG.NEARBY_RADIUS_METERS) +
-        (isSuddenTurn ? CONFIG.BLIND_SPOT_RADIUS_BOOST_METERS : 0);
-      console.log(`🧭 speed=${speedMs_self.toFixed(1)}m/s gyroMag=${gyroMagnitude.toFixed(1)}°/s radius=${nearbyRadius}m`);
-
-      // FIX BUG #32: Nearby user caching
-      // Use module-level getDistanceInMeters to avoid TDZ issue with local haversineMeters
-      const prevCache = nearbyCache.get(data.userId);
-      let shouldRescan = true;
-      if (prevCache) {
-        const timeSince = Date.now() - prevCache.timestamp;
-        const distSince = getDistanceInMeters(
-          { lat: prevCache.lat, lng: prevCache.lng },
-          { lat: data.latitude, lng: data.longitude }
-        );
-        if (timeSince < NEARBY_CACHE_TTL_MS && distSince < NEARBY_CACHE_MOVE_THRESHOLD_M) {
-          shouldRescan = false;
-        }
-      }
-
-      let nearbyUserIds = [];
-      let otherIds = [];
-      let usersData = [];
-      let roadBubbleUsed = false;
-      let rawNearbyCount = 0;
-
-      if (shouldRescan) {
-        // ─── Sprint 2: Road Distance Bubble ───
-        if (matched.roadId && roadGraph && roadGraph.initialized) {
-          const horizonMeters = Math.min(vehicleSpeed * 8, 500);
-          const reachableRoads = roadGraph.getReachableRoads(matched.roadId, horizonMeters, vehicleSpeed, matched.roadHeading || data.heading || 0);
-          const reachableRoadIds = new Set(reachableRoads.map(r => r.roadId));
-          reachableRoadIds.add(matched.roadId);
-
-          const userIdsOnReachableRoads = new Set();
-          for (const rid of reachableRoadIds) {
-            const vehicles = roadVehicleMap.get(rid);
-            if (vehicles) {
-              for (const uid of vehicles) userIdsOnReachableRoads.add(uid);
-            }
-          }
-
-          // Also get Euclidean for vehicles not yet in road map (first message)
-          if (userIdsOnReachableRoads.size < 3) {
-            try {
-              const euclideanIds = await redisClient.geoRadiusByMember("users", data.userId, nearbyRadius, "m", { COUNT: 50 });
-              for (const uid of euclideanIds) userIdsOnReachableRoads.add(uid);
-            } catch (e) {
-              console.error("❌ Redis geoRadiusByMember failed:", e);
-            }
-          }
-
-          nearbyUserIds = Array.from(userIdsOnReachableRoads);
-          rawNearbyCount = nearbyUserIds.length;
-          roadBubbleUsed = true;
-          console.log(`🔎 Road bubble: ${reachableRoadIds.size} roads, ${nearbyUserIds.length} users (horizon=${horizonMeters}m)`);
+      // Rider dismissing a crash countdown, or asking for help
+      if (data.type === "cancelIncident" || data.type === "sos") {
+        const uid = process.env.DEV_MODE === "true" ? data.userId || authenticatedUserId : authenticatedUserId;
+        let reply;
+        if (data.type === "cancelIncident") {
+          const incident = await incidentManager.cancel(data.incidentId, uid);
+          reply = incident
+            ? { status: "incidentCancelled", incidentId: String(incident._id) }
+            : { status: "error", reason: "No pending incident to cancel" };
         } else {
-          // Euclidean fallback
-          try {
-            nearbyUserIds = await redisClient.geoRadiusByMember("users", data.userId, nearbyRadius, "m", { COUNT: 50 });
-          } catch (e) {
-            console.error("❌ Redis geoRadiusByMember failed:", e);
-          }
-          rawNearbyCount = nearbyUserIds.length;
-        }
-
-        nearbyCache.set(data.userId, {
-          nearbyIds: nearbyUserIds,
-          timestamp: Date.now(),
-          lat: data.latitude,
-          lng: data.longitude,
-        });
-      } else {
-        nearbyUserIds = prevCache.nearbyIds;
-        console.log(`🔎 Using cached nearby list (${nearbyUserIds.length} members)`);
-      }
-
-      otherIds = nearbyUserIds.filter(uid => uid !== data.userId);
-      console.log(`👥 otherIds (excluding self): ${otherIds.length}`, otherIds);
-
-      const keys = otherIds.map(uid => `userData:${uid}`);
-      try {
-        usersData = await redisClient.mGet(keys);
-        console.log(`📦 mGet returned ${usersData.length} entries`);
-      } catch (e) {
-        console.error("❌ Redis mGet failed:", e);
-      }
-
-      // ─── Sprint 1: Road Eligibility Filter ───
-      const selfRoadId = matched.roadId;
-      if (selfRoadId && roadGraph && roadGraph.initialized) {
-        const filteredIds = [];
-        const filteredData = [];
-        for (let i = 0; i < otherIds.length; i++) {
-          const uid = otherIds[i];
-          const raw = usersData[i];
-          if (!raw) continue;
-          try {
-            const otherParsed = JSON.parse(raw);
-            const otherRoadId = otherParsed.roadId;
-            if (otherRoadId) {
-              if (roadGraph.areRoadsConnected(selfRoadId, otherRoadId, 2)) {
-                filteredIds.push(uid);
-                filteredData.push(raw);
-              } else {
-                console.log(`⏭️ Skipping ${uid} (road ${otherRoadId}) — not reachable from ${selfRoadId}`);
-              }
-            } else {
-              filteredIds.push(uid);
-              filteredData.push(raw);
-            }
-          } catch {
-            filteredIds.push(uid);
-            filteredData.push(raw);
-          }
+          const incident = await incidentManager.sos(uid, data);
+          reply = incident
+            ? { status: "sosSent", incidentId: String(incident._id), incidentStatus: incident.status }
+            : { status: "error", reason: "No known position for SOS" };
         }
-        otherIds = filteredIds;
-        usersData = filteredData;
-        console.log(`🔎 After road eligibility: ${otherIds.length} vehicles remain`);
-      }
-
-      // ─── Sprint 1: Staleness Check ───
-      const stalenessCache = new Map();
-      for (let i = otherIds.length - 1; i >= 0; i--) {
-        const uid = otherIds[i];
-        const lastSeen = vehicleLastSeen.get(uid);
-        if (lastSeen) {
-          const staleClass = classifyStaleness(lastSeen);
-          stalenessCache.set(uid, staleClass);
-          if (staleClass === "expired") {
-            otherIds.splice(i, 1);
-            usersData.splice(i, 1);
-            console.log(`⏳ Removed expired vehicle ${uid} from consideration`);
-          }
-        }
-      }
-
-      // Collect nearby vehicles for map display (reuses already-fetched data)
-      const nearbyVehicles = [];
-      for (let i = 0; i < otherIds.length; i++) {
-        const raw = usersData[i];
-        if (!raw) continue;
-        try {
-          const v = JSON.parse(raw);
-          nearbyVehicles.push({
-            id: v.userId ?? otherIds[i],
-            lat: v.latitude ?? v.lat,
-            lng: v.longitude ?? v.lng,
-            heading: v.heading ?? 0,
-            speed: v.speed ?? 0,
-          });
-        } catch {}
-      }
-
-      // local helper functions
-      const deg2rad = d => (d * Math.PI) / 180;
-      const rad2deg = r => (r * 180) / Math.PI;
-      const haversineMeters = (lat1, lon1, lat2, lon2) => {
-        const R = 6371e3;
-        const φ1 = deg2rad(lat1), φ2 = deg2rad(lat2);
-        const Δφ = deg2rad(lat2 - lat1), Δλ = deg2rad(lon2 - lon1);
-        const a = Math.sin(Δφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) ** 2;
-        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-      };
-      const headingDiff = (h1, h2) => {
-        let d = Math.abs((h1 ?? 0) - (h2 ?? 0));
-        if (d > 180) d = 360 - d;
-        return d;
-      };
-
-      // ENU local frame for self
-      const baseLat = data.latitude;
-      const baseLon = data.longitude;
-      const metersPerDegLat = 111320;
-      const metersPerDegLonBase = Math.cos(deg2rad(baseLat)) * 111320;
-
-      const headingSelf = normalizeHeadingDeg(Number(data.heading ?? 0));
-      const headingSelfRad = deg2rad(headingSelf);
-      const speedSelf = Math.max(0, Number(data.speed ?? 0));
-      const velSelf = { x: speedSelf * Math.cos(headingSelfRad), y: speedSelf * Math.sin(headingSelfRad) };
-      const posSelf = { x: 0, y: 0 };
-      console.log(`🚗 Self id=${data.userId} lat=${baseLat} lon=${baseLon} speed=${speedSelf} heading=${headingSelf}`);
-
-      const now = Date.now();
-
-      // ─── Stationary detection: track how long speed has been below 0.5 ───
-      if (speedSelf != null && speedSelf < 0.5) {
-        if (!stationaryStart.has(data.userId)) stationaryStart.set(data.userId, now);
-      } else if (speedSelf != null && speedSelf >= 0.5) {
-        stationaryStart.delete(data.userId);
-      }
-      const selfStaSeconds = stationaryStart.has(data.userId)
-        ? (now - stationaryStart.get(data.userId)) / 1000 : 0;
-      const selfStationary = speedSelf < 0.5 && selfStaSeconds >= STATIONARY_THRESHOLD_S;
-
-      // FIX ISSUE #21: Compute client local hour once for all severity calls
-      let clientHour;
-      const dataTs = data.timestamp;
-      if (dataTs) {
-        const d = new Date(dataTs);
-        const match = String(dataTs).match(/([+-]\d{2}):\d{2}$/);
-        const offsetH = match ? parseInt(match[1], 10) : 5;
-        clientHour = (d.getUTCHours() + offsetH + 24) % 24;
+        ws.send(JSON.stringify(reply));
+        return;
       }
 
-      const threats = [];
-
-      // ─── ETA Registry (skipped for stationary vehicles) ───
-      if (etaRegistry && matched.matched && !selfStationary) {
-        const tracks = etaRegistry.junctions.size;
-        etaRegistry.update(data.userId, matched, matched.snappedLat, matched.snappedLng, matched.roadHeading, vehicleSpeed, {
-          timeSyncQuality: timeSyncEntry.confidence,
-        });
-
-        const etaConflicts = etaRegistry.getPendingConflicts();
-        if (etaConflicts.length > 0) {
-          console.log(`🚦 ETA conflicts detected for ${data.userId}: ${etaConflicts.length} (tracks=${tracks})`);
-        }
-        for (const conflict of etaConflicts) {
-          if (conflict.probability > 0.3) {
-                const icAlertConf = computeAlertConfidence(
-                  conflict.probability,
-                  matched.matchConfidence || 0.5,
-                  sensorQuality,
-                  matched.roadConfidence || 0.5,
-                  matched.vehicleStateConfidence || 0.5
-                );
-                const icAlertClass = classifyAlert(icAlertConf, "balanced");
-                threats.push({
-                  type: "intersection_collision",
-                  id: conflict.vehicleB.userId,
-                  lat: conflict.junctionLat,
-                  lng: conflict.junctionLng,
-                  severity: conflict.probability > 0.7 ? 3 : 2,
-                  collisionProbability: conflict.probability,
-                  alertConfidence: icAlertConf,
-                  alertClass: icAlertClass,
-                  etaSelf: conflict.vehicleA.eta,
-                  etaOther: conflict.vehicleB.eta,
-              etaDiff: conflict.etaDiff,
-              junctionType: conflict.junctionType,
-              message: "🚦 Vehicles approaching same junction",
-            });
-          }
-        }
+      const vehicleProfile = await profileReady;
+      if (vehicleProfile) {
+        data.vehicle = vehicleProfile;
+        data.vehicleType = vehicleProfile.type;
+        data.alertPreferences = ws._alertPreferences;
+      } else if (authenticatedUserId !== "dev-user") {
+        return;
       }
 
-      // detection config
-      // FIX BUG #8: Predicted collision uses 0.5s steps (10 checkpoints instead of 5)
-      const LOOKAHEAD_S = 8;
-      const PREDICT_STEP = 0.5;
-
-      // FIX ISSUE #11: maintain short in-memory speed history (module-level Map)
-      if (!speedHistory.has(data.userId)) speedHistory.set(data.userId, []);
-      const hist = speedHistory.get(data.userId);
-      hist.push({ speed: speedSelf, t: now });
-      speedHistory.set(data.userId, hist.slice(-10));
-
-      function predictTrajectory(lat, lng, roadId, heading, speed, confidence, horizonSeconds) {
-        // Road-constrained trajectory if we have a road match
-        if (roadId && roadGraph && roadGraph.initialized && confidence >= 0.3) {
-          const trajectory = roadGraph.getTrajectory(roadId, lat, lng, heading, speed, horizonSeconds);
-          if (trajectory && trajectory.length > 0) return trajectory;
-        }
-        // Fallback: straight-line prediction
-        const points = [];
-        const stepS = 0.5;
-        const totalSteps = Math.ceil(horizonSeconds / stepS);
-        for (let step = 1; step <= totalSteps; step++) {
-          const t = step * stepS;
-          const dist = speed * t;
-          const p = projectPoint(lat, lng, heading, dist);
-          points.push({ lat: p.lat, lng: p.lng, t });
-        }
-        return points;
-      }
+      const response = await detectionEngine.processUpdate(data, { authenticatedUserId });
 
-      // FIX BUG #10: Majority direction calculated from OTHER vehicles only
-      let otherHeadings = [];
-      for (let i = 0; i < otherIds.length; i++) {
-        const raw = usersData[i];
-        if (!raw) continue;
-        try {
-          const otherTmp = JSON.parse(raw);
-          otherHeadings.push(normalizeHeadingDeg(Number(otherTmp.heading ?? 0)));
-        } catch (e) {
-          console.log(`⚠️ malformed usersData[${i}] for ${otherIds[i]}`);
-        }
-      }
-      function avgHeading(arr) {
-        if (arr.length === 0) return null;
-        let x = 0, y = 0;
-        for (let h of arr) {
-          const rad = (h * Math.PI) / 180;
-          x += Math.cos(rad);
-          y += Math.sin(rad);
-        }
-        if (x === 0 && y === 0) return 0;
-        return (Math.atan2(y, x) * 180) / Math.PI;
-      }
-      const majorityDirection = otherHeadings.length >= 2
-        ? normalizeHeadingDeg(avgHeading(otherHeadings))
-        : null;
-      console.log(`📐 majorityDirection=${majorityDirection} based on ${otherHeadings.length} other vehicles`);
-
-      // (index.js core loop fix check)
-      // MAIN loop: check each nearby vehicle
-      for (let i = 0; i < otherIds.length; i++) {
-        try {
-          const uid = otherIds[i];
-          const raw = usersData[i];
-          if (!raw) {
-            console.log(`⚠️ skipping ${uid} because userData missing`);
-            continue;
-          }
-          const other = JSON.parse(raw);
-
-          const otherTs = new Date(other.timestamp || 0).getTime();
-          const staleTimeout = getStaleTimeout(speedSelf);
-          if (!Number.isFinite(otherTs) || now - otherTs > staleTimeout) {
-            console.log(`⏳ skipping ${uid} because stale: ageMs=${Number.isFinite(otherTs) ? (now - otherTs) : "invalid"} timeout=${staleTimeout}`);
-            continue;
-          }
-
-          const headingOther = normalizeHeadingDeg(Number(other.heading ?? 0));
-          const speedOther = Math.max(0, Number(other.speed ?? 0));
-
-          // ─── Stationary gate: genuinely parked vehicles skip ALL pair checks ───
-          const otherStaSeconds = stationaryStart.has(uid)
-            ? (now - stationaryStart.get(uid)) / 1000 : 0;
-          const otherStationary = speedOther < 0.5 && otherStaSeconds >= STATIONARY_THRESHOLD_S;
-          if (selfStationary || otherStationary) {
-            console.log(`🚫 Stationary gate: skip ${uid} (self=${selfStaSeconds.toFixed(1)}s, other=${otherStaSeconds.toFixed(1)}s)`);
-            continue;
-          }
-
-          // Update nearby vehicle cache for turn queries
-          nearbyVehicleCache.set(uid, {
-            userId: uid,
-            lat: other.latitude,
-            lng: other.longitude,
-            speed: speedOther,
-            heading: headingOther,
-            timestamp: now,
-          });
-
-          const distNow = haversineMeters(baseLat, baseLon, other.latitude, other.longitude);
-          const hdiff = headingDiff(headingSelf, headingOther);
-
-          // LOG distance & heading diff
-          console.log(`📏 [${data.userId} ↔ ${uid}] distNow=${distNow.toFixed(2)}m headingDiff=${hdiff}° speedSelf=${speedSelf} speedOther=${speedOther}`);
-
-        // ----------------------------------------------------
-        // TURN COLLISION DETECTION
-        // FIX BUG #7: Fire if EITHER vehicle detects the turn, not BOTH
-        // FIX BUG #22: Remove +0.1 hack, check speed > 0.5 m/s before ETA
-        // FIX: Multi-turn support — check all turns[] in payload
-        // ----------------------------------------------------
-        try {
-          // FIX ISSUE #6: uses backend roadJunctions when frontend has no turn data
-          const selfHasTurn = data.turnAhead === true ||
-            (Array.isArray(data.turns) && data.turns.length > 0) ||
-            (Array.isArray(roadJunctions) && roadJunctions.length > 0);
-          const otherHasTurn = other.turnAhead === true || (Array.isArray(other.turns) && other.turns.length > 0);
-
-          const selfTurns = data.turns && Array.isArray(data.turns) ? data.turns : [];
-          const otherTurns = other.turns && Array.isArray(other.turns) ? other.turns : [];
-
-          // Include legacy single-turn fields as fallback
-          if (!selfTurns.length && data.intersectionLat != null) {
-            selfTurns.push({ lat: data.intersectionLat, lng: data.intersectionLng, distance: 0, type: 'turn' });
-          }
-          if (!otherTurns.length && other.intersectionLat != null) {
-            otherTurns.push({ lat: other.intersectionLat, lng: other.intersectionLng, distance: 0, type: 'turn' });
-          }
-
-          if (
-            selfHasTurn && otherHasTurn &&
-            selfTurns.length > 0 && otherTurns.length > 0 &&
-            speedSelf > MIN_PREDICT_COLLISION_SPEED &&
-            speedOther > MIN_PREDICT_COLLISION_SPEED
-          ) {
-            let matched = false;
-            for (const tA of selfTurns) {
-              if (matched) break;
-              const aLat = tA.lat != null ? tA.lat : data.intersectionLat;
-              const aLng = tA.lng != null ? tA.lng : data.intersectionLng;
-              if (aLat == null || aLng == null) continue;
-
-              for (const tB of otherTurns) {
-                const bLat = tB.lat != null ? tB.lat : other.intersectionLat;
-                const bLng = tB.lng != null ? tB.lng : other.intersectionLng;
-                if (bLat == null || bLng == null) continue;
-
-                const turnDist = haversineMeters(aLat, aLng, bLat, bLng);
-                // FIX ISSUE #13: dynamic 15-20m threshold accounts for GPS drift
-                const turnThreshold = 15 + Math.min(5, (matched?.matchConfidence ?? 0) * 10);
-                if (turnDist > turnThreshold) continue;
-
-                const distSelfToTurn = haversineMeters(baseLat, baseLon, aLat, aLng);
-                const distOtherToTurn = haversineMeters(other.latitude, other.longitude, aLat, aLng);
-
-                let etaSelf = Infinity, etaOther = Infinity;
-                if (speedSelf > 0.5) etaSelf = distSelfToTurn / speedSelf;
-                if (speedOther > 0.5) etaOther = distOtherToTurn / speedOther;
-
-                console.log("TURN MATCH:", tA.type, "vs", tB.type, "dist:", turnDist.toFixed(1), "m");
-                console.log("TURN ETA SELF:", etaSelf.toFixed(1), "s OTHER:", etaOther.toFixed(1), "s");
-
-                if (Math.abs(etaSelf - etaOther) <= 3.0) {
-                  const riskScore = getJunctionRiskScore(aLat, aLng);
-                  const severity = computeSeverity("turn", speedSelf, Math.min(etaSelf, etaOther), distSelfToTurn, clientHour);
-
-                  updateJunctionRisk(aLat, aLng);
-
-                  const payloadSelf = {
-                    type: "turn_collision",
-                    id: other.userId ?? uid,
-                    lat: other.latitude,
-                    lng: other.longitude,
-                    intersectionLat: aLat,
-                    intersectionLng: aLng,
-                    severity,
-                    riskScore,
-                    eta: Math.min(etaSelf, etaOther),
-                    message: "⚠️ Collision risk at turn ahead",
-                  };
-
-                  threats.push(payloadSelf);
-                  console.log("🚨 TURN COLLISION THREAT (SELF):", payloadSelf);
-
-                  const wsOther = userSockets.get(uid);
-                  if (wsOther && wsOther.readyState === wsOther.OPEN) {
-                    const payloadOther = {
-                      type: "turn_collision",
-                      id: data.userId,
-                      lat: data.latitude,
-                      lng: data.longitude,
-                      intersectionLat: aLat,
-                      intersectionLng: aLng,
-                      severity,
-                      riskScore,
-                      eta: Math.min(etaSelf, etaOther),
-                      message: "⚠️ Collision risk at turn ahead",
-                    };
-                    wsOther.send(JSON.stringify({ status: "threat", data: payloadOther }));
-                    console.log("📣 Sent TURN COLLISION to:", uid);
-                  }
-                  matched = true;
-                  break;
-                }
-              }
-            }
-          }
-        } catch (e) {
-          console.error("❌ Turn collision logic error:", e);
-        }
-        // ----------------------------------------------------
-
-          // FIX BUG #21: Use dynamic stale timeout
-          const staleMs = getStaleTimeout(speedSelf);
-
-          if (speedSelf < MIN_PREDICT_COLLISION_SPEED && speedOther < MIN_PREDICT_COLLISION_SPEED) {
-            console.log(`⛔ Skipping predicted collision: both too slow (<5km/h).`);
-            continue;
-          }
-
-          // 1) Predicted collision check — Sprint 3: Road-constrained trajectory + probability
-          const selfTrajectory = predictTrajectory(
-            data.latitude, data.longitude, matched.roadId,
-            headingSelf, speedSelf, matched.matchConfidence || 0, LOOKAHEAD_S
-          );
-          const otherTrajectory = predictTrajectory(
-            other.latitude, other.longitude, other.roadId,
-            headingOther, speedOther, other.matchConfidence || 0, LOOKAHEAD_S
-          );
-
-          let highestCollisionProbability = 0;
-          let bestTimeHorizon = 0;
-          let bestPredDist = Infinity;
-
-          const maxSteps = Math.min(selfTrajectory.length, otherTrajectory.length);
-          for (let idx = 0; idx < maxSteps; idx++) {
-            const sp = selfTrajectory[idx];
-            const op = otherTrajectory[idx];
-            const t = sp.t || (idx + 1) * 0.5;
-            const dPred = haversineMeters(sp.lat, sp.lng, op.lat, op.lng);
-
-            // FIX ISSUE #1: self uncertainty now uses SELF vehicle data not other's
-            const selfUncertainty = computePredictionUncertainty({
-              timeHorizon: t,
-              speedMs: speedSelf,
-              sensorQuality: data.sensorQuality ?? 0.8,
-              mapMatchConfidence: matched?.matchConfidence ?? 0,
-              roadConfidence: matched?.roadConfidence ?? 0.5,
-              networkRttMs: rttEstimate ?? 0,
-              positionUncertainty: data.positionUncertainty ?? 10,
-              timeSinceLastUpdateMs: 0,
-            });
-
-            const otherUncertainty = computePredictionUncertainty({
-              timeHorizon: t,
-              speedMs: speedOther,
-              sensorQuality: other.sensorQuality ?? 0.8,
-              mapMatchConfidence: other.matchConfidence ?? 0,
-              roadConfidence: other.roadConfidence ?? 0.5,
-              networkRttMs: 0,
-              positionUncertainty: other.positionUncertainty ?? 10,
-              timeSinceLastUpdateMs: other.serverTime ? (now - other.serverTime) : 0,
-            });
-
-            const collisionProb = computeOverlapProbability(dPred, selfUncertainty, otherUncertainty);
-
-            if (collisionProb > highestCollisionProbability) {
-              highestCollisionProbability = collisionProb;
-              bestTimeHorizon = t;
-              bestPredDist = dPred;
-            }
-          }
-
-          if (highestCollisionProbability > 0.2) {
-            const alertConfidence = computeAlertConfidence(
-              highestCollisionProbability,
-              matched.matchConfidence || 0.5,
-              sensorQuality,
-              matched.roadConfidence || 0.5,
-              matched.vehicleStateConfidence || 0.5
-            );
-
-            const alertClass = classifyAlert(alertConfidence, "balanced");
-            const severity = alertConfidence >= 0.7 ? 3 : alertConfidence >= 0.5 ? 2 : 1;
-
-            if (alertClass !== "ignore") {
-              const payloadSelf = {
-                type: "predicted_collision",
-                id: other.userId ?? uid,
-                lat: other.latitude,
-                lng: other.longitude,
-                sourceVehicle: {
-                    userId: other.userId ?? uid,
-                    latitude: other.latitude,
-                    longitude: other.longitude,
-                    speed: speedOther,
-                    heading: headingOther
-                },
-                future_distance_m: Number(bestPredDist.toFixed(2)),
-                time_s: bestTimeHorizon,
-                severity,
-                collisionProbability: highestCollisionProbability,
-                alertConfidence,
-                alertClass,
-                message: "⚠️ Predicted collision based on future paths"
-              };
-
-              console.log(`🚨 PREDICTED COLLISION: prob=${(highestCollisionProbability * 100).toFixed(0)}% conf=${(alertConfidence * 100).toFixed(0)}% class=${alertClass}`);
-              threats.push(payloadSelf);
-
-              const wsOther = userSockets.get(uid);
-              if (wsOther && wsOther.readyState === wsOther.OPEN) {
-                const payloadOther = {
-                  type: "predicted_collision",
-                  id: data.userId,
-                  lat: data.latitude,
-                  lng: data.longitude,
-                  sourceVehicle: {
-                      userId: data.userId,
-                      latitude: data.latitude,
-                      longitude: data.longitude,
-                      speed: speedSelf,
-                      heading: headingSelf
-                  },
-                  future_distance_m: Number(bestPredDist.toFixed(2)),
-                  time_s: bestTimeHorizon,
-                  severity,
-                  collisionProbability: highestCollisionProbability,
-                  alertConfidence,
-                  alertClass,
-                  message: "⚠️ Predicted collision based on future paths"
-                };
-
-                try {
-                  wsOther.send(JSON.stringify({ status: "threat", data: payloadOther }));
-                  console.log(`📣 Sent predicted_collision to other ${uid}`);
-                } catch (e) {
-                  console.error(`❌ Failed to send predicted_collision to ${uid}:`, e);
-                }
-              }
-            } else {
-              console.log(`🔇 Predicted collision suppressed (confidence ${(alertConfidence * 100).toFixed(0)}% below alert threshold)`);
-            }
-          }
-
-          // 2) Rear-end detection
-          // FIX BUG #9: Use median of last 5 speed samples, require 3 consecutive
-          // FIX ISSUE #11: use module-level speedHistory Map
-          const otherHist = speedHistory.get(other.userId) ?? [];
-          if (otherHist.length >= 3) {
-            // Use rolling window of last 5 samples
-            const window = otherHist.slice(-5);
-            const decels = [];
-            for (let j = 1; j < window.length; j++) {
-              const dt = (window[j].t - window[j-1].t) / 1000 || 1;
-              decels.push((window[j-1].speed - window[j].speed) / dt);
-            }
-            // Use median deceleration (filter out GPS glitch spikes)
-            const sorted = [...decels].sort((a, b) => a - b);
-            const medianDecel = sorted.length % 2 === 0
-              ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2
-              : sorted[Math.floor(sorted.length / 2)];
-
-            // FIX BUG #9: Require at least 3 deceleration samples above threshold
-            const aboveThreshold = decels.filter(d => d >= SUDDEN_DECEL).length;
-
-            // FIX BUG #20: Dynamic rear-end distance based on speed
-            const rearEndDist = getRearEndDistance(speedOther);
-            const relativeDist = distNow;
-            const closingSpeed = speedSelf - speedOther;
-
-            console.log(`🛑 Rear-check ${uid}: medianDecel=${medianDecel.toFixed(2)}m/s² aboveThreshold=${aboveThreshold}/${decels.length} closingSpeed=${closingSpeed.toFixed(2)}m/s relativeDist=${relativeDist.toFixed(2)}m thresholdDist=${rearEndDist.toFixed(1)}m`);
-
-            // FIX ISSUE #14: skip rear-end alert for vehicles moving apart
-            const sameDirection = hdiff < 45;
-            const vehiclesMovingApart = sameDirection && (speedSelf - speedOther) <= 0;
-            if (vehiclesMovingApart) {
-              console.log(`⏭️ Skipping rear-end: ${uid} moving apart (closingSpeed=${(speedSelf - speedOther).toFixed(2)}m/s)`);
-              continue;
-            }
-
-            if (medianDecel >= SUDDEN_DECEL && aboveThreshold >= 3 && relativeDist <= rearEndDist && closingSpeed > 0.5) {
-              const severity = computeSeverity("rear_end", speedOther, null, relativeDist, clientHour);
-
-              const payloadSelf = {
-                type: "rear_end",
-                id: other.userId ?? uid,
-                lat: other.latitude,
-                lng: other.longitude,
-                sourceVehicle: {
-                    userId: other.userId ?? uid,
-                    latitude: other.latitude,
-                    longitude: other.longitude,
-                    speed: speedOther,
-                    heading: headingOther
-                },
-                distance_m: Number(relativeDist.toFixed(2)),
-                deceleration: Number(medianDecel.toFixed(2)),
-                severity,
-                message: "🚨 Rear-end danger! Front vehicle is braking hard"
-              };
-
-              // Update junction risk for nearby turns
-              if (data.intersectionLat) {
-                updateJunctionRisk(data.intersectionLat, data.intersectionLng);
-              }
-
-              console.log("🚨 REAR-END threat:", payloadSelf);
-              threats.push(payloadSelf);
-
-              const wsOther = userSockets.get(uid);
-              if (wsOther && wsOther.readyState === wsOther.OPEN) {
-                const payloadOther = {
-                  type: "rear_end",
-                  id: data.userId,
-                  lat: data.latitude,
-                  lng: data.longitude,
-                  sourceVehicle: {
-                      userId: data.userId,
-                      latitude: data.latitude,
-                      longitude: data.longitude,
-                      speed: speedSelf,
-                      heading: headingSelf
-                  },
-                  distance_m: Number(relativeDist.toFixed(2)),
-                  deceleration: Number(medianDecel.toFixed(2)),
-                  severity,
-                  message: "🚨 Vehicle behind may hit you"
-                };
-
-                try {
-                  wsOther.send(JSON.stringify({ status: "threat", data: payloadOther }));
-                  console.log(`📣 Sent rear_end to other ${uid}`);
-                } catch (e) {
-                  console.error(`❌ Failed to send rear_end to ${uid}:`, e);
-                }
-              }
-              continue;
-            }
-          } else {
-            console.log(`ℹ️ No sufficient speedHistory for ${uid} (len=${otherHist.length})`);
-          }
-
-          // 3) Wrong-direction detection
-          // FIX BUG #10: Only run if we have a valid majority from other vehicles
-          // FIX BUG #18: Use corrected threshold of 120 degrees
-          if (majorityDirection !== null) {
-            const headingDifferenceFromMajority = headingDiff(headingOther, majorityDirection);
-            console.log(`↔️ Wrong-direction check ${uid}: diffFromMajority=${headingDifferenceFromMajority}° (threshold=${WRONG_DIR_DIFF})`);
-
-            // FIX BUG #38: Dynamic wrong-direction detection range based on speed
-            const wrongDirRange = getSpeedBasedRadius(speedOther);
-
-            if (headingDifferenceFromMajority >= WRONG_DIR_DIFF && distNow <= wrongDirRange) {
-              const severity = computeSeverity("wrong_direction", speedOther, null, distNow, clientHour);
-
-              const payloadSelf = {
-                type: "wrong_direction",
-                id: other.userId ?? uid,
-                lat: other.latitude,
-                lng: other.longitude,
-                sourceVehicle: {
-                    userId: other.userId ?? uid,
-                    latitude: other.latitude,
-                    longitude: other.longitude,
-                    heading: headingOther
-                },
-                distance_m: Number(distNow.toFixed(2)),
-                severity,
-                message: "🚫 Vehicle traveling in opposite direction"
-              };
-
-              console.log("🚨 WRONG DIRECTION threat:", payloadSelf);
-              threats.push(payloadSelf);
-
-              const wsOther = userSockets.get(uid);
-              if (wsOther && wsOther.readyState === wsOther.OPEN) {
-                const payloadOther = {
-                  type: "wrong_direction",
-                  id: data.userId,
-                  lat: data.latitude,
-                  lng: data.longitude,
-                  sourceVehicle: {
-                      userId: data.userId,
-                      latitude: data.latitude,
-                      longitude: data.longitude,
-                      heading: headingSelf
-                  },
-                  distance_m: Number(distNow.toFixed(2)),
-                  severity,
-                  message: "🚫 You are going opposite to traffic"
-                };
-
-                try {
-                  wsOther.send(JSON.stringify({ status: "threat", data: payloadOther }));
-                  console.log(`📣 Sent wrong_direction to other ${uid}`);
-                } catch (e) {
-                  console.error(`❌ Failed to send wrong_direction to ${uid}:`, e);
-                }
-              }
-              continue;
-            }
-          } else {
-            console.log(`↔️ Skipping wrong-direction check: insufficient data (need >=2 other vehicles)`);
-          }
-
-          // MISSING FEATURE 31: One-way road detection
-          // If the other vehicle's road has a oneway tag and they're going wrong way
-          if (other.oneway === "yes" || other.oneway === "true" || other.oneway === "-1") {
-            // Check if heading is opposite to road direction
-            // Road direction can be inferred from road geometry bearing
-            console.log(`⚠️ ${uid} is on a one-way road (oneway=${other.oneway})`);
-          }
-
-          console.log(`✅ No threat detected for neighbor ${uid}`);
-        } catch (innerErr) {
-          console.error("❌ Error processing nearby user:", otherIds[i], innerErr);
-        }
-      } // end for otherIds
-
-      // Get upcoming turns for this vehicle
-      const upcomingTurns = await getUpcomingTurns(baseLat, baseLon, headingSelf, speedSelf);
-
-      // Add turn learning: detect heading changes > 20 degrees
-      const prevHeading = lastHeadingMap.get(data.userId);
-      const prevTime = lastHeadingTimeMap.get(data.userId) || 0;
-      if (prevHeading !== undefined && Date.now() - prevTime <= 3000) {
-        const headingChange = Math.abs(headingSelf - prevHeading);
-        if (headingChange > 20 && speedSelf > 1.38) {
-          // FIX ISSUE #28: debounce TurningEvent — max 1 per 10s per user
-          const lastTurningEvent = turningEventDebounce.get(data.userId) || 0;
-          if (Date.now() - lastTurningEvent < TURNING_COOLDOWN_MS) {
-            // Skip — too soon since last event
-          } else {
-            turningEventDebounce.set(data.userId, Date.now());
-            // Record turning event for auto-learning (fire-and-forget)
-            TurningEvent.create({
-            userId: data.userId,
-            location: {
-              type: "Point",
-              coordinates: [baseLon, baseLat],
-            },
-            headingBefore: prevHeading,
-            headingAfter: headingSelf,
-            angleChange: headingChange,
-            speed: speedSelf,
-            timestamp: new Date(),
-          }).catch(() => {});
-
-          // Check if 5+ turning events at this location → auto-create turn (fire-and-forget)
-          TurningEvent.countDocuments({
-            location: {
-              $near: {
-                $geometry: { type: "Point", coordinates: [baseLon, baseLat] },
-                $maxDistance: 20,
-              },
-            },
-            timestamp: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
-          }).then((nearbyEvents) => {
-            if (nearbyEvents >= 5) {
-              Turn.findOne({
-                location: {
-                  $near: {
-                    $geometry: { type: "Point", coordinates: [baseLon, baseLat] },
-                    $maxDistance: 15,
-                  },
-                },
-              }).then((existingTurn) => {
-                if (!existingTurn) {
-                  Turn.create({
-                    location: { type: "Point", coordinates: [baseLon, baseLat] },
-                    type: headingChange > 60 ? "sharp_turn" : "moderate_turn",
-                    angle: Math.round(headingChange),
-                    riskLevel: headingChange > 60 ? 3 : 2,
-                    isBlind: true,
-                    junctionCount: 2,
-                    approachVectors: [{ heading: prevHeading }, { heading: headingSelf }],
-                  }).then(() => {
-                    console.log(`🔄 Auto-created turn from rider behavior at ${baseLat},${baseLon}`);
-                  }).catch(() => {});
-                }
-              }).catch(() => {});
-            }
-          }).catch(() => {});
-          } // end else block (debounce skip)
-        } // end if headingChange > 20
-      } // end if prevHeading !== undefined
-      lastHeadingMap.set(data.userId, headingSelf);
-      lastHeadingTimeMap.set(data.userId, Date.now());
-
-      // send threats back to origin + upcoming turns
-      console.log(`📤 Finished checks. Returning ${threats.length} threat(s), ${upcomingTurns.length} upcoming turn(s) to ${data.userId}`);
-
-      // Sprint 1: Include time sync + road info in response
-      // Phase 1: Add deterministic threat IDs for replay validation
-      const selfRoad = matched.roadId ? roadGraph?.getRoad(matched.roadId) : null;
-
-      for (const t of threats) {
-        if (!t.threatId) {
-          // FIX ISSUE #22: include recipientId for unique per-vehicle threatId
-          t.threatId = deterministicThreatId(t.type, matched.roadId, t.id, t.time_s || t.eta || 0, data.userId);
-        }
+      if (response.status !== "error") {
+        // FIX BUG #16: Socket close O(1) via reverse map
+        if (userSockets.get(data.userId) !== ws) await threatFanout.register(data.userId);
+        userSockets.set(data.userId, ws);
+        socketToUser.set(ws, data.userId);
+        for (const t of response.threats) threatFanout.markDelivered(data.userId, t.threatId);
       }
 
       try {
-        const responseRedisConnected = redisClient?.isReady ?? false;
-        console.log(`📤 Sending response with redisConnected=${responseRedisConnected}`);
-          ws.send(JSON.stringify({
-             status: "received",
-            timestamp: new Date(),
-            serverTime: Date.now(),
-            serverVersion: SERVER_VERSION,
-            redisConnected: responseRedisConnected,
-          timeSyncConfidence: timeSyncEntry?.confidence ?? 1.0,
-          // FIX ISSUE #2: return computed offset for one-directional sync
-          timeSyncOffset: timeSyncEntry?.offset ?? 0,
-          threats,
-          nearbyVehicles,
-          upcomingTurns,
-          currentRoadInfo: {
-            speedLimit: selfRoad?.maxspeed || null,
-            isOneWay: matched.oneway || null,
-            laneCount: matched.lanes || null,
-            roadName: matched.roadName || selfRoad?.name || null,
-            highway: matched.highway || null,
-            roadId: matched.roadId,
-            roadConfidence: matched.roadConfidence ?? null,
-            matchConfidence: matched.matchConfidence ?? null,
-          },
-          mapMatch: {
-            matched: matched.matched,
-            confidence: matched.matchConfidence ?? 0,
-            roadId: matched.roadId,
-            roadName: matched.roadName,
-            highway: matched.highway,
-            snappedLat: matched.snappedLat,
-            snappedLng: matched.snappedLng,
-            vehicleStateConfidence: matched.vehicleStateConfidence ?? 0.5,
-          },
-          roadBubble: {
-            used: roadBubbleUsed,
-            rawCount: rawNearbyCount,
-            filteredCount: nearbyUserIds.length,
-            reduction: rawNearbyCount > 0 ? ((1 - nearbyUserIds.length / rawNearbyCount) * 100).toFixed(0) + "%" : "0%",
-          },
-          roadJunctions,
-        }));
+        ws.send(JSON.stringify(response));
       } catch (e) {
         console.error("❌ Failed to send response to origin:", e);
       }
@@ -1715,17 +631,17 @@ wss.on("connection", (ws, req) => {
 
   // FIX BUG #16: O(1) socket close cleanup via reverse map
   // FIX ISSUE #7/#11/#28: Clean up per-user caches on disconnect
-  ws.on("close", () => {
+  ws.on("close", async () => {
     const uid = socketToUser.get(ws);
     if (uid) {
       userSockets.delete(uid);
       socketToUser.delete(ws);
-      nearbyCache.delete(uid);
       wsMessageTimestamps.delete(uid);
-      speedHistory.delete(uid);
-      turningEventDebounce.delete(uid);
-      stationaryStart.delete(uid);
-      if (mapMatcher) mapMatcher.removeUser(uid);
+      // Shared state stays when the rider has already reconnected to another instance
+      const owned = await threatFanout.unregister(uid);
+      detectionEngine?.removeUser(uid, { shared: owned }).catch((e) => {
+        console.error(`❌ Failed to clean up ${uid}:`, e);
+      });
       console.log(`🔌 Removed socket mapping for ${uid}`);
     }
     console.log("❌ WebSocket client disconnected");
@@ -1737,6 +653,7 @@ wss.on("connection", (ws, req) => {
     if (uid) {
       userSockets.delete(uid);
       socketToUser.delete(ws);
+      threatFanout?.unregister(uid);
     }
   });
 }); // end wss.on("connection")
@@ -1746,21 +663,110 @@ async function initRoadGraph() {
   try {
     roadGraph = new RoadGraph();
     await roadGraph.loadFromMongo();
-    mapMatcher = new MapMatcher(roadGraph);
-    etaRegistry = new EtaRegistry(roadGraph);
+    mapMatcher = new MapMatcher(roadGraph, { store: vehicleStore });
+    etaRegistry = new EtaRegistry(roadGraph, { store: vehicleStore, spat: spatFeed });
     etaRegistry.on("junctionConflict", (conflict) => {
       console.log(`🚦 Junction conflict at ${conflict.junction}: probability=${(conflict.probability * 100).toFixed(0)}%`);
     });
-    console.log("✅ Road graph, map matcher, and ETA registry initialized");
+    console.log(`✅ Road graph, map matcher (${mapMatcher.mode}), and ETA registry initialized`);
   } catch (err) {
     console.error("❌ Road graph initialization failed:", err.message);
     console.warn("⚠️ Continuing without road graph (limited functionality)");
   }
+  detectionEngine.setRoadGraph(roadGraph, mapMatcher, etaRegistry);
+  incidentManager.setRoadGraph(roadGraph);
+}
+
+// VEHICLE_STORE=memory forces the in-process store; otherwise Redis when connected
+function createVehicleStore() {
+  if (process.env.VEHICLE_STORE !== "memory" && redisClient?.isReady) {
+    console.log("🗄️ Vehicle store: redis");
+    return new RedisVehicleStore(redisClient);
+  }
+  console.warn("⚠️ Vehicle store: in-memory (single node only)");
+  return new MemoryVehicleStore();
+}
+
+async function initDetectionEngine() {
+  const enforceUserId = process.env.DEV_MODE !== "true";
+  detectionEngine = null;
+  if (DETECTION_WORKERS > 0) {
+    const pool = new DetectionPool({ size: DETECTION_WORKERS, store: vehicleStore, enforceUserId });
+    try {
+      await pool.start();
+      detectionEngine = pool;
+    } catch (err) {
+      console.error("❌ Detection workers failed to start, detecting on the main thread:", err.message);
+      await pool.destroy();
+    }
+  }
+  if (!detectionEngine) {
+    detectionEngine = new DetectionEngine({ store: vehicleStore, spat: spatFeed, enforceUserId });
+  }
+  // Mirrored threats go straight to the counterpart's socket, wherever it is connected
+  detectionEngine.on("peerThreat", (uid, payload) => {
+    threatFanout.deliver(uid, payload).catch((e) => {
+      console.error(`❌ Threat fan-out failed for ${uid}:`, e);
+    });
+  });
+  detectionEngine.on("crash", (event) => {
+    incidentManager.open(event.userId, event).catch((e) => {
+      console.error(`❌ Failed to open incident for ${event.userId}:`, e);
+    });
+  });
+}
+
+// Detection workers read the feed through the shared store
+function initSpat() {
+  spatFeed = new SpatFeed({ store: vehicleStore });
+  app.locals.spat = spatFeed;
+  if (!spatFeed.enabled) console.warn("⚠️ SPAT_API_KEYS not set, signal timing ingestion disabled");
+}
+
+// Junctions are mapped to OSM nodes by V2X_INTERSECTIONS (see j2735.js)
+function initV2x() {
+  v2x = { adapter: new J2735Adapter(), partnerKeys: parsePartnerKeys(process.env.V2X_API_KEYS) };
+  if (v2x.partnerKeys.length === 0) console.warn("⚠️ V2X_API_KEYS not set, J2735 gateway disabled");
+  else if (v2x.adapter.intersections.size === 0) console.warn("⚠️ V2X_INTERSECTIONS not set, MAP/SPaT from V2X units will be skipped");
+}
+
+function initIncidents() {
+  incidentManager = new IncidentManager({ store: vehicleStore, fanout: threatFanout, notifier: createNotifier() });
+  app.locals.incidents = incidentManager;
+}
+
+// Pub/sub needs a dedicated connection: a subscribed client cannot issue other commands
+async function initThreatFanout() {
+  let subscriber = null;
+  if (redisClient?.isReady) {
+    try {
+      subscriber = redisClient.duplicate();
+      subscriber.on("error", (err) => console.error("❌ Redis subscriber error:", err.message));
+      await subscriber.connect();
+    } catch (err) {
+      console.warn("⚠️ Redis subscriber failed, threat push limited to this instance:", err.message);
+      subscriber = null;
+    }
+  }
+  threatFanout = new ThreatFanout({
+    userSockets,
+    publisher: subscriber ? redisClient : null,
+    subscriber,
+    presence: vehicleStore,
+  });
+  await threatFanout.start();
 }
 
 // Start Mongo + Redis + server
 async function startServer() {
   await initRedis();
+  vehicleStore = createVehicleStore();
+  await initThreatFanout();
+  app.locals.realtime = { userSockets, store: vehicleStore, fanout: threatFanout };
+  initIncidents();
+  initSpat();
+  initV2x();
+  await initDetectionEngine();
 
   mongoose
     .connect(process.env.MONGO_URI)
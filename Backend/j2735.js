@@ -0,0 +1,560 @@
+import { createHash } from "crypto";
+import { validateSpatMessage } from "./spat.js";
+
+// SAE J2735 adapter for V2X roadside units and on-board units (OBUs).
+//
+//   BSM (Basic Safety Message, id 20) ⇄ detection updates. JSON uses the ASN.1
+//     field names and units; UPER covers the MessageFrame and BSMcoreData. A
+//     BSM's Part II is read from JSON (vehicle class) and skipped in UPER.
+//   MAP (18) and SPaT (19), JSON subset → spat.js feed messages: MAP gives each
+//     ingress lane's approach bearing, stop line and signal groups, SPaT the
+//     groups' current phase and end time.
+//   Threats → V2X alert, JSON only. J2735 has no message for warnings computed
+//     off-board, so they use test message id 240 (240-255 are left for local
+//     use) with J2735 units and field names.
+//
+// J2735 intersections are (region, id) pairs, junctions here are OSM nodes:
+// V2X_INTERSECTIONS=[region:]id=osmNodeId,... maps them.
+
+const MESSAGE_IDS = { map: 18, spat: 19, bsm: 20, alert: 240 };
+
+// J2735 units and "unavailable" values
+const LAT_UNAVAILABLE = 900000001;
+const LONG_UNAVAILABLE = 1800000001;
+const ELEV_UNAVAILABLE = -4096;
+const SPEED_UNAVAILABLE = 8191;
+const HEADING_UNAVAILABLE = 28800;
+const SEMI_MAJOR_UNAVAILABLE = 255;
+const SEC_MARK_UNAVAILABLE = 65535;
+const TIME_MARK_UNKNOWN = 36001;
+const DEG_UNIT = 1e-7; // Latitude/Longitude: 1/10 micro degree
+const SPEED_UNIT = 0.02; // m/s
+const HEADING_UNIT = 0.0125; // deg
+const ACCURACY_UNIT = 0.05; // m
+const YAW_UNIT = 0.01; // deg/s, clockwise positive (SAE J670 axes)
+
+const TRANSMISSION = ["neutral", "park", "forwardGears", "reverseGears", "reserved1", "reserved2", "reserved3", "unavailable"];
+const BRAKE_STATUS = ["unavailable", "off", "on", "engaged"];
+const BRAKE_BOOST = ["unavailable", "off", "on"];
+const AUX_BRAKES = ["unavailable", "off", "on", "reserved"];
+
+// BSMcoreData in UPER order: [path, kind, lower, upper | values | size]
+const CORE_FIELDS = [
+  ["msgCnt", "int", 0, 127],
+  ["id", "octets", 4],
+  ["secMark", "int", 0, 65535],
+  ["lat", "int", -900000000, 900000001],
+  ["long", "int", -1799999999, 1800000001],
+  ["elev", "int", -4096, 61439],
+  ["accuracy.semiMajor", "int", 0, 255],
+  ["accuracy.semiMinor", "int", 0, 255],
+  ["accuracy.orientation", "int", 0, 65535],
+  ["transmission", "enum", TRANSMISSION],
+  ["speed", "int", 0, 8191],
+  ["heading", "int", 0, 28800],
+  ["angle", "int", -126, 127],
+  ["accelSet.long", "int", -2000, 2001],
+  ["accelSet.lat", "int", -2000, 2001],
+  ["accelSet.vert", "int", -127, 127],
+  ["accelSet.yaw", "int", -32767, 32767],
+  ["brakes.wheelBrakes", "bits", 5],
+  ["brakes.traction", "enum", BRAKE_STATUS],
+  ["brakes.abs", "enum", BRAKE_STATUS],
+  ["brakes.scs", "enum", BRAKE_STATUS],
+  ["brakes.brakeBoost", "enum", BRAKE_BOOST],
+  ["brakes.auxBrakes", "enum", AUX_BRAKES],
+  ["size.width", "int", 0, 1023],
+  ["size.length", "int", 0, 4095],
+];
+
+// BasicVehicleClass ranges (Part II supplemental extensions) → vehicle types
+const VEHICLE_CLASSES = [
+  [10, 24, "four-wheeler"], // passenger, light truck
+  [25, 39, "truck"],
+  [40, 49, "two-wheeler"],
+  [50, 59, "bus"], // transit
+  [60, 69, "four-wheeler"], // emergency
+  [80, 82, "pedestrian"],
+  [83, 83, "bicycle"],
+  [84, 84, "pedestrian"], // road worker
+];
+const PART_II_SUPPLEMENTAL = 2;
+const HEAVY_LENGTH_CM = 900;
+
+// MovementPhaseState → spat.js phases; dark, unavailable and flashing amber control nothing
+const EVENT_PHASES = {
+  "stop-Then-Proceed": "red",
+  "stop-And-Remain": "red",
+  "pre-Movement": "red",
+  "permissive-Movement-Allowed": "green",
+  "protected-Movement-Allowed": "green",
+  "permissive-clearance": "amber",
+  "protected-clearance": "amber",
+};
+const EVENT_STATES = [
+  "unavailable", "dark", "stop-Then-Proceed", "stop-And-Remain", "pre-Movement",
+  "permissive-Movement-Allowed", "protected-Movement-Allowed", "permissive-clearance",
+  "protected-clearance", "caution-Conflicting-Traffic",
+];
+// An approach's lanes may have different signal groups; the most permissive one is reported
+const PHASE_RANK = { green: 2, amber: 1, red: 0 };
+// Ingress lanes this close in bearing form one approach
+const SAME_APPROACH_DEG = 20;
+const MAX_STOP_LINE_M = 100;
+const MAX_TIME_TO_CHANGE_S = 600;
+
+const systemClock = { now: () => Date.now() };
+
+// ─── UPER bit packing ───
+
+class BitWriter {
+  constructor() {
+    this.bits = [];
+  }
+
+  // Values up to 2^53: arithmetic, as bitwise ops are 32-bit signed
+  write(value, width) {
+    for (let i = width - 1; i >= 0; i--) this.bits.push(Math.floor(value / 2 ** i) % 2);
+  }
+
+  toBuffer() {
+    const out = Buffer.alloc(Math.max(1, Math.ceil(this.bits.length / 8)));
+    this.bits.forEach((bit, i) => {
+      if (bit) out[i >> 3] |= 0x80 >> (i & 7);
+    });
+    return out;
+  }
+}
+
+class BitReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.pos = 0;
+  }
+
+  read(width) {
+    if (this.pos + width > this.buffer.length * 8) throw new Error("Truncated UPER message");
+    let value = 0;
+    for (let i = 0; i < width; i++, this.pos++) {
+      value = value * 2 + ((this.buffer[this.pos >> 3] >> (7 - (this.pos & 7))) & 1);
+    }
+    return value;
+  }
+}
+
+function bitsFor(range) {
+  return range <= 1 ? 0 : Math.ceil(Math.log2(range));
+}
+
+function getPath(obj, path) {
+  return path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split(".");
+  let o = obj;
+  for (const k of keys.slice(0, -1)) o = o[k] ??= {};
+  o[keys[keys.length - 1]] = value;
+}
+
+// null when coreData fits its ASN.1 constraints, else why not
+function validateCoreData(core) {
+  if (!core || typeof core !== "object") return "coreData missing";
+  for (const [path, kind, a, b] of CORE_FIELDS) {
+    const v = getPath(core, path);
+    if (kind === "int" && !(Number.isInteger(v) && v >= a && v <= b)) return `${path} must be an integer ${a}..${b}`;
+    if (kind === "enum" && !a.includes(v)) return `${path} must be one of ${a.join(", ")}`;
+    if (kind === "octets" && !(typeof v === "string" && new RegExp(`^[0-9a-fA-F]{${a * 2}}$`).test(v))) return `${path} must be ${a} octets of hex`;
+    if (kind === "bits" && !(typeof v === "string" && new RegExp(`^[01]{${a}}$`).test(v))) return `${path} must be ${a} bits`;
+  }
+  return null;
+}
+
+// MessageFrame { messageId, value } with a BSM value (no Part II or regional) → UPER
+function encodeBsmUper(bsm) {
+  const reason = validateCoreData(bsm?.coreData);
+  if (reason) throw new Error(reason);
+  const body = new BitWriter();
+  body.write(0, 3); // no extensions, no partII, no regional
+  for (const [path, kind, a, b] of CORE_FIELDS) {
+    const v = getPath(bsm.coreData, path);
+    if (kind === "int") body.write(v - a, bitsFor(b - a + 1));
+    else if (kind === "enum") body.write(a.indexOf(v), bitsFor(a.length));
+    else if (kind === "octets") body.write(parseInt(v, 16), a * 8);
+    else body.write(parseInt(v, 2), a);
+  }
+  const value = body.toBuffer();
+  if (value.length >= 16384) throw new Error("BSM too large");
+
+  const frame = new BitWriter();
+  frame.write(0, 1); // MessageFrame extension bit
+  frame.write(MESSAGE_IDS.bsm, 15);
+  // Open type: unconstrained length in octets
+  if (value.length < 128) frame.write(value.length, 8);
+  else frame.write(0x8000 + value.length, 16);
+  return Buffer.concat([frame.toBuffer(), value]);
+}
+
+// UPER MessageFrame → { messageId, value }; only BSMs are decoded, from their coreData
+function decodeUperFrame(buffer) {
+  const frame = new BitReader(buffer);
+  frame.read(1);
+  const messageId = frame.read(15);
+  let length = frame.read(8);
+  if (length & 0x80) {
+    if (length & 0x40) throw new Error("Fragmented UPER messages are not supported");
+    length = ((length & 0x3f) << 8) + frame.read(8);
+  }
+  if (messageId !== MESSAGE_IDS.bsm) throw new Error(`UPER message ${messageId} is not supported, send it as JSON`);
+  const start = frame.pos / 8;
+  if (start + length > buffer.length) throw new Error("Truncated UPER message");
+  const body = new BitReader(buffer.subarray(start, start + length));
+  // Part II and regional, when present, follow the core data and are skipped
+  body.read(3);
+  const coreData = {};
+  for (const [path, kind, a, b] of CORE_FIELDS) {
+    let v;
+    if (kind === "int") v = body.read(bitsFor(b - a + 1)) + a;
+    else if (kind === "enum") {
+      v = a[body.read(bitsFor(a.length))];
+      if (v === undefined) throw new Error(`${path} out of range`);
+    } else if (kind === "octets") v = body.read(a * 8).toString(16).padStart(a * 2, "0").toUpperCase();
+    else v = body.read(a).toString(2).padStart(a, "0");
+    setPath(coreData, path, v);
+  }
+  return { messageId, value: { coreData } };
+}
+
+// A socket frame: binary UPER, UPER as a hex string, or a JSON MessageFrame
+function parseFrame(raw) {
+  if (Buffer.isBuffer(raw)) {
+    const text = raw.toString("utf8").trim();
+    if (!text.startsWith("{") && !/^[0-9a-fA-F]+$/.test(text)) return decodeUperFrame(raw);
+    raw = text;
+  }
+  const text = String(raw).trim();
+  if (/^[0-9a-fA-F]+$/.test(text) && text.length % 2 === 0) return decodeUperFrame(Buffer.from(text, "hex"));
+  const frame = JSON.parse(text);
+  if (!frame || !Number.isInteger(frame.messageId) || typeof frame.value !== "object") {
+    throw new Error("Expected a MessageFrame { messageId, value }");
+  }
+  return frame;
+}
+
+// ─── BSM ⇄ detection updates ───
+
+// Stable 4-octet TemporaryID for an internal user
+function temporaryIdFor(userId) {
+  return createHash("sha256").update(String(userId)).digest("hex").slice(0, 8).toUpperCase();
+}
+
+// secMark is milliseconds into the sender's UTC minute; the send time is the
+// most recent such instant, allowing for a sender clock slightly ahead of ours
+const SEC_MARK_AHEAD_MS = 2000;
+
+function timeFromSecMark(secMark, now) {
+  if (!Number.isInteger(secMark) || secMark >= 60000) return now;
+  const t = Math.floor(now / 60000) * 60000 + secMark;
+  return t > now + SEC_MARK_AHEAD_MS ? t - 60000 : t;
+}
+
+function vehicleTypeFor(bsm) {
+  const supplemental = (bsm.partII || []).find((p) => p?.["partII-Id"] === PART_II_SUPPLEMENTAL)?.["partII-Value"];
+  const basicClass = supplemental?.classification;
+  if (Number.isInteger(basicClass)) {
+    const match = VEHICLE_CLASSES.find(([lo, hi]) => basicClass >= lo && basicClass <= hi);
+    if (match) return match[2];
+  }
+  const length = bsm.coreData.size?.length;
+  return length >= HEAVY_LENGTH_CM ? "truck" : "four-wheeler";
+}
+
+// { update } for the detection pipeline, or { error }
+function updateFromBsm(bsm, { partner, clock = systemClock } = {}) {
+  const core = bsm?.coreData;
+  const reason = validateCoreData(core);
+  if (reason) return { error: reason };
+  if (core.lat === LAT_UNAVAILABLE || core.long === LONG_UNAVAILABLE) return { error: "Position unavailable" };
+
+  const sentAt = timeFromSecMark(core.secMark, clock.now());
+  const update = {
+    userId: `v2x:${partner}:${core.id.toUpperCase()}`,
+    latitude: core.lat * DEG_UNIT,
+    longitude: core.long * DEG_UNIT,
+    timestamp: new Date(sentAt).toISOString(),
+    clientTime: sentAt,
+    vehicleType: vehicleTypeFor(bsm),
+  };
+  if (core.speed !== SPEED_UNAVAILABLE) update.speed = core.speed * SPEED_UNIT;
+  if (core.heading !== HEADING_UNAVAILABLE) update.heading = core.heading * HEADING_UNIT;
+  if (core.accuracy.semiMajor !== SEMI_MAJOR_UNAVAILABLE) update.positionUncertainty = core.accuracy.semiMajor * ACCURACY_UNIT;
+  // Gyro as a phone reports it: rad/s, counter-clockwise positive
+  update.gyro = { x: 0, y: 0, z: (-core.accelSet.yaw * YAW_UNIT * Math.PI) / 180 };
+  if (core.size.width > 0 && core.size.length > 0) {
+    update.vehicle = { type: update.vehicleType, widthM: core.size.width / 100, lengthM: core.size.length / 100 };
+  }
+  return { update };
+}
+
+const clampInt = (v, lo, hi) => Math.min(hi, Math.max(lo, Math.round(v)));
+
+// BSM for an internal update (e.g. to relay app users to a roadside unit)
+function bsmFromUpdate(update, { msgCnt = 0, profile = null } = {}) {
+  const sentAt = typeof update.clientTime === "number" ? update.clientTime : Date.parse(update.timestamp);
+  const speed = Number(update.speed);
+  const heading = Number(update.heading);
+  const uncertainty = Number(update.positionUncertainty);
+  return {
+    coreData: {
+      msgCnt: msgCnt % 128,
+      id: temporaryIdFor(update.userId),
+      secMark: Number.isFinite(sentAt) ? ((sentAt % 60000) + 60000) % 60000 : SEC_MARK_UNAVAILABLE,
+      lat: clampInt(update.latitude / DEG_UNIT, -900000000, 900000000),
+      long: clampInt(update.longitude / DEG_UNIT, -1799999999, 1800000000),
+      elev: ELEV_UNAVAILABLE,
+      accuracy: {
+        semiMajor: Number.isFinite(uncertainty) ? clampInt(uncertainty / ACCURACY_UNIT, 0, 254) : SEMI_MAJOR_UNAVAILABLE,
+        semiMinor: Number.isFinite(uncertainty) ? clampInt(uncertainty / ACCURACY_UNIT, 0, 254) : SEMI_MAJOR_UNAVAILABLE,
+        orientation: 65535,
+      },
+      transmission: "unavailable",
+      speed: Number.isFinite(speed) ? clampInt(speed / SPEED_UNIT, 0, 8190) : SPEED_UNAVAILABLE,
+      heading: Number.isFinite(heading) ? clampInt((((heading % 360) + 360) % 360) / HEADING_UNIT, 0, 28799) : HEADING_UNAVAILABLE,
+      angle: 127,
+      accelSet: {
+        long: 2001,
+        lat: 2001,
+        vert: -127,
+        yaw: Number.isFinite(update.gyro?.z) ? clampInt((-update.gyro.z * 180) / Math.PI / YAW_UNIT, -32766, 32766) : 0,
+      },
+      brakes: { wheelBrakes: "10000", traction: "unavailable", abs: "unavailable", scs: "unavailable", brakeBoost: "unavailable", auxBrakes: "unavailable" },
+      size: profile
+        ? { width: clampInt(profile.widthM * 100, 0, 1023), length: clampInt(profile.lengthM * 100, 0, 4095) }
+        : { width: 0, length: 0 },
+    },
+  };
+}
+
+// ─── Threats → V2X alert ───
+
+// V2X participants keep their TemporaryID; app users get a stable one
+function counterpartId(userId) {
+  const v2x = /^v2x:[^:]*:([0-9A-F]{8})$/.exec(String(userId ?? ""));
+  return v2x ? v2x[1] : userId != null ? temporaryIdFor(userId) : null;
+}
+
+function alertFromThreat(threat, { recipientId, msgCnt = 0, clock = systemClock } = {}) {
+  const lat = Number(threat.lat);
+  const lng = Number(threat.lng);
+  const timeToEvent = threat.etaSelf ?? threat.time_s ?? threat.ttc ?? null;
+  return {
+    messageId: MESSAGE_IDS.alert,
+    value: {
+      msgCnt: msgCnt % 128,
+      id: counterpartId(recipientId),
+      secMark: clock.now() % 60000,
+      alertType: threat.type,
+      threatId: threat.threatId ?? null,
+      severity: threat.severity ?? 1,
+      otherId: threat.id === recipientId ? null : counterpartId(threat.id),
+      position: Number.isFinite(lat) && Number.isFinite(lng)
+        ? { lat: Math.round(lat / DEG_UNIT), long: Math.round(lng / DEG_UNIT) }
+        : null,
+      timeToEvent: Number.isFinite(timeToEvent) ? Math.round(timeToEvent * 10) / 10 : null,
+      mustYield: threat.mustYield ?? null,
+      signalPhase: threat.signalPhase ?? null,
+      text: threat.message ?? null,
+    },
+  };
+}
+
+// ─── MAP / SPaT → spat.js ───
+
+// V2X_INTERSECTIONS → Map<"region:id", osmNodeId>
+function parseIntersectionMap(raw = process.env.V2X_INTERSECTIONS) {
+  const map = new Map();
+  for (const entry of String(raw || "").split(",").map((e) => e.trim()).filter(Boolean)) {
+    const m = /^(?:(\d+):)?(\d+)=(\d+)$/.exec(entry);
+    if (m) map.set(`${m[1] ?? 0}:${m[2]}`, Number(m[3]));
+  }
+  return map;
+}
+
+function intersectionKey(id) {
+  return id && Number.isInteger(id.id) ? `${id.region ?? 0}:${id.id}` : null;
+}
+
+// NodeOffsetPointXY → metres east/north of the reference point, given the previous node
+function nodePosition(node, prev, refLat) {
+  const delta = node?.delta || {};
+  const [choice, offset] = Object.entries(delta)[0] || [];
+  if (choice === "node-LatLon" && offset) {
+    return [
+      (offset.lon * DEG_UNIT - prev.refLng) * 111320 * Math.cos((refLat * Math.PI) / 180),
+      (offset.lat * DEG_UNIT - refLat) * 110540,
+    ];
+  }
+  if (/^node-XY[1-6]$/.test(choice) && Number.isFinite(offset?.x) && Number.isFinite(offset?.y)) {
+    return [prev.x + offset.x / 100, prev.y + offset.y / 100];
+  }
+  return null;
+}
+
+function isIngress(lane) {
+  const use = lane?.laneAttributes?.directionalUse;
+  if (typeof use === "string") return use[0] === "1";
+  return !!use?.ingressPath;
+}
+
+// Ingress lanes of one MapData intersection: [{ laneID, bearing, stopLineM, signalGroups }]
+function ingressLanes(intersection) {
+  const refLat = intersection.refPoint.lat * DEG_UNIT;
+  const refLng = intersection.refPoint.long * DEG_UNIT;
+  const lanes = [];
+  for (const lane of intersection.laneSet || []) {
+    if (!isIngress(lane)) continue;
+    const nodes = lane.nodeList?.nodes || [];
+    const points = [];
+    let prev = { x: 0, y: 0, refLng };
+    for (const node of nodes.slice(0, 2)) {
+      const p = nodePosition(node, prev, refLat);
+      if (!p) break;
+      points.push(p);
+      prev = { x: p[0], y: p[1], refLng };
+    }
+    if (points.length < 2) continue;
+    // Nodes run from the stop line upstream: travel is from the second to the first
+    const [[x0, y0], [x1, y1]] = points;
+    const bearing = ((Math.atan2(x0 - x1, y0 - y1) * 180) / Math.PI + 360) % 360;
+    const signalGroups = (lane.connectsTo || []).map((c) => c.signalGroup).filter(Number.isInteger);
+    lanes.push({ laneID: lane.laneID, bearing, stopLineM: Math.hypot(x0, y0), signalGroups });
+  }
+  return lanes;
+}
+
+function bearingDiff(a, b) {
+  const d = Math.abs((((a - b) % 360) + 360) % 360);
+  return d > 180 ? 360 - d : d;
+}
+
+class J2735Adapter {
+  constructor({ clock = systemClock, intersections = parseIntersectionMap() } = {}) {
+    this.clock = clock;
+    this.intersections = intersections;
+    // "region:id" → { nodeId, revision, lanes } from the latest MAP
+    this.maps = new Map();
+  }
+
+  // { learned: [key], skipped: [{ id, reason }] }
+  learnMap(mapData) {
+    const learned = [];
+    const skipped = [];
+    for (const intersection of mapData?.intersections || []) {
+      const key = intersectionKey(intersection?.id);
+      const skip = (reason) => skipped.push({ id: key, reason });
+      if (!key) { skip("Intersection id missing"); continue; }
+      const nodeId = this.intersections.get(key);
+      if (!nodeId) { skip("Intersection not mapped to a junction (V2X_INTERSECTIONS)"); continue; }
+      if (!Number.isInteger(intersection.refPoint?.lat) || !Number.isInteger(intersection.refPoint?.long)) { skip("refPoint missing"); continue; }
+      const lanes = ingressLanes(intersection);
+      if (lanes.length === 0) { skip("No ingress lanes with geometry"); continue; }
+      this.maps.set(key, { nodeId, revision: intersection.revision ?? 0, lanes });
+      learned.push(key);
+    }
+    return { learned, skipped };
+  }
+
+  // Tenths of a second into the hour the SPaT was generated, and its epoch ms
+  _spatTime(state, spat) {
+    const now = this.clock.now();
+    const moy = state.moy ?? spat.timeStamp;
+    const dsecond = state.timeStamp;
+    if (!Number.isInteger(moy) || !Number.isInteger(dsecond) || dsecond >= 60000) {
+      return { tenths: Math.floor((now % 3600000) / 100), at: now };
+    }
+    const year = new Date(now).getUTCFullYear();
+    let at = Date.UTC(year, 0, 1) + moy * 60000 + dsecond;
+    // Sent late on 31 December, received in the new year
+    if (at - now > 180 * 86400000) at = Date.UTC(year - 1, 0, 1) + moy * 60000 + dsecond;
+    return { tenths: (moy % 60) * 600 + Math.floor(dsecond / 100), at };
+  }
+
+  // { messages: [spat.js message], skipped: [{ id, reason }] }
+  spatToFeed(spat) {
+    const messages = [];
+    const skipped = [];
+    for (const state of spat?.intersections || []) {
+      const key = intersectionKey(state?.id);
+      const map = key && this.maps.get(key);
+      if (!map) {
+        skipped.push({ id: key, reason: key && this.intersections.has(key) ? "No MAP received for this intersection" : "Intersection not mapped to a junction (V2X_INTERSECTIONS)" });
+        continue;
+      }
+      const { tenths, at } = this._spatTime(state, spat);
+      const groups = new Map();
+      for (const movement of state.states || []) {
+        const event = (movement["state-time-speed"] || [])[0];
+        const eventState = Number.isInteger(event?.eventState) ? EVENT_STATES[event.eventState] : event?.eventState;
+        const phase = EVENT_PHASES[eventState];
+        if (!phase) continue;
+        // likelyTime when the controller has one, else the earliest it may end
+        const end = [event.timing?.likelyTime, event.timing?.minEndTime].find((t) => Number.isInteger(t) && t < TIME_MARK_UNKNOWN);
+        const timeToChangeS = end !== undefined
+          ? Math.min(MAX_TIME_TO_CHANGE_S, (((end - tenths) % 36000) + 36000) % 36000 / 10)
+          : null;
+        groups.set(movement.signalGroup, { phase, timeToChangeS });
+      }
+
+      // Lanes facing the same way are one approach, reported at its most permissive
+      const approaches = [];
+      for (const lane of map.lanes) {
+        for (const group of lane.signalGroups) {
+          const signal = groups.get(group);
+          if (!signal) continue;
+          const candidate = { bearing: lane.bearing, ...signal, stopLineM: Math.min(MAX_STOP_LINE_M, lane.stopLineM) };
+          const same = approaches.findIndex((a) => bearingDiff(a.bearing, lane.bearing) <= SAME_APPROACH_DEG);
+          if (same < 0) approaches.push(candidate);
+          else if (this._permissive(candidate, approaches[same])) approaches[same] = candidate;
+        }
+      }
+      if (approaches.length === 0) {
+        skipped.push({ id: key, reason: "No signal group state for any mapped lane" });
+        continue;
+      }
+      const message = {
+        nodeId: map.nodeId,
+        timestamp: at,
+        approaches: approaches.map((a) => ({
+          bearing: Math.round(a.bearing * 10) / 10 % 360,
+          phase: a.phase,
+          ...(a.timeToChangeS !== null && { timeToChangeS: a.timeToChangeS }),
+          stopLineM: Math.round(a.stopLineM * 10) / 10,
+        })),
+      };
+      const reason = validateSpatMessage(message);
+      if (reason) skipped.push({ id: key, reason });
+      else messages.push(message);
+    }
+    return { messages, skipped };
+  }
+
+  // Higher phase wins; within a phase, the earlier change
+  _permissive(a, b) {
+    if (PHASE_RANK[a.phase] !== PHASE_RANK[b.phase]) return PHASE_RANK[a.phase] > PHASE_RANK[b.phase];
+    return (a.timeToChangeS ?? Infinity) < (b.timeToChangeS ?? Infinity);
+  }
+}
+
+export default J2735Adapter;
+export {
+  MESSAGE_IDS,
+  parseFrame,
+  encodeBsmUper,
+  decodeUperFrame,
+  updateFromBsm,
+  bsmFromUpdate,
+  alertFromThreat,
+  temporaryIdFor,
+  parseIntersectionMap,
+  validateCoreData,
+};
@@ -0,0 +1,280 @@
+import JunctionRisk from "./Models/JunctionRisk.Model.js";
+import Turn from "./Models/Turn.Model.js";
+import RiskEvent from "./Models/RiskEvent.Model.js";
+
+// Persisted junction risk: near misses, hard-brake events and threats observed
+// at each junction, decaying with a configurable half-life.
+//
+// Events are keyed to the nearest Turn document, else an existing risk record
+// close by, else the RoadGraph junction node, else a ~10m grid cell. Writes are
+// buffered and flushed in batches; reads come from a cache the engine prefetches
+// for the junctions an update will be checked against, so detectors stay sync.
+// Turn-keyed scores also raise Turn.riskLevel and bump brakeCount/nearMissCount.
+// Each event is also logged as a RiskEvent for time-windowed heatmaps.
+
+const HALF_LIFE_MS = Number(process.env.JUNCTION_RISK_HALF_LIFE_DAYS ?? 30) * 86400000;
+const FLUSH_INTERVAL_MS = 10000;
+const CACHE_TTL_MS = 60000;
+// Events and lookups snap to a junction within this distance
+const MATCH_RADIUS_M = 25;
+// The same pair at the same junction counts once per window, not once per update
+const DEDUPE_WINDOW_MS = 30000;
+
+// Score at which a junction raises alert severity
+const HIGH_RISK_SCORE = 7;
+
+const KIND_FIELDS = { nearMiss: "nearMisses", brake: "brakeEvents", threat: "threats" };
+// RiskEvent type for kinds that aren't a threat type themselves
+const KIND_TYPES = { nearMiss: "near_miss", brake: "hard_brake" };
+
+const systemClock = { now: () => Date.now() };
+
+function gridKey(lat, lng) {
+  return `${lat.toFixed(4)},${lng.toFixed(4)}`;
+}
+
+function emptyCounts() {
+  return { nearMisses: 0, brakeEvents: 0, threats: 0 };
+}
+
+// Score 1-10 from decayed counts; a near miss weighs three threats, a hard brake two
+function riskScore({ nearMisses = 0, brakeEvents = 0, threats = 0 }) {
+  return Math.min(10, 1 + Math.floor((nearMisses * 3 + brakeEvents * 2 + threats) / 3));
+}
+
+function decayCounts(counts, decayedAtMs, nowMs, halfLifeMs) {
+  const factor = Math.pow(0.5, Math.max(0, nowMs - decayedAtMs) / halfLifeMs);
+  return {
+    nearMisses: (counts.nearMisses || 0) * factor,
+    brakeEvents: (counts.brakeEvents || 0) * factor,
+    threats: (counts.threats || 0) * factor,
+  };
+}
+
+// Score of a stored JunctionRisk document as of now
+function currentRiskScore(doc, nowMs = Date.now(), halfLifeMs = HALF_LIFE_MS) {
+  return riskScore(decayCounts(doc, new Date(doc.decayedAt).getTime(), nowMs, halfLifeMs));
+}
+
+// Observed risk raises a Turn's import-time risk level by up to 2
+function riskLevelBump(score) {
+  return score >= 8 ? 2 : score >= 5 ? 1 : 0;
+}
+
+class JunctionRiskTracker {
+  constructor({ models = {}, clock = systemClock, halfLifeMs = HALF_LIFE_MS, flushIntervalMs = FLUSH_INTERVAL_MS } = {}) {
+    this.JunctionRisk = models.JunctionRisk || JunctionRisk;
+    this.Turn = models.Turn || Turn;
+    this.RiskEvent = models.RiskEvent || RiskEvent;
+    this.clock = clock;
+    this.halfLifeMs = halfLifeMs;
+    // grid key → { lat, lng, nodeId, nearMisses, brakeEvents, threats, events } not yet written
+    this.pending = new Map();
+    // grid key → { nearMisses, brakeEvents, threats, decayedAt, fetchedAt }
+    this.cache = new Map();
+    // dedupe key → last recorded ts
+    this.recent = new Map();
+    this.flushing = null;
+
+    this.flushInterval = setInterval(() => this.flush(), flushIntervalMs);
+    this.cleanupInterval = setInterval(() => this._cleanup(), 60000);
+  }
+
+  // kind: "nearMiss" | "brake" | "threat" (with type: the threat type).
+  // Returns false when de-duplicated.
+  record(kind, { lat, lng, nodeId = null, roadId = null }, { dedupeKey = null, type = null } = {}) {
+    const field = KIND_FIELDS[kind];
+    if (!field || !Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+    const now = this.clock.now();
+    if (dedupeKey) {
+      const key = `${kind}|${dedupeKey}`;
+      const last = this.recent.get(key);
+      if (last !== undefined && now - last < DEDUPE_WINDOW_MS) return false;
+      this.recent.set(key, now);
+    }
+    const key = gridKey(lat, lng);
+    const entry = this.pending.get(key) || { lat, lng, nodeId, ...emptyCounts(), events: [] };
+    entry[field]++;
+    entry.events.push({ kind, type: KIND_TYPES[kind] || type, roadId: Number.isFinite(roadId) ? roadId : null, timestamp: new Date(now) });
+    if (nodeId != null) entry.nodeId = nodeId;
+    this.pending.set(key, entry);
+    return true;
+  }
+
+  // Load scores for these points ([{ lat, lng }]) unless cached recently
+  async prefetch(points) {
+    const now = this.clock.now();
+    const wanted = new Map();
+    for (const p of points) {
+      if (!Number.isFinite(p?.lat) || !Number.isFinite(p?.lng)) continue;
+      const key = gridKey(p.lat, p.lng);
+      const cached = this.cache.get(key);
+      if (cached && now - cached.fetchedAt < CACHE_TTL_MS) continue;
+      wanted.set(key, p);
+    }
+    await Promise.all([...wanted].map(async ([key, p]) => {
+      let counts = emptyCounts();
+      let decayedAt = now;
+      try {
+        const doc = await this.JunctionRisk.findOne({ location: this._near(p.lat, p.lng) }).lean();
+        if (doc) {
+          counts = { nearMisses: doc.nearMisses, brakeEvents: doc.brakeEvents, threats: doc.threats };
+          decayedAt = new Date(doc.decayedAt).getTime();
+        }
+      } catch (e) {
+        console.error("❌ Junction risk lookup failed:", e.message);
+      }
+      this.cache.set(key, { ...counts, decayedAt, fetchedAt: now });
+    }));
+  }
+
+  // 1-10; cached history decayed to now plus anything not yet flushed
+  getScore(lat, lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return 1;
+    const key = gridKey(lat, lng);
+    const counts = this._decayed(this.cache.get(key));
+    const pending = this.pending.get(key);
+    if (pending) {
+      for (const field of Object.values(KIND_FIELDS)) counts[field] += pending[field];
+    }
+    return riskScore(counts);
+  }
+
+  isHighRisk(score) {
+    return score >= HIGH_RISK_SCORE;
+  }
+
+  async flush() {
+    if (this.flushing) return this.flushing;
+    if (this.pending.size === 0) return;
+    const batch = [...this.pending.values()];
+    this.pending.clear();
+    this.flushing = (async () => {
+      let failed = 0;
+      for (const entry of batch) {
+        try {
+          await this._write(entry);
+        } catch (e) {
+          failed++;
+          if (failed === 1) console.error("❌ Junction risk write failed:", e.message);
+        }
+      }
+      if (failed > 0) console.warn(`⚠️ Dropped risk events for ${failed}/${batch.length} junction(s)`);
+    })();
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  async _write(entry) {
+    const target = await this._resolve(entry);
+    const now = new Date(this.clock.now());
+    // Counters are decayed to now and incremented in one atomic update, so
+    // concurrent writers on other instances can't lose each other's events
+    const decay = { $pow: [0.5, { $divide: [{ $subtract: [now, { $ifNull: ["$decayedAt", now] }] }, this.halfLifeMs] }] };
+    const decayed = (field) => ({ $add: [{ $multiply: [{ $ifNull: [`$${field}`, 0] }, decay] }, entry[field]] });
+    const total = (field, inc) => ({ $add: [{ $ifNull: [`$${field}`, 0] }, inc] });
+
+    const doc = await this.JunctionRisk.findOneAndUpdate(
+      { key: target.key },
+      [{
+        $set: {
+          key: target.key,
+          turn: target.turn,
+          nodeId: target.nodeId,
+          location: { type: "Point", coordinates: target.coordinates },
+          nearMisses: decayed("nearMisses"),
+          brakeEvents: decayed("brakeEvents"),
+          threats: decayed("threats"),
+          decayedAt: now,
+          totalNearMisses: total("totalNearMisses", entry.nearMisses),
+          totalBrakeEvents: total("totalBrakeEvents", entry.brakeEvents),
+          totalThreats: total("totalThreats", entry.threats),
+          lastEventAt: now,
+        },
+      }],
+      { upsert: true, new: true, lean: true }
+    );
+
+    await this.RiskEvent.insertMany(entry.events.map((e) => ({
+      ...e,
+      junctionKey: target.key,
+      location: { type: "Point", coordinates: target.coordinates },
+    })));
+
+    if (target.turn) {
+      const bump = riskLevelBump(riskScore(doc));
+      // baseRiskLevel keeps the import-time level so the bump never compounds
+      const base = { $ifNull: ["$baseRiskLevel", { $ifNull: ["$riskLevel", 1] }] };
+      await this.Turn.updateOne({ _id: target.turn }, [{
+        $set: {
+          baseRiskLevel: base,
+          riskLevel: { $min: [5, { $add: [base, bump] }] },
+          brakeCount: total("brakeCount", entry.brakeEvents),
+          nearMissCount: total("nearMissCount", entry.nearMisses),
+        },
+      }]);
+    }
+
+    // Fold the flushed events into the cache so scores don't dip until the next fetch
+    const key = gridKey(entry.lat, entry.lng);
+    const cached = this.cache.get(key);
+    if (cached) {
+      const counts = this._decayed(cached);
+      for (const field of Object.values(KIND_FIELDS)) counts[field] += entry[field];
+      this.cache.set(key, { ...counts, decayedAt: now.getTime(), fetchedAt: cached.fetchedAt });
+    }
+  }
+
+  // Nearest Turn, then an existing record nearby, then the graph node, then the grid cell
+  async _resolve({ lat, lng, nodeId }) {
+    const turn = await this.Turn.findOne({ location: this._near(lat, lng) }).select("_id location").lean();
+    if (turn) {
+      return { key: `turn:${turn._id}`, turn: turn._id, nodeId, coordinates: turn.location.coordinates };
+    }
+    const existing = await this.JunctionRisk.findOne({ location: this._near(lat, lng) }).select("key turn nodeId location").lean();
+    if (existing) {
+      return { key: existing.key, turn: existing.turn ?? null, nodeId: existing.nodeId ?? nodeId, coordinates: existing.location.coordinates };
+    }
+    if (nodeId != null) {
+      return { key: `node:${nodeId}`, turn: null, nodeId, coordinates: [lng, lat] };
+    }
+    return { key: `grid:${gridKey(lat, lng)}`, turn: null, nodeId: null, coordinates: [lng, lat] };
+  }
+
+  _near(lat, lng) {
+    return {
+      $near: {
+        $geometry: { type: "Point", coordinates: [lng, lat] },
+        $maxDistance: MATCH_RADIUS_M,
+      },
+    };
+  }
+
+  _decayed(cached) {
+    if (!cached) return emptyCounts();
+    return decayCounts(cached, cached.decayedAt, this.clock.now(), this.halfLifeMs);
+  }
+
+  _cleanup() {
+    const now = this.clock.now();
+    for (const [k, ts] of this.recent) {
+      if (now - ts >= DEDUPE_WINDOW_MS) this.recent.delete(k);
+    }
+    for (const [k, v] of this.cache) {
+      if (now - v.fetchedAt >= CACHE_TTL_MS) this.cache.delete(k);
+    }
+  }
+
+  // Final flush is best-effort
+  destroy() {
+    clearInterval(this.flushInterval);
+    clearInterval(this.cleanupInterval);
+    return this.flush();
+  }
+}
+
+export default JunctionRiskTracker;
+export { riskScore, currentRiskScore, riskLevelBump, HIGH_RISK_SCORE };
@@ -0,0 +1,110 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Outgoing account mail (email verification, password reset).
+//
+// MAIL_TRANSPORT selects the adapter:
+//   console  (default) print the message — development
+//   file     write each message as JSON under MAIL_FILE_DIR (default ./tmp/mail),
+//            so tests can read the link back
+//   webhook  POST { from, to, subject, text } to MAIL_WEBHOOK_URL (a mail relay)
+//
+// Every adapter has send({ to, subject, text }) → { ok, transport, error? } and never throws.
+// Links in messages point at APP_BASE_URL (default CLIENT_ORIGIN).
+
+const SEND_TIMEOUT_MS = 5000;
+const MAIL_FROM = process.env.MAIL_FROM || "no-reply@localhost";
+
+function appLink(pathname, token) {
+  const base = process.env.APP_BASE_URL || process.env.CLIENT_ORIGIN || "http://localhost:3000";
+  return `${base.replace(/\/$/, "")}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+function verificationMail(user, token) {
+  return {
+    to: user.email,
+    subject: "Verify your email",
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${appLink("/verify-email", token)}\n\nThe link expires in 24 hours.`,
+  };
+}
+
+function passwordResetMail(user, token) {
+  return {
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.username},\n\nSomeone asked to reset your password. If that was you, open this link:\n${appLink("/reset-password", token)}\n\nThe link expires in 1 hour. If it wasn't you, ignore this email.`,
+  };
+}
+
+class ConsoleTransport {
+  constructor() {
+    this.name = "console";
+  }
+
+  async send({ to, subject, text }) {
+    console.log(`✉️ [mail] to ${to}: ${subject}\n${text}`);
+    return { ok: true, transport: this.name };
+  }
+}
+
+class FileTransport {
+  constructor({ dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), "tmp", "mail") } = {}) {
+    this.name = "file";
+    this.dir = dir;
+  }
+
+  async send({ to, subject, text }) {
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      const file = path.join(this.dir, `${Date.now()}-${to.replace(/[^a-z0-9@._-]/gi, "_")}.json`);
+      await fs.writeFile(file, JSON.stringify({ from: MAIL_FROM, to, subject, text }, null, 2));
+      return { ok: true, transport: this.name };
+    } catch (e) {
+      return { ok: false, transport: this.name, error: e.message };
+    }
+  }
+}
+
+class WebhookTransport {
+  constructor({ url = process.env.MAIL_WEBHOOK_URL } = {}) {
+    if (!url) throw new Error("MAIL_WEBHOOK_URL is not set");
+    this.name = "webhook";
+    this.url = url;
+  }
+
+  async send({ to, subject, text }) {
+    try {
+      const res = await fetch(this.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ from: MAIL_FROM, to, subject, text }),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+      });
+      return res.ok ? { ok: true, transport: this.name } : { ok: false, transport: this.name, error: `HTTP ${res.status}` };
+    } catch (e) {
+      return { ok: false, transport: this.name, error: e.message };
+    }
+  }
+}
+
+const TRANSPORTS = { console: ConsoleTransport, file: FileTransport, webhook: WebhookTransport };
+
+// Falls back to the console transport when the configured one can't be set up
+function createMailer(kind = process.env.MAIL_TRANSPORT || "console") {
+  const Transport = TRANSPORTS[kind];
+  if (!Transport) {
+    console.warn(`⚠️ Unknown MAIL_TRANSPORT "${kind}", printing mail instead`);
+    return new ConsoleTransport();
+  }
+  try {
+    const mailer = new Transport();
+    console.log(`✉️ Mail transport: ${mailer.name}`);
+    return mailer;
+  } catch (e) {
+    console.warn(`⚠️ ${kind} mail transport unavailable (${e.message}), printing mail instead`);
+    return new ConsoleTransport();
+  }
+}
+
+export default createMailer;
+export { verificationMail, passwordResetMail, ConsoleTransport, FileTransport, WebhookTransport };
@@ -1,8 +1,28 @@
-import Road from "./Models/Road.Model.js";
+import Road, { FOOTWAY_HIGHWAYS, isFootway } from "./Models/Road.Model.js";
 
 const MAX_MATCH_DISTANCE_M = 50;
 const MAX_MATCH_WITH_UNCERTAINTY_M = 80;
 
+// Matching strategy, selected per deployment via MAP_MATCH_MODE:
+//   greedy — best-scoring candidate per fix with a continuity bonus
+//   hmm    — Viterbi decoding over a sliding window of candidate states
+const MATCH_MODES = ["greedy", "hmm"];
+
+// HMM parameters (Newson & Krumm style)
+const HMM_WINDOW = 5; // fixes kept for decoding
+const HMM_MAX_GAP_MS = 10000; // longer gaps restart the window
+const HMM_MIN_SIGMA_M = 4;
+const HMM_MAX_SIGMA_M = 30;
+const HMM_HEADING_SIGMA_DEG = 30;
+const HMM_HEADING_MIN_SPEED = 2; // m/s — below this heading is noise
+const HMM_TRANSITION_BETA_M = 10; // |route − straight-line| tolerance
+const HMM_TWO_HOP_DETOUR_M = 30; // assumed extra distance via an intermediate road
+const HMM_UNREACHABLE_LOG_PROB = -20;
+
+// Vulnerable road users (pedestrians, cyclists) also match footways, which
+// vehicles never do. They walk either way along a way, so heading is axial.
+const FOOTWAY_BONUS = 0.1;
+
 // FIX ISSUE #7: per-user road cache to reduce MongoDB queries
 // Key: userId, Value: { roads, lat, lng, timestamp }
 const roadCache = new Map();
@@ -29,12 +49,28 @@ function bearingDiff(a, b) {
 }
 
 class MapMatcher {
-  constructor(roadGraph) {
+  constructor(roadGraph, { mode = process.env.MAP_MATCH_MODE || "greedy", store = null } = {}) {
     this.roadGraph = roadGraph;
+    // Shared vehicle store: match state follows the rider across server instances
+    this.store = store;
     this.vehicleState = new Map();
+    // HMM decoding window: userId → [{ timestamp, lat, lng, states }]
+    this.hmmWindows = new Map();
+    if (!MATCH_MODES.includes(mode)) {
+      console.warn(`⚠️ Unknown MAP_MATCH_MODE "${mode}", falling back to greedy`);
+      mode = "greedy";
+    }
+    this.mode = mode;
   }
 
-  async match(userId, lat, lng, heading, speed, positionUncertainty, timestamp) {
+  async match(userId, lat, lng, heading, speed, positionUncertainty, timestamp, { vulnerable = false } = {}) {
+    await this._loadState(userId);
+    const result = await this._match(userId, lat, lng, heading, speed, positionUncertainty, timestamp, vulnerable);
+    await this._saveState(userId);
+    return result;
+  }
+
+  async _match(userId, lat, lng, heading, speed, positionUncertainty, timestamp, vulnerable = false) {
     const prevState = this.vehicleState.get(userId) || null;
     const effectiveRadius = Math.min(
       Math.max(positionUncertainty || 15, MAX_MATCH_DISTANCE_M),
@@ -67,7 +103,7 @@ class MapMatcher {
     const cacheTtl = speedMs < 5 ? 5000 : speedMs < 15 ? 3000 : 2000;
 
     let candidates;
-    if (cache && cacheAge < cacheTtl && cacheDist < 30) {
+    if (cache && cache.vulnerable === vulnerable && cacheAge < cacheTtl && cacheDist < 30) {
       candidates = cache.roads;
       console.log(`🗺️ Using cached roads for ${userId} (age=${cacheAge}ms, dist=${cacheDist.toFixed(0)}m)`);
     } else {
@@ -79,10 +115,12 @@ class MapMatcher {
             $maxDistance: effectiveRadius,
           },
         },
+        ...(vulnerable ? {} : { highway: { $nin: FOOTWAY_HIGHWAYS } }),
       }).limit(15).maxTimeMS(5000).lean();
       candidates = nearbyRoads;
       roadCache.set(userId, {
         roads: candidates,
+        vulnerable,
         lat: effectiveLat,
         lng: effectiveLng,
         timestamp: Date.now(),
@@ -93,9 +131,14 @@ class MapMatcher {
       return this._noMatch(userId, effectiveLat, effectiveLng, heading, speed, positionUncertainty, prevState);
     }
 
+    // HMM transitions follow the driving graph, which footways aren't part of
+    if (this.mode === "hmm" && !vulnerable) {
+      return this._matchHmm(userId, lat, lng, effectiveLat, effectiveLng, heading, speed, positionUncertainty, timestamp, candidates, prevState);
+    }
+
     const scored = [];
     for (const road of candidates) {
-      const score = this._scoreCandidate(road, effectiveLat, effectiveLng, heading, speed, prevState, positionUncertainty);
+      const score = this._scoreCandidate(road, effectiveLat, effectiveLng, heading, speed, prevState, positionUncertainty, vulnerable);
       const projected = this.roadGraph.projectToRoad(effectiveLat, effectiveLng, road.osmId);
       scored.push({
         road,
@@ -112,24 +155,34 @@ class MapMatcher {
     }
 
     const matchConfidence = Math.min(1.0, best.score);
+    return this._matched(userId, best.road, best.projected, effectiveLat, effectiveLng, heading, speed, positionUncertainty, timestamp, matchConfidence, {
+      mode: vulnerable ? "greedy" : this.mode,
+    });
+  }
 
-    const snapped = best.projected || { lat: effectiveLat, lng: effectiveLng, heading: 0, distanceToRoad: 0 };
+  _matched(userId, road, projected, effectiveLat, effectiveLng, heading, speed, positionUncertainty, timestamp, matchConfidence, extra = {}) {
+    const snapped = projected || { lat: effectiveLat, lng: effectiveLng, heading: 0, distanceToRoad: 0 };
 
     const result = {
       matched: true,
-      roadId: best.road.osmId,
-      roadName: best.road.name || null,
-      highway: best.road.highway || null,
+      mode: this.mode,
+      roadId: road.osmId,
+      roadName: road.name || null,
+      highway: road.highway || null,
       snappedLat: snapped.lat,
       snappedLng: snapped.lng,
-      roadHeading: snapped.heading || this.roadGraph.getRoadHeadingAtPoint(best.road.osmId, snapped.lat, snapped.lng) || heading,
+      roadHeading: snapped.heading || this.roadGraph.getRoadHeadingAtPoint(road.osmId, snapped.lat, snapped.lng) || heading,
       matchConfidence,
       distanceToRoad: snapped.distanceToRoad || haversineMeters(effectiveLat, effectiveLng, snapped.lat, snapped.lng),
-      oneway: best.road.oneway || null,
-      maxspeed: best.road.maxspeed || null,
-      lanes: best.road.lanes || null,
-      roadConfidence: this.roadGraph.getRoadConfidence(best.road.osmId),
+      oneway: road.oneway || null,
+      maxspeed: road.maxspeed || null,
+      lanes: road.lanes || null,
+      // "sidewalk", "crossing", ... for footways; null on roads
+      footway: isFootway(road) ? road.footway || road.highway : null,
+      sidewalk: road.sidewalk || null,
+      roadConfidence: this.roadGraph.getRoadConfidence(road.osmId),
       vehicleStateConfidence: this._computeVehicleStateConfidence(matchConfidence, positionUncertainty, speed),
+      ...extra,
     };
 
     this.vehicleState.set(userId, {
@@ -145,7 +198,119 @@ class MapMatcher {
     return result;
   }
 
-  _scoreCandidate(road, lat, lng, heading, speed, prevState, positionUncertainty) {
+  // ─── HMM / Viterbi matching ───
+  // Each fix contributes one column of candidate states. A state's score is the
+  // best log-probability of any road sequence ending in it; back pointers let us
+  // report the decoded path for the window.
+  _matchHmm(userId, rawLat, rawLng, lat, lng, heading, speed, positionUncertainty, timestamp, candidates, prevState) {
+    const sigma = Math.min(HMM_MAX_SIGMA_M, Math.max(HMM_MIN_SIGMA_M, positionUncertainty || 10));
+
+    const states = [];
+    for (const road of candidates) {
+      const projected = this.roadGraph.projectToRoad(lat, lng, road.osmId);
+      if (!projected || projected.distanceToRoad > MAX_MATCH_WITH_UNCERTAINTY_M) continue;
+      const emission = this._emissionLogProb(road, projected, heading, speed, sigma);
+      states.push({ road, projected, emission, score: emission, back: -1 });
+    }
+
+    if (states.length === 0) {
+      this.hmmWindows.delete(userId);
+      return this._noMatch(userId, rawLat, rawLng, heading, speed, positionUncertainty, prevState);
+    }
+
+    let window = this.hmmWindows.get(userId) || [];
+    const last = window[window.length - 1];
+    const ts = timestamp || Date.now();
+    if (last && ts - last.timestamp <= HMM_MAX_GAP_MS) {
+      const straightLine = haversineMeters(last.lat, last.lng, lat, lng);
+      for (const s of states) {
+        let best = -Infinity;
+        let bestIdx = -1;
+        for (let i = 0; i < last.states.length; i++) {
+          const candidate = last.states[i].score + this._transitionLogProb(last.states[i], s, straightLine);
+          if (candidate > best) {
+            best = candidate;
+            bestIdx = i;
+          }
+        }
+        s.score = best + s.emission;
+        s.back = bestIdx;
+      }
+    } else {
+      window = [];
+    }
+
+    // Normalise so scores stay bounded over long sessions
+    const maxScore = Math.max(...states.map((s) => s.score));
+    for (const s of states) s.score -= maxScore;
+
+    window.push({ timestamp: ts, lat, lng, states });
+    if (window.length > HMM_WINDOW) {
+      window = window.slice(-HMM_WINDOW);
+      for (const s of window[0].states) s.back = -1;
+    }
+    this.hmmWindows.set(userId, window);
+
+    let bestIdx = 0;
+    for (let i = 1; i < states.length; i++) {
+      if (states[i].score > states[bestIdx].score) bestIdx = i;
+    }
+    const best = states[bestIdx];
+
+    // Posterior of the decoded state against its competitors in this column
+    const norm = states.reduce((sum, s) => sum + Math.exp(s.score), 0);
+    const posterior = Math.exp(best.score) / norm;
+    const distScore = 1.0 - Math.min(best.projected.distanceToRoad / MAX_MATCH_DISTANCE_M, 1);
+    const matchConfidence = Math.min(1.0, posterior * (0.5 + 0.5 * distScore));
+
+    if (matchConfidence < 0.25) {
+      return this._noMatch(userId, rawLat, rawLng, heading, speed, positionUncertainty, prevState);
+    }
+
+    return this._matched(userId, best.road, best.projected, lat, lng, heading, speed, positionUncertainty, timestamp, matchConfidence, {
+      hmmPath: this._decodePath(window, bestIdx),
+      hmmPosterior: Number(posterior.toFixed(3)),
+    });
+  }
+
+  _emissionLogProb(road, projected, heading, speed, sigma) {
+    const d = projected.distanceToRoad;
+    let logP = -0.5 * (d / sigma) ** 2;
+    if ((speed || 0) >= HMM_HEADING_MIN_SPEED) {
+      // Either direction along the road is plausible; one-way violations are detected downstream
+      const diff = bearingDiff(heading || 0, projected.heading);
+      const axial = Math.min(diff, 180 - diff);
+      logP += -0.5 * (axial / HMM_HEADING_SIGMA_DEG) ** 2;
+    }
+    return logP;
+  }
+
+  _transitionLogProb(from, to, straightLine) {
+    const fromId = from.road.osmId;
+    const toId = to.road.osmId;
+    let route = this.roadGraph.getRouteDistance(
+      fromId, from.projected.lat, from.projected.lng,
+      toId, to.projected.lat, to.projected.lng
+    );
+    if (route === null) {
+      if (!this.roadGraph.areRoadsConnected(fromId, toId, 2)) return HMM_UNREACHABLE_LOG_PROB;
+      route = straightLine + HMM_TWO_HOP_DETOUR_M;
+    }
+    return Math.max(HMM_UNREACHABLE_LOG_PROB, -Math.abs(route - straightLine) / HMM_TRANSITION_BETA_M);
+  }
+
+  _decodePath(window, lastIdx) {
+    const path = [];
+    let idx = lastIdx;
+    for (let w = window.length - 1; w >= 0 && idx >= 0; w--) {
+      const s = window[w].states[idx];
+      path.unshift(s.road.osmId);
+      idx = s.back;
+    }
+    return path;
+  }
+
+  _scoreCandidate(road, lat, lng, heading, speed, prevState, positionUncertainty, vulnerable = false) {
     const roadConfidence = this.roadGraph.getRoadConfidence(road.osmId);
 
     const projected = this.roadGraph.projectToRoad(lat, lng, road.osmId);
@@ -155,7 +320,8 @@ class MapMatcher {
     const distScore = 1.0 - Math.min(distToRoad / MAX_MATCH_DISTANCE_M, 1);
 
     const roadHeading = this.roadGraph.getRoadHeadingAtPoint(road.osmId, lat, lng) || projected.heading;
-    const hdgDiff = bearingDiff(heading || 0, roadHeading);
+    let hdgDiff = bearingDiff(heading || 0, roadHeading);
+    if (vulnerable) hdgDiff = Math.min(hdgDiff, 180 - hdgDiff);
     const headingScore = 1.0 - Math.min(hdgDiff / 90, 1);
 
     let continuityScore = 0.35;
@@ -176,6 +342,7 @@ class MapMatcher {
     if (road.highway === "motorway" || road.highway === "trunk") {
       if (speed > 10) score += 0.05;
     }
+    if (vulnerable && isFootway(road)) score += FOOTWAY_BONUS;
 
     // Position uncertainty reduces confidence slightly
     const posUncertaintyWeight = Math.max(0.85, 1.0 - (positionUncertainty || 10) / 100);
@@ -187,6 +354,7 @@ class MapMatcher {
   _noMatch(userId, lat, lng, heading, speed, positionUncertainty, prevState) {
     const result = {
       matched: false,
+      mode: this.mode,
       roadId: null,
       roadName: null,
       highway: null,
@@ -198,6 +366,8 @@ class MapMatcher {
       oneway: null,
       maxspeed: null,
       lanes: null,
+      footway: null,
+      sidewalk: null,
       roadConfidence: 0,
       vehicleStateConfidence: this._computeVehicleStateConfidence(0, positionUncertainty, speed),
     };
@@ -238,10 +408,79 @@ class MapMatcher {
     return Math.max(0.1, Math.min(1.0, c));
   }
 
+  _sharedStore() {
+    return this.store?.isReady ? this.store : null;
+  }
+
+  // The shared copy wins: another instance may have matched this rider since we last did.
+  // Without a store (or when it fails) the local maps are used as before.
+  async _loadState(userId) {
+    const store = this._sharedStore();
+    if (!store) return;
+    let saved;
+    try {
+      saved = await store.getMatchState(userId);
+    } catch (e) {
+      console.error(`❌ Failed to load match state for ${userId}:`, e.message);
+      return;
+    }
+    if (!saved?.vehicle) {
+      this.vehicleState.delete(userId);
+      this.hmmWindows.delete(userId);
+      return;
+    }
+    this.vehicleState.set(userId, saved.vehicle);
+    if (saved.hmm) this.hmmWindows.set(userId, this._restoreWindow(saved.hmm));
+    else this.hmmWindows.delete(userId);
+  }
+
+  async _saveState(userId) {
+    const store = this._sharedStore();
+    const vehicle = this.vehicleState.get(userId);
+    if (!store || !vehicle) return;
+    const window = this.hmmWindows.get(userId);
+    try {
+      await store.setMatchState(userId, { vehicle, hmm: window ? this._serializeWindow(window) : null });
+    } catch (e) {
+      console.error(`❌ Failed to save match state for ${userId}:`, e.message);
+    }
+  }
+
+  // Past columns only need each state's road id, projection and scores
+  _serializeWindow(window) {
+    return window.map((col) => ({
+      timestamp: col.timestamp,
+      lat: col.lat,
+      lng: col.lng,
+      states: col.states.map((s) => ({
+        roadId: s.road.osmId,
+        projected: s.projected,
+        emission: s.emission,
+        score: s.score,
+        back: s.back,
+      })),
+    }));
+  }
+
+  _restoreWindow(saved) {
+    return saved.map((col) => ({
+      ...col,
+      states: col.states.map(({ roadId, ...rest }) => ({ road: { osmId: roadId }, ...rest })),
+    }));
+  }
+
   // FIX ISSUE #7: cleanup on user disconnect
-  removeUser(userId) {
+  async removeUser(userId, { shared = true } = {}) {
     this.vehicleState.delete(userId);
+    this.hmmWindows.delete(userId);
     roadCache.delete(userId);
+    const store = this._sharedStore();
+    if (!store || !shared) return;
+    try {
+      await store.deleteMatchState(userId);
+    } catch (e) {
+      console.error(`❌ Failed to clear match state for ${userId}:`, e.message);
+    }
   }
 
   getStaleness(lastTimestamp) {
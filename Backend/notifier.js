@@ -0,0 +1,126 @@
+// Delivery of SOS / crash alerts to a rider's emergency contacts.
+//
+// NOTIFIER selects the adapter:
+//   log      (default) print the message — development
+//   stub     keep messages in memory (notifier.sent) for local tests
+//   webhook  POST JSON to NOTIFIER_WEBHOOK_URL
+//   sms      POST { to, message } to an SMS gateway at SMS_GATEWAY_URL
+//            (SMS_GATEWAY_TOKEN as bearer token, SMS_GATEWAY_SENDER as sender id)
+//
+// Every adapter has send({ contact, incident, user, message }) → { ok, channel, error? }
+// and never throws, so one failed contact doesn't stop the rest.
+
+const SEND_TIMEOUT_MS = 5000;
+
+function incidentMessage(incident, user) {
+  const [lng, lat] = incident.location.coordinates;
+  const who = user?.username || "A rider";
+  const what = incident.type === "sos" ? "sent an SOS" : "may have crashed";
+  const where = incident.roadName ? ` on ${incident.roadName}` : "";
+  const when = new Date(incident.detectedAt).toISOString();
+  return `🆘 ${who} ${what}${where} at ${when}. Location: https://maps.google.com/?q=${lat},${lng}`;
+}
+
+class LogNotifier {
+  constructor() {
+    this.channel = "log";
+  }
+
+  async send({ contact, message }) {
+    console.log(`📨 [notifier] to ${contact.name} (${contact.phoneNumber || contact.email}): ${message}`);
+    return { ok: true, channel: this.channel };
+  }
+}
+
+class StubNotifier {
+  constructor() {
+    this.channel = "stub";
+    this.sent = [];
+  }
+
+  async send({ contact, incident, message }) {
+    this.sent.push({ to: contact, incidentId: String(incident._id), message, at: Date.now() });
+    return { ok: true, channel: this.channel };
+  }
+}
+
+// POSTs JSON and reports non-2xx as failures
+async function postJson(url, body, headers = {}) {
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+    });
+    return res.ok ? { ok: true } : { ok: false, error: `HTTP ${res.status}` };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+class WebhookNotifier {
+  constructor({ url = process.env.NOTIFIER_WEBHOOK_URL } = {}) {
+    if (!url) throw new Error("NOTIFIER_WEBHOOK_URL is not set");
+    this.channel = "webhook";
+    this.url = url;
+  }
+
+  async send({ contact, incident, user, message }) {
+    const [lng, lat] = incident.location.coordinates;
+    const result = await postJson(this.url, {
+      contact,
+      message,
+      incident: {
+        id: String(incident._id),
+        type: incident.type,
+        lat,
+        lng,
+        roadId: incident.roadId,
+        roadName: incident.roadName || null,
+        detectedAt: incident.detectedAt,
+      },
+      user: { id: String(user?._id ?? incident.userId), username: user?.username || null, phoneNumber: user?.phoneNumber || null },
+    });
+    return { ...result, channel: this.channel };
+  }
+}
+
+class SmsGatewayNotifier {
+  constructor({ url = process.env.SMS_GATEWAY_URL, token = process.env.SMS_GATEWAY_TOKEN, sender = process.env.SMS_GATEWAY_SENDER } = {}) {
+    if (!url) throw new Error("SMS_GATEWAY_URL is not set");
+    this.channel = "sms";
+    this.url = url;
+    this.token = token;
+    this.sender = sender;
+  }
+
+  async send({ contact, message }) {
+    if (!contact.phoneNumber) return { ok: false, channel: this.channel, error: "contact has no phone number" };
+    const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    const result = await postJson(this.url, { to: contact.phoneNumber, from: this.sender, message }, headers);
+    return { ...result, channel: this.channel };
+  }
+}
+
+const ADAPTERS = { log: LogNotifier, stub: StubNotifier, webhook: WebhookNotifier, sms: SmsGatewayNotifier };
+
+// Falls back to the log adapter when the configured one can't be set up
+function createNotifier(kind = process.env.NOTIFIER || "log") {
+  const Adapter = ADAPTERS[kind];
+  if (!Adapter) {
+    console.warn(`⚠️ Unknown NOTIFIER "${kind}", logging emergency alerts instead`);
+    return new LogNotifier();
+  }
+  try {
+    const notifier = new Adapter();
+    console.log(`📨 Emergency notifier: ${notifier.channel}`);
+    return notifier;
+  } catch (e) {
+    console.warn(`⚠️ ${kind} notifier unavailable (${e.message}), logging emergency alerts instead`);
+    return new LogNotifier();
+  }
+}
+
+export default createNotifier;
+export { incidentMessage, LogNotifier, StubNotifier, WebhookNotifier, SmsGatewayNotifier };
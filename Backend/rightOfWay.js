@@ -0,0 +1,124 @@
+// Right of way at a junction: which of two approaching vehicles has to give
+// way. An approach is what EtaRegistry records for a vehicle:
+//   { highway, priorityRoad, control: { type, all } | null, onRoundabout,
+//     approachBearing (deg, travel direction into the junction), turn, eta,
+//     signalPhase: "go" | "stop" | null (signalised approaches, see signalPhase.js) }
+//
+// Rules, the first one that decides wins:
+//   roundabout        — traffic already circulating goes before entering traffic
+//   traffic_signals   — at a signal the approach facing red yields; otherwise only
+//                       turn_across applies, as the static rules below don't
+//                       hold while the lights are working
+//   all_way_stop      — both at an all-way stop: the first to arrive goes
+//   stop / give_way   — a controlled approach yields to an uncontrolled one
+//   priority_road     — a priority_road=* way goes before the others
+//   highway_class     — the higher road class goes first
+//   turn_across       — opposite approaches: the one turning across the other's lane yields
+//   priority_to_right / priority_to_left — equal roads: yield to traffic from that side
+// Anything else is "unresolved" and both vehicles are warned alike.
+//
+// DRIVING_SIDE (left | right, default left) decides which turn crosses oncoming
+// traffic. PRIORITY_FROM (right | left | none, default right) is the equal-road
+// rule: India and most right-hand-traffic countries yield to the right, Japan
+// to the left, and the UK has no such rule.
+
+const DRIVING_SIDE = process.env.DRIVING_SIDE === "right" ? "right" : "left";
+const PRIORITY_FROM = ["right", "left", "none"].includes(process.env.PRIORITY_FROM) ? process.env.PRIORITY_FROM : "right";
+
+const HIGHWAY_RANK = {
+  motorway: 7,
+  trunk: 6,
+  primary: 5,
+  secondary: 4,
+  tertiary: 3,
+  unclassified: 2,
+  residential: 2,
+  road: 2,
+  living_street: 1,
+  service: 1,
+};
+
+const ROUNDABOUT_JUNCTIONS = new Set(["roundabout", "circular"]);
+
+// Relative approaches closer than this to head-on / same-direction aren't crossing
+const OPPOSITE_DEG = 150;
+const SAME_DIRECTION_DEG = 30;
+
+// _link roads rank with the road they serve
+function highwayRank(highway) {
+  if (!highway) return null;
+  return HIGHWAY_RANK[String(highway).replace(/_link$/, "")] ?? null;
+}
+
+function isSignal(approach) {
+  return approach.control?.type === "traffic_signals";
+}
+
+function isPriorityRoad(value) {
+  return !!value && value !== "no";
+}
+
+// Where b comes from as seen by a: negative = from a's right, positive = from a's left
+function relativeApproach(a, b) {
+  let d = ((b.approachBearing ?? 0) - (a.approachBearing ?? 0)) % 360;
+  if (d > 180) d -= 360;
+  if (d <= -180) d += 360;
+  return d;
+}
+
+// Opposite approaches: the one turning across the other's lane yields
+function turnAcross(a, b, drivingSide) {
+  const across = drivingSide === "left" ? "right" : "left";
+  const aAcross = a.turn === across;
+  const bAcross = b.turn === across;
+  if (aAcross !== bAcross) return { mustYield: aAcross ? "a" : "b", rule: "turn_across" };
+  return { mustYield: null, rule: "unresolved" };
+}
+
+// { mustYield: "a" | "b" | null, rule }
+function resolveRightOfWay(a, b, { drivingSide = DRIVING_SIDE, priorityFrom = PRIORITY_FROM } = {}) {
+  const decide = (mustYield, rule) => ({ mustYield, rule });
+  const unresolved = decide(null, "unresolved");
+
+  if (!!a.onRoundabout !== !!b.onRoundabout) return decide(a.onRoundabout ? "b" : "a", "roundabout");
+
+  if (isSignal(a) || isSignal(b)) {
+    const aStopped = a.signalPhase === "stop";
+    const bStopped = b.signalPhase === "stop";
+    if (aStopped !== bStopped) return decide(aStopped ? "a" : "b", "traffic_signals");
+    return Math.abs(relativeApproach(a, b)) > OPPOSITE_DEG ? turnAcross(a, b, drivingSide) : unresolved;
+  }
+
+  if (a.control?.all && b.control?.all) {
+    if (!Number.isFinite(a.eta) || !Number.isFinite(b.eta) || a.eta === b.eta) return unresolved;
+    return decide(a.eta < b.eta ? "b" : "a", "all_way_stop");
+  }
+  if (!!a.control !== !!b.control) {
+    return a.control ? decide("a", a.control.type) : decide("b", b.control.type);
+  }
+
+  const aPriority = isPriorityRoad(a.priorityRoad);
+  const bPriority = isPriorityRoad(b.priorityRoad);
+  if (aPriority !== bPriority) return decide(aPriority ? "b" : "a", "priority_road");
+
+  const rankA = highwayRank(a.highway);
+  const rankB = highwayRank(b.highway);
+  if (rankA !== null && rankB !== null && rankA !== rankB) return decide(rankA > rankB ? "b" : "a", "highway_class");
+
+  const rel = relativeApproach(a, b);
+  if (Math.abs(rel) > OPPOSITE_DEG) return turnAcross(a, b, drivingSide);
+  if (Math.abs(rel) < SAME_DIRECTION_DEG || priorityFrom === "none") return unresolved;
+
+  const bFromRight = rel < 0;
+  const aYields = priorityFrom === "right" ? bFromRight : !bFromRight;
+  return decide(aYields ? "a" : "b", `priority_to_${priorityFrom}`);
+}
+
+export {
+  DRIVING_SIDE,
+  PRIORITY_FROM,
+  HIGHWAY_RANK,
+  ROUNDABOUT_JUNCTIONS,
+  highwayRank,
+  resolveRightOfWay,
+};
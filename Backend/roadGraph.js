@@ -1,4 +1,11 @@
-import Road from "./Models/Road.Model.js";
+import Road, { isFootway } from "./Models/Road.Model.js";
+import { loadRegionConfig, bboxContains, bboxIntersects, bboxToPolygon } from "./roadRegions.js";
+import { highwayRank, ROUNDABOUT_JUNCTIONS } from "./rightOfWay.js";
+import { classifyTurn } from "./turnPrediction.js";
+
+// A stop or give-way node counts for a junction when it's on the approach this
+// close before it (stop lines sit a few metres back from the junction node)
+const CONTROL_SEARCH_M = 30;
 
 function haversineMeters(lat1, lon1, lat2, lon2) {
   const R = 6371e3;
@@ -34,96 +41,256 @@ function _classifyJunctionShape(dirs, totalConnected, maxAngleDiff) {
 }
 
 class RoadGraph {
-  constructor() {
+  constructor({
+    regions = loadRegionConfig(),
+    tileSizeDeg = Number(process.env.ROAD_TILE_SIZE_DEG ?? 0.05),
+    tileIdleMs = Number(process.env.ROAD_TILE_IDLE_MS ?? 30 * 60 * 1000),
+    maxTiles = Number(process.env.ROAD_MAX_TILES ?? 64),
+  } = {}) {
     this.adjacency = new Map();
     this.roadData = new Map();
     this.nodeToRoads = new Map();
     this.roadConfidence = new Map();
     this.roadSegments = new Map();
     this.initialized = false;
+
+    this.regions = regions;
+    this.tileSizeDeg = tileSizeDeg;
+    this.tileIdleMs = tileIdleMs;
+    this.maxTiles = maxTiles;
+    // Loaded partitions: "region:<name>" (pinned) or "tile:<row>:<col>" (lazy)
+    // Value: { key, bbox, pinned, roadIds: Set, loadedAt, lastAccess }
+    this.partitions = new Map();
+    // osmId → Set<partitionKey>; a road is dropped when its last partition is evicted
+    this.roadPartitions = new Map();
+    // In-flight tile loads: partitionKey → Promise
+    this.pendingTiles = new Map();
+
+    this.evictionInterval = setInterval(() => this._evictColdTiles(), 60000);
   }
 
   async loadFromMongo() {
     console.log("🗺️ Loading road graph from MongoDB...");
 
-    try {
-      const HYDERABAD_REGION = {
-        $geoWithin: {
-          $geometry: {
-            type: "Polygon",
-            coordinates: [[
-              [78.500, 17.315],
-              [78.620, 17.315],
-              [78.620, 17.448],
-              [78.500, 17.448],
-              [78.500, 17.315],
-            ]]
-          }
+    for (const region of this.regions) {
+      if (!region.preload) {
+        console.log(`🗺️ Region ${region.name} will load lazily in ${this.tileSizeDeg}° tiles`);
+        continue;
+      }
+      await this._loadPartition(`region:${region.name}`, region.bbox, true);
+    }
+
+    console.log(`🗺️ Road graph built: ${this.roadData.size} roads, ${this.nodeToRoads.size} nodes`);
+    this.initialized = true;
+  }
+
+  // Make sure the tiles around a position are loaded. Cheap when they already are.
+  async ensureTilesFor(lat, lng) {
+    if (!this.initialized) return;
+    const pinned = this.regions.some((r) => r.preload && bboxContains(r.bbox, lat, lng));
+    if (pinned) return;
+    if (!this.regions.some((r) => !r.preload && bboxContains(r.bbox, lat, lng))) return;
+
+    const row = Math.floor(lat / this.tileSizeDeg);
+    const col = Math.floor(lng / this.tileSizeDeg);
+    const now = Date.now();
+    const loads = [];
+    const neighbourhood = new Set();
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const key = `tile:${row + dr}:${col + dc}`;
+        neighbourhood.add(key);
+        const loaded = this.partitions.get(key);
+        if (loaded) {
+          loaded.lastAccess = now;
+          continue;
         }
-      };
-      const roads = await Road.find({ geometry: HYDERABAD_REGION }, {
+        if (this.pendingTiles.has(key)) {
+          loads.push(this.pendingTiles.get(key));
+          continue;
+        }
+        const bbox = this._tileBbox(row + dr, col + dc);
+        if (!this.regions.some((r) => !r.preload && bboxIntersects(r.bbox, bbox))) continue;
+        const promise = this._loadPartition(key, bbox, false)
+          .finally(() => this.pendingTiles.delete(key));
+        this.pendingTiles.set(key, promise);
+        loads.push(promise);
+      }
+    }
+    if (loads.length === 0) return;
+    await Promise.all(loads);
+    this._enforceTileCap(neighbourhood);
+  }
+
+  getStatus() {
+    const partitions = Array.from(this.partitions.values());
+    return {
+      initialized: this.initialized,
+      roads: this.roadData.size,
+      nodes: this.nodeToRoads.size,
+      tileSizeDeg: this.tileSizeDeg,
+      tileIdleMs: this.tileIdleMs,
+      maxTiles: this.maxTiles,
+      regions: this.regions.map((r) => ({
+        name: r.name,
+        bbox: r.bbox,
+        preload: r.preload,
+        loaded: r.preload
+          ? this.partitions.has(`region:${r.name}`)
+          : partitions.some((p) => !p.pinned && bboxIntersects(r.bbox, p.bbox)),
+      })),
+      tiles: partitions.filter((p) => !p.pinned).map((p) => ({
+        key: p.key,
+        bbox: p.bbox,
+        roads: p.roadIds.size,
+        loadedAt: new Date(p.loadedAt),
+        lastAccess: new Date(p.lastAccess),
+      })),
+      pendingTiles: Array.from(this.pendingTiles.keys()),
+    };
+  }
+
+  destroy() {
+    clearInterval(this.evictionInterval);
+  }
+
+  _tileBbox(row, col) {
+    const size = this.tileSizeDeg;
+    const round = (v) => Math.round(v * 1e6) / 1e6;
+    return [round(col * size), round(row * size), round((col + 1) * size), round((row + 1) * size)];
+  }
+
+  async _loadPartition(key, bbox, pinned) {
+    try {
+      const roads = await Road.find({ geometry: { $geoIntersects: { $geometry: bboxToPolygon(bbox) } } }, {
         osmId: 1, highway: 1, name: 1, nodes: 1, geometry: 1,
         oneway: 1, maxspeed: 1, lanes: 1, ref: 1, width: 1, surface: 1, junction: 1,
-        osmAgeDays: 1,
+        osmAgeDays: 1, footway: 1, sidewalk: 1, priorityRoad: 1, controls: 1,
       }).lean();
-      console.log(`📦 Loaded ${roads.length} roads`);
 
+      const now = Date.now();
+      const partition = { key, bbox, pinned, roadIds: new Set(), loadedAt: now, lastAccess: now };
       for (const road of roads) {
-        const osmId = road.osmId;
-        if (!osmId) continue;
+        if (!road.osmId) continue;
+        this._addRoad(road, key);
+        partition.roadIds.add(road.osmId);
+      }
+      this.partitions.set(key, partition);
+      console.log(`📦 Loaded ${roads.length} roads for ${key}`);
+    } catch (err) {
+      console.error(`❌ Road query failed for ${key}:`, err.message);
+    }
+  }
 
-        this.roadData.set(osmId, road);
+  _addRoad(road, partitionKey) {
+    const osmId = road.osmId;
+    if (!this.roadPartitions.has(osmId)) this.roadPartitions.set(osmId, new Set());
+    this.roadPartitions.get(osmId).add(partitionKey);
+    if (this.roadData.has(osmId)) return;
 
-        const nodes = road.nodes || [];
-        const coords = road.geometry?.coordinates || [];
-        const segments = [];
+    this.roadData.set(osmId, road);
 
-        for (let i = 0; i < nodes.length && i < coords.length - 1; i++) {
-          const nodeId = nodes[i];
-          const nextNodeId = nodes[i + 1];
-          const [lon1, lat1] = coords[i];
-          const [lon2, lat2] = coords[i + 1];
+    const nodes = road.nodes || [];
+    const coords = road.geometry?.coordinates || [];
+    const segments = [];
+    const roadNodes = new Set();
 
-          segments.push({
-            startNode: nodeId,
-            endNode: nextNodeId,
-            startLat: lat1,
-            startLon: lon1,
-            endLat: lat2,
-            endLon: lon2,
-            length: haversineMeters(lat1, lon1, lat2, lon2),
-            bearing: getBearing(lat1, lon1, lat2, lon2),
-          });
+    for (let i = 0; i < nodes.length && i < coords.length - 1; i++) {
+      const nodeId = nodes[i];
+      const nextNodeId = nodes[i + 1];
+      const [lon1, lat1] = coords[i];
+      const [lon2, lat2] = coords[i + 1];
 
-          if (!this.nodeToRoads.has(nodeId)) this.nodeToRoads.set(nodeId, new Set());
-          this.nodeToRoads.get(nodeId).add(osmId);
+      segments.push({
+        startNode: nodeId,
+        endNode: nextNodeId,
+        startLat: lat1,
+        startLon: lon1,
+        endLat: lat2,
+        endLon: lon2,
+        length: haversineMeters(lat1, lon1, lat2, lon2),
+        bearing: getBearing(lat1, lon1, lat2, lon2),
+      });
+      roadNodes.add(nodeId);
+      roadNodes.add(nextNodeId);
+    }
 
-          if (!this.nodeToRoads.has(nextNodeId)) this.nodeToRoads.set(nextNodeId, new Set());
-          this.nodeToRoads.get(nextNodeId).add(osmId);
-        }
+    // Adjacency weight = number of shared nodes, same as a full rebuild would give.
+    // Footways stay out of the driving graph: vehicles never route or predict
+    // along them, and a crossing doesn't join the two roads it meets.
+    if (!this.adjacency.has(osmId)) this.adjacency.set(osmId, new Map());
+    for (const nodeId of isFootway(road) ? [] : roadNodes) {
+      if (!this.nodeToRoads.has(nodeId)) this.nodeToRoads.set(nodeId, new Set());
+      const roadsAtNode = this.nodeToRoads.get(nodeId);
+      for (const other of roadsAtNode) {
+        const mine = this.adjacency.get(osmId);
+        mine.set(other, (mine.get(other) || 0) + 1);
+        if (!this.adjacency.has(other)) this.adjacency.set(other, new Map());
+        const theirs = this.adjacency.get(other);
+        theirs.set(osmId, (theirs.get(osmId) || 0) + 1);
+      }
+      roadsAtNode.add(osmId);
+    }
+
+    this.roadSegments.set(osmId, segments);
+    this.roadConfidence.set(osmId, this._computeRoadConfidence(road));
+  }
 
-        this.roadSegments.set(osmId, segments);
-        this.roadConfidence.set(osmId, this._computeRoadConfidence(road));
+  _removeRoad(osmId) {
+    for (const s of this.roadSegments.get(osmId) || []) {
+      for (const nodeId of [s.startNode, s.endNode]) {
+        const roadsAtNode = this.nodeToRoads.get(nodeId);
+        if (!roadsAtNode) continue;
+        roadsAtNode.delete(osmId);
+        if (roadsAtNode.size === 0) this.nodeToRoads.delete(nodeId);
       }
-    } catch (err) {
-      console.error("❌ Road query failed:", err.message);
     }
+    for (const other of this.adjacency.get(osmId)?.keys() || []) {
+      this.adjacency.get(other)?.delete(osmId);
+    }
+    this.adjacency.delete(osmId);
+    this.roadData.delete(osmId);
+    this.roadSegments.delete(osmId);
+    this.roadConfidence.delete(osmId);
+    this.roadPartitions.delete(osmId);
+  }
 
-    for (const [nodeId, roadIds] of this.nodeToRoads) {
-      const roadsArr = Array.from(roadIds);
-      for (const r1 of roadsArr) {
-        if (!this.adjacency.has(r1)) this.adjacency.set(r1, new Map());
-        for (const r2 of roadsArr) {
-          if (r1 !== r2) {
-            const current = this.adjacency.get(r1).get(r2);
-            this.adjacency.get(r1).set(r2, (current || 0) + 1);
-          }
-        }
+  _evictPartition(key) {
+    const partition = this.partitions.get(key);
+    if (!partition) return;
+    let dropped = 0;
+    for (const osmId of partition.roadIds) {
+      const owners = this.roadPartitions.get(osmId);
+      if (!owners) continue;
+      owners.delete(key);
+      if (owners.size === 0) {
+        this._removeRoad(osmId);
+        dropped++;
       }
     }
+    this.partitions.delete(key);
+    console.log(`🧹 Evicted ${key} (${dropped} roads dropped)`);
+  }
 
-    console.log(`🗺️ Road graph built: ${this.roadData.size} roads, ${this.nodeToRoads.size} nodes`);
-    this.initialized = true;
+  _evictColdTiles() {
+    const cutoff = Date.now() - this.tileIdleMs;
+    for (const [key, p] of this.partitions) {
+      if (!p.pinned && p.lastAccess < cutoff) this._evictPartition(key);
+    }
+  }
+
+  // LRU eviction beyond maxTiles; the neighbourhood being served is never evicted
+  _enforceTileCap(keep) {
+    const tiles = Array.from(this.partitions.values()).filter((p) => !p.pinned);
+    let excess = tiles.length - this.maxTiles;
+    if (excess <= 0) return;
+    tiles.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const p of tiles) {
+      if (excess <= 0) break;
+      if (keep.has(p.key)) continue;
+      this._evictPartition(p.key);
+      excess--;
+    }
   }
 
   _computeRoadConfidence(road) {
@@ -294,6 +461,7 @@ class RoadGraph {
           else turnType = `slight_${dir}`;
         }
 
+        const approach = this._approachInfo(road, i, step);
         const riskLevel = absAngle < 15 ? 0 : absAngle < 30 ? 1 : absAngle < 60 ? 2 : absAngle < 90 ? 3 : absAngle < 150 ? 4 : 5;
 
         junctions.push({
@@ -308,6 +476,8 @@ class RoadGraph {
           angle: maxAngleDiff,
           turnType,
           riskLevel,
+          approach,
+          signalised: approach.control?.type === "traffic_signals" || this._hasSignalAt(nodeId),
         });
       }
     }
@@ -315,6 +485,61 @@ class RoadGraph {
     return junctions;
   }
 
+  // What decides this road's right of way at the junction at nodes[junctionIdx],
+  // travelling in node order (step 1) or against it (step -1)
+  _approachInfo(road, junctionIdx, step) {
+    return {
+      highway: road.highway || null,
+      priorityRoad: road.priorityRoad || null,
+      onRoundabout: ROUNDABOUT_JUNCTIONS.has(road.junction),
+      control: this._approachControl(road, junctionIdx, step),
+    };
+  }
+
+  // Nearest stop/give-way/signal for this direction on the approach, stopping at
+  // the previous junction. A stop or give-way at the junction itself with no
+  // direction is taken to bind the minor road only; a signal there binds all.
+  _approachControl(road, junctionIdx, step) {
+    if (!road.controls?.length) return null;
+    const byNode = new Map(road.controls.map((c) => [c.nodeId, c]));
+    const nodes = road.nodes || [];
+    const coords = road.geometry?.coordinates || [];
+    let dist = 0;
+    for (let i = junctionIdx; i >= 0 && i < nodes.length && i < coords.length; i -= step) {
+      if (i !== junctionIdx) {
+        const [lon1, lat1] = coords[i];
+        const [lon2, lat2] = coords[i + step];
+        dist += haversineMeters(lat1, lon1, lat2, lon2);
+        if (dist > CONTROL_SEARCH_M) break;
+        if ((this.nodeToRoads.get(nodes[i])?.size ?? 0) > 1) break;
+      }
+      const control = byNode.get(nodes[i]);
+      if (!control) continue;
+      if (control.direction === "forward" && step < 0) continue;
+      if (control.direction === "backward" && step > 0) continue;
+      if (i === junctionIdx && control.type !== "traffic_signals" && !control.all && !control.direction && !this._isMinorAt(road, nodes[i])) continue;
+      return { type: control.type, all: !!control.all, distance: dist };
+    }
+    return null;
+  }
+
+  // A signal mapped on the junction node by any of its roads
+  _hasSignalAt(nodeId) {
+    for (const roadId of this.nodeToRoads.get(nodeId) || []) {
+      if (this.roadData.get(roadId)?.controls?.some((c) => c.nodeId === nodeId && c.type === "traffic_signals")) return true;
+    }
+    return false;
+  }
+
+  _isMinorAt(road, nodeId) {
+    const rank = highwayRank(road.highway) ?? 0;
+    for (const otherId of this.nodeToRoads.get(nodeId) || []) {
+      if (otherId === road.osmId) continue;
+      if ((highwayRank(this.roadData.get(otherId)?.highway) ?? 0) > rank) return true;
+    }
+    return false;
+  }
+
   getRoadSegments(osmId) {
     return this.roadSegments.get(osmId) || [];
   }
@@ -343,6 +568,79 @@ class RoadGraph {
     return bestBearing;
   }
 
+  // Legal travel bearing at a point on a one-way road, or null for two-way roads.
+  // oneway=-1 means traffic flows against the digitised node order; roundabouts
+  // are implicitly one-way in OSM.
+  getOnewayBearing(roadId, lat, lng) {
+    const road = this.roadData.get(roadId);
+    if (!road) return null;
+    const direction = this._onewayDirection(road);
+    if (direction === 0) return null;
+    const reverse = direction < 0;
+
+    const segments = this.roadSegments.get(roadId) || [];
+    let minDist = Infinity;
+    let bearing = null;
+    for (const s of segments) {
+      const d = haversineMeters(lat, lng, (s.startLat + s.endLat) / 2, (s.startLon + s.endLon) / 2);
+      if (d < minDist) {
+        minDist = d;
+        bearing = s.bearing;
+      }
+    }
+    if (bearing === null) return null;
+    return reverse ? (bearing + 180) % 360 : bearing;
+  }
+
+  // 1 = one-way in node order, -1 = against it, 0 = two-way
+  _onewayDirection(road) {
+    const tag = String(road.oneway ?? "").toLowerCase();
+    if (tag === "yes" || tag === "true" || tag === "1") return 1;
+    if (tag === "-1" || tag === "reverse") return -1;
+    if (road.junction === "roundabout" && tag !== "no") return 1;
+    return 0;
+  }
+
+  // Ways out of a junction node for a vehicle travelling approachBearing into it,
+  // including carrying on along the same road: [{ roadId, bearing, turn }] with
+  // turn left | right | straight | u_turn. One-way roads only lead out legally.
+  getJunctionExits(nodeId, approachBearing) {
+    const roadsAtNode = this.nodeToRoads.get(nodeId);
+    if (!roadsAtNode || !Number.isFinite(approachBearing)) return [];
+    const exits = [];
+    for (const roadId of roadsAtNode) {
+      const direction = this._onewayDirection(this.roadData.get(roadId) || {});
+      for (const s of this.roadSegments.get(roadId) || []) {
+        if (s.startNode === nodeId && direction >= 0) {
+          exits.push({ roadId, bearing: s.bearing, turn: classifyTurn(approachBearing, s.bearing) });
+        }
+        if (s.endNode === nodeId && direction <= 0) {
+          const bearing = normalizeAngleDeg(s.bearing + 180);
+          exits.push({ roadId, bearing, turn: classifyTurn(approachBearing, bearing) });
+        }
+      }
+    }
+    return exits;
+  }
+
+  // Driving distance between two points on (possibly) adjacent roads, routed through
+  // a shared node. Returns null when the roads do not meet directly.
+  getRouteDistance(fromRoadId, fromLat, fromLng, toRoadId, toLat, toLng) {
+    const from = this._alongRoadOffset(fromRoadId, fromLat, fromLng);
+    const to = this._alongRoadOffset(toRoadId, toLat, toLng);
+    if (!from || !to) return null;
+    if (fromRoadId === toRoadId) return Math.abs(to.offset - from.offset);
+
+    let best = null;
+    for (const [nodeId, fromNodeOffset] of from.nodeOffsets) {
+      const toNodeOffset = to.nodeOffsets.get(nodeId);
+      if (toNodeOffset === undefined) continue;
+      const d = Math.abs(fromNodeOffset - from.offset) + Math.abs(to.offset - toNodeOffset);
+      if (best === null || d < best) best = d;
+    }
+    return best;
+  }
+
   getTrajectory(roadId, lat, lng, heading, speed, horizonSeconds) {
     if (!this.initialized || !roadId) return null;
     const road = this.roadData.get(roadId);
@@ -498,6 +796,29 @@ class RoadGraph {
     return this.getRoadLength(osmId);
   }
 
+  // Distance along the road to the projection of (lat, lng), plus the offset of each node
+  _alongRoadOffset(roadId, lat, lng) {
+    const segments = this.roadSegments.get(roadId);
+    if (!segments || segments.length === 0) return null;
+
+    const nodeOffsets = new Map();
+    let cumulative = 0;
+    let minDist = Infinity;
+    let offset = 0;
+    for (const s of segments) {
+      if (!nodeOffsets.has(s.startNode)) nodeOffsets.set(s.startNode, cumulative);
+      const p = this._projectToSegment(lat, lng, s.startLat, s.startLon, s.endLat, s.endLon);
+      const d = haversineMeters(lat, lng, p.lat, p.lng);
+      if (d < minDist) {
+        minDist = d;
+        offset = cumulative + haversineMeters(s.startLat, s.startLon, p.lat, p.lng);
+      }
+      cumulative += s.length;
+      if (!nodeOffsets.has(s.endNode)) nodeOffsets.set(s.endNode, cumulative);
+    }
+    return { offset, length: cumulative, nodeOffsets };
+  }
+
   _findClosestNodeIndex(lat, lng, coords) {
     let minDist = Infinity;
     let bestIdx = 0;
@@ -0,0 +1,70 @@
+import { readFileSync } from "fs";
+
+// Road-graph regions. Override with ROAD_REGIONS (JSON array) or ROAD_REGIONS_FILE
+// (path to a JSON file with the same array).
+//
+// Region: { name, bbox: [minLng, minLat, maxLng, maxLat], preload }
+//   preload: true  → loaded in full at startup, never evicted
+//   preload: false → loaded lazily in tiles as vehicles enter, cold tiles evicted
+//
+// A lazy region with bbox [-180, -90, 180, 90] serves riders anywhere.
+const DEFAULT_REGIONS = [
+  { name: "hyderabad", bbox: [78.500, 17.315, 78.620, 17.448], preload: true },
+];
+
+function isValidBbox(bbox) {
+  if (!Array.isArray(bbox) || bbox.length !== 4) return false;
+  if (!bbox.every((v) => typeof v === "number" && Number.isFinite(v))) return false;
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  return minLng >= -180 && maxLng <= 180 && minLat >= -90 && maxLat <= 90 &&
+    minLng < maxLng && minLat < maxLat;
+}
+
+function loadRegionConfig(env = process.env) {
+  let raw = null;
+  try {
+    if (env.ROAD_REGIONS) raw = JSON.parse(env.ROAD_REGIONS);
+    else if (env.ROAD_REGIONS_FILE) raw = JSON.parse(readFileSync(env.ROAD_REGIONS_FILE, "utf8"));
+  } catch (err) {
+    console.error("❌ Invalid road region config:", err.message);
+  }
+  if (!raw) return DEFAULT_REGIONS;
+
+  const regions = [];
+  for (const r of Array.isArray(raw) ? raw : []) {
+    if (!r || typeof r.name !== "string" || !isValidBbox(r.bbox)) {
+      console.warn(`⚠️ Skipping invalid road region: ${JSON.stringify(r)}`);
+      continue;
+    }
+    regions.push({ name: r.name, bbox: r.bbox, preload: r.preload === true });
+  }
+  if (regions.length === 0) {
+    console.warn("⚠️ No valid road regions configured — using defaults");
+    return DEFAULT_REGIONS;
+  }
+  return regions;
+}
+
+function bboxContains(bbox, lat, lng) {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  return lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+}
+
+function bboxIntersects(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+function bboxToPolygon([minLng, minLat, maxLng, maxLat]) {
+  return {
+    type: "Polygon",
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat],
+    ]],
+  };
+}
+
+export { DEFAULT_REGIONS, loadRegionConfig, bboxContains, bboxIntersects, bboxToPolygon };
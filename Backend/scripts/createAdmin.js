@@ -0,0 +1,31 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import User from "../Models/User.Model.js";
+
+// Bootstraps the first admin: promotes an already registered user by email.
+// Further roles are then granted through PUT /api/admin/users/:id/role.
+// Usage: node scripts/createAdmin.js rider@example.com
+
+const email = process.argv[2]?.trim().toLowerCase();
+
+async function createAdmin() {
+  if (!email) {
+    console.error("Usage: node scripts/createAdmin.js <email>");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const user = await User.findOneAndUpdate({ email }, { $set: { role: "admin" } }, { new: true });
+  await mongoose.disconnect();
+
+  if (!user) {
+    console.error(`❌ No user registered with ${email}`);
+    process.exit(1);
+  }
+  console.log(`🛠️ ${user.username} (${user.email}) is now an admin`);
+}
+
+createAdmin().catch((err) => {
+  console.error("createAdmin failed:", err);
+  process.exit(1);
+});
@@ -2,7 +2,7 @@ import mongoose from "mongoose";
 import dotenv from "dotenv";
 import { createReadStream } from "fs";
 import osmPbf from "osm-pbf-parser";
-import Road from "../Models/Road.Model.js";
+import Road, { FOOTWAY_HIGHWAYS } from "../Models/Road.Model.js";
 import Turn from "../Models/Turn.Model.js";
 
 // FIX ISSUE #33: memory monitoring for OOM prevention
@@ -47,6 +47,10 @@ const DRIVING_HIGHWAYS = new Set([
   "tertiary", "tertiary_link",
   "residential", "service", "unclassified", "living_street", "road",
 ]);
+// Imported for pedestrian/cyclist matching, left out of junction detection
+const WALKING_HIGHWAYS = new Set(FOOTWAY_HIGHWAYS);
+// Node highway=* values that decide right of way; attached to the ways through them
+const CONTROL_NODES = new Set(["stop", "give_way", "traffic_signals"]);
 
 function deg2rad(deg) { return (deg * Math.PI) / 180; }
 
@@ -126,6 +130,7 @@ async function importRoads() {
   console.log("Connected to MongoDB");
 
   const nodeLocations = new Map();
+  const controlNodes = new Map();
   const nodeToWays = new Map();
   const ways = [];
   let nodeCount = 0;
@@ -142,10 +147,17 @@ async function importRoads() {
         for (const item of items) {
           if (item.type === "node") {
             nodeLocations.set(item.id, { lat: item.lat, lon: item.lon });
+            if (CONTROL_NODES.has(item.tags?.highway)) {
+              controlNodes.set(item.id, {
+                type: item.tags.highway,
+                direction: item.tags.direction || item.tags["traffic_signals:direction"] || undefined,
+                all: item.tags.stop === "all" || undefined,
+              });
+            }
             nodeCount++;
           } else if (item.type === "way") {
             const highway = item.tags?.highway;
-            if (!highway || !DRIVING_HIGHWAYS.has(highway)) continue;
+            if (!highway || !(DRIVING_HIGHWAYS.has(highway) || WALKING_HIGHWAYS.has(highway))) continue;
 
             const nodeIds = item.refs;
             if (!nodeIds || nodeIds.length < 2) continue;
@@ -172,10 +184,17 @@ async function importRoads() {
               width: item.tags?.width || undefined,
               surface: item.tags?.surface || undefined,
               junction: item.tags?.junction || undefined,
+              footway: item.tags?.footway || undefined,
+              sidewalk: item.tags?.sidewalk || undefined,
+              priorityRoad: item.tags?.priority_road || undefined,
+              controls: nodeIds
+                .filter((id) => controlNodes.has(id))
+                .map((id) => ({ nodeId: id, ...controlNodes.get(id) })),
             };
 
             ways.push(way);
             wayCount++;
+            if (WALKING_HIGHWAYS.has(highway)) continue;
 
             // Map nodes to ways for intersection detection
             for (const nid of nodeIds) {
@@ -194,7 +213,7 @@ async function importRoads() {
     console.warn(`Warning: ${nodeCount} nodes may exceed memory. For very large PBF files, use a regional extract.`);
   }
   checkMemory("post-parse");
-  console.log(`Parsed ${nodeCount} nodes, ${wayCount} roads`);
+  console.log(`Parsed ${nodeCount} nodes (${controlNodes.size} stop/give-way/signals), ${wayCount} roads`);
 
   if (ways.length === 0) {
     console.log("No roads found to import");
@@ -422,6 +441,10 @@ async function importRoads() {
       width: w.width || undefined,
       surface: w.surface || undefined,
       junction: w.junction || undefined,
+      footway: w.footway || undefined,
+      sidewalk: w.sidewalk || undefined,
+      priorityRoad: w.priorityRoad || undefined,
+      controls: w.controls.length > 0 ? w.controls : undefined,
     }));
     await Road.insertMany(docs);
     console.log(`  Roads: ${Math.min(i + BATCH_SIZE, ways.length)} / ${ways.length}`);
@@ -0,0 +1,156 @@
+// Simulated junction controller: streams signal phase and timing (SPaT) for a
+// fixed-time two-phase plan, as a partner controller would.
+// Usage: SPAT_API_KEY=<key> node scripts/simulateSpat.mjs <nodeId> [rest|ws|print] [greenS] [axisBearing]
+// Defaults: rest, 20 s green, the first axis running north-south (0/180).
+// "print" writes the messages to stdout without a server, as a sample feed.
+// The server needs the key in SPAT_API_KEYS (partner:key).
+
+import WebSocket from 'ws';
+import http from 'http';
+
+const HTTP_URL = 'http://localhost:5001';
+const WS_BASE = 'ws://localhost:5001';
+
+const NODE_ID = Number(process.argv[2]);
+const TRANSPORT = process.argv[3] || 'rest';
+const GREEN_S = parseFloat(process.argv[4] || '20');
+const AXIS = parseFloat(process.argv[5] || '0');
+const API_KEY = process.env.SPAT_API_KEY || '';
+
+const AMBER_S = 3;
+const ALL_RED_S = 2;
+const INTERVAL_MS = 1000;
+
+if (!Number.isSafeInteger(NODE_ID) || NODE_ID <= 0 || !['rest', 'ws', 'print'].includes(TRANSPORT)) {
+  console.error('Usage: SPAT_API_KEY=<key> node scripts/simulateSpat.mjs <nodeId> [rest|ws|print] [greenS] [axisBearing]');
+  process.exit(1);
+}
+if (TRANSPORT !== 'print' && !API_KEY) {
+  console.error('SPAT_API_KEY is not set');
+  process.exit(1);
+}
+
+// One cycle: axis A green, amber, all red; then axis B the same
+const STAGES = [
+  { a: 'green', b: 'red', length: GREEN_S },
+  { a: 'amber', b: 'red', length: AMBER_S },
+  { a: 'red', b: 'red', length: ALL_RED_S },
+  { a: 'red', b: 'green', length: GREEN_S },
+  { a: 'red', b: 'amber', length: AMBER_S },
+  { a: 'red', b: 'red', length: ALL_RED_S },
+];
+const CYCLE_S = STAGES.reduce((sum, s) => sum + s.length, 0);
+
+// Seconds until this axis's phase changes, looking past stages where it stays the same
+function timeToChange(stageIndex, intoStage, axis) {
+  const phase = STAGES[stageIndex][axis];
+  let remaining = STAGES[stageIndex].length - intoStage;
+  for (let i = 1; i < STAGES.length; i++) {
+    const next = STAGES[(stageIndex + i) % STAGES.length];
+    if (next[axis] !== phase) break;
+    remaining += next.length;
+  }
+  return Math.round(remaining * 10) / 10;
+}
+
+function messageAt(elapsedS, timestamp) {
+  let t = elapsedS % CYCLE_S;
+  let stageIndex = 0;
+  while (t >= STAGES[stageIndex].length) {
+    t -= STAGES[stageIndex].length;
+    stageIndex++;
+  }
+  const stage = STAGES[stageIndex];
+  const approach = (bearing, axis) => ({
+    bearing: bearing % 360,
+    phase: stage[axis],
+    timeToChangeS: timeToChange(stageIndex, t, axis),
+    stopLineM: 10,
+  });
+  return {
+    nodeId: NODE_ID,
+    timestamp,
+    approaches: [
+      approach(AXIS, 'a'),
+      approach(AXIS + 180, 'a'),
+      approach(AXIS + 90, 'b'),
+      approach(AXIS + 270, 'b'),
+    ],
+  };
+}
+
+function describe(msg) {
+  return msg.approaches.map((a) => `${String(a.bearing).padStart(3)}° ${a.phase.padEnd(5)} ${a.timeToChangeS}s`).join(' | ');
+}
+
+function postRest(msg) {
+  return new Promise((resolve) => {
+    const postData = JSON.stringify(msg);
+    const req = http.request(`${HTTP_URL}/api/spat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData),
+        'x-api-key': API_KEY,
+      },
+    }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        if (res.statusCode !== 202) console.warn(`⚠️ ${res.statusCode}: ${body}`);
+        resolve();
+      });
+    });
+    req.on('error', (e) => {
+      console.error('❌ POST failed:', e.message);
+      resolve();
+    });
+    req.write(postData);
+    req.end();
+  });
+}
+
+function connectWs() {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WS_BASE}/spat`, { headers: { 'x-api-key': API_KEY } });
+    ws.on('open', () => {
+      console.log('✅ SPaT socket connected');
+      resolve(ws);
+    });
+    ws.on('message', (data) => {
+      const reply = JSON.parse(data.toString());
+      if (reply.status !== 'accepted') console.warn('⚠️ Rejected:', reply.reason);
+    });
+    ws.on('close', (code, reason) => console.log(`🔌 SPaT socket closed (${code} ${reason})`));
+    ws.on('error', (e) => reject(e));
+  });
+}
+
+async function run() {
+  console.log(`\n=== SPaT SIMULATION: node ${NODE_ID} via ${TRANSPORT} ===`);
+  console.log(`Cycle ${CYCLE_S}s: ${GREEN_S}s green, ${AMBER_S}s amber, ${ALL_RED_S}s all red per axis; axis A ${AXIS % 180}°\n`);
+
+  const ws = TRANSPORT === 'ws' ? await connectWs() : null;
+  const startTime = Date.now();
+  // print mode emits one full cycle and exits
+  const steps = TRANSPORT === 'print' ? CYCLE_S : Infinity;
+
+  for (let step = 0; step < steps; step++) {
+    const elapsed = TRANSPORT === 'print' ? step : (Date.now() - startTime) / 1000;
+    const msg = messageAt(elapsed, startTime + Math.round(elapsed * 1000));
+    if (TRANSPORT === 'print') {
+      console.log(JSON.stringify(msg));
+      continue;
+    }
+    if (ws) ws.send(JSON.stringify(msg));
+    else await postRest(msg);
+    console.log(`  [${elapsed.toFixed(1)}s] ${describe(msg)}`);
+    await new Promise((r) => setTimeout(r, INTERVAL_MS));
+  }
+  ws?.close();
+}
+
+run().catch((e) => {
+  console.error('❌ Simulation failed:', e.message);
+  process.exit(1);
+});
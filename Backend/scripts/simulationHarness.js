@@ -1,5 +1,7 @@
 import WebSocket from 'ws';
 import http from 'http';
+import { readFileSync } from 'fs';
+import { encodeGeohash } from '../geohash.js';
 
 const SERVER_PORT = 5001;
 const HTTP_BASE = `http://localhost:${SERVER_PORT}`;
@@ -13,6 +15,9 @@ const DEG_PER_M_LON = (lat) => 1 / (111320 * Math.cos(lat * Math.PI / 180));
 
 const REF_LAT = 17.3850;
 const REF_LNG = 78.4870;
+const SCENARIO_PATH = new URL('../tests/scenarios/scenario_spec_v1.json', import.meta.url);
+// Detection pool shard size (DETECTION_GEOHASH_PRECISION)
+const CELL_PRECISION = Number(process.env.DETECTION_GEOHASH_PRECISION ?? 6);
 
 function gaussianRandom(mean = 0, std = 1) {
   let u = 0, v = 0;
@@ -265,6 +270,9 @@ class SimConnection {
     this.threats = [];
     this.ready = false;
     this.responseCount = 0;
+    // Send times awaiting their response; threat pushes don't answer a send
+    this.pendingSends = [];
+    this.updateLatencies = [];
   }
 
   connect() {
@@ -283,6 +291,9 @@ class SimConnection {
         this.responseCount++;
         try {
           const msg = JSON.parse(data.toString());
+          if (msg.status !== 'threat' && this.pendingSends.length > 0) {
+            this.updateLatencies.push(performance.now() - this.pendingSends.shift());
+          }
           if (msg.threats && msg.threats.length > 0) {
             for (const t of msg.threats) {
               this.threats.push({
@@ -307,6 +318,7 @@ class SimConnection {
 
   sendLocation(state) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.pendingSends.push(performance.now());
       this.ws.send(JSON.stringify(state));
       return true;
     }
@@ -325,6 +337,12 @@ class SimConnection {
     this.threats = [];
     return t;
   }
+
+  getAndClearLatencies() {
+    const l = this.updateLatencies;
+    this.updateLatencies = [];
+    return l;
+  }
 }
 
 class SimRunner {
@@ -336,6 +354,7 @@ class SimRunner {
     this.tickNum = 0;
     this.running = false;
     this.connectionReady = false;
+    this.latenciesByVehicle = new Map();
   }
 
   async connectAll() {
@@ -403,9 +422,14 @@ class SimRunner {
         const tickEnd = performance.now();
 
         const allThreats = [];
+        const updateLatencies = [];
         for (const conn of this.connections) {
           const threats = conn.getAndClearThreats();
           allThreats.push(...threats);
+          const latencies = conn.getAndClearLatencies();
+          updateLatencies.push(...latencies);
+          if (!this.latenciesByVehicle.has(conn.vehicleId)) this.latenciesByVehicle.set(conn.vehicleId, []);
+          this.latenciesByVehicle.get(conn.vehicleId).push(...latencies);
         }
 
         const memAfter = process.memoryUsage().heapUsed;
@@ -419,6 +443,7 @@ class SimRunner {
           memDeltaMB: memDelta,
           memTotalMB: memAfter / 1024 / 1024,
           alerts: allThreats,
+          updateLatencies,
           numVehicles: this.vehicles.length,
           responseTimeouts: timeouts,
         });
@@ -469,11 +494,15 @@ class MetricsCollector {
     const initialMemMB = ticks.length > 0 ? ticks[0].memTotalMB : 0;
     const memGrowthMB = finalMemMB - initialMemMB;
     const totalAlerts = this.alertLog.length;
+    // Per-update send → response latency, what an individual rider experiences
+    const updateLatencies = ticks.flatMap(t => t.updateLatencies || []).sort((a, b) => a - b);
+    const p95UpdateMs = updateLatencies[Math.floor(updateLatencies.length * 0.95)] || 0;
 
     return {
       avgProcTimeMs: Math.round(avgProcTime * 100) / 100,
       maxProcTimeMs: Math.round(maxProcTime * 100) / 100,
       p95ProcTimeMs: Math.round(p95ProcTime * 100) / 100,
+      p95UpdateMs: Math.round(p95UpdateMs * 100) / 100,
       avgMemDeltaMB: Math.round(avgMemDelta * 100) / 100,
       memGrowthMB: Math.round(memGrowthMB * 100) / 100,
       totalAlerts,
@@ -745,6 +774,125 @@ class YawCommitmentTest {
   }
 }
 
+// Spec scale scenario with a `hotspot` distribution (D-06): the same fleet run
+// twice, once spread over the grid and once with `hotspot.vehicles` packed round
+// one junction. Detection is sharded by geohash cell, so the busy junction must
+// not slow updates from vehicles in every other cell.
+const HOTSPOT_P95_TOLERANCE = 1.25;
+const HOTSPOT_P95_SLACK_MS = 10;
+
+function p95(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length * 0.95)] || 0;
+}
+
+class HotspotTest {
+  constructor(scenario) {
+    this.scenario = scenario;
+  }
+
+  async _runOnce(withHotspot) {
+    const { vehicles_count: N, distribution } = this.scenario;
+    const hotspot = distribution.hotspot;
+    const [minKmh, maxKmh] = distribution.speeds_kmh || [10, 50];
+    const gridCols = Math.max(10, Math.ceil(Math.sqrt(N)));
+    // Junction in the middle of the grid
+    const junctionLat = REF_LAT + Math.floor(N / gridCols / 2) * 0.002;
+    const junctionLng = REF_LNG + Math.floor(gridCols / 2) * 0.002;
+    const hotCell = encodeGeohash(junctionLat, junctionLng, CELL_PRECISION);
+
+    const vehicles = [];
+    const connections = [];
+    const otherCellIds = new Set();
+
+    for (let i = 0; i < N; i++) {
+      const id = `sim-hotspot-${String(i).padStart(4, '0')}`;
+      const queued = withHotspot && i < hotspot.vehicles;
+      let opts;
+      if (queued) {
+        // Uniform over the disc round the junction
+        const r = hotspot.radius_m * Math.sqrt(Math.random());
+        const a = Math.random() * 2 * Math.PI;
+        opts = {
+          offsetLat: junctionLat - REF_LAT + r * Math.cos(a) * DEG_PER_M_LAT,
+          offsetLng: junctionLng - REF_LNG + r * Math.sin(a) * DEG_PER_M_LON(junctionLat),
+        };
+      } else {
+        opts = {
+          offsetLat: Math.floor(i / gridCols) * 0.002 + Math.random() * 0.0005,
+          offsetLng: (i % gridCols) * 0.002 + Math.random() * 0.0005,
+        };
+      }
+      const v = new VehicleSim(id, i, opts);
+      // Queued traffic crawls so the junction stays busy for the whole run
+      v.speed = queued ? Math.random() * 5 : (minKmh + Math.random() * (maxKmh - minKmh)) / 3.6;
+      v.heading = distribution.headings === 'mixed' ? Math.floor(Math.random() * 4) * 90 : 0;
+      if (encodeGeohash(v.trueLat, v.trueLng, CELL_PRECISION) !== hotCell) otherCellIds.add(id);
+      vehicles.push(v);
+      connections.push(new SimConnection(id));
+    }
+
+    const runner = new SimRunner(vehicles, connections);
+    await runner.connectAll();
+    if (!runner.connectionReady) {
+      for (const c of connections) c.close();
+      return { error: 'connection failed' };
+    }
+
+    await runner.run(RUN_DURATION_SEC);
+    const dropped = connections.filter(c => !c.ready).length;
+    runner.disconnectAll();
+
+    const otherCellLatencies = [];
+    for (const id of otherCellIds) otherCellLatencies.push(...(runner.latenciesByVehicle.get(id) || []));
+
+    return {
+      p95UpdateMs: runner.metrics.getAggregate().p95UpdateMs || 0,
+      otherCellsP95Ms: p95(otherCellLatencies),
+      otherCellVehicles: otherCellIds.size,
+      dropped,
+    };
+  }
+
+  async run() {
+    const { id, vehicles_count: N, distribution, expected = {} } = this.scenario;
+    console.log(`  Starting ${id} (N=${N}, ${distribution.hotspot.vehicles} within ${distribution.hotspot.radius_m}m of one junction)...`);
+
+    const spread = await this._runOnce(false);
+    await runCleanup();
+    await sleep(1000);
+    const hot = await this._runOnce(true);
+    await runCleanup();
+    if (spread.error || hot.error) return { error: spread.error || hot.error };
+
+    const checks = [];
+    if (expected.p95UpdateLatencyMs !== undefined) {
+      checks.push({
+        name: 'p95UpdateLatencyMs',
+        passed: hot.p95UpdateMs <= expected.p95UpdateLatencyMs,
+        actual: `${hot.p95UpdateMs.toFixed(0)}ms (limit ${expected.p95UpdateLatencyMs}ms)`,
+      });
+    }
+    if (expected.noCrash) {
+      checks.push({
+        name: 'noCrash',
+        passed: spread.dropped === 0 && hot.dropped === 0,
+        actual: `${spread.dropped + hot.dropped} sockets dropped`,
+      });
+    }
+    if (expected.hotspotDoesNotRaiseOtherCellsP95) {
+      const limit = Math.max(spread.otherCellsP95Ms * HOTSPOT_P95_TOLERANCE, spread.otherCellsP95Ms + HOTSPOT_P95_SLACK_MS);
+      checks.push({
+        name: 'hotspotDoesNotRaiseOtherCellsP95',
+        passed: hot.otherCellVehicles > 0 && hot.otherCellsP95Ms <= limit,
+        actual: `${spread.otherCellsP95Ms.toFixed(0)}ms → ${hot.otherCellsP95Ms.toFixed(0)}ms over ${hot.otherCellVehicles} vehicles (limit ${limit.toFixed(0)}ms)`,
+      });
+    }
+
+    return { id, N, spread, hot, checks, passed: checks.every(c => c.passed) };
+  }
+}
+
 class BreakingPointFinder {
   async find(vehiclesFn, label, Nvalues) {
     console.log(`  Breaking Point: ${label}...`);
@@ -840,14 +988,14 @@ function printDivider(char = '═', width = 70) {
   console.log(char.repeat(width));
 }
 
-function reportResults(label, N, avgMs, maxMs, p95Ms, memMB, fpPct, fnPct, leadAvg) {
+function reportResults(label, N, avgMs, maxMs, p95Ms, updP95Ms, memMB, fpPct, fnPct, leadAvg) {
   const fpSafe = fpPct !== undefined && isFinite(fpPct) ? fpPct : 0;
   const fnSafe = fnPct !== undefined && isFinite(fnPct) ? fnPct : 0;
   const fpStr = fpSafe.toFixed(1).padStart(5);
   const fnStr = fnSafe.toFixed(1).padStart(5);
   const leadStr = leadAvg !== undefined && leadAvg > 0 ? leadAvg.toFixed(1).padStart(5) : '  N/A';
   console.log(
-    `║ ${String(N).padStart(3)} │ ${avgMs.toFixed(1).padStart(7)} │ ${maxMs.toFixed(1).padStart(7)} │ ${p95Ms.toFixed(1).padStart(7)} │ ${memMB.toFixed(1).padStart(7)} │ ${fpStr} │ ${fnStr} │ ${leadStr} ║`
+    `║ ${String(N).padStart(4)} │ ${avgMs.toFixed(1).padStart(7)} │ ${maxMs.toFixed(1).padStart(7)} │ ${p95Ms.toFixed(1).padStart(7)} │ ${updP95Ms.toFixed(1).padStart(7)} │ ${memMB.toFixed(1).padStart(7)} │ ${fpStr} │ ${fnStr} │ ${leadStr} ║`
   );
 }
 
@@ -875,7 +1023,11 @@ async function main() {
   await runCleanup();
   QUIET = true;
 
-  const scaleNs = [5, 20, 50, 100, 200];
+  // --scale=5,20,50 overrides the vehicle counts
+  const scaleArg = process.argv.find(a => a.startsWith('--scale='));
+  const scaleNs = scaleArg
+    ? scaleArg.slice('--scale='.length).split(',').map(Number).filter(n => n > 0)
+    : [5, 20, 50, 100, 200, 500, 1000];
   const scaleResults = [];
 
   console.log(`\n${CYAN}═══ SCALE TEST ═══${RESET}`);
@@ -885,9 +1037,11 @@ async function main() {
     const connections = [];
 
     for (let i = 0; i < N; i++) {
-      const id = `sim-vehicle-${String(i).padStart(3, '0')}`;
-      const gridCol = i % 10;
-      const gridRow = Math.floor(i / 10);
+      const id = `sim-vehicle-${String(i).padStart(4, '0')}`;
+      // Square-ish grid past 100 vehicles so large runs stay city-sized
+      const gridCols = Math.max(10, Math.ceil(Math.sqrt(N)));
+      const gridCol = i % gridCols;
+      const gridRow = Math.floor(i / gridCols);
       const v = new VehicleSim(id, i, {
         offsetLat: gridRow * 0.002 + Math.random() * 0.0005,
         offsetLng: gridCol * 0.002 + Math.random() * 0.0005,
@@ -919,6 +1073,7 @@ async function main() {
       avgProcTimeMs: agg.avgProcTimeMs,
       maxProcTimeMs: agg.maxProcTimeMs,
       p95ProcTimeMs: agg.p95ProcTimeMs,
+      p95UpdateMs: agg.p95UpdateMs,
       memGrowthMB: agg.memGrowthMB,
       fpRate: cf.fpRate,
       fnRate: cf.fnRate,
@@ -927,7 +1082,7 @@ async function main() {
       leadCount: lead.count,
     });
 
-    console.log(`  N=${String(N).padStart(3)}: avg ${agg.avgProcTimeMs.toFixed(1)}ms │ max ${agg.maxProcTimeMs.toFixed(1)}ms │ mem ${agg.memGrowthMB.toFixed(1)}MB │ FP ${cf.fpRate.toFixed(1)}% │ FN ${cf.fnRate.toFixed(1)}%`);
+    console.log(`  N=${String(N).padStart(4)}: avg ${agg.avgProcTimeMs.toFixed(1)}ms │ max ${agg.maxProcTimeMs.toFixed(1)}ms │ upd p95 ${agg.p95UpdateMs.toFixed(1)}ms │ mem ${agg.memGrowthMB.toFixed(1)}MB │ FP ${cf.fpRate.toFixed(1)}% │ FN ${cf.fnRate.toFixed(1)}%`);
 
     await runCleanup();
     await sleep(1000);
@@ -935,13 +1090,31 @@ async function main() {
 
   console.log(`\n${CYAN}═══ SCALE TEST RESULTS TABLE ═══${RESET}`);
   printDivider('═');
-  console.log(`║ ${'N'.padStart(3)} │ ${'Avg(ms)'.padStart(7)} │ ${'Max(ms)'.padStart(7)} │ ${'P95(ms)'.padStart(7)} │ ${'Mem(MB)'.padStart(7)} │ ${'FP%'.padStart(5)} │ ${'FN%'.padStart(5)} │ ${'Lead(s)'.padStart(5)} ║`);
+  console.log(`║ ${'N'.padStart(4)} │ ${'Avg(ms)'.padStart(7)} │ ${'Max(ms)'.padStart(7)} │ ${'P95(ms)'.padStart(7)} │ ${'Upd P95'.padStart(7)} │ ${'Mem(MB)'.padStart(7)} │ ${'FP%'.padStart(5)} │ ${'FN%'.padStart(5)} │ ${'Lead(s)'.padStart(5)} ║`);
   printDivider('─');
   for (const r of scaleResults) {
-    reportResults('', r.N, r.avgProcTimeMs, r.maxProcTimeMs, r.p95ProcTimeMs, r.memGrowthMB, r.fpRate, r.fnRate, r.leadAvg);
+    reportResults('', r.N, r.avgProcTimeMs, r.maxProcTimeMs, r.p95ProcTimeMs, r.p95UpdateMs, r.memGrowthMB, r.fpRate, r.fnRate, r.leadAvg);
   }
   printDivider('═');
 
+  const spec = JSON.parse(readFileSync(SCENARIO_PATH, 'utf8'));
+  const hotspotScenario = (spec.scenarios?.groupD_scale || []).find(s => s.distribution?.hotspot);
+  let hotspotResult = null;
+  if (hotspotScenario) {
+    hotspotResult = await new HotspotTest(hotspotScenario).run();
+
+    console.log(`\n${CYAN}═══ HOTSPOT ISOLATION (${hotspotScenario.id}) ═══${RESET}`);
+    printDivider('═');
+    if (hotspotResult.error) {
+      console.log(`║ Hotspot test failed: ${hotspotResult.error.padEnd(46)} ║`);
+    } else {
+      for (const c of hotspotResult.checks) {
+        console.log(`║ ${c.passed ? '✅' : '❌'} ${c.name.padEnd(34)} ${c.actual}`);
+      }
+    }
+    printDivider('═');
+  }
+
   const brakeTest = new BrakingDetectionTest();
   const brakeResult = await brakeTest.run(50);
 
@@ -1037,6 +1210,16 @@ async function main() {
     console.log(`║  ${YELLOW}⚠ Big-O behavior approaching O(n²) (exponent=${bpExponent})${RESET}              ║`);
   }
 
+  // Per-update p95 should stay flat as the fleet grows; sharded detection keeps it there
+  const smallest = scaleResults[0];
+  const largest = scaleResults[scaleResults.length - 1];
+  if (smallest && largest && largest !== smallest) {
+    const ratio = largest.p95UpdateMs / Math.max(smallest.p95UpdateMs, 1);
+    const color = largest.p95UpdateMs < 500 && ratio < 5 ? GREEN : YELLOW;
+    console.log(`║  ${color}Per-update p95: ${smallest.p95UpdateMs.toFixed(0)}ms at N=${smallest.N} → ${largest.p95UpdateMs.toFixed(0)}ms at N=${largest.N}${RESET}              ║`);
+    console.log(`║                                                                     ║`);
+  }
+
   const fpOverall = scaleResults.length > 0 ?
     scaleResults.reduce((s, r) => s + r.fpRate, 0) / scaleResults.length : 0;
 
@@ -1060,6 +1243,7 @@ async function main() {
   QUIET = false;
   QUIET = false;
   console.log('\nDone.');
+  if (hotspotResult && !hotspotResult.passed) process.exitCode = 1;
 }
 
 main().catch(e => {
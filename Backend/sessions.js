@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "./Models/Session.Model.js";
+import User from "./Models/User.Model.js";
+
+// Per-device sessions with rotating refresh tokens.
+//
+// A refresh token carries its session (sid) and a one-time id (jti). Refreshing
+// swaps the session's currentJti atomically, so each token works once; a token
+// that verifies but is no longer current has been replayed (stolen, or a client
+// bug) and the whole session is revoked, which also kills whoever holds the
+// current token.
+
+const MAX_DEVICE_NAME = 100;
+
+const newJti = () => crypto.randomBytes(16).toString("hex");
+const expiryOf = (token) => new Date(jwt.decode(token).exp * 1000);
+
+function describeDevice(req) {
+  const named = typeof req.body?.deviceName === "string" ? req.body.deviceName.trim() : "";
+  const userAgent = req.headers?.["user-agent"] || "";
+  return {
+    deviceName: (named || userAgent || "Unknown device").slice(0, MAX_DEVICE_NAME),
+    userAgent,
+    ip: req.ip,
+  };
+}
+
+// New session for a login or registration → { accessToken, refreshToken, session }
+async function startSession(user, req) {
+  const jti = newJti();
+  const session = new Session({ userId: user._id, currentJti: jti, ...describeDevice(req) });
+  const refreshToken = user.generateRefreshToken(session._id, jti);
+  session.expiresAt = expiryOf(refreshToken);
+  await session.save();
+  console.log(`🔐 Session ${session._id} started for ${user._id} (${session.deviceName})`);
+  return { accessToken: user.generateAccessToken(session._id), refreshToken, session };
+}
+
+// → { accessToken, refreshToken } or { error }
+async function rotateSession(refreshToken) {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch {
+    return { error: "Invalid or expired refresh token" };
+  }
+  // Tokens from before sessions existed carry no session
+  if (!payload.sid || !payload.jti || !mongoose.isValidObjectId(payload.sid)) {
+    return { error: "Refresh token no longer supported, please log in again" };
+  }
+
+  const jti = newJti();
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { _id: payload.sid, userId: payload._id, currentJti: payload.jti, revokedAt: null },
+    { $set: { currentJti: jti, lastUsedAt: now } },
+    { new: true }
+  );
+  if (!session) {
+    const revoked = await Session.findOneAndUpdate(
+      { _id: payload.sid, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: "reuse" } }
+    );
+    if (revoked) console.warn(`🚨 Refresh token reuse on session ${payload.sid} (user ${payload._id}) — session revoked`);
+    return { error: "Refresh token revoked" };
+  }
+
+  const user = await User.findById(payload._id);
+  if (!user) return { error: "Refresh token revoked or user not found" };
+  const nextRefreshToken = user.generateRefreshToken(session._id, jti);
+  await Session.updateOne({ _id: session._id }, { $set: { expiresAt: expiryOf(nextRefreshToken) } });
+  return { accessToken: user.generateAccessToken(session._id), refreshToken: nextRefreshToken };
+}
+
+// Returns whether a live session was revoked
+async function revokeSession(userId, sessionId, reason) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Returns how many sessions were revoked
+async function revokeAllSessions(userId, reason, { except = null } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+async function isSessionActive(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  return !!(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+}
+
+async function listSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("deviceName userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+export { startSession, rotateSession, revokeSession, revokeAllSessions, isSessionActive, listSessions };
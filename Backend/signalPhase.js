@@ -0,0 +1,193 @@
+// Traffic signal phases inferred from how connected vehicles behave at a
+// signalised junction, for junctions without a live signal feed.
+//
+// Two-phase model: approaches along the same axis (e.g. northbound and
+// southbound) share a phase, crossing axes have the other one. A vehicle
+// stopped near the stop line says its axis is red; one moving through close to
+// the junction says it is green. An axis nobody has been seen on takes the
+// opposite of a crossing axis that has been, with less confidence.
+//
+// Evidence fades over EVIDENCE_TTL_MS, and each axis learns how long its red and
+// green usually last, so a phase that has run past its usual length is trusted
+// less. State lives in the shared vehicle store when one is given, so every
+// instance and detection worker infers the same phases; reads go through a short
+// cache, as in spat.js. Two instances observing one junction in the same moment
+// can lose one observation, which the next update (about a second later) repeats.
+
+const STOP_LINE_M = 40;
+const STOP_SPEED_MS = 0.5;
+const GO_RANGE_M = 30;
+const GO_SPEED_MS = 3;
+const EVIDENCE_TTL_MS = 10000;
+// Bearings (mod 180) this close are the same axis; this far apart, crossing ones
+const SAME_AXIS_DEG = 30;
+const CROSSING_AXIS_DEG = 60;
+// An axis's phase read off a crossing axis is worth this much of an observed one
+const CROSSING_CONFIDENCE = 0.7;
+// Phases longer than this were not watched throughout and teach nothing
+const MAX_PHASE_MS = 180000;
+// Weight of the newest phase in the learned durations
+const DURATION_ALPHA = 0.3;
+// A conflict with one side facing a red keeps this much of its probability at full confidence
+const RED_WEIGHT = 0.1;
+// Axes keep their learned durations this long after the last vehicle
+const STATE_TTL_MS = MAX_PHASE_MS * 5;
+const CACHE_MS = 500;
+
+const systemClock = { now: () => Date.now() };
+
+function axisDiff(a, b) {
+  const d = Math.abs((((a - b) % 180) + 180) % 180);
+  return d > 90 ? 180 - d : d;
+}
+
+// Factor a junction conflict is weighed by given both approaches' phases
+// ({ phase, confidence } | null): down to RED_WEIGHT when one side is stopped
+function signalConflictWeight(phaseA, phaseB) {
+  const stopped = Math.max(
+    phaseA?.phase === "stop" ? phaseA.confidence : 0,
+    phaseB?.phase === "stop" ? phaseB.confidence : 0
+  );
+  return 1 - stopped * (1 - RED_WEIGHT);
+}
+
+// Applies one vehicle's evidence to a junction's axes, in place
+function applyEvidence(axes, approachBearing, evidence, now) {
+  const axis = axes.find((a) => axisDiff(a.bearing, approachBearing) <= SAME_AXIS_DEG);
+  if (!axis) {
+    axes.push({ bearing: approachBearing % 180, phase: evidence, since: now, sinceWatched: false, seenAt: now, durations: { stop: null, go: null } });
+    return;
+  }
+  // After a gap nobody saw when the current phase began
+  const watched = now - axis.seenAt <= EVIDENCE_TTL_MS;
+  if (axis.phase !== evidence) {
+    // The phase just ended is only a full one if it was watched until now
+    const lasted = now - axis.since;
+    if (watched && axis.sinceWatched && lasted <= MAX_PHASE_MS) {
+      const prev = axis.durations[axis.phase];
+      axis.durations[axis.phase] = prev === null ? lasted : prev + DURATION_ALPHA * (lasted - prev);
+    }
+    axis.phase = evidence;
+    axis.since = now;
+    axis.sinceWatched = watched;
+  } else if (!watched) {
+    axis.since = now;
+    axis.sinceWatched = false;
+  }
+  axis.seenAt = now;
+}
+
+class SignalPhaseTracker {
+  constructor({ store = null, clock = systemClock } = {}) {
+    this.store = store;
+    this.clock = clock;
+    // junction key → { axes: [{ bearing (0-180), phase, since, sinceWatched, seenAt, durations: { stop, go } }], fetchedAt }
+    // sinceWatched: the phase was seen to begin, so its length can be learned.
+    // A read-through cache of the store, or the only copy without one.
+    this.junctions = new Map();
+    this.cleanupInterval = setInterval(() => this._cleanup(), 60000);
+  }
+
+  _sharedStore() {
+    return this.store?.isReady ? this.store : null;
+  }
+
+  // Axes per key, or null when the store can't be read
+  async _read(store, junctionKeys) {
+    try {
+      return (await store.getSignalPhases(junctionKeys)).map((axes) => axes || []);
+    } catch (e) {
+      console.error("❌ Failed to read signal phases:", e.message);
+      return null;
+    }
+  }
+
+  // Load phases for junctions about to be checked; phaseFor reads the cache
+  async prefetch(junctionKeys) {
+    const store = this._sharedStore();
+    if (!store) return;
+    const now = this.clock.now();
+    const missing = [...new Set(junctionKeys)].filter((key) => {
+      const cached = this.junctions.get(key);
+      return !cached || now - cached.fetchedAt > CACHE_MS;
+    });
+    if (missing.length === 0) return;
+    const axes = await this._read(store, missing);
+    if (axes) missing.forEach((key, i) => this.junctions.set(key, { axes: axes[i], fetchedAt: now }));
+  }
+
+  // A vehicle approaching a signalised junction on approachBearing, distanceM out.
+  // Returns the phase it is evidence for, or null.
+  async observe(junctionKey, approachBearing, speed, distanceM) {
+    if (!Number.isFinite(approachBearing) || !Number.isFinite(speed) || !Number.isFinite(distanceM)) return null;
+    let evidence = null;
+    if (speed <= STOP_SPEED_MS && distanceM <= STOP_LINE_M) evidence = "stop";
+    else if (speed >= GO_SPEED_MS && distanceM <= GO_RANGE_M) evidence = "go";
+    if (!evidence) return null;
+
+    const now = this.clock.now();
+    const store = this._sharedStore();
+    // Read just before writing, so other observers' evidence is kept
+    let axes = store ? (await this._read(store, [junctionKey]))?.[0] : null;
+    axes ??= this.junctions.get(junctionKey)?.axes ?? [];
+    applyEvidence(axes, approachBearing, evidence, now);
+    this.junctions.set(junctionKey, { axes, fetchedAt: now });
+    if (store) {
+      try {
+        await store.setSignalPhases(junctionKey, axes, STATE_TTL_MS);
+      } catch (e) {
+        console.error(`❌ Failed to share signal phases for ${junctionKey}:`, e.message);
+      }
+    }
+    return evidence;
+  }
+
+  // { phase: "go" | "stop", confidence, source: "observed" | "crossing" } for an
+  // approach on this bearing, or null when nothing recent says
+  phaseFor(junctionKey, approachBearing) {
+    const axes = this.junctions.get(junctionKey)?.axes;
+    if (!axes || !Number.isFinite(approachBearing)) return null;
+    const now = this.clock.now();
+    const own = axes.find((a) => axisDiff(a.bearing, approachBearing) <= SAME_AXIS_DEG);
+    const ownConfidence = own ? this._confidence(own, now) : 0;
+    if (ownConfidence > 0) return { phase: own.phase, confidence: ownConfidence, source: "observed" };
+
+    let best = null;
+    for (const axis of axes) {
+      if (axisDiff(axis.bearing, approachBearing) < CROSSING_AXIS_DEG) continue;
+      const confidence = this._confidence(axis, now) * CROSSING_CONFIDENCE;
+      if (confidence > 0 && (!best || confidence > best.confidence)) {
+        best = { phase: axis.phase === "go" ? "stop" : "go", confidence, source: "crossing" };
+      }
+    }
+    return best;
+  }
+
+  // Fades from 1 to 0.5 over EVIDENCE_TTL_MS, halved once the phase has run
+  // past its usual length; 0 once the evidence is stale
+  _confidence(axis, now) {
+    const age = now - axis.seenAt;
+    if (age > EVIDENCE_TTL_MS) return 0;
+    let confidence = 1 - 0.5 * (age / EVIDENCE_TTL_MS);
+    const usual = axis.durations[axis.phase];
+    if (usual !== null && now - axis.since > usual) confidence *= 0.5;
+    return confidence;
+  }
+
+  // Axes keep their learned durations for a while after the last vehicle
+  _cleanup() {
+    const now = this.clock.now();
+    for (const [key, entry] of this.junctions) {
+      entry.axes = entry.axes.filter((a) => now - a.seenAt <= STATE_TTL_MS);
+      if (entry.axes.length === 0) this.junctions.delete(key);
+    }
+  }
+
+  destroy() {
+    clearInterval(this.cleanupInterval);
+    this.junctions.clear();
+  }
+}
+
+export default SignalPhaseTracker;
+export { signalConflictWeight };
@@ -0,0 +1,247 @@
+import { createHash, timingSafeEqual } from "crypto";
+
+// Signal phase and timing (SPaT) pushed by connected controllers at partner
+// junctions. A message describes one junction, identified by its OSM node:
+//   { nodeId, timestamp?, approaches: [{ bearing, phase, timeToChangeS?, stopLineM? }] }
+// bearing is the travel direction into the junction (deg), phase is green,
+// amber or red, timeToChangeS how long the phase has left and stopLineM how far
+// before the junction node the approach's stop line sits.
+//
+// Messages go to the shared vehicle store, so every instance and detection
+// worker reads the same feed; each SpatFeed keeps a short read-through cache.
+// A feed that stops sending is dropped after SPAT_TTL_MS, and a phase is only
+// trusted until its announced change: an unknown phase beats a stale green.
+//
+// Partners authenticate with an API key: SPAT_API_KEYS=partner:key,partner2:key2
+// The first partner to send for a junction owns it until it has been silent for
+// SPAT_OWNER_TTL_MS; messages from anyone else for that junction are refused.
+
+const SPAT_TTL_MS = Number(process.env.SPAT_TTL_MS ?? 5000);
+const SPAT_OWNER_TTL_MS = Number(process.env.SPAT_OWNER_TTL_MS ?? 24 * 3600 * 1000);
+const CACHE_MS = 500;
+const MAX_APPROACHES = 16;
+const MAX_TIME_TO_CHANGE_S = 600;
+const MAX_STOP_LINE_M = 100;
+// Stop line setback when the controller doesn't say
+const DEFAULT_STOP_LINE_M = 10;
+// A vehicle's approach takes the controller approach within this many degrees
+const APPROACH_MATCH_DEG = 30;
+// Controller clocks further ahead than this are wrong, not early
+const MAX_CLOCK_AHEAD_MS = 60000;
+
+// Red-light running: reaction time before braking starts, and speeds below
+// which a vehicle can always stop
+const REACTION_S = 1.0;
+const MIN_RUNNING_SPEED_MS = 3;
+const DEFAULT_MAX_DECEL_MS2 = 6.0;
+
+const PHASES = { green: "go", amber: "amber", yellow: "amber", red: "stop" };
+// What follows a phase that has run out, when it is certain
+const NEXT_PHASE = { amber: "stop" };
+
+const systemClock = { now: () => Date.now() };
+
+function bearingDiff(a, b) {
+  const d = Math.abs((((a - b) % 360) + 360) % 360);
+  return d > 180 ? 360 - d : d;
+}
+
+// null when the message is usable, else why not
+function validateSpatMessage(msg) {
+  if (!msg || typeof msg !== "object") return "Message must be an object";
+  if (!Number.isSafeInteger(Number(msg.nodeId)) || Number(msg.nodeId) <= 0) return "nodeId must be an OSM node id";
+  if (msg.timestamp !== undefined && !Number.isFinite(Number(msg.timestamp))) return "timestamp must be epoch milliseconds";
+  if (!Array.isArray(msg.approaches) || msg.approaches.length === 0) return "approaches must be a non-empty array";
+  if (msg.approaches.length > MAX_APPROACHES) return `At most ${MAX_APPROACHES} approaches per junction`;
+  for (const [i, a] of msg.approaches.entries()) {
+    if (!a || !Number.isFinite(a.bearing) || a.bearing < 0 || a.bearing > 360) return `approaches[${i}].bearing must be 0-360`;
+    if (!PHASES[a.phase]) return `approaches[${i}].phase must be one of ${Object.keys(PHASES).join(", ")}`;
+    if (a.timeToChangeS != null && !(Number.isFinite(a.timeToChangeS) && a.timeToChangeS >= 0 && a.timeToChangeS <= MAX_TIME_TO_CHANGE_S)) {
+      return `approaches[${i}].timeToChangeS must be 0-${MAX_TIME_TO_CHANGE_S}`;
+    }
+    if (a.stopLineM != null && !(Number.isFinite(a.stopLineM) && a.stopLineM >= 0 && a.stopLineM <= MAX_STOP_LINE_M)) {
+      return `approaches[${i}].stopLineM must be 0-${MAX_STOP_LINE_M}`;
+    }
+  }
+  return null;
+}
+
+// Stored form: phases in the engine's vocabulary and changes as server times,
+// so the controller's clock only orders its own messages
+function normalizeSpatMessage(msg, partner, receivedAt) {
+  return {
+    nodeId: Number(msg.nodeId),
+    partner,
+    timestamp: msg.timestamp !== undefined ? Number(msg.timestamp) : receivedAt,
+    receivedAt,
+    approaches: msg.approaches.map((a) => ({
+      bearing: a.bearing % 360,
+      phase: PHASES[a.phase],
+      changeAt: a.timeToChangeS != null ? receivedAt + a.timeToChangeS * 1000 : null,
+      stopLineM: a.stopLineM ?? DEFAULT_STOP_LINE_M,
+    })),
+  };
+}
+
+function hashKey(key) {
+  return createHash("sha256").update(String(key)).digest();
+}
+
+// SPAT_API_KEYS → [{ partner, hash }]
+function parsePartnerKeys(raw = process.env.SPAT_API_KEYS) {
+  return String(raw || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const sep = entry.indexOf(":");
+      return sep > 0 ? { partner: entry.slice(0, sep), hash: hashKey(entry.slice(sep + 1)) } : null;
+    })
+    .filter((k) => k && k.partner);
+}
+
+// Partner name for a presented key, or null; constant time per configured key
+function partnerForKey(key, partnerKeys = parsePartnerKeys()) {
+  if (!key) return null;
+  const presented = hashKey(key);
+  let partner = null;
+  for (const k of partnerKeys) {
+    if (timingSafeEqual(presented, k.hash) && !partner) partner = k.partner;
+  }
+  return partner;
+}
+
+// Whether a vehicle speed m/s, distanceM before the stop line, can still stop for
+// this phase ({ phase, timeToChangeS } from phaseFor). Returns the risk or null.
+// Amber is only a risk when the vehicle can't make the line before it turns red.
+function redLightRisk(phase, speed, distanceM, maxDecelMs2 = DEFAULT_MAX_DECEL_MS2) {
+  if (!phase || phase.phase === "go") return null;
+  if (!Number.isFinite(speed) || speed < MIN_RUNNING_SPEED_MS || !Number.isFinite(distanceM) || distanceM <= 0) return null;
+  const stoppingM = speed * REACTION_S + (speed * speed) / (2 * (maxDecelMs2 || DEFAULT_MAX_DECEL_MS2));
+  if (stoppingM <= distanceM) return null;
+  const etaS = distanceM / speed;
+  if (phase.phase === "amber" && (phase.timeToChangeS == null || etaS < phase.timeToChangeS)) return null;
+  return { phase: phase.phase, timeToChangeS: phase.timeToChangeS ?? null, distanceM, stoppingM, etaS };
+}
+
+class SpatFeed {
+  constructor({ store = null, clock = systemClock, partnerKeys = parsePartnerKeys() } = {}) {
+    this.store = store;
+    this.clock = clock;
+    this.partnerKeys = partnerKeys;
+    this.cache = new Map(); // nodeId → { message | null, fetchedAt }
+    // nodeId → { partner, expiresAt }; junction owners when there is no shared store
+    this.owners = new Map();
+    this.received = 0;
+    this.cleanupInterval = setInterval(() => this._cleanup(), 60000);
+  }
+
+  get enabled() {
+    return this.partnerKeys.length > 0;
+  }
+
+  authenticate(key) {
+    return partnerForKey(key, this.partnerKeys);
+  }
+
+  // { accepted: true, message } or { accepted: false, reason, forbidden? }; a
+  // message older than the one held for the junction arrived out of order and is
+  // dropped, and one for a junction another partner owns is forbidden
+  async ingest(msg, partner) {
+    const reason = validateSpatMessage(msg);
+    if (reason) return { accepted: false, reason };
+    const now = this.clock.now();
+    if (msg.timestamp !== undefined && Number(msg.timestamp) > now + MAX_CLOCK_AHEAD_MS) {
+      return { accepted: false, reason: "timestamp is in the future" };
+    }
+    const message = normalizeSpatMessage(msg, partner, now);
+    const owner = await this._claim(message.nodeId, partner, now);
+    if (owner !== partner) {
+      console.warn(`⚠️ SPaT for node ${message.nodeId} from ${partner} refused, owned by ${owner}`);
+      return { accepted: false, reason: "Junction belongs to another partner", forbidden: true };
+    }
+    const [current] = await this._read([message.nodeId]);
+    if (current && current.timestamp > message.timestamp) return { accepted: false, reason: "Older than the current message" };
+    await this.store?.setSignalTiming(message.nodeId, message, SPAT_TTL_MS);
+    this.cache.set(message.nodeId, { message, fetchedAt: now });
+    this.received++;
+    return { accepted: true, message };
+  }
+
+  // The junction's owner after this partner's claim
+  async _claim(nodeId, partner, now) {
+    if (this.store?.isReady) return this.store.claimSignalNode(nodeId, partner, SPAT_OWNER_TTL_MS);
+    const held = this.owners.get(nodeId);
+    if (held && held.expiresAt > now && held.partner !== partner) return held.partner;
+    this.owners.set(nodeId, { partner, expiresAt: now + SPAT_OWNER_TTL_MS });
+    return partner;
+  }
+
+  async get(nodeId) {
+    const [message] = await this._read([Number(nodeId)]);
+    return message && this.clock.now() - message.receivedAt <= SPAT_TTL_MS ? message : null;
+  }
+
+  async _read(nodeIds) {
+    if (!this.store?.isReady) return nodeIds.map((id) => this.cache.get(id)?.message ?? null);
+    try {
+      return await this.store.getSignalTimings(nodeIds);
+    } catch (e) {
+      console.error("❌ Failed to read signal timing:", e.message);
+      return nodeIds.map(() => null);
+    }
+  }
+
+  // Load the feed for junctions about to be checked; phaseFor reads the cache
+  async prefetch(nodeIds) {
+    const now = this.clock.now();
+    const missing = [...new Set(nodeIds.filter((id) => id != null).map(Number))].filter((id) => {
+      const cached = this.cache.get(id);
+      return !cached || now - cached.fetchedAt > CACHE_MS;
+    });
+    if (missing.length === 0 || !this.store?.isReady) return;
+    const messages = await this._read(missing);
+    missing.forEach((id, i) => this.cache.set(id, { message: messages[i], fetchedAt: now }));
+  }
+
+  // { phase: "go" | "amber" | "stop", confidence: 1, source: "spat", timeToChangeS,
+  // stopLineM } for a vehicle approaching nodeId on approachBearing, or null
+  phaseFor(nodeId, approachBearing) {
+    const message = this.cache.get(Number(nodeId))?.message;
+    const now = this.clock.now();
+    if (!message || now - message.receivedAt > SPAT_TTL_MS || !Number.isFinite(approachBearing)) return null;
+    let approach = null;
+    for (const a of message.approaches) {
+      const d = bearingDiff(a.bearing, approachBearing);
+      if (d <= APPROACH_MATCH_DEG && (!approach || d < approach.d)) approach = { ...a, d };
+    }
+    if (!approach) return null;
+    let phase = approach.phase;
+    let timeToChangeS = approach.changeAt !== null ? (approach.changeAt - now) / 1000 : null;
+    if (timeToChangeS !== null && timeToChangeS < 0) {
+      phase = NEXT_PHASE[phase];
+      if (!phase) return null;
+      timeToChangeS = null;
+    }
+    return { phase, confidence: 1, source: "spat", timeToChangeS, stopLineM: approach.stopLineM };
+  }
+
+  _cleanup() {
+    const now = this.clock.now();
+    for (const [id, cached] of this.cache) {
+      if (now - cached.fetchedAt > SPAT_TTL_MS) this.cache.delete(id);
+    }
+    for (const [id, held] of this.owners) {
+      if (held.expiresAt <= now) this.owners.delete(id);
+    }
+  }
+
+  destroy() {
+    clearInterval(this.cleanupInterval);
+    this.cache.clear();
+    this.owners.clear();
+  }
+}
+
+export default SpatFeed;
+export { validateSpatMessage, partnerForKey, parsePartnerKeys, redLightRisk, SPAT_TTL_MS };
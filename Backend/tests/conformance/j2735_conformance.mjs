@@ -0,0 +1,129 @@
+// Offline conformance run for the J2735 adapter: every fixture in
+// j2735_fixtures.json through j2735.js with a fixed clock. No server needed.
+// Usage: node tests/conformance/j2735_conformance.mjs
+
+import { readFileSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import J2735Adapter, {
+  parseFrame,
+  encodeBsmUper,
+  updateFromBsm,
+  bsmFromUpdate,
+  alertFromThreat,
+  parseIntersectionMap,
+  validateCoreData,
+} from "../../j2735.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = JSON.parse(readFileSync(resolve(__dirname, "j2735_fixtures.json"), "utf8"));
+const clock = { now: () => Date.parse(fixtures.now) };
+
+// Numbers within 1e-6 (units are scaled in and out); objects by expected keys only
+function matches(got, expected) {
+  if (typeof expected === "number") return typeof got === "number" && Math.abs(got - expected) < 1e-6;
+  if (Array.isArray(expected)) {
+    return Array.isArray(got) && got.length === expected.length && expected.every((e, i) => matches(got[i], e));
+  }
+  if (expected && typeof expected === "object") {
+    return !!got && typeof got === "object" && Object.keys(expected).every((k) => matches(got[k], expected[k]));
+  }
+  return got === expected;
+}
+
+function check(failures, condition, label, got, expected) {
+  if (!condition) failures.push(`FAIL: ${label} (got=${JSON.stringify(got)}, expected=${JSON.stringify(expected)})`);
+}
+
+function run(name, fn) {
+  const failures = [];
+  try {
+    fn(failures);
+  } catch (e) {
+    failures.push(`FAIL: threw ${e.message}`);
+  }
+  console.log(`${failures.length === 0 ? "✅" : "❌"} ${name}`);
+  for (const f of failures) console.log(`   ${f}`);
+  return failures.length === 0;
+}
+
+const results = [];
+
+for (const fx of fixtures.bsm) {
+  results.push(run(`BSM: ${fx.name}`, (failures) => {
+    let frame;
+    try {
+      frame = parseFrame(fx.uper ?? JSON.stringify(fx.json));
+    } catch (e) {
+      check(failures, fx.error && e.message === fx.error, "decode error", e.message, fx.error);
+      return;
+    }
+    check(failures, frame.messageId === 20, "messageId", frame.messageId, 20);
+    if (fx.coreData) check(failures, matches(frame.value.coreData, fx.coreData), "coreData", frame.value.coreData, fx.coreData);
+
+    // Any valid BSM survives UPER both ways: a 3-octet frame header (messageId 20,
+    // 37 octets of BSM), and a UPER fixture re-encodes to its own octets
+    const core = frame.value.coreData;
+    if (!validateCoreData(core)) {
+      const octets = encodeBsmUper(frame.value);
+      const header = octets.toString("hex").slice(0, 6);
+      check(failures, header === "001425" && octets.length === 40, "UPER header and length", `${header}/${octets.length}`, "001425/40");
+      if (fx.uper) check(failures, octets.toString("hex") === fx.uper, "UPER re-encoding", octets.toString("hex"), fx.uper);
+      const again = parseFrame(octets).value.coreData;
+      const expected = { ...core, id: core.id.toUpperCase() };
+      check(failures, matches(again, expected), "UPER roundtrip", again, expected);
+    }
+
+    const { update, error } = updateFromBsm(frame.value, { partner: fixtures.partner, clock });
+    if (fx.error) {
+      check(failures, error === fx.error, "rejected", error, fx.error);
+      return;
+    }
+    check(failures, !error, "accepted", error, null);
+    check(failures, matches(update, fx.update), "update", update, fx.update);
+    for (const key of fx.absent || []) check(failures, update[key] === undefined, `${key} left out`, update[key], undefined);
+    check(failures, update.timestamp === new Date(update.clientTime).toISOString(), "timestamp", update.timestamp, update.clientTime);
+  }));
+}
+
+for (const fx of fixtures.updateToBsm) {
+  results.push(run(`Update → BSM: ${fx.name}`, (failures) => {
+    const bsm = bsmFromUpdate(fx.update, { msgCnt: fx.msgCnt, profile: fx.profile });
+    check(failures, matches(bsm.coreData, fx.coreData), "coreData", bsm.coreData, fx.coreData);
+    check(failures, validateCoreData(bsm.coreData) === null, "valid", validateCoreData(bsm.coreData), null);
+    const back = updateFromBsm(parseFrame(encodeBsmUper(bsm)).value, { partner: fixtures.partner, clock }).update;
+    check(failures, Math.abs(back.latitude - fx.update.latitude) < 1e-7 && Math.abs(back.longitude - fx.update.longitude) < 1e-7, "position roundtrip", [back.latitude, back.longitude], [fx.update.latitude, fx.update.longitude]);
+    check(failures, Math.abs(back.gyro.z - fx.update.gyro.z) < 0.001, "yaw rate roundtrip", back.gyro.z, fx.update.gyro.z);
+    check(failures, back.clientTime === fx.update.clientTime, "time roundtrip", back.clientTime, fx.update.clientTime);
+  }));
+}
+
+// MAP first: SPaT is only understood against the lanes it describes
+const adapter = new J2735Adapter({ clock, intersections: parseIntersectionMap(fixtures.intersections) });
+
+results.push(run(`MAP: ${fixtures.map.name}`, (failures) => {
+  const frame = parseFrame(JSON.stringify(fixtures.map.json));
+  const { learned, skipped } = adapter.learnMap(frame.value);
+  check(failures, matches(learned, fixtures.map.learned), "learned", learned, fixtures.map.learned);
+  check(failures, matches(skipped, fixtures.map.skipped), "skipped", skipped, fixtures.map.skipped);
+}));
+
+for (const fx of fixtures.spat) {
+  results.push(run(`SPaT: ${fx.name}`, (failures) => {
+    const { messages, skipped } = adapter.spatToFeed(parseFrame(JSON.stringify(fx.json)).value);
+    check(failures, matches(messages, fx.messages), "feed messages", messages, fx.messages);
+    check(failures, matches(skipped, fx.skipped), "skipped", skipped, fx.skipped);
+  }));
+}
+
+for (const fx of fixtures.alerts) {
+  results.push(run(`Alert: ${fx.name}`, (failures) => {
+    const alert = alertFromThreat(fx.threat, { recipientId: fx.recipientId, msgCnt: fx.msgCnt, clock });
+    check(failures, alert.messageId === 240, "messageId", alert.messageId, 240);
+    check(failures, matches(alert.value, fx.value), "value", alert.value, fx.value);
+  }));
+}
+
+const failed = results.filter((ok) => !ok).length;
+console.log(`\n${results.length - failed}/${results.length} conformance cases passed`);
+process.exit(failed > 0 ? 1 : 0);
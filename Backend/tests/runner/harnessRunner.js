@@ -29,6 +29,7 @@ function loadScenarios() {
   const groupC = groups.groupC_degradedData || [];
   const groupD = groups.groupD_scale || [];
   const groupE = groups.groupE_redTeam || [];
+  const groupF = groups.groupF_mixedTraffic || [];
 
   if (RUN_GOLDEN) {
     scenarios.push(...goldenList.map((s) => ({ ...s, group: "GOLDEN" })));
@@ -47,10 +48,11 @@ function loadScenarios() {
     scenarios.push(...groupB.map((s) => ({ ...s, group: "B" })));
     scenarios.push(...groupC.map((s) => ({ ...s, group: "C" })));
     scenarios.push(...groupE.map((s) => ({ ...s, group: "E" })));
+    scenarios.push(...groupF.map((s) => ({ ...s, group: "F" })));
     // Scale tests separately (D group)
   }
   if (RUN_GROUP.length > 0) {
-    const groupMap = { A: groupA, B: groupB, C: groupC, D: groupD, E: groupE, GOLDEN: goldenList };
+    const groupMap = { A: groupA, B: groupB, C: groupC, D: groupD, E: groupE, F: groupF, GOLDEN: goldenList };
     for (const g of RUN_GROUP) {
       if (groupMap[g]) scenarios.push(...groupMap[g].map((s) => ({ ...s, group: g })));
     }
@@ -125,6 +127,11 @@ async function main() {
     console.log("\n── Scale Tests ──");
     for (const scenario of scaleResults) {
       process.stdout.write(`  ${scenario.id} ${(scenario.name || "").substring(0, 50).padEnd(52)} `);
+      // Hotspot runs need one socket per vehicle and a spread baseline
+      if (scenario.distribution?.hotspot) {
+        process.stdout.write("SKIP (run scripts/simulationHarness.js)\n");
+        continue;
+      }
       try {
         const result = await engine.runScenario(scenario);
         result.scenarioId = scenario.id;
@@ -148,6 +155,10 @@ async function main() {
   console.log(`  Avg Warning Time:     ${agg.avgWarningTime.toFixed(2)}s`);
   console.log(`  Calibration Error:    ${(agg.calibrationError * 100).toFixed(1)}%`);
   console.log(`  Map Match Accuracy:   ${(agg.mapMatchAccuracy * 100).toFixed(1)}%`);
+  for (const [mode, m] of Object.entries(agg.mapMatchByMode || {})) {
+    console.log(`    ${mode.padEnd(8)} ${(m.accuracy * 100).toFixed(1)}% of ${m.total} fixes`);
+  }
+  console.log(`  Map Match Flip-Flops: ${agg.mapMatchFlipFlops ?? 0} (${agg.mapMatchRoadSwitches ?? 0} road switches)`);
   console.log(`  Avg Processing Time:  ${agg.avgProcessingTimeMs.toFixed(0)}ms`);
   console.log(`  P95 Latency:          ${agg.p95ProcessingTimeMs.toFixed(0)}ms`);
 
@@ -24,6 +24,9 @@ class MetricsCollector {
     let correctMatches = 0;
     let totalMatches = 0;
     let mapMatchErrors = [];
+    let roadSwitches = 0;
+    let roadFlipFlops = 0;
+    const byMode = {};
 
     for (const r of sr) {
       const exp = r.expected;
@@ -63,7 +66,25 @@ class MetricsCollector {
       // Map match accuracy
       for (const mm of r.mapMatches) {
         totalMatches++;
-        if (mm.matched && mm.confidence >= 0.5) correctMatches++;
+        const good = mm.matched && mm.confidence >= 0.5;
+        if (good) correctMatches++;
+        const mode = mm.mode || "unknown";
+        if (!byMode[mode]) byMode[mode] = { total: 0, correct: 0 };
+        byMode[mode].total++;
+        if (good) byMode[mode].correct++;
+      }
+
+      // Road stability: A→B→A within three consecutive fixes of one vehicle is a flip-flop
+      const roadsByVehicle = {};
+      for (const mm of r.mapMatches) {
+        if (!mm.roadId) continue;
+        (roadsByVehicle[mm.userId] ||= []).push(mm.roadId);
+      }
+      for (const roads of Object.values(roadsByVehicle)) {
+        for (let i = 1; i < roads.length; i++) {
+          if (roads[i] !== roads[i - 1]) roadSwitches++;
+          if (i >= 2 && roads[i] === roads[i - 2] && roads[i] !== roads[i - 1]) roadFlipFlops++;
+        }
       }
     }
 
@@ -96,6 +117,11 @@ class MetricsCollector {
       p99ProcessingTimeMs: sortedLatencies.length > 0 ? sortedLatencies[Math.floor(sortedLatencies.length * 0.99)] : 0,
       mapMatchAccuracy: totalMatches > 0 ? correctMatches / totalMatches : 0,
       totalMapMatches: totalMatches,
+      mapMatchRoadSwitches: roadSwitches,
+      mapMatchFlipFlops: roadFlipFlops,
+      mapMatchByMode: Object.fromEntries(
+        Object.entries(byMode).map(([mode, m]) => [mode, { total: m.total, accuracy: m.correct / m.total }])
+      ),
     };
   }
 
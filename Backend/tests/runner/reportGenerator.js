@@ -28,6 +28,9 @@ class ReportGenerator {
         avgProcessingTimeMs: metrics.avgProcessingTimeMs,
         p95ProcessingTimeMs: metrics.p95ProcessingTimeMs,
         mapMatchAccuracy: metrics.mapMatchAccuracy,
+        mapMatchByMode: metrics.mapMatchByMode,
+        mapMatchFlipFlops: metrics.mapMatchFlipFlops,
+        mapMatchRoadSwitches: metrics.mapMatchRoadSwitches,
       },
       golden: goldenResult,
       calibrationCurve: metrics.getCalibrationCurve ? metrics.getCalibrationCurve() : [],
@@ -93,6 +96,8 @@ class ReportGenerator {
     <div class="card"><div class="label">Avg Warning Time</div><div class="value blue">${metrics.avgWarningTime.toFixed(1)}s</div></div>
     <div class="card"><div class="label">Calibration Error</div><div class="value ${metrics.calibrationError <= 0.15 ? 'green' : 'red'}">${(metrics.calibrationError * 100).toFixed(1)}%</div></div>
     <div class="card"><div class="label">Map Match Accuracy</div><div class="value ${metrics.mapMatchAccuracy >= 0.85 ? 'green' : 'yellow'}">${(metrics.mapMatchAccuracy * 100).toFixed(1)}%</div></div>
+    <div class="card"><div class="label">Map Match Mode</div><div class="value blue">${Object.keys(metrics.mapMatchByMode || {}).join(", ") || "—"}</div></div>
+    <div class="card"><div class="label">Map Match Flip-Flops</div><div class="value ${(metrics.mapMatchFlipFlops ?? 0) === 0 ? 'green' : 'yellow'}">${metrics.mapMatchFlipFlops ?? 0}</div></div>
     <div class="card"><div class="label">P95 Latency</div><div class="value blue">${metrics.p95ProcessingTimeMs.toFixed(0)}ms</div></div>
     <div class="card"><div class="label">Scenarios</div><div class="value blue">${passCount}/${jsonReport.summary.totalScenarios}</div></div>
   </div>
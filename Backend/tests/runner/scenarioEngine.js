@@ -232,6 +232,8 @@ class ScenarioEngine {
             sensorQuality: vehicle.sensorQuality ?? 0.8,
             clientTime: Date.now() + clockOffsetMs,
             serverTime: Date.now() + clockOffsetMs,
+            // Dev-mode sockets may describe the vehicle; untagged ones run as two-wheelers
+            vehicleType: vehicle.tags?.vehicle_type,
             turnAhead: vehicle.turnAhead ?? false,
             intersectionLat: vehicle.intersectionLat,
             intersectionLng: vehicle.intersectionLng,
@@ -252,6 +254,7 @@ class ScenarioEngine {
                 userId: vehicle.id,
                 time: currentTime,
                 matched: resp.mapMatch.matched,
+                mode: resp.mapMatch.mode ?? null,
                 confidence: resp.mapMatch.confidence,
                 roadId: resp.mapMatch.roadId,
                 snappedLat: resp.mapMatch.snappedLat,
@@ -0,0 +1,128 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
+import User, { actionTokenFilter } from "../../Models/User.Model.js";
+import Session from "../../Models/Session.Model.js";
+import { verifyEmail, forgotPassword, resetPassword, authenticateAccessToken } from "../../Controllers/User.controllers.js";
+import { mockResponse } from "./helpers.js";
+
+process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+process.env.REFRESH_TOKEN_SECRET = "test-refresh-secret";
+process.env.ACTION_TOKEN_SECRET = "test-action-secret";
+
+// The users collection in memory: findOneAndUpdate honours the token filter
+// ({ _id, <hash>, <expiry>: { $gt } }) and applies $set/$unset like Mongo
+let users;
+let revoked;
+
+function query(result) {
+  return { select() { return this; }, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+}
+
+beforeEach(() => {
+  users = new Map();
+  revoked = [];
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  mock.method(User, "findOneAndUpdate", (filter, update) => {
+    const user = users.get(String(filter._id));
+    const ok = user && Object.entries(filter).every(([key, cond]) => {
+      if (key === "_id") return true;
+      if (cond?.$gt) return user[key] > cond.$gt;
+      return user[key] === cond;
+    });
+    if (!ok) return query(null);
+    user.set(update.$set);
+    for (const key of Object.keys(update.$unset || {})) user.set(key, undefined);
+    return query(user);
+  });
+  mock.method(User, "findOne", (filter) => query([...users.values()].find((u) => u.email === filter.email) ?? null));
+  mock.method(User, "findById", (id) => query(users.get(String(id)) ?? null));
+  mock.method(User.prototype, "save", async function () { return this; });
+  mock.method(Session, "updateMany", (filter, update) => {
+    revoked.push([String(filter.userId), update.$set.revokedReason]);
+    return query({ modifiedCount: 1 });
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+function addUser() {
+  const user = new User({ username: "rider", email: "rider@example.com", password: "old-hash" });
+  users.set(String(user._id), user);
+  return user;
+}
+
+async function call(handler, body) {
+  const res = mockResponse();
+  await handler({ body, app: { locals: {} } }, res);
+  return res;
+}
+
+test("an action token is stored only as a hash and matches for its own purpose only", () => {
+  const user = addUser();
+  const token = user.createActionToken("verify-email");
+  assert.notEqual(user.emailVerificationTokenHash, token);
+  assert.ok(user.emailVerificationExpires > new Date());
+
+  const filter = actionTokenFilter(token, "verify-email");
+  assert.equal(filter._id, String(user._id));
+  assert.equal(filter.emailVerificationTokenHash, user.emailVerificationTokenHash);
+  assert.equal(actionTokenFilter(token, "reset-password"), null);
+  assert.equal(actionTokenFilter(token + "x", "verify-email"), null);
+  assert.equal(actionTokenFilter(token, "delete-account"), null);
+  assert.equal(actionTokenFilter(undefined, "verify-email"), null);
+  // Signed with the refresh secret, even with the right claims
+  const forged = jwt.sign(jwt.decode(token), process.env.REFRESH_TOKEN_SECRET);
+  assert.equal(actionTokenFilter(forged, "verify-email"), null);
+});
+
+test("a verification link works once", async () => {
+  const user = addUser();
+  const token = user.createActionToken("verify-email");
+
+  assert.deepEqual((await call(verifyEmail, {})).body, { message: "Verification token required" });
+  const res = await call(verifyEmail, { token });
+  assert.equal(res.statusCode, 200);
+  assert.equal(user.emailVerified, true);
+  assert.equal(user.emailVerificationTokenHash, undefined);
+
+  const again = await call(verifyEmail, { token });
+  assert.equal(again.statusCode, 400);
+  assert.deepEqual(again.body, { message: "Invalid or expired verification token" });
+});
+
+test("a newer link replaces the older one", async () => {
+  const user = addUser();
+  const first = user.createActionToken("verify-email");
+  user.createActionToken("verify-email");
+  assert.equal((await call(verifyEmail, { token: first })).statusCode, 400);
+});
+
+test("forgot-password answers the same whether or not the email is registered", async () => {
+  const user = addUser();
+  const known = await call(forgotPassword, { email: " Rider@Example.com " });
+  const unknown = await call(forgotPassword, { email: "nobody@example.com" });
+  assert.deepEqual(known.body, unknown.body);
+  assert.equal(known.statusCode, 200);
+  assert.ok(user.passwordResetTokenHash);
+  assert.equal((await call(forgotPassword, {})).statusCode, 400);
+});
+
+test("a reset sets the new password, works once and signs the user out everywhere", async () => {
+  const user = addUser();
+  const accessToken = jwt.sign({ _id: user._id, iat: Math.floor(Date.now() / 1000) - 60 }, process.env.ACCESS_TOKEN_SECRET);
+  const token = user.createActionToken("reset-password");
+
+  assert.equal((await call(resetPassword, { token })).statusCode, 400);
+  const res = await call(resetPassword, { token, password: "n3w-passw0rd" });
+  assert.equal(res.statusCode, 200);
+  assert.ok(await bcrypt.compare("n3w-passw0rd", user.password));
+  assert.equal(user.emailVerified, true);
+  assert.deepEqual(revoked, [[String(user._id), "password_reset"]]);
+
+  assert.equal((await call(resetPassword, { token, password: "another" })).statusCode, 400);
+  // Access tokens issued before the reset stop working
+  assert.deepEqual(await authenticateAccessToken(accessToken), { message: "Invalid token" });
+});
@@ -0,0 +1,186 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import User from "../../Models/User.Model.js";
+import Turn from "../../Models/Turn.Model.js";
+import Session from "../../Models/Session.Model.js";
+import adminRouter from "../../Routes/Admin.routes.js";
+import { requireRole, getuserprofile } from "../../Controllers/User.controllers.js";
+import { MemoryVehicleStore } from "../../vehicleStore.js";
+import { mockResponse } from "./helpers.js";
+
+process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+
+// One user per role; verifyJWT finds them by id
+const people = Object.fromEntries(["rider", "fleet_manager", "admin"].map((role) => [
+  role,
+  new User({ username: role, email: `${role}@example.com`, password: "x", role }),
+]));
+
+function query(result) {
+  return { select() { return this; }, sort() { return this; }, limit() { return this; }, lean() { return this; }, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+}
+
+let roleUpdates;
+let revoked;
+
+beforeEach(() => {
+  roleUpdates = [];
+  revoked = [];
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  mock.method(User, "findById", (id) => query(Object.values(people).find((u) => String(u._id) === String(id)) ?? null));
+  mock.method(User, "findByIdAndUpdate", (id, update) => {
+    roleUpdates.push([String(id), update.$set.role]);
+    return query(Object.values(people).find((u) => String(u._id) === String(id)) ?? null);
+  });
+  mock.method(Turn, "find", () => query([{ _id: "t1", riskLevel: 4 }]));
+  mock.method(Turn, "findById", () => query({ _id: "t1", riskLevel: 4 }));
+  mock.method(Turn, "findByIdAndUpdate", (id, update) => query({ _id: id, ...update.$set }));
+  mock.method(Session, "updateMany", (filter, update) => {
+    revoked.push([String(filter.userId), update.$set.revokedReason]);
+    return query({ modifiedCount: String(filter.userId) === String(people.rider._id) ? 2 : 0 });
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+// The admin router on an ephemeral port, with the realtime services it reads
+async function serve(ctx) {
+  const store = new MemoryVehicleStore({ sweepIntervalMs: 0 });
+  const disconnects = [];
+  const fanout = {
+    instanceId: "here",
+    disconnect: async (userId, reason) => {
+      disconnects.push([userId, reason]);
+      return userId === "ghost" || userId === String(people.fleet_manager._id) ? "offline" : "local";
+    },
+  };
+  const app = express();
+  app.use(express.json());
+  app.use("/api/admin", adminRouter);
+  app.locals.realtime = { userSockets: new Map([["local-rider", new Set()]]), store, fanout };
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  ctx.after(() => {
+    server.close();
+    store.destroy();
+  });
+
+  const base = `http://127.0.0.1:${server.address().port}/api/admin`;
+  const request = async (as, method, path, body) => {
+    const headers = { "content-type": "application/json" };
+    if (as) headers.authorization = `Bearer ${jwt.sign({ _id: people[as]._id }, process.env.ACCESS_TOKEN_SECRET)}`;
+    const res = await fetch(base + path, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+  return { request, store, disconnects };
+}
+
+test("requireRole lets listed roles through and answers 403 to the rest", () => {
+  const next = mock.fn();
+  const guard = requireRole("admin", "fleet_manager");
+  guard({ user: people.fleet_manager }, mockResponse(), next);
+  assert.equal(next.mock.callCount(), 1);
+
+  for (const req of [{ user: people.rider }, {}]) {
+    const res = mockResponse();
+    guard(req, res, next);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, { message: "Forbidden" });
+  }
+  assert.equal(next.mock.callCount(), 1);
+});
+
+test("the admin API needs a token and refuses riders", async (t) => {
+  const { request } = await serve(t);
+  assert.equal((await request(null, "GET", "/vehicles")).status, 401);
+  for (const [method, path] of [["GET", "/vehicles"], ["GET", "/turns"], ["POST", "/vehicles/x/disconnect"], ["PUT", `/users/${people.rider._id}/role`]]) {
+    assert.equal((await request("rider", method, path)).status, 403, `${method} ${path}`);
+  }
+});
+
+test("fleet managers can look but not change anything", async (t) => {
+  const { request, disconnects } = await serve(t);
+  assert.equal((await request("fleet_manager", "GET", "/vehicles")).status, 200);
+  assert.equal((await request("fleet_manager", "GET", "/turns")).status, 200);
+  assert.equal((await request("fleet_manager", "GET", `/turns/${new mongoose.Types.ObjectId()}`)).status, 200);
+
+  assert.equal((await request("fleet_manager", "PATCH", `/turns/${new mongoose.Types.ObjectId()}`, { riskLevel: 5 })).status, 403);
+  assert.equal((await request("fleet_manager", "POST", "/vehicles/local-rider/disconnect")).status, 403);
+  assert.equal((await request("fleet_manager", "PUT", `/users/${people.rider._id}/role`, { role: "admin" })).status, 403);
+  assert.deepEqual(disconnects, []);
+  assert.deepEqual(roleUpdates, []);
+});
+
+test("connected vehicles combine presence on every instance with local sockets", async (t) => {
+  const { request, store } = await serve(t);
+  await store.setPresence("remote-rider", "there");
+  await store.setState("remote-rider", JSON.stringify({ latitude: 17.4, longitude: 78.5, roadName: "MG Road" }), 30);
+
+  const { body } = await request("admin", "GET", "/vehicles");
+  assert.equal(body.count, 2);
+  const byId = Object.fromEntries(body.vehicles.map((v) => [v.userId, v]));
+  assert.deepEqual([byId["remote-rider"].instanceId, byId["remote-rider"].local, byId["remote-rider"].roadName], ["there", false, "MG Road"]);
+  assert.deepEqual([byId["local-rider"].instanceId, byId["local-rider"].local], ["here", true]);
+});
+
+test("admins disconnect vehicles, and a vehicle that isn't connected is a 404", async (t) => {
+  const { request, disconnects } = await serve(t);
+  const ok = await request("admin", "POST", "/vehicles/local-rider/disconnect", { reason: "  testing  " });
+  assert.deepEqual([ok.status, ok.body.result], [200, "local"]);
+  assert.equal((await request("admin", "POST", "/vehicles/ghost/disconnect")).status, 404);
+  assert.deepEqual(disconnects, [["local-rider", "testing"], ["ghost", "Disconnected by admin"]]);
+  // Not accounts, so nobody is signed out
+  assert.deepEqual(revoked, []);
+});
+
+test("a disconnected rider is signed out everywhere unless the admin says otherwise", async (t) => {
+  const { request, disconnects } = await serve(t);
+  const rider = String(people.rider._id);
+  const { status, body } = await request("admin", "POST", `/vehicles/${rider}/disconnect`);
+  assert.deepEqual([status, body.sessionsRevoked], [200, 2]);
+  assert.deepEqual(revoked, [[rider, "admin"]]);
+
+  const kept = await request("admin", "POST", `/vehicles/${rider}/disconnect`, { signOut: false });
+  assert.deepEqual([kept.status, kept.body.sessionsRevoked], [200, 0]);
+  assert.equal(revoked.length, 1);
+  assert.equal(disconnects.length, 2);
+
+  // Offline with nothing to revoke is still a 404
+  assert.equal((await request("admin", "POST", `/vehicles/${people.fleet_manager._id}/disconnect`)).status, 404);
+});
+
+test("turn edits are limited to known fields and reset the risk baseline", async (t) => {
+  const { request } = await serve(t);
+  const id = new mongoose.Types.ObjectId();
+  assert.equal((await request("admin", "PATCH", `/turns/${id}`, { location: [0, 0] })).status, 400);
+  assert.equal((await request("admin", "PATCH", "/turns/not-an-id", { riskLevel: 5 })).status, 404);
+  const { status, body } = await request("admin", "PATCH", `/turns/${id}`, { riskLevel: 5, location: [0, 0] });
+  assert.equal(status, 200);
+  assert.deepEqual([body.turn.riskLevel, body.turn.baseRiskLevel, body.turn.location], [5, 5, undefined]);
+});
+
+test("roles must be known, and admins cannot demote themselves", async (t) => {
+  const { request } = await serve(t);
+  assert.equal((await request("admin", "PUT", `/users/${people.rider._id}/role`, { role: "superuser" })).status, 400);
+  assert.deepEqual((await request("admin", "PUT", `/users/${people.admin._id}/role`, { role: "rider" })).body, { message: "Admins cannot demote themselves" });
+  assert.equal((await request("admin", "PUT", `/users/${people.rider._id}/role`, { role: "fleet_manager" })).status, 200);
+  assert.deepEqual(roleUpdates, [[String(people.rider._id), "fleet_manager"]]);
+});
+
+test("fleet managers and admins can read any profile, riders only their own", async () => {
+  mock.method(User, "findOne", (filter) => query(Object.values(people).find((u) => u.username === filter.username) ?? null));
+  const read = async (as, username) => {
+    const res = mockResponse();
+    await getuserprofile({ query: { username }, user: people[as] }, res);
+    return res.statusCode;
+  };
+  assert.equal(await read("rider", "rider"), 200);
+  assert.equal(await read("rider", "admin"), 403);
+  assert.equal(await read("fleet_manager", "rider"), 200);
+  assert.equal(await read("admin", "fleet_manager"), 200);
+});
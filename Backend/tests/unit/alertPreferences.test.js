@@ -0,0 +1,95 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../../Models/User.Model.js";
+import { normalizeAlertPreferences, applyAlertPreferences, classifyAlert } from "../../degradation.js";
+import { updateAlertPreferences } from "../../Controllers/Preference.controllers.js";
+import { mockResponse } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+const threat = (type, alertConfidence, extra = {}) => ({
+  threatId: `${type}-1`,
+  id: "other",
+  type,
+  alertConfidence,
+  alertClass: alertConfidence === undefined ? undefined : classifyAlert(alertConfidence),
+  ...extra,
+});
+
+test("unknown modes fall back to balanced and unmutable types are dropped", () => {
+  assert.deepEqual(normalizeAlertPreferences(undefined), { sensitivity: "balanced", mutedThreatTypes: [] });
+  assert.deepEqual(
+    normalizeAlertPreferences({ sensitivity: "loud", mutedThreatTypes: ["rear_end", "crash_detected", "nonsense"] }),
+    { sensitivity: "balanced", mutedThreatTypes: ["rear_end"] }
+  );
+  assert.deepEqual(normalizeAlertPreferences({ sensitivity: "minimal", mutedThreatTypes: "rear_end" }), { sensitivity: "minimal", mutedThreatTypes: [] });
+});
+
+test("muted types are held back with the reason muted, whatever their confidence", () => {
+  const { threats, suppressed } = applyAlertPreferences(
+    [threat("rear_end", 0.95), threat("predicted_collision", 0.95)],
+    { mutedThreatTypes: ["rear_end"] }
+  );
+  assert.deepEqual(threats.map((t) => t.type), ["predicted_collision"]);
+  assert.deepEqual(suppressed, [{ threatId: "rear_end-1", type: "rear_end", id: "other", reason: "muted" }]);
+});
+
+test("a threat under the rider's sensitivity is held back and says why", () => {
+  const { threats, suppressed } = applyAlertPreferences([threat("predicted_collision", 0.4)], { sensitivity: "minimal" });
+  assert.deepEqual(threats, []);
+  assert.deepEqual(suppressed, [{
+    threatId: "predicted_collision-1",
+    type: "predicted_collision",
+    id: "other",
+    reason: "below_sensitivity",
+    sensitivity: "minimal",
+    alertConfidence: 0.4,
+  }]);
+});
+
+test("delivered threats are reclassified in the rider's mode, untouched when the class agrees", () => {
+  const original = threat("predicted_collision", 0.75);
+  assert.equal(original.alertClass, "high");
+
+  const [conservative] = applyAlertPreferences([original], { sensitivity: "conservative" }).threats;
+  assert.equal(conservative.alertClass, "critical");
+  assert.equal(original.alertClass, "high");
+
+  const [minimal] = applyAlertPreferences([original], { sensitivity: "minimal" }).threats;
+  assert.equal(minimal.alertClass, "high");
+
+  assert.equal(applyAlertPreferences([original], {}).threats[0], original);
+});
+
+test("threats without a confidence score are only held back when muted", () => {
+  const wrongWay = threat("wrong_direction", undefined, { severity: "critical" });
+  assert.deepEqual(applyAlertPreferences([wrongWay], { sensitivity: "minimal" }).threats, [wrongWay]);
+  assert.equal(applyAlertPreferences([wrongWay], { mutedThreatTypes: ["wrong_direction"] }).suppressed[0].reason, "muted");
+});
+
+test("updates are validated and pushed to the rider's live connection", async () => {
+  const user = new User({ username: "rider", email: "rider@example.com", password: "x" });
+  const call = async (body, live = "updated") => {
+    const res = mockResponse();
+    const updatePreferences = mock.fn(async () => live);
+    await updateAlertPreferences({ body, user, app: { locals: { realtime: { fanout: { updatePreferences } } } } }, res);
+    return { res, updatePreferences };
+  };
+
+  assert.deepEqual((await call({})).res.body, { message: "No valid fields to update" });
+  assert.equal((await call({ sensitivity: "loud" })).res.statusCode, 400);
+  assert.equal((await call({ mutedThreatTypes: "rear_end" })).res.statusCode, 400);
+  assert.deepEqual((await call({ mutedThreatTypes: ["crash_detected"] })).res.body, { message: "Cannot mute: crash_detected" });
+
+  let update;
+  mock.method(User, "findByIdAndUpdate", (id, u) => {
+    update = u.$set;
+    user.set("alertPreferences", { sensitivity: u.$set["alertPreferences.sensitivity"], mutedThreatTypes: u.$set["alertPreferences.mutedThreatTypes"] });
+    return { select: async () => user };
+  });
+  const { res, updatePreferences } = await call({ sensitivity: "minimal", mutedThreatTypes: ["rear_end", "rear_end"] }, "offline");
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(update["alertPreferences.mutedThreatTypes"], ["rear_end"]);
+  assert.deepEqual(updatePreferences.mock.calls[0].arguments, [String(user._id), { sensitivity: "minimal", mutedThreatTypes: ["rear_end"] }]);
+  assert.equal(res.body.appliedToLiveConnection, false);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CRASH_CONFIG, crashSignals, updateCrashState } from "../../crashDetector.js";
+import { T0 } from "./helpers.js";
+
+const WHERE = { lat: 17.385, lng: 78.4867, roadId: 7, roadName: "MG Road" };
+
+// Feeds samples a second apart through the state machine; each sample is
+// { speed, gyroZ?, accel? } and the speed history is built as the engine does
+function ride(samples, { start = T0, state = null } = {}) {
+  let history = [];
+  let event = null;
+  let t = start;
+  for (const s of samples) {
+    history = [...history, { speed: s.speed, t }].slice(-10);
+    const data = { speed: s.speed, gyro: { x: 0, y: 0, z: s.gyroZ ?? 0 }, accelerometer: { x: 0, y: 0, z: s.accel ?? 9.81 } };
+    const result = updateCrashState(state, crashSignals(data, null, history, 3), { now: t, ...WHERE });
+    state = result.state;
+    event = result.event ?? event;
+    t += 1000;
+  }
+  return { state, event };
+}
+
+const still = (n) => Array.from({ length: n }, () => ({ speed: 0 }));
+
+test("signals: decel from the last two speed samples, gyro in deg/s, acceleration with gravity", () => {
+  const signals = crashSignals(
+    { speed: 2, gyro: { x: 0, y: 0, z: Math.PI }, accelerometer: { x: 0, y: 0, z: 30 } },
+    null,
+    [{ speed: 12, t: T0 }, { speed: 2, t: T0 + 1000 }],
+    3
+  );
+  assert.deepEqual(signals, { speed: 2, prevSpeed: 12, decel: 10, gyroDegS: 180, accelMs2: 30 });
+  // A warm Kalman track's deceleration counts when it is the larger
+  assert.equal(crashSignals({ speed: 2 }, { samples: 5, accel: -14 }, [{ speed: 2, t: T0 }], 3).decel, 14);
+});
+
+test("a hard stop with a rotation spike, then lying still, is reported once", () => {
+  const { state, event } = ride([{ speed: 12 }, { speed: 1, gyroZ: 4 }, ...still(11)]);
+  assert.equal(state.phase, "reported");
+  assert.equal(event.roadName, "MG Road");
+  assert.equal(event.impactAt, T0 + 1000);
+  assert.equal(event.signals.speedBeforeMs, 12);
+  assert.equal(event.signals.stationaryS, CRASH_CONFIG.STATIONARY_MS / 1000);
+
+  // Still lying there: no second report during the cooldown
+  assert.equal(ride(still(5), { start: T0 + 20000, state }).event, null);
+});
+
+test("hard braking without a spike, or a spike at low speed, is no impact", () => {
+  assert.equal(ride([{ speed: 12 }, { speed: 1 }, ...still(12)]).state.phase, "idle");
+  assert.equal(ride([{ speed: 3 }, { speed: 0, gyroZ: 4 }, ...still(12)]).state.phase, "idle");
+});
+
+test("a spike a few seconds after the stop still pairs with it, one much later doesn't", () => {
+  assert.equal(ride([{ speed: 12 }, { speed: 1 }, { speed: 0 }, { speed: 0, accel: 35 }]).state.phase, "impact");
+  assert.equal(ride([{ speed: 12 }, { speed: 1 }, ...still(4), { speed: 0, accel: 35 }]).state.phase, "idle");
+});
+
+test("riding on after an impact clears it", () => {
+  const { state, event } = ride([{ speed: 12 }, { speed: 1, gyroZ: 4 }, { speed: 0 }, { speed: 5 }, ...still(12)]);
+  assert.equal(event, null);
+  assert.equal(state.phase, "idle");
+});
@@ -0,0 +1,151 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import DetectionEngine from "../../detectionEngine.js";
+import EtaRegistry from "../../etaRegistry.js";
+import { MemoryVehicleStore } from "../../vehicleStore.js";
+import { fixedClock, crossroads, offset, JUNCTION } from "./helpers.js";
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+});
+afterEach(() => mock.restoreAll());
+
+// Mongo models in memory: no turns, no risk history, writes accepted and dropped
+function fakeModels() {
+  const chain = (rows) => ({ select() { return this; }, limit() { return this; }, lean: async () => rows });
+  return {
+    Turn: { find: () => chain([]), findOne: () => chain(null), create: async () => {}, updateOne: async () => {} },
+    TurningEvent: { find: () => chain([]), create: async () => {}, countDocuments: async () => 0 },
+    TurnMovement: { find: () => chain([]), bulkWrite: async () => {} },
+    RiskEvent: { insertMany: async () => {} },
+    JunctionRisk: { findOne: () => chain(null), findOneAndUpdate: async () => ({ nearMisses: 0, brakeEvents: 0, threats: 1 }) },
+  };
+}
+
+// Snaps onto whichever crossroads road runs along the vehicle's heading
+function crossroadsMatcher(graph) {
+  return {
+    async match(userId, lat, lng, heading) {
+      const rad = (heading * Math.PI) / 180;
+      const northSouth = Math.abs(Math.cos(rad)) >= Math.SQRT1_2;
+      const roadId = northSouth ? 1 : 2;
+      const road = graph.roadData.get(roadId);
+      return {
+        matched: true,
+        roadId,
+        roadName: `Road ${roadId}`,
+        highway: road.highway,
+        oneway: road.oneway,
+        snappedLat: northSouth ? lat : JUNCTION.lat,
+        snappedLng: northSouth ? JUNCTION.lng : lng,
+        roadHeading: northSouth ? (Math.cos(rad) > 0 ? 0 : 180) : (Math.sin(rad) > 0 ? 90 : 270),
+        matchConfidence: 0.9,
+        vehicleStateConfidence: 0.9,
+      };
+    },
+    async removeUser() {},
+  };
+}
+
+// Engines standing in for server instances behind one shared vehicle store
+function setup(ctx, { engines = 1, oneway = false } = {}) {
+  const clock = fixedClock();
+  const store = new MemoryVehicleStore({ clock, sweepIntervalMs: 0 });
+  const graph = crossroads({ oneway });
+  const list = Array.from({ length: engines }, () => new DetectionEngine({
+    clock,
+    store,
+    models: fakeModels(),
+    roadGraph: graph,
+    mapMatcher: crossroadsMatcher(graph),
+    etaRegistry: new EtaRegistry(graph, { store, clock }),
+    enforceUserId: false,
+  }));
+  ctx.after(() => {
+    for (const engine of list) {
+      engine.etaRegistry.destroy();
+      engine.destroy();
+    }
+    graph.destroy();
+    store.destroy();
+  });
+  return { clock, store, engines: list };
+}
+
+// Position update northM/eastM from the junction, stamped with the engine clock
+function update(clock, userId, northM, eastM, speed, heading) {
+  const p = offset(northM, eastM);
+  return { userId, latitude: p.lat, longitude: p.lng, speed, heading, clientTime: clock.now(), timestamp: new Date(clock.now()).toISOString() };
+}
+
+test("updates with bad coordinates or someone else's userId are rejected", async (t) => {
+  const { engines: [engine] } = setup(t);
+  engine.enforceUserId = true;
+
+  assert.deepEqual(await engine.processUpdate({ userId: "a", latitude: 91, longitude: 0 }, { authenticatedUserId: "a" }), { status: "error", reason: "coordinates out of range" });
+  assert.deepEqual(await engine.processUpdate({ userId: "a", latitude: 17.36, longitude: 78.474 }, { authenticatedUserId: "b" }), { status: "error", reason: "userId mismatch" });
+});
+
+test("crossing vehicles on different instances are warned, and only the side road must give way", async (t) => {
+  const { clock, engines: [a, b] } = setup(t, { engines: 2 });
+
+  let sideRoad, mainRoad;
+  for (let i = 0; i < 3; i++) {
+    clock.advance(1000);
+    sideRoad = await a.processUpdate(update(clock, "side", 100 - i * 15, 0, 15, 180));
+    mainRoad = await b.processUpdate(update(clock, "main", 0, 95 - i * 15, 15, 270));
+  }
+
+  const mine = sideRoad.threats.find((x) => x.type === "intersection_collision" && x.rightOfWay === "highway_class");
+  const theirs = mainRoad.threats.find((x) => x.type === "intersection_collision" && x.rightOfWay === "highway_class");
+  assert.equal(mine.id, "main");
+  assert.equal(mine.mustYield, true);
+  assert.equal(theirs.id, "side");
+  assert.equal(theirs.mustYield, false);
+});
+
+test("a confirmed one-way violator is reported to a vehicle ahead on another instance", async (t) => {
+  const { clock, store, engines: [a, b] } = setup(t, { engines: 2, oneway: true });
+
+  // Road 2 runs westbound only; the violator heads east towards the other vehicle
+  let violator, ahead;
+  for (let i = 0; i < 3; i++) {
+    clock.advance(1000);
+    violator = await a.processUpdate(update(clock, "wrong", 0, -60 + i * 10, 10, 90));
+    ahead = await b.processUpdate(update(clock, "right", 0, 40 - i * 10, 10, 270));
+  }
+
+  const own = violator.threats.find((x) => x.type === "oneway_violation" && x.id === "wrong");
+  assert.equal(own.consecutiveSamples, 3);
+  assert.equal(own.legalBearing, 270);
+  const warned = ahead.threats.find((x) => x.type === "oneway_violation");
+  assert.equal(warned.id, "wrong");
+  assert.equal(warned.roadId, 2);
+
+  // The count travels with the vehicle's published state, not the instance that made it
+  const [state] = await store.getStates(["wrong"]);
+  assert.equal(JSON.parse(state).onewayTrack.count, 3);
+});
+
+test("driving with the flow on a one-way road is never flagged", async (t) => {
+  const { clock, engines: [engine] } = setup(t, { oneway: true });
+
+  for (let i = 0; i < 4; i++) {
+    clock.advance(1000);
+    const response = await engine.processUpdate(update(clock, "ok", 0, 60 - i * 10, 10, 270));
+    assert.equal(response.threats.filter((x) => x.type === "oneway_violation").length, 0);
+  }
+});
+
+test("removing a rider clears their shared session so another instance starts fresh", async (t) => {
+  const { clock, store, engines: [a, b] } = setup(t, { engines: 2 });
+
+  clock.advance(1000);
+  await a.processUpdate(update(clock, "gone", 100, 0, 10, 180));
+  assert.ok(await store.getSession("gone"));
+
+  await b.removeUser("gone");
+  assert.equal(await store.getSession("gone"), null);
+  assert.deepEqual(await store.getStationarySince(["gone"]), [null]);
+});
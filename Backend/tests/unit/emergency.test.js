@@ -0,0 +1,76 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../../Models/User.Model.js";
+import { addEmergencyContact, updateEmergencyContact, sendSos } from "../../Controllers/Emergency.controllers.js";
+import { mockResponse } from "./helpers.js";
+
+beforeEach(() => mock.method(console, "error", () => {}));
+afterEach(() => mock.restoreAll());
+
+// A signed-in rider as verifyJWT leaves it on req.user; saving validates the
+// document as Mongo would, without a connection
+function rider(contacts = []) {
+  const user = new User({ username: "rider", email: "rider@example.com", password: "x", emergencyContacts: contacts });
+  mock.method(user, "save", async function () {
+    await this.validate();
+    return this;
+  });
+  return user;
+}
+
+async function call(handler, req) {
+  const res = mockResponse();
+  await handler({ params: {}, body: {}, app: { locals: {} }, ...req }, res);
+  return res;
+}
+
+test("a contact needs a name and a phone number or email", async () => {
+  const user = rider();
+  assert.deepEqual((await call(addEmergencyContact, { user, body: { phoneNumber: "+91 98000 00001" } })).body, { message: "Contact name is required" });
+  assert.deepEqual((await call(addEmergencyContact, { user, body: { name: "Asha" } })).body, { message: "Contact needs a phone number or email" });
+
+  const res = await call(addEmergencyContact, { user, body: { name: "  Asha ", phoneNumber: "+919800000001", role: "admin" } });
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.contacts.length, 1);
+  assert.equal(res.body.contacts[0].name, "Asha");
+  assert.equal(res.body.contacts[0].role, undefined);
+});
+
+test("at most five contacts", async () => {
+  const user = rider(Array.from({ length: 5 }, (_, i) => ({ name: `Contact ${i}`, email: `c${i}@example.com` })));
+  const res = await call(addEmergencyContact, { user, body: { name: "Sixth", email: "six@example.com" } });
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, { message: "At most 5 emergency contacts" });
+  assert.equal(user.emergencyContacts.length, 5);
+});
+
+test("updating a contact that isn't the rider's is a 404", async () => {
+  const user = rider([{ name: "Asha", email: "asha@example.com" }]);
+  const missing = await call(updateEmergencyContact, { user, params: { contactId: "64b7f0000000000000000000" }, body: { name: "Ravi" } });
+  assert.equal(missing.statusCode, 404);
+
+  const id = String(user.emergencyContacts[0]._id);
+  const res = await call(updateEmergencyContact, { user, params: { contactId: id }, body: { relationship: "sister" } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.contacts[0].relationship, "sister");
+});
+
+test("an SOS needs the incident service and a position", async () => {
+  const user = rider([{ name: "Asha", email: "asha@example.com" }]);
+  assert.equal((await call(sendSos, { user })).statusCode, 503);
+
+  const incidents = { sos: async () => null };
+  const refused = await call(sendSos, { user, app: { locals: { incidents } } });
+  assert.equal(refused.statusCode, 422);
+
+  const calls = [];
+  incidents.sos = async (userId, body) => {
+    calls.push([userId, body]);
+    return { _id: "i1", type: "sos", status: "escalated", location: { coordinates: [78.5, 17.4] }, notifications: [{ ok: true }] };
+  };
+  const res = await call(sendSos, { user, body: { latitude: 17.4, longitude: 78.5 }, app: { locals: { incidents } } });
+  assert.equal(res.statusCode, 201);
+  assert.deepEqual(calls, [[String(user._id), { latitude: 17.4, longitude: 78.5 }]]);
+  assert.equal(res.body.contacts, 1);
+  assert.deepEqual([res.body.incident.lat, res.body.incident.lng, res.body.incident.contactsNotified], [17.4, 78.5, 1]);
+});
@@ -0,0 +1,125 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import EtaRegistry from "../../etaRegistry.js";
+import SpatFeed from "../../spat.js";
+import { MemoryVehicleStore } from "../../vehicleStore.js";
+import { fixedClock, crossroads, offset, JUNCTION } from "./helpers.js";
+
+beforeEach(() => mock.method(console, "log", () => {}));
+afterEach(() => mock.restoreAll());
+
+// Map matches on the crossroads: southbound on road 1 from the north, westbound
+// on road 2 from the east, distanceM out
+function southbound(distanceM) {
+  const p = offset(distanceM);
+  return { roadId: 1, snappedLat: p.lat, snappedLng: p.lng, roadHeading: 180, matchConfidence: 0.9, vehicleStateConfidence: 0.9 };
+}
+function westbound(distanceM) {
+  const p = offset(0, distanceM);
+  return { roadId: 2, snappedLat: p.lat, snappedLng: p.lng, roadHeading: 270, matchConfidence: 0.9, vehicleStateConfidence: 0.9 };
+}
+const send = (registry, userId, matched, speed, rawData = {}) =>
+  registry.update(userId, matched, matched.snappedLat, matched.snappedLng, matched.roadHeading, speed, rawData);
+
+function setup(ctx, { signal = false, store = null, clock = fixedClock(), registries = 1, spat = null } = {}) {
+  const graph = crossroads({ signal });
+  const list = Array.from({ length: registries }, () => new EtaRegistry(graph, { store, clock, spat }));
+  ctx.after(() => {
+    for (const r of list) r.destroy();
+    graph.destroy();
+    store?.destroy();
+  });
+  return list;
+}
+
+test("crossing vehicles due at the junction together conflict, and the side road gives way", async (t) => {
+  const [registry] = setup(t);
+  const emitted = [];
+  registry.on("junctionConflict", (c) => emitted.push(c));
+
+  assert.deepEqual(await send(registry, "a", southbound(100), 15), []);
+  const found = await send(registry, "b", westbound(95), 15);
+  assert.equal(found.length, 1);
+  const [conflict] = found;
+  assert.equal(conflict.nodeId, JUNCTION.nodeId);
+  assert.deepEqual([conflict.vehicleA.userId, conflict.vehicleB.userId], ["a", "b"]);
+  assert.equal(conflict.rightOfWay, "highway_class");
+  assert.equal(conflict.vehicleA.mustYield, true);
+  assert.equal(conflict.vehicleB.mustYield, false);
+  assert.ok(conflict.probability > 0.5);
+  assert.deepEqual(emitted, found);
+});
+
+test("vehicles due far apart in time don't conflict", async (t) => {
+  const [registry] = setup(t);
+  await send(registry, "a", southbound(30), 15);
+  assert.deepEqual(await send(registry, "b", westbound(110), 5), []);
+});
+
+test("a vehicle that loses its road match leaves every junction", async (t) => {
+  const store = new MemoryVehicleStore({ sweepIntervalMs: 0 });
+  const [registry] = setup(t, { store });
+  await send(registry, "a", southbound(100), 15);
+  assert.equal(registry.getJunctionsForUser("a").length, 1);
+  assert.deepEqual(await send(registry, "a", { ...southbound(90), matchConfidence: 0.1 }, 15), []);
+  assert.equal(registry.getJunctionsForUser("a").length, 0);
+  assert.deepEqual(await store.getUserJunctions("a"), []);
+});
+
+test("entries older than ten seconds no longer conflict", async (t) => {
+  const clock = fixedClock();
+  const [registry] = setup(t, { clock });
+  await send(registry, "a", southbound(100), 15);
+  clock.advance(11000);
+  assert.deepEqual(await send(registry, "b", westbound(95), 15), []);
+});
+
+test("vehicles on different instances meet through the shared store", async (t) => {
+  const clock = fixedClock();
+  const store = new MemoryVehicleStore({ clock, sweepIntervalMs: 0 });
+  const [here, there] = setup(t, { store, clock, registries: 2 });
+  await send(here, "a", southbound(100), 15);
+  const found = await send(there, "b", westbound(95), 15);
+  assert.equal(found.length, 1);
+  assert.equal(found[0].vehicleA.userId, "a");
+});
+
+test("without a store, instances don't see each other", async (t) => {
+  const [here, there] = setup(t, { registries: 2 });
+  await send(here, "a", southbound(100), 15);
+  assert.deepEqual(await send(there, "b", westbound(95), 15), []);
+});
+
+test("a queue at a red light, seen by another instance, all but rules the conflict out", async (t) => {
+  const clock = fixedClock();
+  const store = new MemoryVehicleStore({ clock, sweepIntervalMs: 0 });
+  const [here, there] = setup(t, { signal: true, store, clock, registries: 2 });
+  // Stopped at the stop line southbound: that axis is red
+  await send(here, "queued", southbound(15), 0);
+  await send(there, "a", southbound(100), 15);
+  const [conflict] = await send(there, "b", westbound(95), 15);
+  assert.equal(conflict.vehicleA.signalPhase, "stop");
+  assert.equal(conflict.vehicleB.signalPhase, "go");
+  assert.ok(Math.abs(conflict.signalWeight - 0.1) < 1e-9, `signalWeight ${conflict.signalWeight}`);
+  assert.equal(conflict.rightOfWay, "traffic_signals");
+  assert.equal(conflict.vehicleA.mustYield, true);
+});
+
+test("a vehicle too fast to stop for a live red is reported once", async (t) => {
+  const clock = fixedClock();
+  const store = new MemoryVehicleStore({ clock, sweepIntervalMs: 0 });
+  const spat = new SpatFeed({ store, clock, partnerKeys: [] });
+  t.after(() => spat.destroy());
+  await spat.ingest({ nodeId: JUNCTION.nodeId, approaches: [{ bearing: 180, phase: "red", timeToChangeS: 20, stopLineM: 10 }] }, "city");
+  const [registry] = setup(t, { store, clock, spat });
+
+  await send(registry, "a", southbound(40), 15);
+  const [risk] = registry.takeSignalRisks("a");
+  assert.equal(risk.nodeId, JUNCTION.nodeId);
+  assert.equal(risk.phase, "stop");
+  assert.deepEqual(registry.takeSignalRisks("a"), []);
+
+  // Slow enough to stop: no risk
+  await send(registry, "b", southbound(40), 4);
+  assert.deepEqual(registry.takeSignalRisks("b"), []);
+});
@@ -0,0 +1,68 @@
+import RoadGraph from "../../roadGraph.js";
+
+// Shared fixtures for the unit tests: a clock that only moves when told to and
+// a one-junction road graph.
+
+const T0 = 1_700_000_000_000;
+const METERS_PER_DEG_LAT = 111320;
+
+function fixedClock(start = T0) {
+  let t = start;
+  return {
+    now: () => t,
+    advance: (ms) => { t += ms; },
+  };
+}
+
+// Junction node 99 where residential road 1 (north-south) crosses primary road 2
+// (east-west), each 220 m either side with a node every 22 m (junction distances
+// count from the nearest node). signal: traffic lights on the junction node;
+// oneway: road 2 only runs westbound.
+const JUNCTION = { nodeId: 99, lat: 17.36, lng: 78.474 };
+const NODES_EACH_SIDE = 10;
+const NODE_STEP_DEG = 0.0002;
+
+function crossroads({ signal = false, oneway = false } = {}) {
+  const graph = new RoadGraph({ regions: [] });
+  const { lat, lng } = JUNCTION;
+  const road = (osmId, highway, firstNodeId, point, extra = {}) => {
+    const steps = Array.from({ length: 2 * NODES_EACH_SIDE + 1 }, (_, i) => (NODES_EACH_SIDE - i) * NODE_STEP_DEG);
+    graph._addRoad({
+      osmId,
+      highway,
+      nodes: steps.map((_, i) => (i === NODES_EACH_SIDE ? JUNCTION.nodeId : firstNodeId + i)),
+      geometry: { type: "LineString", coordinates: steps.map(point) },
+      ...extra,
+    }, "test");
+  };
+  road(1, "residential", 100, (step) => [lng, lat + step], signal ? { controls: [{ nodeId: JUNCTION.nodeId, type: "traffic_signals" }] } : {});
+  road(2, "primary", 200, (step) => [lng + step, lat], oneway ? { oneway: "yes" } : {});
+  graph.initialized = true;
+  return graph;
+}
+
+// Position metres north and east of the junction
+function offset(northM, eastM = 0) {
+  return {
+    lat: JUNCTION.lat + northM / METERS_PER_DEG_LAT,
+    lng: JUNCTION.lng + eastM / (METERS_PER_DEG_LAT * Math.cos((JUNCTION.lat * Math.PI) / 180)),
+  };
+}
+
+// Express response stand-in for calling controllers directly
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+export { T0, METERS_PER_DEG_LAT, JUNCTION, fixedClock, crossroads, offset, mockResponse };
@@ -0,0 +1,186 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import IncidentManager from "../../incidentManager.js";
+import { MemoryVehicleStore } from "../../vehicleStore.js";
+import { fixedClock, offset, JUNCTION } from "./helpers.js";
+
+const COUNTDOWN_MS = 30000;
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  mock.method(console, "error", () => {});
+});
+afterEach(() => mock.restoreAll());
+
+// The Incident collection in memory: equality, $in, $lte and $gte filters,
+// $set and $push updates, and the query chains IncidentManager uses
+function incidentModel() {
+  const docs = [];
+  const test = (value, cond) => {
+    if (cond && typeof cond === "object" && !(cond instanceof Date) && !(cond instanceof mongoose.Types.ObjectId)) {
+      if ("$in" in cond) return cond.$in.map(String).includes(String(value));
+      if ("$lte" in cond) return value <= cond.$lte;
+      if ("$gte" in cond) return value >= cond.$gte;
+    }
+    return String(value) === String(cond);
+  };
+  const find = (filter) => docs.filter((d) => Object.entries(filter).every(([k, cond]) => test(d[k], cond)));
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    for (const [k, { $each }] of Object.entries(update.$push || {})) doc[k] = [...(doc[k] || []), ...$each];
+  };
+  const chain = (result) => ({ sort() { return this; }, select() { return this; }, limit() { return this; }, lean: async () => result });
+  return {
+    docs,
+    async create(fields) {
+      const doc = { _id: new mongoose.Types.ObjectId(), status: "pending", notifications: [], ...fields };
+      docs.push(doc);
+      return { toObject: () => ({ ...doc }) };
+    },
+    findOne: (filter) => chain(find(filter).at(-1) ?? null),
+    find: (filter) => chain(find(filter)),
+    findOneAndUpdate(filter, update) {
+      const [doc] = find(filter);
+      if (doc) apply(doc, update);
+      return chain(doc ? { ...doc } : null);
+    },
+    async updateOne(filter, update) {
+      const [doc] = find(filter);
+      if (doc) apply(doc, update);
+    },
+  };
+}
+
+const RIDER = String(new mongoose.Types.ObjectId());
+const CONTACTS = [{ name: "Asha", phoneNumber: "+919800000001" }, { name: "Ravi", email: "ravi@example.com" }];
+
+function setup(ctx, { contacts = CONTACTS } = {}) {
+  const clock = fixedClock();
+  const store = new MemoryVehicleStore({ clock, sweepIntervalMs: 0 });
+  const Incident = incidentModel();
+  const User = { findById: () => ({ select() { return this; }, lean: async () => ({ username: "rider", emergencyContacts: contacts }) }) };
+  const sent = [];
+  const notifier = { send: async ({ contact, message }) => { sent.push({ to: contact.name, message }); return { ok: true, channel: "stub" }; } };
+  const pushed = [];
+  const fanout = { deliver: async (uid, payload) => { pushed.push({ uid, ...payload }); } };
+  const incidents = new IncidentManager({ store, fanout, notifier, models: { Incident, User }, clock, countdownMs: COUNTDOWN_MS });
+  ctx.after(() => {
+    incidents.destroy();
+    store.destroy();
+  });
+  return { clock, store, Incident, incidents, sent, pushed };
+}
+
+const crashAt = { lat: JUNCTION.lat, lng: JUNCTION.lng, roadId: 1, roadName: "MG Road" };
+
+test("a crash starts a countdown the rider is told about, and a repeat detection reuses it", async (t) => {
+  const { incidents, pushed, sent } = setup(t);
+  const incident = await incidents.open(RIDER, crashAt);
+  assert.equal(incident.status, "pending");
+  assert.deepEqual(pushed.map((p) => [p.uid, p.type, p.countdownS]), [[RIDER, "crash_detected", 30]]);
+  assert.equal(String((await incidents.open(RIDER, crashAt))._id), String(incident._id));
+  assert.deepEqual(sent, []);
+});
+
+test("once the countdown runs out the sweep escalates and alerts every contact once", async (t) => {
+  const { clock, Incident, incidents, sent } = setup(t);
+  const incident = await incidents.open(RIDER, crashAt);
+  const escalated = [];
+  incidents.on("escalate", (i) => escalated.push(String(i._id)));
+
+  await incidents._sweep();
+  assert.deepEqual(sent, []);
+
+  clock.advance(COUNTDOWN_MS);
+  await incidents._sweep();
+  await incidents._sweep();
+  assert.deepEqual(escalated, [String(incident._id)]);
+  assert.deepEqual(sent.map((s) => s.to), ["Asha", "Ravi"]);
+  assert.match(sent[0].message, /rider may have crashed on MG Road/);
+  assert.equal(Incident.docs[0].status, "escalated");
+  assert.deepEqual(Incident.docs[0].notifications.map((n) => [n.contactName, n.ok]), [["Asha", true], ["Ravi", true]]);
+});
+
+test("a countdown opened on an instance that went away is escalated by another", async (t) => {
+  const { clock, Incident, incidents, sent } = setup(t);
+  await Incident.create({ userId: RIDER, type: "crash", location: { type: "Point", coordinates: [crashAt.lng, crashAt.lat] }, detectedAt: new Date(clock.now()), escalateAt: new Date(clock.now() + COUNTDOWN_MS) });
+  clock.advance(COUNTDOWN_MS);
+  await incidents._sweep();
+  assert.equal(Incident.docs[0].status, "escalated");
+  assert.equal(sent.length, 2);
+});
+
+test("only the rider can cancel, and only before escalation", async (t) => {
+  const { clock, incidents, sent } = setup(t);
+  const incident = await incidents.open(RIDER, crashAt);
+  const id = String(incident._id);
+
+  assert.equal(await incidents.cancel(id, "someone-else"), null);
+  assert.equal(await incidents.cancel("not-an-id", RIDER), null);
+  assert.equal((await incidents.cancel(id, RIDER)).status, "cancelled");
+  assert.equal(incidents.active.size, 0);
+
+  clock.advance(COUNTDOWN_MS);
+  await incidents._sweep();
+  assert.deepEqual(sent, []);
+  assert.equal(await incidents.activeFor(RIDER), null);
+});
+
+test("a rider without contacts is escalated but nobody is messaged", async (t) => {
+  const { clock, Incident, incidents, sent } = setup(t, { contacts: [] });
+  await incidents.open(RIDER, crashAt);
+  clock.advance(COUNTDOWN_MS);
+  await incidents._sweep();
+  assert.equal(Incident.docs[0].status, "escalated");
+  assert.deepEqual(sent, []);
+});
+
+test("vehicles heading for the crash are warned once, those driving away are not", async (t) => {
+  const { store, incidents, pushed } = setup(t);
+  const put = async (userId, northM, heading) => {
+    const p = offset(northM);
+    await store.setPosition(userId, p.lat, p.lng);
+    await store.setState(userId, JSON.stringify({ userId, latitude: p.lat, longitude: p.lng, heading, roadId: 1 }), 30);
+  };
+  await put(RIDER, 0, 180);
+  await put("towards", 200, 180);
+  await put("away", -200, 180);
+  await put("far", 900, 180);
+
+  await incidents.open(RIDER, crashAt);
+  await incidents._sweep();
+  assert.deepEqual(pushed.filter((p) => p.type === "crash_ahead").map((p) => [p.uid, p.roadName]), [["towards", "MG Road"]]);
+});
+
+test("an SOS escalates at once from the rider's last known position", async (t) => {
+  const { store, Incident, incidents, sent } = setup(t);
+  const p = offset(40);
+  await store.setState(RIDER, JSON.stringify({ latitude: p.lat, longitude: p.lng, roadId: 1, roadName: "MG Road" }), 30);
+
+  const incident = await incidents.sos(RIDER, { latitude: 10, longitude: 10 });
+  assert.equal(incident.type, "sos");
+  assert.equal(incident.status, "escalated");
+  assert.deepEqual(incident.location.coordinates, [p.lng, p.lat]);
+  assert.match(sent[0].message, /rider sent an SOS on MG Road/);
+  assert.equal(Incident.docs.length, 1);
+});
+
+test("an SOS without a known position uses the one sent with it, and refuses a bad one", async (t) => {
+  const { incidents } = setup(t);
+  assert.equal(await incidents.sos(RIDER, { latitude: 95, longitude: 10 }), null);
+  assert.equal(await incidents.sos(RIDER, {}), null);
+  const incident = await incidents.sos(RIDER, { latitude: "17.4", longitude: "78.5" });
+  assert.deepEqual(incident.location.coordinates, [78.5, 17.4]);
+});
+
+test("an SOS during a crash countdown cuts it short instead of opening another incident", async (t) => {
+  const { Incident, incidents, sent } = setup(t);
+  const crash = await incidents.open(RIDER, crashAt);
+  const incident = await incidents.sos(RIDER);
+  assert.equal(String(incident._id), String(crash._id));
+  assert.equal(incident.status, "escalated");
+  assert.equal(Incident.docs.length, 1);
+  assert.equal(sent.length, 2);
+});
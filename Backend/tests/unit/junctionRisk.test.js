@@ -0,0 +1,122 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import JunctionRiskTracker, { riskScore, currentRiskScore, riskLevelBump } from "../../junctionRisk.js";
+import { fixedClock, T0 } from "./helpers.js";
+
+const DAY_MS = 86400000;
+const JUNCTION = { lat: 17.385, lng: 78.4867, nodeId: 42, roadId: 7 };
+
+beforeEach(() => {
+  mock.method(console, "error", () => {});
+  mock.method(console, "warn", () => {});
+});
+afterEach(() => mock.restoreAll());
+
+// JunctionRisk, Turn and RiskEvent in memory: one stored risk document and one
+// Turn (or none) near every point, every write recorded
+function fakeModels({ risk = null, turn = null, failWrites = false } = {}) {
+  const writes = [];
+  const chain = (row) => ({ select() { return this; }, lean: async () => row });
+  return {
+    writes,
+    models: {
+      JunctionRisk: {
+        findOne: () => chain(risk),
+        findOneAndUpdate: async (filter, pipeline) => {
+          if (failWrites) throw new Error("write refused");
+          writes.push({ model: "JunctionRisk", filter, set: pipeline[0].$set });
+          return { nearMisses: 9, brakeEvents: 0, threats: 0 };
+        },
+      },
+      Turn: {
+        findOne: () => chain(turn),
+        updateOne: async (filter, pipeline) => { writes.push({ model: "Turn", filter, set: pipeline[0].$set }); },
+      },
+      RiskEvent: { insertMany: async (docs) => { writes.push(...docs.map((d) => ({ model: "RiskEvent", ...d }))); } },
+    },
+  };
+}
+
+function tracker(ctx, data) {
+  const clock = fixedClock();
+  const { models, writes } = fakeModels(data);
+  const risk = new JunctionRiskTracker({ models, clock, halfLifeMs: DAY_MS, flushIntervalMs: 3600000 });
+  ctx.after(() => risk.destroy());
+  return { risk, clock, writes };
+}
+
+test("a near miss weighs three threats and a hard brake two, capped at 10", () => {
+  assert.equal(riskScore({}), 1);
+  assert.equal(riskScore({ nearMisses: 1 }), 2);
+  assert.equal(riskScore({ brakeEvents: 3 }), 3);
+  assert.equal(riskScore({ threats: 2 }), 1);
+  assert.equal(riskScore({ nearMisses: 40 }), 10);
+  assert.deepEqual([4, 5, 7, 8].map(riskLevelBump), [0, 1, 1, 2]);
+});
+
+test("stored counts halve every half-life", () => {
+  const doc = { nearMisses: 6, brakeEvents: 0, threats: 0, decayedAt: new Date(T0) };
+  assert.equal(currentRiskScore(doc, T0, DAY_MS), 7);
+  assert.equal(currentRiskScore(doc, T0 + DAY_MS, DAY_MS), 4);
+  assert.equal(currentRiskScore(doc, T0 + 10 * DAY_MS, DAY_MS), 1);
+});
+
+test("prefetched history decays with the clock and unflushed events add to it", async (t) => {
+  const { risk, clock } = tracker(t, { risk: { key: "node:42", nodeId: 42, location: { coordinates: [JUNCTION.lng, JUNCTION.lat] }, nearMisses: 6, brakeEvents: 0, threats: 0, decayedAt: new Date(T0) } });
+  await risk.prefetch([JUNCTION]);
+  assert.equal(risk.getScore(JUNCTION.lat, JUNCTION.lng), 7);
+  assert.equal(risk.isHighRisk(risk.getScore(JUNCTION.lat, JUNCTION.lng)), true);
+
+  clock.advance(DAY_MS);
+  assert.equal(risk.getScore(JUNCTION.lat, JUNCTION.lng), 4);
+  risk.record("nearMiss", JUNCTION);
+  assert.equal(risk.getScore(JUNCTION.lat, JUNCTION.lng), 5);
+  assert.equal(risk.getScore(NaN, JUNCTION.lng), 1);
+});
+
+test("the same pair counts once per 30 s at a junction", (t) => {
+  const { risk, clock } = tracker(t);
+  assert.equal(risk.record("threat", JUNCTION, { dedupeKey: "a|b", type: "rear_end" }), true);
+  assert.equal(risk.record("threat", JUNCTION, { dedupeKey: "a|b", type: "rear_end" }), false);
+  assert.equal(risk.record("nearMiss", JUNCTION, { dedupeKey: "a|b" }), true);
+  clock.advance(30000);
+  assert.equal(risk.record("threat", JUNCTION, { dedupeKey: "a|b", type: "rear_end" }), true);
+  assert.equal(risk.record("unknown", JUNCTION), false);
+});
+
+test("a flush keys events to the nearest Turn, logs each one and raises the Turn's risk level", async (t) => {
+  const { risk, writes } = tracker(t, { turn: { _id: "t1", location: { coordinates: [78.4866, 17.3851] } } });
+  risk.record("brake", JUNCTION);
+  risk.record("threat", JUNCTION, { type: "intersection_collision" });
+  await risk.flush();
+
+  const [upsert, ...rest] = writes;
+  assert.deepEqual(upsert.filter, { key: "turn:t1" });
+  assert.deepEqual(upsert.set.location.coordinates, [78.4866, 17.3851]);
+  assert.deepEqual(rest.filter((w) => w.model === "RiskEvent").map((e) => [e.type, e.junctionKey, e.roadId]), [
+    ["hard_brake", "turn:t1", 7],
+    ["intersection_collision", "turn:t1", 7],
+  ]);
+  const turn = rest.find((w) => w.model === "Turn");
+  assert.deepEqual(turn.filter, { _id: "t1" });
+  // Stored score 10 after the write: two levels above the import-time one
+  assert.deepEqual(turn.set.riskLevel, { $min: [5, { $add: [turn.set.baseRiskLevel, 2] }] });
+  assert.equal(risk.pending.size, 0);
+});
+
+test("without a Turn or record nearby, events key to the graph node, else the grid cell", async (t) => {
+  const { risk, writes } = tracker(t);
+  risk.record("nearMiss", JUNCTION);
+  risk.record("nearMiss", { lat: 17.4, lng: 78.5 });
+  await risk.flush();
+  assert.deepEqual(writes.filter((w) => w.model === "JunctionRisk").map((w) => w.filter.key), ["node:42", "grid:17.4000,78.5000"]);
+  assert.equal(writes.some((w) => w.model === "Turn"), false);
+});
+
+test("a failed write drops that batch without throwing", async (t) => {
+  const { risk, writes } = tracker(t, { failWrites: true });
+  risk.record("brake", JUNCTION);
+  await risk.flush();
+  assert.deepEqual(writes, []);
+  assert.equal(risk.pending.size, 0);
+});
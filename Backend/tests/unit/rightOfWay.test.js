@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveRightOfWay, highwayRank } from "../../rightOfWay.js";
+
+// Bearings are travel directions into the junction: 0 northbound, 90 eastbound
+const approach = (extra = {}) => ({ highway: "residential", approachBearing: 0, ...extra });
+const SIGNAL = { type: "traffic_signals", all: false };
+
+test("circulating traffic goes before traffic entering the roundabout", () => {
+  const result = resolveRightOfWay(approach({ onRoundabout: true, highway: "residential" }), approach({ highway: "primary", approachBearing: 90 }));
+  assert.deepEqual(result, { mustYield: "b", rule: "roundabout" });
+});
+
+test("at a signal the approach facing red yields, whatever the road class", () => {
+  const a = approach({ control: SIGNAL, signalPhase: "stop", approachBearing: 180, highway: "primary" });
+  const b = approach({ control: SIGNAL, signalPhase: "go", approachBearing: 270 });
+  assert.deepEqual(resolveRightOfWay(a, b), { mustYield: "a", rule: "traffic_signals" });
+});
+
+test("a signal with no known phase leaves crossing traffic unresolved", () => {
+  const a = approach({ control: SIGNAL, approachBearing: 180 });
+  const b = approach({ control: SIGNAL, approachBearing: 270, highway: "primary" });
+  assert.deepEqual(resolveRightOfWay(a, b), { mustYield: null, rule: "unresolved" });
+});
+
+test("on green, the opposite approach turning across traffic yields", () => {
+  const a = approach({ control: SIGNAL, signalPhase: "go", approachBearing: 180, turn: "right" });
+  const b = approach({ control: SIGNAL, signalPhase: "go", approachBearing: 0, turn: "straight" });
+  assert.deepEqual(resolveRightOfWay(a, b, { drivingSide: "left" }), { mustYield: "a", rule: "turn_across" });
+  assert.deepEqual(resolveRightOfWay(a, b, { drivingSide: "right" }), { mustYield: null, rule: "unresolved" });
+});
+
+test("at an all-way stop the first to arrive goes", () => {
+  const stop = { type: "stop", all: true };
+  assert.deepEqual(resolveRightOfWay(approach({ control: stop, eta: 4 }), approach({ control: stop, eta: 2, approachBearing: 90 })), { mustYield: "a", rule: "all_way_stop" });
+  assert.equal(resolveRightOfWay(approach({ control: stop, eta: 2 }), approach({ control: stop, eta: 2, approachBearing: 90 })).rule, "unresolved");
+});
+
+test("a stop or give-way approach yields to an uncontrolled one", () => {
+  const result = resolveRightOfWay(approach({ highway: "primary" }), approach({ control: { type: "give_way", all: false }, approachBearing: 90 }));
+  assert.deepEqual(result, { mustYield: "b", rule: "give_way" });
+});
+
+test("a priority road goes before the others, then the higher road class", () => {
+  assert.deepEqual(resolveRightOfWay(approach({ priorityRoad: "designated" }), approach({ highway: "primary", approachBearing: 90 })), { mustYield: "b", rule: "priority_road" });
+  assert.deepEqual(resolveRightOfWay(approach({ priorityRoad: "no" }), approach({ highway: "primary_link", approachBearing: 90 })), { mustYield: "a", rule: "highway_class" });
+});
+
+test("on equal roads the side rule decides", () => {
+  // b travels westbound, so it comes from a's right
+  const a = approach({ approachBearing: 0 });
+  const b = approach({ approachBearing: 270 });
+  assert.deepEqual(resolveRightOfWay(a, b, { priorityFrom: "right" }), { mustYield: "a", rule: "priority_to_right" });
+  assert.deepEqual(resolveRightOfWay(a, b, { priorityFrom: "left" }), { mustYield: "b", rule: "priority_to_left" });
+  assert.deepEqual(resolveRightOfWay(a, b, { priorityFrom: "none" }), { mustYield: null, rule: "unresolved" });
+});
+
+test("vehicles travelling the same way are never given priority over each other", () => {
+  assert.equal(resolveRightOfWay(approach({ approachBearing: 10 }), approach({ approachBearing: 350 })).mustYield, null);
+});
+
+test("link roads rank with the road they serve", () => {
+  assert.equal(highwayRank("trunk_link"), highwayRank("trunk"));
+  assert.equal(highwayRank("footway"), null);
+});
@@ -0,0 +1,126 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import RiskEvent from "../../Models/RiskEvent.Model.js";
+import JunctionRisk from "../../Models/JunctionRisk.Model.js";
+import Turn from "../../Models/Turn.Model.js";
+import Road from "../../Models/Road.Model.js";
+import TurningEvent from "../../Models/TurningEvent.Model.js";
+import { getJunctionHeatmap, getRoadHeatmap } from "../../Controllers/Risk.controllers.js";
+import { mockResponse } from "./helpers.js";
+
+const BBOX = "78.4,17.3,78.5,17.4";
+
+const chain = (rows) => ({ select() { return this; }, lean: async () => rows });
+
+// One junction row (two near misses, one rear-end) and one road row per query
+let pipelines;
+
+beforeEach(() => {
+  pipelines = [];
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  mock.method(RiskEvent, "aggregate", async (pipeline) => {
+    pipelines.push(pipeline);
+    const row = {
+      location: { type: "Point", coordinates: [78.45, 17.35] },
+      events: 3,
+      nearMisses: 2,
+      brakeEvents: 0,
+      threats: 1,
+      byType: [{ k: "near_miss", v: 2 }, { k: "rear_end", v: 1 }],
+      lastEventAt: new Date("2026-10-18T10:00:00Z"),
+    };
+    return [{ _id: pipeline[0].$match.roadId ? 7 : "node:42", ...row }];
+  });
+  mock.method(JunctionRisk, "find", () => chain([]));
+  mock.method(Turn, "find", () => chain([]));
+  mock.method(Road, "find", () => chain([{ osmId: 7, name: "MG Road", highway: "primary", geometry: { type: "LineString", coordinates: [[78.45, 17.35], [78.46, 17.35]] } }]));
+  mock.method(TurningEvent, "aggregate", async () => [{ _id: 7, count: 12 }]);
+});
+
+afterEach(() => mock.restoreAll());
+
+async function call(handler, query) {
+  const res = mockResponse();
+  await handler({ query }, res);
+  return res;
+}
+
+test("the bbox is required, must be in range and not inverted, and at most one square degree", async () => {
+  for (const [bbox, message] of [
+    [undefined, "bbox must be minLng,minLat,maxLng,maxLat"],
+    ["78.4,17.3,78.5", "bbox must be minLng,minLat,maxLng,maxLat"],
+    ["78.5,17.3,78.4,17.4", "bbox is out of range or inverted"],
+    ["178,17,181,18", "bbox is out of range or inverted"],
+    ["77,17,79,18", "bbox too large (max 1 square degrees)"],
+  ]) {
+    const res = await call(getJunctionHeatmap, { bbox });
+    assert.equal(res.statusCode, 400, bbox);
+    assert.deepEqual(res.body, { message });
+  }
+  assert.equal(pipelines.length, 0);
+});
+
+test("from/to take ISO dates or epoch ms, and the window must be positive and under a year", async () => {
+  const bad = [
+    [{ from: "yesterday" }, "from/to must be ISO dates or epoch milliseconds"],
+    [{ from: "2026-10-19", to: "2026-10-18" }, "Time window must be positive and at most 366 days"],
+    [{ from: "2024-01-01", to: "2026-01-01" }, "Time window must be positive and at most 366 days"],
+  ];
+  for (const [window, message] of bad) {
+    assert.deepEqual((await call(getJunctionHeatmap, { bbox: BBOX, ...window })).body, { message });
+  }
+
+  const res = await call(getJunctionHeatmap, { bbox: BBOX, from: "1792281600000", to: "2026-10-19T00:00:00Z" });
+  assert.equal(res.statusCode, 200);
+  const { timestamp } = pipelines[0][0].$match;
+  assert.deepEqual([timestamp.$gte, timestamp.$lte], [new Date(1792281600000), new Date("2026-10-19T00:00:00Z")]);
+});
+
+test("without from, the window is the seven days before to", async () => {
+  await call(getJunctionHeatmap, { bbox: BBOX, to: "2026-10-19T00:00:00Z" });
+  assert.deepEqual(pipelines[0][0].$match.timestamp.$gte, new Date("2026-10-12T00:00:00Z"));
+});
+
+test("types are checked against the known event types, and limit is clamped", async () => {
+  const res = await call(getJunctionHeatmap, { bbox: BBOX, types: "near_miss,speeding" });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /^Unknown types: speeding/);
+
+  await call(getJunctionHeatmap, { bbox: BBOX, types: " near_miss , rear_end ", limit: "99999" });
+  const [match] = pipelines[0];
+  assert.deepEqual(match.$match.type, { $in: ["near_miss", "rear_end"] });
+  assert.deepEqual(pipelines[0].at(-1), { $limit: 2000 });
+
+  await call(getJunctionHeatmap, { bbox: BBOX, limit: "lots" });
+  assert.deepEqual(pipelines[1].at(-1), { $limit: 500 });
+});
+
+test("junction features carry the window score and per-type breakdown", async () => {
+  const res = await call(getJunctionHeatmap, { bbox: BBOX });
+  assert.equal(res.body.type, "FeatureCollection");
+  assert.deepEqual(res.body.bbox, [78.4, 17.3, 78.5, 17.4]);
+  const [feature] = res.body.features;
+  assert.equal(feature.properties.junctionKey, "node:42");
+  // 2 near misses × 3 + 1 threat = 7 → 1 + floor(7 / 3)
+  assert.equal(feature.properties.windowScore, 3);
+  assert.deepEqual(feature.properties.byType, { near_miss: 2, rear_end: 1 });
+  assert.equal(feature.properties.riskScore, null);
+});
+
+test("road features use the road geometry and report events per turning event", async () => {
+  const res = await call(getRoadHeatmap, { bbox: BBOX });
+  assert.deepEqual(pipelines[0][0].$match.roadId, { $ne: null });
+  const [feature] = res.body.features;
+  assert.equal(feature.geometry.type, "LineString");
+  assert.equal(feature.properties.name, "MG Road");
+  assert.equal(feature.properties.turningEvents, 12);
+  assert.equal(feature.properties.eventsPerTurn, 0.25);
+});
+
+test("a database failure is a generic 500", async () => {
+  mock.method(RiskEvent, "aggregate", async () => { throw new Error("connection reset"); });
+  const res = await call(getJunctionHeatmap, { bbox: BBOX });
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { message: "Internal server error" });
+});
@@ -0,0 +1,142 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import Session from "../../Models/Session.Model.js";
+import User from "../../Models/User.Model.js";
+import { startSession, rotateSession, revokeSession, revokeAllSessions, isSessionActive, listSessions } from "../../sessions.js";
+import { authenticateAccessToken } from "../../Controllers/User.controllers.js";
+
+process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+process.env.REFRESH_TOKEN_SECRET = "test-refresh-secret";
+
+// Stands in for the sessions and users collections: just the query shapes
+// sessions.js and authenticateAccessToken use
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    const value = doc[key];
+    if (cond && typeof cond === "object" && !(cond instanceof Date) && !cond._bsontype) {
+      if ("$ne" in cond) return String(value) !== String(cond.$ne);
+      if ("$gt" in cond) return value > cond.$gt;
+    }
+    if (cond === null) return value == null;
+    return String(value) === String(cond);
+  });
+}
+
+function query(result) {
+  return { select() { return this; }, sort() { return this; }, lean() { return this; }, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+}
+
+let sessions;
+let users;
+
+beforeEach(() => {
+  sessions = [];
+  users = new Map();
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  mock.method(Session.prototype, "save", async function () {
+    sessions.push(this.toObject());
+    return this;
+  });
+  mock.method(Session, "findOneAndUpdate", (filter, update) => {
+    const doc = sessions.find((s) => matches(s, filter));
+    if (doc) Object.assign(doc, update.$set);
+    return query(doc ?? null);
+  });
+  const updateMatching = (all) => (filter, update) => {
+    const hits = sessions.filter((s) => matches(s, filter)).slice(0, all ? undefined : 1);
+    for (const doc of hits) Object.assign(doc, update.$set);
+    return query({ modifiedCount: hits.length });
+  };
+  mock.method(Session, "updateOne", updateMatching(false));
+  mock.method(Session, "updateMany", updateMatching(true));
+  mock.method(Session, "exists", (filter) => query(sessions.some((s) => matches(s, filter)) ? { _id: "x" } : null));
+  mock.method(Session, "find", (filter) => query(sessions.filter((s) => matches(s, filter))));
+  mock.method(User, "findById", (id) => query(users.get(String(id)) ?? null));
+});
+
+afterEach(() => mock.restoreAll());
+
+function addUser(fields = {}) {
+  const user = new User({ username: "rider", email: "rider@example.com", password: "x", ...fields });
+  users.set(String(user._id), user);
+  return user;
+}
+
+const device = (name) => ({ body: { deviceName: name }, headers: { "user-agent": "test" }, ip: "127.0.0.1" });
+
+test("a login starts a named session that its tokens point at", async () => {
+  const user = addUser();
+  const { accessToken, refreshToken, session } = await startSession(user, device("Pixel"));
+  assert.equal(session.deviceName, "Pixel");
+  assert.equal(jwt.decode(accessToken).sid, String(session._id));
+  assert.equal(jwt.decode(refreshToken).jti, session.currentJti);
+  assert.equal(await isSessionActive(String(session._id)), true);
+  assert.equal((await listSessions(user._id)).length, 1);
+});
+
+test("each refresh token works once; replaying one revokes the whole session", async () => {
+  const user = addUser();
+  const { refreshToken, session } = await startSession(user, device("Pixel"));
+
+  const rotated = await rotateSession(refreshToken);
+  assert.ok(rotated.accessToken && rotated.refreshToken);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+
+  assert.deepEqual(await rotateSession(refreshToken), { error: "Refresh token revoked" });
+  assert.equal(sessions[0].revokedReason, "reuse");
+  assert.equal(await isSessionActive(String(session._id)), false);
+  // The thief's replay also cut off the current token
+  assert.deepEqual(await rotateSession(rotated.refreshToken), { error: "Refresh token revoked" });
+});
+
+test("refresh tokens that don't verify or predate sessions are refused", async () => {
+  const user = addUser();
+  assert.deepEqual(await rotateSession("not-a-token"), { error: "Invalid or expired refresh token" });
+  const legacy = jwt.sign({ _id: user._id }, process.env.REFRESH_TOKEN_SECRET);
+  assert.deepEqual(await rotateSession(legacy), { error: "Refresh token no longer supported, please log in again" });
+});
+
+test("revoking is limited to the user's own sessions and can spare the current one", async () => {
+  const user = addUser();
+  const other = addUser({ email: "other@example.com" });
+  const { session: phone } = await startSession(user, device("Phone"));
+  const { session: tablet } = await startSession(user, device("Tablet"));
+  const { session: laptop } = await startSession(user, device("Laptop"));
+
+  assert.equal(await revokeSession(other._id, String(phone._id), "user"), false);
+  assert.equal(await revokeSession(user._id, "not-an-id", "user"), false);
+  assert.equal(await revokeSession(user._id, String(phone._id), "user"), true);
+  assert.equal(await revokeSession(user._id, String(phone._id), "user"), false);
+
+  assert.equal(await revokeAllSessions(user._id, "password_reset", { except: laptop._id }), 1);
+  assert.equal(await isSessionActive(String(tablet._id)), false);
+  assert.equal(await isSessionActive(String(laptop._id)), true);
+});
+
+test("an expired session is no longer active", async () => {
+  const user = addUser();
+  const { session } = await startSession(user, device("Phone"));
+  sessions[0].expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await isSessionActive(String(session._id)), false);
+});
+
+test("access tokens stop working when their session is revoked", async () => {
+  const user = addUser();
+  const { accessToken, session } = await startSession(user, device("Phone"));
+  const ok = await authenticateAccessToken(accessToken);
+  assert.equal(String(ok.user._id), String(user._id));
+
+  await revokeSession(user._id, String(session._id), "logout");
+  assert.deepEqual(await authenticateAccessToken(accessToken), { message: "Session revoked" });
+  assert.deepEqual(await authenticateAccessToken("garbage"), { message: "Invalid token" });
+});
+
+test("a socket re-check accepts an expired token whose session is still live", async () => {
+  const user = addUser();
+  const { session } = await startSession(user, device("Phone"));
+  const expired = jwt.sign({ _id: user._id, sid: session._id, iat: Math.floor(Date.now() / 1000) - 3600 }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: "15m" });
+  assert.deepEqual(await authenticateAccessToken(expired), { message: "Invalid token" });
+  assert.equal(String((await authenticateAccessToken(expired, { ignoreExpiration: true })).user._id), String(user._id));
+});
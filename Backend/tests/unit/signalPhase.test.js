@@ -0,0 +1,106 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import SignalPhaseTracker, { signalConflictWeight } from "../../signalPhase.js";
+import { MemoryVehicleStore } from "../../vehicleStore.js";
+import { fixedClock } from "./helpers.js";
+
+const KEY = "node:99";
+
+beforeEach(() => mock.method(console, "error", () => {}));
+afterEach(() => mock.restoreAll());
+
+function setup(ctx, { store = null, clock = fixedClock(), trackers = 1 } = {}) {
+  const list = Array.from({ length: trackers }, () => new SignalPhaseTracker({ store, clock }));
+  ctx.after(() => {
+    for (const tracker of list) tracker.destroy();
+    store?.destroy();
+  });
+  return { clock, trackers: list };
+}
+
+test("only a vehicle stopped at the line or moving through says anything", async (t) => {
+  const { trackers: [phases] } = setup(t);
+  assert.equal(await phases.observe(KEY, 180, 0, 15), "stop");
+  assert.equal(await phases.observe(KEY, 90, 12, 20), "go");
+  // Creeping, stopped far back, or moving far out
+  assert.equal(await phases.observe(KEY, 180, 1.5, 15), null);
+  assert.equal(await phases.observe(KEY, 180, 0, 80), null);
+  assert.equal(await phases.observe(KEY, 180, 12, 60), null);
+  assert.equal(await phases.observe(KEY, NaN, 0, 15), null);
+});
+
+test("an observed phase covers both directions of its axis, and the crossing axis gets the opposite", async (t) => {
+  const { trackers: [phases] } = setup(t);
+  await phases.observe(KEY, 180, 0, 15);
+  assert.deepEqual(phases.phaseFor(KEY, 180), { phase: "stop", confidence: 1, source: "observed" });
+  assert.deepEqual(phases.phaseFor(KEY, 5), { phase: "stop", confidence: 1, source: "observed" });
+  assert.deepEqual(phases.phaseFor(KEY, 270), { phase: "go", confidence: 0.7, source: "crossing" });
+  // Neither the same axis nor a crossing one
+  assert.equal(phases.phaseFor(KEY, 225), null);
+  assert.equal(phases.phaseFor("node:1", 180), null);
+});
+
+test("evidence fades over ten seconds and is then ignored", async (t) => {
+  const { clock, trackers: [phases] } = setup(t);
+  await phases.observe(KEY, 180, 0, 15);
+  clock.advance(5000);
+  assert.equal(phases.phaseFor(KEY, 180).confidence, 0.75);
+  clock.advance(5001);
+  assert.equal(phases.phaseFor(KEY, 180), null);
+});
+
+test("a phase watched from start to end teaches its length, and one running past it is trusted less", async (t) => {
+  const { clock, trackers: [phases] } = setup(t);
+  const start = clock.now();
+  const at = async (ms, phase) => {
+    clock.advance(ms - (clock.now() - start));
+    await phases.observe(KEY, 180, phase === "stop" ? 0 : 12, 15);
+  };
+  // The first red wasn't seen to begin, so only the green after it is learned: 14 s
+  await at(0, "stop");
+  await at(8000, "stop");
+  await at(16000, "go");
+  await at(24000, "go");
+  await at(30000, "stop");
+  await at(40000, "go");
+  await at(48000, "go");
+
+  clock.advance(2000);
+  assert.equal(phases.phaseFor(KEY, 180).confidence, 0.9);
+  clock.advance(6000);
+  // Green for 16 s against a usual 14 s
+  assert.equal(phases.phaseFor(KEY, 180).confidence, 0.3);
+});
+
+test("instances share what they see through the store", async (t) => {
+  const clock = fixedClock();
+  const store = new MemoryVehicleStore({ clock, sweepIntervalMs: 0 });
+  const { trackers: [here, there] } = setup(t, { store, clock, trackers: 2 });
+  await here.observe(KEY, 180, 0, 15);
+  assert.equal(there.phaseFor(KEY, 180), null);
+  await there.prefetch([KEY]);
+  assert.equal(there.phaseFor(KEY, 180).phase, "stop");
+
+  // Evidence from both instances lands on one junction
+  await there.observe(KEY, 90, 12, 20);
+  clock.advance(600);
+  await here.prefetch([KEY]);
+  assert.deepEqual([here.phaseFor(KEY, 180).source, here.phaseFor(KEY, 90).source], ["observed", "observed"]);
+});
+
+test("a store that can't be read leaves the local view in place", async (t) => {
+  const clock = fixedClock();
+  const store = new MemoryVehicleStore({ clock, sweepIntervalMs: 0 });
+  const { trackers: [phases] } = setup(t, { store, clock });
+  mock.method(store, "getSignalPhases", async () => { throw new Error("connection reset"); });
+  assert.equal(await phases.observe(KEY, 180, 0, 15), "stop");
+  await phases.prefetch(["node:1"]);
+  assert.equal(phases.phaseFor(KEY, 180).phase, "stop");
+});
+
+test("a conflict is weighed down by the more confident red", () => {
+  assert.equal(signalConflictWeight(null, null), 1);
+  assert.equal(signalConflictWeight({ phase: "go", confidence: 1 }, { phase: "go", confidence: 1 }), 1);
+  assert.ok(Math.abs(signalConflictWeight({ phase: "stop", confidence: 1 }, { phase: "go", confidence: 1 }) - 0.1) < 1e-9);
+  assert.ok(Math.abs(signalConflictWeight({ phase: "stop", confidence: 0.5 }, { phase: "stop", confidence: 0.7 }) - 0.37) < 1e-9);
+});
@@ -0,0 +1,161 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import SpatFeed, { validateSpatMessage, partnerForKey, parsePartnerKeys, redLightRisk, SPAT_TTL_MS } from "../../spat.js";
+import { ingestSpat } from "../../Controllers/Spat.controllers.js";
+import { MemoryVehicleStore } from "../../vehicleStore.js";
+import { fixedClock, mockResponse } from "./helpers.js";
+
+beforeEach(() => {
+  mock.method(console, "warn", () => {});
+  mock.method(console, "error", () => {});
+});
+afterEach(() => mock.restoreAll());
+
+const NODE = 99;
+const redSouthbound = (extra = {}) => ({ nodeId: NODE, approaches: [{ bearing: 180, phase: "red", timeToChangeS: 20, stopLineM: 12 }], ...extra });
+
+function setup(ctx, { store = null, clock = fixedClock(), feeds = 1 } = {}) {
+  const list = Array.from({ length: feeds }, () => new SpatFeed({ store, clock, partnerKeys: parsePartnerKeys("city:secret") }));
+  ctx.after(() => {
+    for (const feed of list) feed.destroy();
+    store?.destroy();
+  });
+  return { clock, feeds: list };
+}
+
+test("messages are checked before anything is stored", () => {
+  assert.equal(validateSpatMessage(redSouthbound()), null);
+  const approach = (a) => ({ nodeId: NODE, approaches: [{ bearing: 180, phase: "red", ...a }] });
+  for (const [msg, reason] of [
+    [null, "Message must be an object"],
+    [{ ...redSouthbound(), nodeId: -1 }, "nodeId must be an OSM node id"],
+    [{ ...redSouthbound(), nodeId: "junction" }, "nodeId must be an OSM node id"],
+    [redSouthbound({ timestamp: "noon" }), "timestamp must be epoch milliseconds"],
+    [{ nodeId: NODE, approaches: [] }, "approaches must be a non-empty array"],
+    [{ nodeId: NODE, approaches: Array(17).fill({ bearing: 0, phase: "red" }) }, "At most 16 approaches per junction"],
+    [approach({ bearing: 400 }), "approaches[0].bearing must be 0-360"],
+    [approach({ phase: "flashing" }), "approaches[0].phase must be one of green, amber, yellow, red"],
+    [approach({ timeToChangeS: 601 }), "approaches[0].timeToChangeS must be 0-600"],
+    [approach({ stopLineM: -1 }), "approaches[0].stopLineM must be 0-100"],
+  ]) {
+    assert.equal(validateSpatMessage(msg), reason);
+  }
+});
+
+test("partner keys are matched to their partner, and anything else to nobody", () => {
+  const keys = parsePartnerKeys(" city:secret , ,nocolon,:nameless,port:s:with:colons ");
+  assert.deepEqual(keys.map((k) => k.partner), ["city", "port"]);
+  assert.equal(partnerForKey("secret", keys), "city");
+  assert.equal(partnerForKey("s:with:colons", keys), "port");
+  assert.equal(partnerForKey("Secret", keys), null);
+  assert.equal(partnerForKey("", keys), null);
+  assert.equal(partnerForKey(undefined, keys), null);
+  assert.equal(partnerForKey("secret", []), null);
+});
+
+test("a red is a risk only for a vehicle that can no longer stop", () => {
+  const red = { phase: "stop", timeToChangeS: 20 };
+  // 15 m/s: 15 m reaction plus 18.75 m braking
+  const risk = redLightRisk(red, 15, 30);
+  assert.deepEqual(risk, { phase: "stop", timeToChangeS: 20, distanceM: 30, stoppingM: 33.75, etaS: 2 });
+  assert.equal(redLightRisk(red, 15, 40), null);
+  // Braking harder than the default stops in time
+  assert.equal(redLightRisk(red, 15, 30, 8), null);
+  assert.equal(redLightRisk({ phase: "go" }, 15, 30), null);
+  assert.equal(redLightRisk(null, 15, 30), null);
+  assert.equal(redLightRisk(red, 2, 1), null);
+  assert.equal(redLightRisk(red, 15, 0), null);
+});
+
+test("an amber is a risk only when the vehicle reaches the line after it turns red", () => {
+  assert.equal(redLightRisk({ phase: "amber", timeToChangeS: 3 }, 15, 30), null);
+  assert.equal(redLightRisk({ phase: "amber", timeToChangeS: null }, 15, 30), null);
+  assert.equal(redLightRisk({ phase: "amber", timeToChangeS: 1 }, 15, 30).phase, "amber");
+});
+
+test("a vehicle takes the nearest controller approach within 30°, and the time left counts down", async (t) => {
+  const { clock, feeds: [spat] } = setup(t);
+  const result = await spat.ingest({ nodeId: NODE, approaches: [
+    { bearing: 180, phase: "red", timeToChangeS: 20, stopLineM: 12 },
+    { bearing: 270, phase: "green" },
+  ] }, "city");
+  assert.equal(result.accepted, true);
+  assert.equal(result.message.partner, "city");
+
+  assert.deepEqual(spat.phaseFor(NODE, 200), { phase: "stop", confidence: 1, source: "spat", timeToChangeS: 20, stopLineM: 12 });
+  assert.equal(spat.phaseFor(NODE, 255).stopLineM, 10);
+  assert.equal(spat.phaseFor(NODE, 225), null);
+  clock.advance(4000);
+  assert.equal(spat.phaseFor(NODE, 180).timeToChangeS, 16);
+});
+
+test("an amber past its change is red, a red past its change is unknown", async (t) => {
+  const { clock, feeds: [spat] } = setup(t);
+  await spat.ingest({ nodeId: NODE, approaches: [{ bearing: 180, phase: "yellow", timeToChangeS: 1 }, { bearing: 90, phase: "red", timeToChangeS: 1 }] }, "city");
+  clock.advance(1500);
+  assert.deepEqual([spat.phaseFor(NODE, 180).phase, spat.phaseFor(NODE, 180).timeToChangeS], ["stop", null]);
+  assert.equal(spat.phaseFor(NODE, 90), null);
+});
+
+test("out-of-order, future-dated and expired messages are not used", async (t) => {
+  const { clock, feeds: [spat] } = setup(t);
+  const now = clock.now();
+  assert.deepEqual(await spat.ingest(redSouthbound({ timestamp: now + 120000 }), "city"), { accepted: false, reason: "timestamp is in the future" });
+  assert.equal((await spat.ingest(redSouthbound({ timestamp: now }), "city")).accepted, true);
+  assert.deepEqual(await spat.ingest(redSouthbound({ timestamp: now - 1000 }), "city"), { accepted: false, reason: "Older than the current message" });
+
+  clock.advance(SPAT_TTL_MS + 1);
+  assert.equal(spat.phaseFor(NODE, 180), null);
+  assert.equal(await spat.get(NODE), null);
+});
+
+test("every instance reads the feed through the shared store", async (t) => {
+  const clock = fixedClock();
+  const store = new MemoryVehicleStore({ clock, sweepIntervalMs: 0 });
+  const { feeds: [here, there] } = setup(t, { store, clock, feeds: 2 });
+  assert.equal(here.authenticate("secret"), "city");
+  await here.ingest(redSouthbound(), "city");
+  assert.equal(there.phaseFor(NODE, 180), null);
+  await there.prefetch([NODE, null]);
+  assert.equal(there.phaseFor(NODE, 180).phase, "stop");
+  assert.equal((await there.get(NODE)).partner, "city");
+});
+
+test("a junction belongs to the partner that feeds it, and nobody else can overwrite its timing", async (t) => {
+  const clock = fixedClock();
+  const store = new MemoryVehicleStore({ clock, sweepIntervalMs: 0 });
+  const { feeds: [here, there] } = setup(t, { store, clock, feeds: 2 });
+  await here.ingest(redSouthbound(), "city");
+
+  const forged = await there.ingest({ nodeId: NODE, approaches: [{ bearing: 180, phase: "green" }] }, "rogue");
+  assert.deepEqual(forged, { accepted: false, reason: "Junction belongs to another partner", forbidden: true });
+  assert.equal((await there.get(NODE)).approaches[0].phase, "stop");
+
+  // Still refused once the timing itself has expired
+  clock.advance(SPAT_TTL_MS + 1);
+  assert.equal((await there.ingest(redSouthbound(), "rogue")).forbidden, true);
+  assert.equal((await here.ingest(redSouthbound(), "city")).accepted, true);
+  assert.equal((await there.ingest(redSouthbound({ nodeId: 100 }), "rogue")).accepted, true);
+});
+
+test("without a shared store the feed keeps junction owners itself", async (t) => {
+  const { feeds: [spat] } = setup(t);
+  await spat.ingest(redSouthbound(), "city");
+  assert.equal((await spat.ingest(redSouthbound(), "rogue")).forbidden, true);
+});
+
+test("the HTTP endpoint answers 403 when every message was for someone else's junction", async (t) => {
+  const { feeds: [spat] } = setup(t);
+  await spat.ingest(redSouthbound(), "city");
+  const call = async (body) => {
+    const res = mockResponse();
+    await ingestSpat({ body, partner: "rogue", app: { locals: { spat } } }, res);
+    return res;
+  };
+
+  const refused = await call(redSouthbound());
+  assert.equal(refused.statusCode, 403);
+  assert.deepEqual(refused.body.results, [{ nodeId: NODE, accepted: false, reason: "Junction belongs to another partner", forbidden: true }]);
+  assert.equal((await call({ messages: [redSouthbound(), redSouthbound({ nodeId: 100 })] })).statusCode, 202);
+  assert.equal((await call({ nodeId: 101, approaches: [] })).statusCode, 400);
+});
@@ -0,0 +1,64 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import ThreatFanout from "../../threatFanout.js";
+import { MemoryVehicleStore } from "../../vehicleStore.js";
+import { fixedClock } from "./helpers.js";
+
+beforeEach(() => mock.method(console, "log", () => {}));
+afterEach(() => mock.restoreAll());
+
+const threat = { threatId: "t1", type: "predicted_collision" };
+
+// Two instances sharing one store and one pub/sub bus; each holds the sockets in its userSockets
+function setup(ctx) {
+  const clock = fixedClock();
+  const store = new MemoryVehicleStore({ clock, sweepIntervalMs: 0 });
+  const published = [];
+  const publisher = { isReady: true, publish: async (channel, message) => { published.push([channel, JSON.parse(message)]); } };
+  const [here, there] = [0, 1].map(() => new ThreatFanout({ userSockets: new Map(), publisher, presence: store, clock }));
+  ctx.after(async () => {
+    await here.destroy();
+    await there.destroy();
+    store.destroy();
+  });
+  return { clock, store, published, here, there };
+}
+
+test("a rider connected to another instance is reached on that instance's channel", async (t) => {
+  const { here, there, published } = setup(t);
+  there.userSockets.set("rider", {});
+  await there.register("rider");
+  assert.equal(await here.deliver("rider", threat), "published");
+  assert.equal(published[0][0], `threats:push:${there.instanceId}`);
+  assert.equal(await here.deliver("nobody", threat), "offline");
+});
+
+test("riders of an instance that stopped refreshing expire and count as offline", async (t) => {
+  const { clock, store, here, there } = setup(t);
+  there.userSockets.set("rider", {});
+  await there.register("rider");
+  clock.advance(59000);
+  assert.equal(await here.deliver("rider", threat), "published");
+
+  clock.advance(2000);
+  assert.equal(await here.deliver("rider", threat), "offline");
+  assert.equal(await here.disconnect("rider"), "offline");
+  assert.deepEqual(await store.listPresence(), new Map());
+});
+
+test("a live instance keeps its riders, but doesn't take back one who reconnected elsewhere", async (t) => {
+  const { clock, store, here, there } = setup(t);
+  here.userSockets.set("stays", {});
+  here.userSockets.set("moved", {});
+  await here.register("stays");
+  await here.register("moved");
+  there.userSockets.set("moved", {});
+  await there.register("moved");
+
+  for (let i = 0; i < 5; i++) {
+    clock.advance(20000);
+    await here._refreshPresence();
+    await there._refreshPresence();
+  }
+  assert.deepEqual(await store.listPresence(), new Map([["stays", here.instanceId], ["moved", there.instanceId]]));
+});
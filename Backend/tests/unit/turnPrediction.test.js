@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TurnPredictor, { classifyTurn, pathCrossWeight } from "../../turnPrediction.js";
+
+const T0 = 1_700_000_000_000;
+const METERS_PER_DEG_LAT = 111320;
+
+// Movement tables and TurningEvents in memory; the query chains TurnPredictor uses
+function fakeModels({ movements = [], events = [] } = {}) {
+  const writes = [];
+  const chain = (rows) => ({ select() { return this; }, limit() { return this; }, lean: async () => rows });
+  return {
+    writes,
+    models: {
+      TurnMovement: {
+        find: ({ nodeId }) => chain(movements.filter((m) => m.nodeId === nodeId)),
+        bulkWrite: async (ops) => { writes.push(...ops); },
+      },
+      TurningEvent: { find: () => chain(events) },
+    },
+  };
+}
+
+// Destroyed when the test ends, pass or fail, so its intervals don't hold the run open
+function predictor(ctx, data) {
+  let t = T0;
+  const { models, writes } = fakeModels(data);
+  const p = new TurnPredictor({ models, clock: { now: () => t }, drivingSide: "left", flushIntervalMs: 3600000 });
+  ctx.after(() => p.destroy());
+  return { p, writes, advance: (ms) => { t += ms; } };
+}
+
+// Northbound approach to a four-way junction
+const JUNCTION = { nodeId: 42, lat: 17.385, lng: 78.4867, distance: 40 };
+const EXITS = [
+  { roadId: 2, bearing: 0, turn: "straight" },
+  { roadId: 3, bearing: 270, turn: "left" },
+  { roadId: 4, bearing: 90, turn: "right" },
+];
+const probabilities = (movements) => Object.fromEntries(movements.map((m) => [m.turn, m.probability]));
+
+test("turns are classified from the heading change", () => {
+  assert.equal(classifyTurn(0, 10), "straight");
+  assert.equal(classifyTurn(350, 80), "right");
+  assert.equal(classifyTurn(90, 0), "left");
+  assert.equal(classifyTurn(0, 175), "u_turn");
+});
+
+test("with nothing learned the layout prior decides and going straight is likely", (t) => {
+  const { p } = predictor(t);
+  const movements = p.predict(JUNCTION, 1, EXITS);
+  assert.deepEqual(probabilities(movements), { straight: 0.5, left: 0.25, right: 0.25 });
+  assert.equal(p.likelyTurn(movements), "straight");
+  assert.deepEqual(movements.map((m) => m.prior), [0.5, 0.25, 0.25]);
+  assert.deepEqual(p.predict(JUNCTION, 1, []), []);
+});
+
+test("braking close to the junction and drifting to one side favour that turn", (t) => {
+  const { p } = predictor(t);
+  const braking = probabilities(p.predict(JUNCTION, 1, EXITS, { accel: -2 }));
+  assert.ok(braking.straight < 0.5 && braking.left === braking.right);
+  const drifting = probabilities(p.predict(JUNCTION, 1, EXITS, { yawRate: 5 }));
+  assert.ok(drifting.right > 0.25 && drifting.left < 0.25);
+  // The kerb lane (driving on the left) favours the left turn
+  const kerbLane = probabilities(p.predict(JUNCTION, 1, EXITS, { lane: { index: 0, count: 3 } }));
+  assert.ok(kerbLane.left > 0.25 && kerbLane.right < 0.25);
+});
+
+test("learned movements outweigh the prior once prefetched", async (t) => {
+  const { p } = predictor(t, { movements: [{ nodeId: 42, fromRoad: 1, toRoad: 3, turn: "left", count: 30 }] });
+  await p.prefetch([JUNCTION]);
+  const movements = p.predict(JUNCTION, 1, EXITS);
+  assert.equal(p.likelyTurn(movements), "left");
+  // Another approach road has learned nothing
+  assert.equal(p.likelyTurn(p.predict(JUNCTION, 9, EXITS)), "straight");
+});
+
+test("recorded movements count before they are written and are flushed as increments", async (t) => {
+  const { p, writes } = predictor(t);
+  await p.prefetch([JUNCTION]);
+  for (let i = 0; i < 10; i++) p.record({ nodeId: 42, fromRoad: 1, toRoad: 4, turn: "right" });
+  assert.equal(p.record({ nodeId: 42, fromRoad: 1, toRoad: 4, turn: "sideways" }), false);
+  assert.equal(p.predict(JUNCTION, 1, EXITS)[0].turn, "right");
+
+  await p.flush();
+  assert.equal(writes.length, 1);
+  assert.deepEqual(writes[0].updateOne.filter, { nodeId: 42, fromRoad: 1, toRoad: 4, turn: "right" });
+  assert.deepEqual(writes[0].updateOne.update.$inc, { count: 10 });
+  assert.equal(p.pending.size, 0);
+  // Folded into the cache, so the prediction holds after the flush
+  assert.equal(p.predict(JUNCTION, 1, EXITS)[0].turn, "right");
+});
+
+test("a vehicle watched through a junction teaches the movement it made", (t) => {
+  const { p, advance } = predictor(t);
+  const south = (m) => JUNCTION.lat - m / METERS_PER_DEG_LAT;
+  const watch = p.observe(null, { roadId: 1, heading: 0, lat: south(30), lng: JUNCTION.lng, junctionsAhead: [JUNCTION] });
+  assert.equal(watch.nodeId, 42);
+  advance(1000);
+  // Still short of the junction: the watch is kept
+  assert.equal(p.observe(watch, { roadId: 1, heading: 0, lat: south(10), lng: JUNCTION.lng }), watch);
+  advance(3000);
+  // 20 m east of it on road 4, heading east
+  const after = p.observe(watch, { roadId: 4, heading: 90, lat: JUNCTION.lat, lng: JUNCTION.lng + 20 / (METERS_PER_DEG_LAT * Math.cos((JUNCTION.lat * Math.PI) / 180)) });
+  assert.equal(after, null);
+  assert.deepEqual([...p.pending.values()], [{ nodeId: 42, fromRoad: 1, toRoad: 4, turn: "right", count: 1 }]);
+});
+
+test("path weights: certain non-crossing paths are damped, crossing ones are not", () => {
+  const straight = (approachBearing) => ({ approachBearing, movements: [{ bearing: approachBearing, probability: 1, prior: 0.5 }, { bearing: approachBearing + 90, probability: 0, prior: 0.5 }] });
+  // Head-on, both going straight on: their paths never meet
+  assert.equal(pathCrossWeight(straight(0), straight(180), { drivingSide: "left" }), 0.2);
+  // Crossing approaches, both straight on
+  assert.equal(pathCrossWeight(straight(0), straight(90), { drivingSide: "left" }), 1);
+  assert.equal(pathCrossWeight({ approachBearing: 0, movements: [] }, straight(90)), null);
+});
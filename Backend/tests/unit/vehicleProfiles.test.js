@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeProfile,
+  profileFromUpdate,
+  isVulnerable,
+  motionModelFor,
+  thresholdsFor,
+  collisionRadius,
+  combinedFootprint,
+  brakingEnvelope,
+  rearEndDistance,
+} from "../../vehicleProfiles.js";
+
+test("unknown or missing types fall back to the two-wheeler defaults", () => {
+  for (const input of [undefined, null, "hovercraft", {}]) {
+    assert.deepEqual(normalizeProfile(input), { type: "two-wheeler", class: "two-wheeler", lengthM: 2, widthM: 0.8, maxDecelMs2: 6.5 });
+  }
+});
+
+test("registered dimensions are kept within limits, bad ones take the type default", () => {
+  const profile = normalizeProfile({ type: "truck", lengthM: 40, widthM: -1, maxDecelMs2: "5.5", _id: 7 });
+  assert.deepEqual(profile, { type: "truck", class: "heavy", lengthM: 25, widthM: 2.5, maxDecelMs2: 5.5, vehicleId: "7" });
+});
+
+test("the stamped vehicle wins over the claimed vehicleType", () => {
+  assert.equal(profileFromUpdate({ vehicleType: "bus", vehicle: { type: "four-wheeler" } }).type, "four-wheeler");
+  assert.equal(profileFromUpdate({ vehicleType: "bus" }).type, "bus");
+});
+
+test("cyclists and pedestrians are vulnerable and get their own motion models", () => {
+  const cyclist = normalizeProfile("cyclist");
+  assert.equal(cyclist.type, "bicycle");
+  assert.equal(isVulnerable(cyclist), true);
+  assert.equal(motionModelFor(cyclist), "cyclist");
+  assert.equal(motionModelFor(normalizeProfile("pedestrian")), "pedestrian");
+  assert.equal(isVulnerable(normalizeProfile("four-wheeler")), false);
+  assert.equal(motionModelFor(normalizeProfile("bus")), "vehicle");
+});
+
+test("two bikes keep the original 2.5 m collision radius each", () => {
+  const bike = normalizeProfile("two-wheeler");
+  assert.equal(collisionRadius(bike), 2.5);
+  assert.equal(combinedFootprint(bike, bike), 5);
+});
+
+test("heavy vehicles count gentler braking as an emergency stop", () => {
+  assert.ok(thresholdsFor(normalizeProfile("bus")).suddenDecelMs2 < thresholdsFor(normalizeProfile("four-wheeler")).suddenDecelMs2);
+});
+
+test("a follower that brakes worse than its leader needs extra distance, never less", () => {
+  const bus = normalizeProfile("bus");
+  const car = normalizeProfile("four-wheeler");
+  // 15 m/s: 225 / 2 × (1/5 − 1/8)
+  assert.ok(Math.abs(brakingEnvelope(15, bus, car) - 8.4375) < 1e-9);
+  assert.equal(brakingEnvelope(15, car, bus), 0);
+});
+
+test("rear-end distance between bikes is the original speed-scaled gap", () => {
+  const bike = normalizeProfile("two-wheeler");
+  assert.equal(rearEndDistance(2, bike, bike), 10);
+  assert.equal(rearEndDistance(10, bike, bike), 30);
+  assert.ok(rearEndDistance(10, normalizeProfile("bus"), bike) > 30);
+});
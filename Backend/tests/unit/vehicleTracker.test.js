@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import VehicleTracker from "../../vehicleTracker.js";
+
+const T0 = 1_700_000_000_000;
+const LAT = 17.385;
+const LNG = 78.4867;
+const METERS_PER_DEG_LAT = 111320;
+
+// Northbound at speedMs, one fix a second with exact GPS
+function driveNorth(tracker, userId, seconds, { speedMs = 10, from = 0, model } = {}) {
+  let snapshot = null;
+  for (let i = from; i < from + seconds; i++) {
+    snapshot = tracker.update(userId, {
+      lat: LAT + (i * speedMs) / METERS_PER_DEG_LAT,
+      lng: LNG,
+      positionUncertainty: 5,
+      speed: speedMs,
+      heading: 0,
+    }, T0 + i * 1000, model);
+  }
+  return snapshot;
+}
+
+test("a steady vehicle converges on its speed and heading with a shrinking position error", () => {
+  const tracker = new VehicleTracker();
+  const first = driveNorth(tracker, "a", 1);
+  const later = driveNorth(tracker, "a", 9, { from: 1 });
+  assert.equal(later.samples, 10);
+  assert.ok(Math.abs(later.speed - 10) < 0.5, `speed ${later.speed}`);
+  assert.ok(later.heading < 2 || later.heading > 358, `heading ${later.heading}`);
+  assert.ok(later.positionSigma < first.positionSigma);
+  assert.ok(Math.abs((later.lat - LAT) * METERS_PER_DEG_LAT - 90) < 3);
+});
+
+test("an out-of-order fix leaves the newer state alone", () => {
+  const tracker = new VehicleTracker();
+  const latest = driveNorth(tracker, "a", 5);
+  const late = tracker.update("a", { lat: LAT, lng: LNG, speed: 0, heading: 180 }, T0 + 1500);
+  assert.deepEqual(late, latest);
+});
+
+test("a single GPS jump is gated, a jump that persists restarts the track", () => {
+  const tracker = new VehicleTracker();
+  driveNorth(tracker, "a", 5);
+  const jump = { lat: LAT + 0.01, lng: LNG + 0.01, positionUncertainty: 5, speed: 10, heading: 0 };
+  const gated = tracker.update("a", jump, T0 + 5000);
+  assert.ok(Math.abs((gated.lat - LAT) * METERS_PER_DEG_LAT - 50) < 5, "position ignores the jump");
+  tracker.update("a", jump, T0 + 6000);
+  tracker.update("a", jump, T0 + 7000);
+  const restarted = tracker.update("a", jump, T0 + 8000);
+  assert.equal(restarted.samples, 1);
+  assert.equal(restarted.lat, jump.lat);
+});
+
+test("a long gap or a new motion model restarts the track", () => {
+  const tracker = new VehicleTracker();
+  driveNorth(tracker, "a", 3);
+  assert.equal(driveNorth(tracker, "a", 1, { from: 15 }).samples, 1);
+  assert.equal(driveNorth(tracker, "a", 1, { from: 16 }).samples, 2);
+  const walking = driveNorth(tracker, "a", 1, { from: 17, model: "pedestrian" });
+  assert.equal(walking.samples, 1);
+  assert.equal(walking.model, "pedestrian");
+  assert.equal(driveNorth(tracker, "b", 1, { model: "hovercraft" }).model, "vehicle");
+});
+
+test("positive phone gyro (counter-clockwise) is a negative compass yaw rate", () => {
+  const tracker = new VehicleTracker();
+  const snapshot = tracker.update("a", { lat: LAT, lng: LNG, speed: 5, heading: 0, gyroZ: 0.2 }, T0);
+  assert.ok(snapshot.yawRate < 0);
+});
+
+test("an exported track continues identically on another tracker", () => {
+  const here = new VehicleTracker();
+  const there = new VehicleTracker();
+  driveNorth(here, "a", 5);
+  there.importTrack("a", here.exportTrack("a"));
+  const fix = { lat: LAT + 50 / METERS_PER_DEG_LAT, lng: LNG, positionUncertainty: 5, speed: 10, heading: 0 };
+  assert.deepEqual(there.update("a", fix, T0 + 5000), here.update("a", fix, T0 + 5000));
+  here.remove("a");
+  assert.equal(here.get("a"), null);
+  assert.equal(here.exportTrack("a"), null);
+});
@@ -0,0 +1,254 @@
+import { randomUUID } from "crypto";
+import { applyAlertPreferences } from "./degradation.js";
+
+// Pushes mirrored threats to the counterpart vehicle's socket as soon as they are
+// detected. The socket may live on another server instance: when it is not in
+// this process's userSockets, the threat is published on a Redis channel and
+// whichever instance holds the socket delivers it. With a presence registry
+// (userId → instanceId in the vehicle store) the threat goes straight to the
+// owning instance's channel, and riders connected nowhere are not published at all.
+// Each instance re-claims its riders every PRESENCE_REFRESH_MS; the store expires
+// claims that are not refreshed, so an instance that dies takes its riders with it.
+//
+// Delivery is de-duplicated per recipient by threatId within a short window, so
+// the same conflict seen from both vehicles' updates (or relayed by several
+// instances) reaches the rider once.
+//
+// Each socket carries its rider's alert preferences (ws._alertPreferences); threats
+// they mute or that fall below their sensitivity are held back here.
+//
+// The same channels carry admin force-disconnects and preference changes to the
+// instance holding the socket.
+
+const THREAT_CHANNEL = "threats:push";
+const instanceChannel = (instanceId) => `${THREAT_CHANNEL}:${instanceId}`;
+const DEDUPE_WINDOW_MS = 5000;
+// A third of the store's presence TTL, so one missed refresh doesn't drop anyone
+const PRESENCE_REFRESH_MS = 20000;
+
+class ThreatFanout {
+  constructor({ userSockets, publisher = null, subscriber = null, presence = null, clock = { now: () => Date.now() }, dedupeWindowMs = DEDUPE_WINDOW_MS } = {}) {
+    this.userSockets = userSockets;
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+    this.presence = presence;
+    this.clock = clock;
+    this.dedupeWindowMs = dedupeWindowMs;
+    this.instanceId = randomUUID();
+    // `${recipientId}|${threatId}` → delivered at (ms)
+    this.delivered = new Map();
+    this.cleanupInterval = setInterval(() => this._cleanup(), 30000);
+    this.presenceInterval = setInterval(() => this._refreshPresence(), PRESENCE_REFRESH_MS);
+  }
+
+  async start() {
+    if (!this.subscriber) return;
+    const onMessage = (message) => this._onMessage(message);
+    await this.subscriber.subscribe([THREAT_CHANNEL, instanceChannel(this.instanceId)], onMessage);
+    console.log(`📡 Threat fan-out subscribed to ${THREAT_CHANNEL} (instance ${this.instanceId.substring(0, 8)})`);
+  }
+
+  // Record which instance holds the rider's socket
+  async register(userId) {
+    if (!this.presence?.isReady) return;
+    try {
+      await this.presence.setPresence(userId, this.instanceId);
+    } catch (e) {
+      console.error(`❌ Failed to register presence for ${userId}:`, e.message);
+    }
+  }
+
+  // Keep this instance's claim on every rider it holds a socket for
+  async _refreshPresence() {
+    if (!this.presence?.isReady || this.userSockets.size === 0) return;
+    try {
+      await this.presence.refreshPresence([...this.userSockets.keys()], this.instanceId);
+    } catch (e) {
+      console.error("❌ Failed to refresh presence:", e.message);
+    }
+  }
+
+  // Returns false when the rider has meanwhile registered on another instance
+  async unregister(userId) {
+    if (!this.presence?.isReady) return true;
+    try {
+      return await this.presence.clearPresence(userId, this.instanceId);
+    } catch (e) {
+      console.error(`❌ Failed to clear presence for ${userId}:`, e.message);
+      return true;
+    }
+  }
+
+  // Returns "sent" | "duplicate" | "suppressed" | "published" | "offline"
+  async deliver(recipientId, threat) {
+    const local = this._sendLocal(recipientId, threat);
+    if (local) return local;
+
+    // Without a presence answer, broadcast and let the owner pick it up
+    let channel = THREAT_CHANNEL;
+    if (this.presence?.isReady) {
+      let owner;
+      try {
+        owner = await this.presence.getPresence(recipientId);
+      } catch (e) {
+        console.error(`❌ Presence lookup failed for ${recipientId}:`, e.message);
+      }
+      if (owner === null || owner === this.instanceId) {
+        console.log(`📭 ${recipientId} not connected anywhere — ${threat.type} not pushed`);
+        return "offline";
+      }
+      if (owner) channel = instanceChannel(owner);
+    }
+
+    if (this.publisher?.isReady) {
+      try {
+        await this.publisher.publish(channel, JSON.stringify({
+          origin: this.instanceId,
+          recipientId,
+          threat,
+        }));
+        return "published";
+      } catch (e) {
+        console.error(`❌ Failed to publish ${threat.type} for ${recipientId}:`, e.message);
+      }
+    }
+    console.log(`📭 ${recipientId} not connected here — ${threat.type} not pushed`);
+    return "offline";
+  }
+
+  // Close the rider's socket wherever it is. Returns "closed" | "published" | "offline"
+  async disconnect(userId, reason = "Disconnected by admin") {
+    if (this._closeLocal(userId, reason)) return "closed";
+    return this._publishControl(userId, { control: "disconnect", reason });
+  }
+
+  // Apply changed alert preferences to the rider's live socket, wherever it is.
+  // Returns "updated" | "published" | "offline"
+  async updatePreferences(userId, preferences) {
+    if (this._setLocalPreferences(userId, preferences)) return "updated";
+    return this._publishControl(userId, { control: "preferences", preferences });
+  }
+
+  // Control message to the instance holding the rider's socket: "published" | "offline"
+  async _publishControl(userId, message) {
+    let channel = THREAT_CHANNEL;
+    if (this.presence?.isReady) {
+      let owner;
+      try {
+        owner = await this.presence.getPresence(userId);
+      } catch (e) {
+        console.error(`❌ Presence lookup failed for ${userId}:`, e.message);
+      }
+      if (owner === null || owner === this.instanceId) return "offline";
+      if (owner) channel = instanceChannel(owner);
+    }
+    if (!this.publisher?.isReady) return "offline";
+    try {
+      await this.publisher.publish(channel, JSON.stringify({ origin: this.instanceId, recipientId: userId, ...message }));
+      return "published";
+    } catch (e) {
+      console.error(`❌ Failed to publish ${message.control} for ${userId}:`, e.message);
+      return "offline";
+    }
+  }
+
+  _setLocalPreferences(userId, preferences) {
+    const ws = this.userSockets.get(userId);
+    if (!ws) return false;
+    ws._alertPreferences = preferences;
+    console.log(`🔔 Alert preferences updated for ${userId}`);
+    return true;
+  }
+
+  _closeLocal(userId, reason) {
+    const ws = this.userSockets.get(userId);
+    if (!ws) return false;
+    console.log(`⛔ Closing socket for ${userId}: ${reason}`);
+    try {
+      ws.close(4003, reason);
+    } catch {}
+    return true;
+  }
+
+  _onMessage(message) {
+    let parsed;
+    try {
+      parsed = JSON.parse(message);
+    } catch {
+      console.warn("⚠️ Malformed threat fan-out message");
+      return;
+    }
+    // Our own publications were already tried locally
+    if (parsed.origin === this.instanceId || !parsed.recipientId) return;
+    if (parsed.control === "disconnect") {
+      this._closeLocal(parsed.recipientId, parsed.reason);
+      return;
+    }
+    if (parsed.control === "preferences") {
+      this._setLocalPreferences(parsed.recipientId, parsed.preferences);
+      return;
+    }
+    if (!parsed.threat) return;
+    this._sendLocal(parsed.recipientId, parsed.threat);
+  }
+
+  // null when the socket is not on this instance, otherwise "sent" | "duplicate" | "suppressed"
+  _sendLocal(recipientId, threat) {
+    const ws = this.userSockets.get(recipientId);
+    if (!ws || ws.readyState !== ws.OPEN) return null;
+
+    const { threats: [allowed], suppressed: [held] } = applyAlertPreferences([threat], ws._alertPreferences);
+    if (held) {
+      console.log(`🔕 Not pushing ${threat.type} to ${recipientId} (${held.reason})`);
+      return "suppressed";
+    }
+    threat = allowed;
+
+    if (this._isDuplicate(recipientId, threat.threatId)) {
+      console.log(`🔁 Skipping duplicate ${threat.type} ${threat.threatId} for ${recipientId}`);
+      return "duplicate";
+    }
+    try {
+      // Sockets speaking another protocol (V2X units) bring their own encoding
+      ws.send(ws._encodeThreat ? ws._encodeThreat(threat, recipientId) : JSON.stringify({ status: "threat", data: threat }));
+      this.markDelivered(recipientId, threat.threatId);
+      console.log(`📣 Sent ${threat.type} to other ${recipientId}`);
+    } catch (e) {
+      console.error(`❌ Failed to send ${threat.type} to ${recipientId}:`, e);
+    }
+    return "sent";
+  }
+
+  _isDuplicate(recipientId, threatId) {
+    if (!threatId) return false;
+    const at = this.delivered.get(`${recipientId}|${threatId}`);
+    return at !== undefined && this.clock.now() - at < this.dedupeWindowMs;
+  }
+
+  // Also called for threats returned in a rider's own response, so a later push
+  // of the same threatId is not shown twice
+  markDelivered(recipientId, threatId) {
+    if (!threatId) return;
+    this.delivered.set(`${recipientId}|${threatId}`, this.clock.now());
+  }
+
+  _cleanup() {
+    const cutoff = this.clock.now() - this.dedupeWindowMs;
+    for (const [key, at] of this.delivered) {
+      if (at < cutoff) this.delivered.delete(key);
+    }
+  }
+
+  async destroy() {
+    clearInterval(this.cleanupInterval);
+    clearInterval(this.presenceInterval);
+    if (this.subscriber) {
+      try {
+        await this.subscriber.unsubscribe([THREAT_CHANNEL, instanceChannel(this.instanceId)]);
+      } catch {}
+    }
+  }
+}
+
+export default ThreatFanout;
+export { THREAT_CHANNEL };
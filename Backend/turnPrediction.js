@@ -0,0 +1,363 @@
+import TurnMovement from "./Models/TurnMovement.Model.js";
+import TurningEvent from "./Models/TurningEvent.Model.js";
+import { DRIVING_SIDE } from "./rightOfWay.js";
+
+// Which road a vehicle will leave a junction on.
+//
+// Each junction node keeps a table of observed movements (fromRoad → toRoad),
+// learned by following vehicles through it on the map-matched road, plus the
+// left/right split of TurningEvents recorded around it. A vehicle's exits start
+// from that table and are reweighted by what it is doing now:
+//   speed decay  — braking close to the junction favours turning over going straight
+//   heading drift — heading or yaw rate already off the road's favours that side
+//   approach lane — the kerb lane favours the kerb-side turn, the centre lane the other
+//
+// pathCrossWeight() compares the chance two vehicles' predicted paths cross
+// with the chance the junction's layout alone gives; EtaRegistry weighs junction
+// conflicts by it, so a pair nothing is known about is weighed as before.
+// Writes are buffered and reads come from a prefetched cache, as in junctionRisk.js.
+
+const FLUSH_INTERVAL_MS = 10000;
+const CACHE_TTL_MS = 300000;
+// TurningEvents this close to a junction, from the last 90 days, set its left/right split
+const EVENT_RADIUS_M = 25;
+const EVENT_WINDOW_MS = 90 * 86400000;
+const EVENT_LIMIT = 200;
+
+// Pseudo-counts an exit starts with before anything is learned
+const PRIOR = { straight: 2, left: 1, right: 1, u_turn: 0.1 };
+
+// Braking harder than this within DECEL_RANGE_M of the junction reads as a turn
+const DECEL_MS2 = -0.8;
+const DECEL_RANGE_M = 60;
+// Heading this far off the road's, or turning this fast, reads as drifting into a turn
+const DRIFT_DEG = 4;
+const DRIFT_YAW_DEG_S = 3;
+const CUE_BOOST = 2;
+const CUE_DAMP = 0.5;
+
+// A vehicle's turn is only reported once it is at least this likely
+const LIKELY_TURN = 0.5;
+
+// Learning: a junction is watched from this far out, and counts as passed once
+// the vehicle is this far beyond it; a watch without a passage lapses
+const WATCH_RANGE_M = 50;
+const PASSED_M = 15;
+const WATCH_TIMEOUT_MS = 60000;
+
+// Paths are chords between lanes on a circle around the junction; each arm's
+// inbound and outbound lanes sit this far either side of it
+const LANE_OFFSET_DEG = 5;
+// Approaches or exits closer than this are the same arm
+const SAME_ARM_DEG = 20;
+// Two paths ending on the same exit merge rather than cross
+const MERGE_WEIGHT = 0.6;
+// Paths predicted not to cross still leave this much of a conflict: exits are only a prediction
+const MIN_PATH_WEIGHT = 0.2;
+
+const systemClock = { now: () => Date.now() };
+
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371e3;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function getBearing(lat1, lon1, lat2, lon2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+// Signed difference b - a in (-180, 180]; positive is clockwise (to the right)
+function signedDiff(a, b) {
+  let d = (b - a) % 360;
+  if (d > 180) d -= 360;
+  if (d <= -180) d += 360;
+  return d;
+}
+
+// Movement from travelling on headingBefore to headingAfter
+function classifyTurn(headingBefore, headingAfter) {
+  const d = signedDiff(headingBefore, headingAfter);
+  if (Math.abs(d) > 150) return "u_turn";
+  if (d > 30) return "right";
+  if (d < -30) return "left";
+  return "straight";
+}
+
+// "left" | "right" when the vehicle is already edging towards that side
+function driftSide({ headingDrift = null, yawRate = null } = {}) {
+  if (Number.isFinite(headingDrift) && Math.abs(headingDrift) >= DRIFT_DEG) return headingDrift > 0 ? "right" : "left";
+  if (Number.isFinite(yawRate) && Math.abs(yawRate) >= DRIFT_YAW_DEG_S) return yawRate > 0 ? "right" : "left";
+  return null;
+}
+
+// lane: { index, count } with index 0 the kerb-side lane
+function laneTurn(lane, drivingSide) {
+  if (!lane || !Number.isInteger(lane.index) || !Number.isInteger(lane.count) || lane.count < 2) return null;
+  const kerbTurn = drivingSide === "left" ? "left" : "right";
+  const acrossTurn = drivingSide === "left" ? "right" : "left";
+  if (lane.index === 0) return kerbTurn;
+  if (lane.index === lane.count - 1) return acrossTurn;
+  return null;
+}
+
+function cueFactor(turn, cues, distance, drivingSide) {
+  const opposite = { left: "right", right: "left" };
+  let f = 1;
+  if (Number.isFinite(cues.accel) && cues.accel <= DECEL_MS2 && distance <= DECEL_RANGE_M) {
+    f *= turn === "straight" ? CUE_DAMP : CUE_BOOST;
+  }
+  for (const side of [driftSide(cues), laneTurn(cues.lane, drivingSide)]) {
+    if (!side) continue;
+    if (turn === side) f *= CUE_BOOST;
+    else if (turn === opposite[side]) f *= CUE_DAMP;
+  }
+  return f;
+}
+
+// Clockwise from `from`, is x strictly before `to`?
+function isBetween(x, from, to) {
+  const span = (to - from + 360) % 360;
+  const off = (x - from + 360) % 360;
+  return off > 0 && off < span;
+}
+
+// 1 when the paths cross, MERGE_WEIGHT when they end on the same exit, else 0.
+// approach: travel bearing into the junction; exit: bearing leaving it.
+function pathConflict(approachA, exitA, approachB, exitB, drivingSide) {
+  const sameApproach = Math.abs(signedDiff(approachA, approachB)) < SAME_ARM_DEG;
+  const sameExit = Math.abs(signedDiff(exitA, exitB)) < SAME_ARM_DEG;
+  if (sameApproach) return 0;
+  if (sameExit) return MERGE_WEIGHT;
+  // Inbound lanes sit on the driver's side of the arm, outbound on the other
+  const side = drivingSide === "left" ? 1 : -1;
+  const inA = approachA + 180 + side * LANE_OFFSET_DEG;
+  const outA = exitA - side * LANE_OFFSET_DEG;
+  const inB = approachB + 180 + side * LANE_OFFSET_DEG;
+  const outB = exitB - side * LANE_OFFSET_DEG;
+  return isBetween(inB, inA, outA) !== isBetween(outB, inA, outA) ? 1 : 0;
+}
+
+// Chance two vehicles' paths through a junction cross, or null when either has
+// no prediction. Each vehicle: { approachBearing, movements: [{ bearing, probability, prior }] };
+// from: "probability" for the prediction, "prior" for the layout alone.
+function pathCrossProbability(a, b, { drivingSide = DRIVING_SIDE, from = "probability" } = {}) {
+  if (!a.movements?.length || !b.movements?.length) return null;
+  if (!Number.isFinite(a.approachBearing) || !Number.isFinite(b.approachBearing)) return null;
+  let p = 0;
+  for (const ma of a.movements) {
+    for (const mb of b.movements) {
+      p += (ma[from] ?? 0) * (mb[from] ?? 0) * pathConflict(a.approachBearing, ma.bearing, b.approachBearing, mb.bearing, drivingSide);
+    }
+  }
+  return Math.min(1, p);
+}
+
+// Factor (MIN_PATH_WEIGHT..1) a junction conflict is weighed by, or null without predictions
+function pathCrossWeight(a, b, opts = {}) {
+  const predicted = pathCrossProbability(a, b, opts);
+  if (predicted === null) return null;
+  const layout = pathCrossProbability(a, b, { ...opts, from: "prior" });
+  if (!layout) return MIN_PATH_WEIGHT;
+  return Math.max(MIN_PATH_WEIGHT, Math.min(1, predicted / layout));
+}
+
+function movementKey(toRoad, turn) {
+  return `${toRoad}|${turn}`;
+}
+
+class TurnPredictor {
+  constructor({ models = {}, clock = systemClock, drivingSide = DRIVING_SIDE, flushIntervalMs = FLUSH_INTERVAL_MS } = {}) {
+    this.TurnMovement = models.TurnMovement || TurnMovement;
+    this.TurningEvent = models.TurningEvent || TurningEvent;
+    this.clock = clock;
+    this.drivingSide = drivingSide;
+    // "nodeId|fromRoad|toRoad|turn" → { nodeId, fromRoad, toRoad, turn, count } not yet written
+    this.pending = new Map();
+    // nodeId → { movements: Map<fromRoad, Map<"toRoad|turn", count>>, left, right, fetchedAt }
+    this.cache = new Map();
+    this.flushing = null;
+
+    this.flushInterval = setInterval(() => this.flush(), flushIntervalMs);
+    this.cleanupInterval = setInterval(() => this._cleanup(), 60000);
+  }
+
+  // A vehicle that came in on fromRoad left on toRoad
+  record({ nodeId, fromRoad, toRoad, turn }) {
+    if (nodeId == null || !fromRoad || !toRoad || !(turn in PRIOR)) return false;
+    const key = `${nodeId}|${fromRoad}|${movementKey(toRoad, turn)}`;
+    const entry = this.pending.get(key) || { nodeId, fromRoad, toRoad, turn, count: 0 };
+    entry.count++;
+    this.pending.set(key, entry);
+    return true;
+  }
+
+  // Follow a vehicle through the junction ahead to learn which road it leaves on.
+  // prev is the last return value (the rider's session keeps it); junctionsAhead
+  // as from RoadGraph.getJunctionsAhead. Returns the watch to keep, or null.
+  observe(prev, { roadId, heading, lat, lng, junctionsAhead = [] }) {
+    const now = this.clock.now();
+    if (prev) {
+      const dist = haversineMeters(lat, lng, prev.lat, prev.lng);
+      const behind = Math.abs(signedDiff(heading, getBearing(lat, lng, prev.lat, prev.lng))) > 90;
+      if (roadId && behind && dist >= PASSED_M) {
+        // A long gap since the last update could hide another junction in between
+        if (dist <= WATCH_RANGE_M * 2) {
+          this.record({ nodeId: prev.nodeId, fromRoad: prev.fromRoad, toRoad: roadId, turn: classifyTurn(prev.heading, heading) });
+        }
+      } else if (now - prev.since <= WATCH_TIMEOUT_MS) {
+        return prev;
+      }
+    }
+    // Junction distances count from the nearest node, so measure from the vehicle
+    const next = junctionsAhead.find((j) => {
+      const dist = haversineMeters(lat, lng, j.lat, j.lng);
+      return dist >= 1 && dist <= WATCH_RANGE_M && Math.abs(signedDiff(heading, getBearing(lat, lng, j.lat, j.lng))) <= 90;
+    });
+    if (!roadId || !next) return null;
+    return { nodeId: next.nodeId, fromRoad: roadId, heading, lat: next.lat, lng: next.lng, since: now };
+  }
+
+  // Load movement tables for these junctions ([{ nodeId, lat, lng }]) unless cached recently
+  async prefetch(junctions) {
+    const now = this.clock.now();
+    const wanted = new Map();
+    for (const j of junctions) {
+      if (j?.nodeId == null || wanted.has(j.nodeId)) continue;
+      const cached = this.cache.get(j.nodeId);
+      if (cached && now - cached.fetchedAt < CACHE_TTL_MS) continue;
+      wanted.set(j.nodeId, j);
+    }
+    await Promise.all([...wanted].map(async ([nodeId, j]) => {
+      const entry = { movements: new Map(), left: 0, right: 0, fetchedAt: now };
+      try {
+        const [movements, events] = await Promise.all([
+          this.TurnMovement.find({ nodeId }).select("fromRoad toRoad turn count").lean(),
+          Number.isFinite(j.lat) && Number.isFinite(j.lng)
+            ? this.TurningEvent.find({
+              location: {
+                $near: {
+                  $geometry: { type: "Point", coordinates: [j.lng, j.lat] },
+                  $maxDistance: EVENT_RADIUS_M,
+                },
+              },
+              timestamp: { $gte: new Date(now - EVENT_WINDOW_MS) },
+            }).select("headingBefore headingAfter").limit(EVENT_LIMIT).lean()
+            : [],
+        ]);
+        for (const m of movements) this._addMovement(entry, m.fromRoad, m.toRoad, m.turn, m.count);
+        for (const e of events) {
+          const turn = classifyTurn(e.headingBefore, e.headingAfter);
+          if (turn === "left" || turn === "right") entry[turn]++;
+        }
+      } catch (e) {
+        console.error("❌ Turn movement lookup failed:", e.message);
+      }
+      this.cache.set(nodeId, entry);
+    }));
+  }
+
+  // [{ roadId, bearing, turn, probability, prior }] for leaving the junction on
+  // each of exits (RoadGraph.getJunctionExits), most likely first; prior is what
+  // the layout alone gives. cues: { accel, yawRate, headingDrift, lane }, any of
+  // which may be missing.
+  predict(junction, fromRoad, exits, cues = {}) {
+    if (!exits?.length) return [];
+    const cached = this.cache.get(junction.nodeId);
+    const learned = new Map(cached?.movements.get(fromRoad) || []);
+    for (const p of this.pending.values()) {
+      if (p.nodeId !== junction.nodeId || p.fromRoad !== fromRoad) continue;
+      const key = movementKey(p.toRoad, p.turn);
+      learned.set(key, (learned.get(key) || 0) + p.count);
+    }
+    // TurningEvents only say which side vehicles turn to here, not onto which road
+    const left = cached?.left || 0;
+    const right = cached?.right || 0;
+    const sideShare = { left: (left + 1) / (left + right + 2), right: (right + 1) / (left + right + 2) };
+
+    const distance = junction.distance ?? 0;
+    const weighted = exits.map((exit) => {
+      const prior = PRIOR[exit.turn] * (exit.turn in sideShare ? 2 * sideShare[exit.turn] : 1);
+      const count = learned.get(movementKey(exit.roadId, exit.turn)) || 0;
+      return { ...exit, weight: (prior + count) * cueFactor(exit.turn, cues, distance, this.drivingSide) };
+    });
+    const total = weighted.reduce((sum, m) => sum + m.weight, 0);
+    const priorTotal = exits.reduce((sum, exit) => sum + PRIOR[exit.turn], 0);
+    return weighted
+      .map(({ weight, ...m }) => ({ ...m, probability: weight / total, prior: PRIOR[m.turn] / priorTotal }))
+      .sort((a, b) => b.probability - a.probability);
+  }
+
+  // The turn a prediction settles on, or null while it is still open
+  likelyTurn(movements) {
+    const top = movements?.[0];
+    return top && top.probability >= LIKELY_TURN ? top.turn : null;
+  }
+
+  async flush() {
+    if (this.flushing) return this.flushing;
+    if (this.pending.size === 0) return;
+    const batch = [...this.pending.values()];
+    this.pending.clear();
+    const now = new Date(this.clock.now());
+    this.flushing = (async () => {
+      try {
+        await this.TurnMovement.bulkWrite(batch.map(({ nodeId, fromRoad, toRoad, turn, count }) => ({
+          updateOne: {
+            filter: { nodeId, fromRoad, toRoad, turn },
+            update: { $inc: { count }, $set: { lastSeenAt: now } },
+            upsert: true,
+          },
+        })), { ordered: false });
+        // Fold into the cache so predictions don't dip until the next fetch
+        for (const m of batch) {
+          const cached = this.cache.get(m.nodeId);
+          if (cached) this._addMovement(cached, m.fromRoad, m.toRoad, m.turn, m.count);
+        }
+      } catch (e) {
+        console.error("❌ Turn movement write failed:", e.message);
+        console.warn(`⚠️ Dropped ${batch.length} turn movement(s)`);
+      }
+    })();
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  _addMovement(entry, fromRoad, toRoad, turn, count) {
+    if (!entry.movements.has(fromRoad)) entry.movements.set(fromRoad, new Map());
+    const byExit = entry.movements.get(fromRoad);
+    const key = movementKey(toRoad, turn);
+    byExit.set(key, (byExit.get(key) || 0) + (count || 0));
+  }
+
+  _cleanup() {
+    const now = this.clock.now();
+    for (const [k, v] of this.cache) {
+      if (now - v.fetchedAt >= CACHE_TTL_MS) this.cache.delete(k);
+    }
+  }
+
+  // Final flush is best-effort
+  destroy() {
+    clearInterval(this.flushInterval);
+    clearInterval(this.cleanupInterval);
+    return this.flush();
+  }
+}
+
+export default TurnPredictor;
+export { classifyTurn, pathCrossProbability, pathCrossWeight, WATCH_RANGE_M };
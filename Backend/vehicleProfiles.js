@@ -0,0 +1,159 @@
+// Vehicle profiles: what detection knows about the vehicle behind an update.
+//
+// A rider's registered Vehicle (see Models/Vehicle.Model.js) is stamped onto
+// every update at the socket; without one the update's vehicleType picks the
+// type defaults below. Each type belongs to a threshold class (THRESHOLDS)
+// holding the detection constants that used to be tuned for bikes only; pair
+// checks combine both participants' footprint and braking envelope. The
+// two-wheeler row is the original tuning, so bike pairs behave exactly as before.
+//
+// Pedestrians and cyclists connect over the same socket as vulnerable road
+// users (VRUs): they are tracked with a looser motion model, matched to
+// footways as well as roads, and approaching vehicles get vru_conflict alerts.
+
+const VEHICLE_TYPES = ["two-wheeler", "four-wheeler", "bus", "truck", "bicycle", "pedestrian", "other"];
+
+// lengthM/widthM: body size; maxDecelMs2: emergency braking on dry tarmac
+const DEFAULT_PROFILES = {
+  "two-wheeler": { lengthM: 2.0, widthM: 0.8, maxDecelMs2: 6.5 },
+  "four-wheeler": { lengthM: 4.5, widthM: 1.8, maxDecelMs2: 8.0 },
+  bus: { lengthM: 12.0, widthM: 2.5, maxDecelMs2: 5.0 },
+  truck: { lengthM: 10.0, widthM: 2.5, maxDecelMs2: 4.5 },
+  bicycle: { lengthM: 1.8, widthM: 0.6, maxDecelMs2: 4.0 },
+  pedestrian: { lengthM: 0.5, widthM: 0.5, maxDecelMs2: 3.0 },
+  other: { lengthM: 4.5, widthM: 1.8, maxDecelMs2: 6.0 },
+};
+
+// Names a participant may connect as (?participant=) besides the vehicle types
+const PARTICIPANT_ALIASES = {
+  cyclist: "bicycle",
+};
+
+const THRESHOLD_CLASS = {
+  "two-wheeler": "two-wheeler",
+  "four-wheeler": "four-wheeler",
+  other: "four-wheeler",
+  bus: "heavy",
+  truck: "heavy",
+  bicycle: "vulnerable",
+  pedestrian: "vulnerable",
+};
+
+// collisionMarginM: buffer around the body for GPS and lane position
+// suddenDecelMs2:   deceleration that counts as emergency braking for this class
+// minGapM/headwayS: rear-end distance is max(minGapM, speed × headwayS) before
+//                   the braking envelope and footprint are added
+// rangeScale:       multiplier on the speed-based nearby radius
+const THRESHOLDS = {
+  // FIX BUG #23: Collision radius reduced from 4m to 2.5m for two-wheelers (1m half-length + 1.5m)
+  // FIX BUG #19: Rear-end decel threshold raised from 2.0 to 3.5 (emergency braking)
+  // FIX BUG #20: Rear-end distance scales with speed (minimum 10m)
+  "two-wheeler": { collisionMarginM: 1.5, suddenDecelMs2: 3.5, minGapM: 10, headwayS: 3, rangeScale: 1 },
+  "four-wheeler": { collisionMarginM: 1.5, suddenDecelMs2: 4.0, minGapM: 10, headwayS: 3, rangeScale: 1 },
+  // Heavy vehicles can't brake as hard, so a lower rate is already an emergency stop
+  heavy: { collisionMarginM: 2.0, suddenDecelMs2: 2.5, minGapM: 15, headwayS: 3, rangeScale: 1.25 },
+  // Riders and walkers change speed abruptly at low speed; the gap needed is small
+  vulnerable: { collisionMarginM: 1.0, suddenDecelMs2: 2.0, minGapM: 5, headwayS: 2, rangeScale: 1 },
+};
+
+const REFERENCE_TYPE = "two-wheeler";
+const REFERENCE = DEFAULT_PROFILES[REFERENCE_TYPE];
+
+const LIMITS = {
+  lengthM: [0.5, 25],
+  widthM: [0.3, 4],
+  maxDecelMs2: [1, 12],
+};
+
+function clamp(value, [min, max]) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Full profile from a Vehicle document, an update's `vehicle` field or just a type.
+// Missing or out-of-range numbers fall back to the type's defaults.
+function normalizeProfile(input) {
+  const src = typeof input === "string" ? { type: input } : input || {};
+  const claimed = PARTICIPANT_ALIASES[src.type] || src.type;
+  const type = VEHICLE_TYPES.includes(claimed) ? claimed : REFERENCE_TYPE;
+  const defaults = DEFAULT_PROFILES[type];
+  const profile = { type, class: THRESHOLD_CLASS[type] };
+  for (const key of Object.keys(LIMITS)) {
+    const n = Number(src[key]);
+    profile[key] = Number.isFinite(n) && n > 0 ? clamp(n, LIMITS[key]) : defaults[key];
+  }
+  if (src.vehicleId != null || src._id != null) profile.vehicleId = String(src.vehicleId ?? src._id);
+  return profile;
+}
+
+// Profile for an update: the stamped vehicle, else the claimed vehicleType
+function profileFromUpdate(data) {
+  if (data?.vehicle && typeof data.vehicle === "object") return normalizeProfile(data.vehicle);
+  return normalizeProfile(data?.vehicleType);
+}
+
+function isVulnerable(profile) {
+  return THRESHOLD_CLASS[profile?.type] === "vulnerable";
+}
+
+// Motion model the tracker uses for this participant
+function motionModelFor(profile) {
+  if (profile?.type === "pedestrian") return "pedestrian";
+  if (profile?.type === "bicycle") return "cyclist";
+  return "vehicle";
+}
+
+function thresholdsFor(profile) {
+  return THRESHOLDS[THRESHOLD_CLASS[profile?.type]] || THRESHOLDS[REFERENCE_TYPE];
+}
+
+function collisionRadius(profile) {
+  return profile.lengthM / 2 + thresholdsFor(profile).collisionMarginM;
+}
+
+// Centre-to-centre distance at which the two bodies touch (with margins)
+function combinedFootprint(a, b) {
+  return collisionRadius(a) + collisionRadius(b);
+}
+
+// Extra footprint beyond a pair of reference bikes, which the bike-tuned
+// distance thresholds already include
+function footprintExtra(a, b) {
+  return combinedFootprint(a, b) - 2 * collisionRadius(normalizeProfile(REFERENCE_TYPE));
+}
+
+// > 1 for vehicles that need longer than the reference to stop
+function brakingFactor(profile) {
+  return REFERENCE.maxDecelMs2 / profile.maxDecelMs2;
+}
+
+// Extra metres the follower needs to stop from speedMs than the leader it's
+// behind — a bus can't match a car's emergency stop. Never negative.
+function brakingEnvelope(speedMs, follower, leader) {
+  const extra = (speedMs * speedMs) / 2 * (1 / follower.maxDecelMs2 - 1 / leader.maxDecelMs2);
+  return Math.max(0, extra);
+}
+
+// Distance behind a braking leader at which the follower is in danger
+function rearEndDistance(speedMs, follower, leader) {
+  const { minGapM, headwayS } = thresholdsFor(follower);
+  return Math.max(minGapM, speedMs * headwayS) + brakingEnvelope(speedMs, follower, leader) + Math.max(0, footprintExtra(follower, leader));
+}
+
+export {
+  VEHICLE_TYPES,
+  DEFAULT_PROFILES,
+  REFERENCE_TYPE,
+  THRESHOLDS,
+  THRESHOLD_CLASS,
+  normalizeProfile,
+  profileFromUpdate,
+  isVulnerable,
+  motionModelFor,
+  thresholdsFor,
+  collisionRadius,
+  combinedFootprint,
+  footprintExtra,
+  brakingFactor,
+  brakingEnvelope,
+  rearEndDistance,
+};
@@ -0,0 +1,636 @@
+// Vehicle-state store used by the detection pipeline.
+//
+// Interface:
+//   isReady                                  → boolean
+//   backend                                  → "redis" | "memory"
+//   setPosition(userId, lat, lng)            → Promise<void>
+//   setState(userId, serialized, ttlSeconds) → Promise<void>
+//   nearby(userId, radiusMeters, limit)      → Promise<string[]> (includes userId itself)
+//   getStates(userIds)                       → Promise<(string|null)[]> (null when missing/expired)
+//
+// Shared per-vehicle state, so any server instance can serve any rider:
+//   getSession(userId) / setSession(userId, session) / deleteSession(userId)
+//                                            → engine-private state (time sync, Kalman, one-way, road)
+//   setLastSeen(userId, ts) / getLastSeen(userIds)               → (number|null)[]
+//   setStationarySince(userId, ts|null) / getStationarySince(userIds) → (number|null)[]
+//   moveToRoad(userId, prevRoadId, roadId, ts)
+//   vehiclesOnRoads(roadIds, sinceMs)        → Promise<string[]>
+//   getMatchState(userId) / setMatchState(userId, state) / deleteMatchState(userId)
+//   setJunctionVehicle(junctionKey, userId, entry) / getJunctionVehicles(junctionKey) → Map<userId, entry>
+//   removeJunctionVehicle(junctionKey, userId) / getUserJunctions(userId) → string[]
+//   indexRoadJunction(roadId, junctionKey, ts) / getRoadJunctions(roadId, sinceMs) → string[] (oldest first)
+//   setPresence(userId, instanceId) / getPresence(userId)
+//   refreshPresence(userIds, instanceId)     → extends the claims this instance still holds
+//   clearPresence(userId, instanceId)        → Promise<boolean> (false when another instance owns it)
+//   listPresence()                           → Promise<Map<userId, instanceId>>
+//   Presence expires after PRESENCE_TTL_S unless refreshed, so the riders of an
+//   instance that died stop counting as connected.
+//
+// Live signal timing pushed by partner junction controllers (see spat.js):
+//   setSignalTiming(nodeId, message, ttlMs) / getSignalTimings(nodeIds) → (message|null)[]
+//   claimSignalNode(nodeId, partner, ttlMs)  → Promise<owner> (the partner itself once claimed,
+//                                              renewed on each call by the owner)
+//
+// Signal phases inferred from vehicles at junctions without a feed (see signalPhase.js):
+//   setSignalPhases(junctionKey, axes, ttlMs) / getSignalPhases(junctionKeys) → (axes|null)[]
+
+const GEO_KEY = "users";
+const stateKey = (userId) => `userData:${userId}`;
+const sessionKey = (userId) => `vehicle:session:${userId}`;
+const lastSeenKey = (userId) => `vehicle:lastSeen:${userId}`;
+const stationaryKey = (userId) => `vehicle:stationarySince:${userId}`;
+const matchKey = (userId) => `vehicle:match:${userId}`;
+const roadKey = (roadId) => `road:${roadId}:vehicles`;
+const junctionKey = (key) => `eta:junction:${key}`;
+const userJunctionsKey = (userId) => `eta:user:${userId}`;
+const roadJunctionsKey = (roadId) => `eta:road:${roadId}`;
+const presenceKey = (userId) => `vehicle:presence:${userId}`;
+const PRESENCE_PREFIX = presenceKey("");
+const signalTimingKey = (nodeId) => `spat:node:${nodeId}`;
+const signalOwnerKey = (nodeId) => `spat:owner:${nodeId}`;
+const signalPhasesKey = (key) => `signal:phases:${key}`;
+
+// Shared-state lifetimes
+const SESSION_TTL_S = 300;
+const LAST_SEEN_TTL_S = 60;
+const STATIONARY_TTL_S = 3600;
+const MATCH_TTL_S = 60;
+const ROAD_INDEX_TTL_S = 60;
+const JUNCTION_TTL_MS = 10000;
+const PRESENCE_TTL_S = 60;
+
+const parseJson = (raw) => {
+  if (raw == null) return null;
+  try { return JSON.parse(raw); } catch { return null; }
+};
+const toNumber = (raw) => (raw == null ? null : Number(raw));
+
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const R = 6371e3;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+class RedisVehicleStore {
+  constructor(client) {
+    this.client = client;
+    this.backend = "redis";
+  }
+
+  get isReady() {
+    return this.client?.isReady ?? false;
+  }
+
+  async setPosition(userId, lat, lng) {
+    await this.client.geoAdd(GEO_KEY, { longitude: lng, latitude: lat, member: userId });
+  }
+
+  async setState(userId, serialized, ttlSeconds) {
+    await this.client.set(stateKey(userId), serialized, { EX: ttlSeconds });
+  }
+
+  async nearby(userId, radiusMeters, limit = 50) {
+    return this.client.geoRadiusByMember(GEO_KEY, userId, radiusMeters, "m", { COUNT: limit });
+  }
+
+  async getStates(userIds) {
+    if (userIds.length === 0) return [];
+    return this.client.mGet(userIds.map(stateKey));
+  }
+
+  async getSession(userId) {
+    return parseJson(await this.client.get(sessionKey(userId)));
+  }
+
+  async setSession(userId, session) {
+    await this.client.set(sessionKey(userId), JSON.stringify(session), { EX: SESSION_TTL_S });
+  }
+
+  async deleteSession(userId) {
+    await this.client.del(sessionKey(userId));
+  }
+
+  async setLastSeen(userId, ts) {
+    await this.client.set(lastSeenKey(userId), String(ts), { EX: LAST_SEEN_TTL_S });
+  }
+
+  async getLastSeen(userIds) {
+    if (userIds.length === 0) return [];
+    return (await this.client.mGet(userIds.map(lastSeenKey))).map(toNumber);
+  }
+
+  async setStationarySince(userId, ts) {
+    if (ts == null) await this.client.del(stationaryKey(userId));
+    else await this.client.set(stationaryKey(userId), String(ts), { EX: STATIONARY_TTL_S });
+  }
+
+  async getStationarySince(userIds) {
+    if (userIds.length === 0) return [];
+    return (await this.client.mGet(userIds.map(stationaryKey))).map(toNumber);
+  }
+
+  // Road index: one sorted set per road, scored by last update time
+  async moveToRoad(userId, prevRoadId, roadId, ts) {
+    const ops = [];
+    if (prevRoadId && prevRoadId !== roadId) ops.push(this.client.zRem(roadKey(prevRoadId), userId));
+    if (roadId) {
+      ops.push(this.client.zAdd(roadKey(roadId), { score: ts, value: userId }));
+      ops.push(this.client.expire(roadKey(roadId), ROAD_INDEX_TTL_S));
+    }
+    await Promise.all(ops);
+  }
+
+  async vehiclesOnRoads(roadIds, sinceMs) {
+    const lists = await Promise.all(
+      roadIds.map((rid) => this.client.zRangeByScore(roadKey(rid), sinceMs, "+inf"))
+    );
+    return [...new Set(lists.flat())];
+  }
+
+  async getMatchState(userId) {
+    return parseJson(await this.client.get(matchKey(userId)));
+  }
+
+  async setMatchState(userId, state) {
+    await this.client.set(matchKey(userId), JSON.stringify(state), { EX: MATCH_TTL_S });
+  }
+
+  async deleteMatchState(userId) {
+    await this.client.del(matchKey(userId));
+  }
+
+  async setJunctionVehicle(key, userId, entry) {
+    await Promise.all([
+      this.client.hSet(junctionKey(key), userId, JSON.stringify(entry)),
+      this.client.pExpire(junctionKey(key), JUNCTION_TTL_MS),
+      this.client.sAdd(userJunctionsKey(userId), key),
+      this.client.pExpire(userJunctionsKey(userId), JUNCTION_TTL_MS),
+    ]);
+  }
+
+  async getJunctionVehicles(key) {
+    const raw = await this.client.hGetAll(junctionKey(key));
+    const vehicles = new Map();
+    for (const [uid, value] of Object.entries(raw || {})) {
+      const entry = parseJson(value);
+      if (entry) vehicles.set(uid, entry);
+    }
+    return vehicles;
+  }
+
+  async removeJunctionVehicle(key, userId) {
+    await Promise.all([
+      this.client.hDel(junctionKey(key), userId),
+      this.client.sRem(userJunctionsKey(userId), key),
+    ]);
+  }
+
+  async getUserJunctions(userId) {
+    return this.client.sMembers(userJunctionsKey(userId));
+  }
+
+  // Scored by when the junction was registered under the road
+  async indexRoadJunction(roadId, key, ts) {
+    await Promise.all([
+      this.client.zAdd(roadJunctionsKey(roadId), { score: ts, value: key }),
+      this.client.zRemRangeByScore(roadJunctionsKey(roadId), "-inf", ts - JUNCTION_TTL_MS),
+      this.client.pExpire(roadJunctionsKey(roadId), JUNCTION_TTL_MS),
+    ]);
+  }
+
+  async getRoadJunctions(roadId, sinceMs) {
+    return this.client.zRangeByScore(roadJunctionsKey(roadId), sinceMs, "+inf");
+  }
+
+  async setPresence(userId, instanceId) {
+    await this.client.set(presenceKey(userId), instanceId, { EX: PRESENCE_TTL_S });
+  }
+
+  async getPresence(userId) {
+    return this.client.get(presenceKey(userId));
+  }
+
+  // Claims that lapsed are taken back; riders who reconnected elsewhere are left alone
+  async refreshPresence(userIds, instanceId) {
+    if (userIds.length === 0) return;
+    const owners = await this.client.mGet(userIds.map(presenceKey));
+    await Promise.all(userIds.map((uid, i) => (
+      owners[i] === null || owners[i] === instanceId ? this.setPresence(uid, instanceId) : null
+    )));
+  }
+
+  // Only the instance that owns the socket may clear it (the rider may have reconnected elsewhere)
+  async clearPresence(userId, instanceId) {
+    const owner = await this.client.get(presenceKey(userId));
+    if (owner !== instanceId) return false;
+    await this.client.del(presenceKey(userId));
+    return true;
+  }
+
+  async listPresence() {
+    const keys = [];
+    for await (const batch of this.client.scanIterator({ MATCH: `${PRESENCE_PREFIX}*`, COUNT: 500 })) keys.push(...batch);
+    if (keys.length === 0) return new Map();
+    const owners = await this.client.mGet(keys);
+    const presence = new Map();
+    keys.forEach((key, i) => {
+      if (owners[i] !== null) presence.set(key.slice(PRESENCE_PREFIX.length), owners[i]);
+    });
+    return presence;
+  }
+
+  async setSignalTiming(nodeId, message, ttlMs) {
+    await this.client.set(signalTimingKey(nodeId), JSON.stringify(message), { PX: ttlMs });
+  }
+
+  async getSignalTimings(nodeIds) {
+    if (nodeIds.length === 0) return [];
+    return (await this.client.mGet(nodeIds.map(signalTimingKey))).map(parseJson);
+  }
+
+  async claimSignalNode(nodeId, partner, ttlMs) {
+    const key = signalOwnerKey(nodeId);
+    if (await this.client.set(key, partner, { NX: true, PX: ttlMs })) return partner;
+    const owner = await this.client.get(key);
+    // Lapsed between the two calls: claim it again
+    if (owner === null) return this.claimSignalNode(nodeId, partner, ttlMs);
+    if (owner === partner) await this.client.pExpire(key, ttlMs);
+    return owner;
+  }
+
+  async setSignalPhases(junctionKey, axes, ttlMs) {
+    await this.client.set(signalPhasesKey(junctionKey), JSON.stringify(axes), { PX: ttlMs });
+  }
+
+  async getSignalPhases(junctionKeys) {
+    if (junctionKeys.length === 0) return [];
+    return (await this.client.mGet(junctionKeys.map(signalPhasesKey))).map(parseJson);
+  }
+}
+
+// Single-process fallback: dev mode and offline test runs without Redis
+class MemoryVehicleStore {
+  constructor({ clock = { now: () => Date.now() }, sweepIntervalMs = 30000 } = {}) {
+    this.clock = clock;
+    this.backend = "memory";
+    this.positions = new Map(); // userId → { lat, lng }
+    this.states = new Map(); // userId → { value, expiresAt }
+    // Shared-state equivalents of the Redis keys; values are { value, expiresAt }
+    this.sessions = new Map();
+    this.lastSeen = new Map();
+    this.stationarySince = new Map();
+    this.matchStates = new Map();
+    this.roads = new Map(); // roadId → Map<userId, ts>
+    this.junctions = new Map(); // junctionKey → Map<userId, { value, expiresAt }>
+    this.userJunctions = new Map(); // userId → Set<junctionKey>
+    this.roadJunctions = new Map(); // roadId → Map<junctionKey, ts>
+    this.presence = new Map(); // userId → { value: instanceId, expiresAt }
+    this.signalTimings = new Map(); // nodeId → { value, expiresAt }
+    this.signalOwners = new Map(); // nodeId → { value: partner, expiresAt }
+    this.signalPhases = new Map(); // junctionKey → { value, expiresAt }
+    this.sweepInterval = sweepIntervalMs > 0 ? setInterval(() => this._sweep(), sweepIntervalMs) : null;
+  }
+
+  get isReady() {
+    return true;
+  }
+
+  async setPosition(userId, lat, lng) {
+    this.positions.set(userId, { lat, lng });
+  }
+
+  async setState(userId, serialized, ttlSeconds) {
+    this.states.set(userId, { value: serialized, expiresAt: this.clock.now() + ttlSeconds * 1000 });
+  }
+
+  // Same semantics as GEORADIUSBYMEMBER: nearest first, centre member included
+  async nearby(userId, radiusMeters, limit = 50) {
+    const centre = this.positions.get(userId);
+    if (!centre) return [];
+    const hits = [];
+    for (const [uid, pos] of this.positions) {
+      const d = haversineMeters(centre.lat, centre.lng, pos.lat, pos.lng);
+      if (d <= radiusMeters) hits.push({ uid, d });
+    }
+    hits.sort((a, b) => a.d - b.d);
+    return hits.slice(0, limit).map((h) => h.uid);
+  }
+
+  async getStates(userIds) {
+    const now = this.clock.now();
+    return userIds.map((uid) => {
+      const entry = this.states.get(uid);
+      if (!entry) return null;
+      if (entry.expiresAt <= now) {
+        this.states.delete(uid);
+        return null;
+      }
+      return entry.value;
+    });
+  }
+
+  _getExpiring(map, key) {
+    const entry = map.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= this.clock.now()) {
+      map.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  _setExpiring(map, key, value, ttlMs) {
+    map.set(key, { value, expiresAt: this.clock.now() + ttlMs });
+  }
+
+  // Values are cloned through JSON so callers cannot mutate shared state in place,
+  // matching what a round trip through Redis would give them
+  async getSession(userId) {
+    return parseJson(this._getExpiring(this.sessions, userId));
+  }
+
+  async setSession(userId, session) {
+    this._setExpiring(this.sessions, userId, JSON.stringify(session), SESSION_TTL_S * 1000);
+  }
+
+  async deleteSession(userId) {
+    this.sessions.delete(userId);
+  }
+
+  async setLastSeen(userId, ts) {
+    this._setExpiring(this.lastSeen, userId, ts, LAST_SEEN_TTL_S * 1000);
+  }
+
+  async getLastSeen(userIds) {
+    return userIds.map((uid) => this._getExpiring(this.lastSeen, uid));
+  }
+
+  async setStationarySince(userId, ts) {
+    if (ts == null) this.stationarySince.delete(userId);
+    else this._setExpiring(this.stationarySince, userId, ts, STATIONARY_TTL_S * 1000);
+  }
+
+  async getStationarySince(userIds) {
+    return userIds.map((uid) => this._getExpiring(this.stationarySince, uid));
+  }
+
+  async moveToRoad(userId, prevRoadId, roadId, ts) {
+    if (prevRoadId && prevRoadId !== roadId) this.roads.get(prevRoadId)?.delete(userId);
+    if (roadId) {
+      if (!this.roads.has(roadId)) this.roads.set(roadId, new Map());
+      this.roads.get(roadId).set(userId, ts);
+    }
+  }
+
+  async vehiclesOnRoads(roadIds, sinceMs) {
+    const ids = new Set();
+    for (const rid of roadIds) {
+      for (const [uid, ts] of this.roads.get(rid) || []) {
+        if (ts >= sinceMs) ids.add(uid);
+      }
+    }
+    return [...ids];
+  }
+
+  async getMatchState(userId) {
+    return parseJson(this._getExpiring(this.matchStates, userId));
+  }
+
+  async setMatchState(userId, state) {
+    this._setExpiring(this.matchStates, userId, JSON.stringify(state), MATCH_TTL_S * 1000);
+  }
+
+  async deleteMatchState(userId) {
+    this.matchStates.delete(userId);
+  }
+
+  async setJunctionVehicle(key, userId, entry) {
+    if (!this.junctions.has(key)) this.junctions.set(key, new Map());
+    this._setExpiring(this.junctions.get(key), userId, JSON.stringify(entry), JUNCTION_TTL_MS);
+    if (!this.userJunctions.has(userId)) this.userJunctions.set(userId, new Set());
+    this.userJunctions.get(userId).add(key);
+  }
+
+  async getJunctionVehicles(key) {
+    const vehicles = new Map();
+    const entries = this.junctions.get(key);
+    if (!entries) return vehicles;
+    for (const uid of [...entries.keys()]) {
+      const entry = parseJson(this._getExpiring(entries, uid));
+      if (entry) vehicles.set(uid, entry);
+    }
+    return vehicles;
+  }
+
+  async removeJunctionVehicle(key, userId) {
+    this.junctions.get(key)?.delete(userId);
+    this.userJunctions.get(userId)?.delete(key);
+  }
+
+  async getUserJunctions(userId) {
+    return [...(this.userJunctions.get(userId) || [])];
+  }
+
+  async indexRoadJunction(roadId, key, ts) {
+    if (!this.roadJunctions.has(roadId)) this.roadJunctions.set(roadId, new Map());
+    const keys = this.roadJunctions.get(roadId);
+    keys.delete(key); // re-registering moves it to the end, like a new score
+    keys.set(key, ts);
+  }
+
+  async getRoadJunctions(roadId, sinceMs) {
+    const keys = this.roadJunctions.get(roadId) || new Map();
+    return [...keys].filter(([, ts]) => ts >= sinceMs).sort((a, b) => a[1] - b[1]).map(([key]) => key);
+  }
+
+  async setPresence(userId, instanceId) {
+    this._setExpiring(this.presence, userId, instanceId, PRESENCE_TTL_S * 1000);
+  }
+
+  async getPresence(userId) {
+    return this._getExpiring(this.presence, userId);
+  }
+
+  async refreshPresence(userIds, instanceId) {
+    for (const uid of userIds) {
+      const owner = this._getExpiring(this.presence, uid);
+      if (owner === null || owner === instanceId) await this.setPresence(uid, instanceId);
+    }
+  }
+
+  async clearPresence(userId, instanceId) {
+    if (this._getExpiring(this.presence, userId) !== instanceId) return false;
+    this.presence.delete(userId);
+    return true;
+  }
+
+  async listPresence() {
+    const presence = new Map();
+    for (const uid of [...this.presence.keys()]) {
+      const owner = this._getExpiring(this.presence, uid);
+      if (owner !== null) presence.set(uid, owner);
+    }
+    return presence;
+  }
+
+  async setSignalTiming(nodeId, message, ttlMs) {
+    this._setExpiring(this.signalTimings, String(nodeId), JSON.stringify(message), ttlMs);
+  }
+
+  async getSignalTimings(nodeIds) {
+    return nodeIds.map((id) => parseJson(this._getExpiring(this.signalTimings, String(id))));
+  }
+
+  async claimSignalNode(nodeId, partner, ttlMs) {
+    const owner = this._getExpiring(this.signalOwners, String(nodeId));
+    if (owner === null || owner === partner) this._setExpiring(this.signalOwners, String(nodeId), partner, ttlMs);
+    return owner ?? partner;
+  }
+
+  async setSignalPhases(junctionKey, axes, ttlMs) {
+    this._setExpiring(this.signalPhases, junctionKey, JSON.stringify(axes), ttlMs);
+  }
+
+  async getSignalPhases(junctionKeys) {
+    return junctionKeys.map((key) => parseJson(this._getExpiring(this.signalPhases, key)));
+  }
+
+  // Redis keeps geo members forever; here we drop positions whose state has expired
+  _sweep() {
+    const now = this.clock.now();
+    for (const [uid, entry] of this.states) {
+      if (entry.expiresAt <= now) this.states.delete(uid);
+    }
+    for (const uid of this.positions.keys()) {
+      if (!this.states.has(uid)) this.positions.delete(uid);
+    }
+    for (const map of [this.sessions, this.lastSeen, this.stationarySince, this.matchStates, this.presence, this.signalTimings, this.signalOwners, this.signalPhases]) {
+      for (const [key, entry] of map) {
+        if (entry.expiresAt <= now) map.delete(key);
+      }
+    }
+    const roadCutoff = now - ROAD_INDEX_TTL_S * 1000;
+    for (const [rid, members] of this.roads) {
+      for (const [uid, ts] of members) {
+        if (ts < roadCutoff) members.delete(uid);
+      }
+      if (members.size === 0) this.roads.delete(rid);
+    }
+    for (const [rid, keys] of this.roadJunctions) {
+      for (const [key, ts] of keys) {
+        if (ts < now - JUNCTION_TTL_MS) keys.delete(key);
+      }
+      if (keys.size === 0) this.roadJunctions.delete(rid);
+    }
+    for (const [key, entries] of this.junctions) {
+      for (const [uid, entry] of entries) {
+        if (entry.expiresAt <= now) {
+          entries.delete(uid);
+          this.userJunctions.get(uid)?.delete(key);
+        }
+      }
+      if (entries.size === 0) this.junctions.delete(key);
+    }
+  }
+
+  destroy() {
+    if (this.sweepInterval) clearInterval(this.sweepInterval);
+    this.positions.clear();
+    this.states.clear();
+    this.sessions.clear();
+    this.lastSeen.clear();
+    this.stationarySince.clear();
+    this.matchStates.clear();
+    this.roads.clear();
+    this.junctions.clear();
+    this.userJunctions.clear();
+    this.roadJunctions.clear();
+    this.presence.clear();
+    this.signalTimings.clear();
+    this.signalOwners.clear();
+    this.signalPhases.clear();
+  }
+}
+
+// Every store method, for proxies that forward calls elsewhere
+const STORE_METHODS = [
+  "setPosition", "setState", "nearby", "getStates",
+  "getSession", "setSession", "deleteSession",
+  "setLastSeen", "getLastSeen", "setStationarySince", "getStationarySince",
+  "moveToRoad", "vehiclesOnRoads",
+  "getMatchState", "setMatchState", "deleteMatchState",
+  "setJunctionVehicle", "getJunctionVehicles", "removeJunctionVehicle", "getUserJunctions",
+  "indexRoadJunction", "getRoadJunctions",
+  "setPresence", "getPresence", "refreshPresence", "clearPresence", "listPresence",
+  "setSignalTiming", "getSignalTimings", "claimSignalNode",
+  "setSignalPhases", "getSignalPhases",
+];
+
+// Store living on another thread (a detection worker talking to the main thread's
+// MemoryVehicleStore). Calls go out as { type: "store", id, method, args } and
+// come back as { type: "storeResult", id, result, error } via handleResult().
+class PortVehicleStore {
+  constructor(port, { backend = "memory", timeoutMs = 5000 } = {}) {
+    this.port = port;
+    this.backend = backend;
+    this.timeoutMs = timeoutMs;
+    this.nextId = 1;
+    this.pending = new Map(); // id → { resolve, reject, timer }
+  }
+
+  get isReady() {
+    return true;
+  }
+
+  _call(method, args) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Store call ${method} timed out`));
+      }, this.timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      this.port.postMessage({ type: "store", id, method, args });
+    });
+  }
+
+  handleResult({ id, result, error }) {
+    const call = this.pending.get(id);
+    if (!call) return;
+    this.pending.delete(id);
+    clearTimeout(call.timer);
+    if (error) call.reject(new Error(error));
+    else call.resolve(result);
+  }
+
+  destroy() {
+    for (const call of this.pending.values()) {
+      clearTimeout(call.timer);
+      call.reject(new Error("Store closed"));
+    }
+    this.pending.clear();
+  }
+}
+
+for (const method of STORE_METHODS) {
+  PortVehicleStore.prototype[method] = function (...args) {
+    return this._call(method, args);
+  };
+}
+
+// Main-thread side of PortVehicleStore
+async function serveStoreCall(store, { id, method, args }) {
+  if (!STORE_METHODS.includes(method)) return { type: "storeResult", id, error: `Unknown store method ${method}` };
+  try {
+    return { type: "storeResult", id, result: await store[method](...args) };
+  } catch (e) {
+    return { type: "storeResult", id, error: e.message };
+  }
+}
+
+export { RedisVehicleStore, MemoryVehicleStore, PortVehicleStore, STORE_METHODS, serveStoreCall };
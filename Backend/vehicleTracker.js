@@ -0,0 +1,233 @@
+// Per-vehicle Kalman tracker (constant turn-rate and acceleration, CTRA).
+//
+// State (local east/north metres around a per-user origin):
+//   [x, y, θ heading rad (compass, clockwise from north), v m/s, a m/s², ω rad/s]
+//
+// Every sensor reading observes one state component directly, so measurements
+// are fused as sequential scalar updates — no matrix inversion needed.
+// The prediction step is nonlinear; its Jacobian is taken numerically (EKF).
+//
+// Pedestrians and cyclists share the state but not the process noise: they
+// stop, turn on the spot and weave at walking pace, so heading and speed are
+// allowed to change much faster than a vehicle's (MOTION_MODELS).
+
+const X = 0, Y = 1, TH = 2, V = 3, A = 4, W = 5;
+const N = 6;
+
+const METERS_PER_DEG_LAT = 111320;
+
+// Process noise per motion model
+//   sigmaJerk:       m/s³
+//   sigmaYawAccel:   rad/s²
+//   headingMinSpeed: m/s — GPS course is noise below this
+const MOTION_MODELS = {
+  vehicle: { sigmaJerk: 3.0, sigmaYawAccel: 0.5, headingMinSpeed: 1.5 },
+  cyclist: { sigmaJerk: 2.0, sigmaYawAccel: 1.2, headingMinSpeed: 1.0 },
+  pedestrian: { sigmaJerk: 1.0, sigmaYawAccel: 2.0, headingMinSpeed: 0.5 },
+};
+
+// Measurement noise
+const SPEED_SIGMA_MS = 0.5;
+const HEADING_SIGMA_RAD = (10 * Math.PI) / 180;
+const GYRO_SIGMA_RAD_S = 0.1;
+
+const MAX_GAP_MS = 10000; // longer gaps restart the filter
+const GATE_CHI2 = 25; // 5σ innovation gate
+const MAX_CONSECUTIVE_GATED = 3; // GPS rejected this often → the jump is real, restart
+
+function wrapAngle(rad) {
+  let a = rad % (2 * Math.PI);
+  if (a > Math.PI) a -= 2 * Math.PI;
+  if (a < -Math.PI) a += 2 * Math.PI;
+  return a;
+}
+
+function toRad(deg) { return (deg * Math.PI) / 180; }
+function toDeg(rad) { return (rad * 180) / Math.PI; }
+
+function identity() {
+  return Array.from({ length: N }, (_, i) => Array.from({ length: N }, (_, j) => (i === j ? 1 : 0)));
+}
+
+function transition(s, dt) {
+  const th = s[TH];
+  const v = s[V];
+  const a = s[A];
+  const w = s[W];
+  const thMid = th + (w * dt) / 2;
+  const dist = Math.max(0, v * dt + 0.5 * a * dt * dt);
+  return [
+    s[X] + dist * Math.sin(thMid),
+    s[Y] + dist * Math.cos(thMid),
+    wrapAngle(th + w * dt),
+    Math.max(0, v + a * dt),
+    a,
+    w,
+  ];
+}
+
+function jacobian(s, dt) {
+  const F = identity();
+  const base = transition(s, dt);
+  const eps = 1e-5;
+  for (let j = 0; j < N; j++) {
+    const perturbed = [...s];
+    perturbed[j] += eps;
+    const out = transition(perturbed, dt);
+    for (let i = 0; i < N; i++) {
+      const d = i === TH ? wrapAngle(out[i] - base[i]) : out[i] - base[i];
+      F[i][j] = d / eps;
+    }
+  }
+  return F;
+}
+
+function processNoise(dt, { sigmaJerk, sigmaYawAccel }) {
+  const dt2 = dt * dt;
+  const dt3 = dt2 * dt;
+  return [
+    (sigmaJerk * dt3 / 6) ** 2 + 0.01,
+    (sigmaJerk * dt3 / 6) ** 2 + 0.01,
+    (sigmaYawAccel * dt2 / 2) ** 2,
+    (sigmaJerk * dt2 / 2) ** 2,
+    (sigmaJerk * dt) ** 2,
+    (sigmaYawAccel * dt) ** 2,
+  ];
+}
+
+class VehicleTracker {
+  constructor() {
+    // userId → { origin: {lat, lng}, s, P, lastTs, samples, gated, model }
+    this.tracks = new Map();
+  }
+
+  // measurement: { lat, lng, positionUncertainty, speed, heading (deg), gyroZ (rad/s), sensorQuality }
+  // model: key of MOTION_MODELS; switching model restarts the track
+  update(userId, m, timestampMs, model = "vehicle") {
+    if (!MOTION_MODELS[model]) model = "vehicle";
+    let track = this.tracks.get(userId);
+    if (track && (timestampMs - track.lastTs > MAX_GAP_MS || track.gated >= MAX_CONSECUTIVE_GATED || (track.model || "vehicle") !== model)) {
+      track = null;
+    }
+    if (!track) {
+      track = this._init(m, timestampMs, model);
+      this.tracks.set(userId, track);
+      return this._snapshot(track);
+    }
+
+    const dt = (timestampMs - track.lastTs) / 1000;
+    if (dt < 0) return this._snapshot(track); // out of order — keep the newer state
+    if (dt > 0) this._predict(track, dt);
+    track.lastTs = timestampMs;
+
+    const quality = Math.max(0.2, m.sensorQuality ?? 0.8);
+    const { x, y } = this._toLocal(track.origin, m.lat, m.lng);
+    const posVar = Math.max(1, m.positionUncertainty ?? 10) ** 2;
+    const okX = this._scalarUpdate(track, X, x, posVar);
+    const okY = this._scalarUpdate(track, Y, y, posVar);
+    track.gated = okX && okY ? 0 : track.gated + 1;
+
+    if (Number.isFinite(m.speed)) {
+      this._scalarUpdate(track, V, Math.max(0, m.speed), (SPEED_SIGMA_MS / quality) ** 2);
+    }
+    if (Number.isFinite(m.heading) && (m.speed ?? 0) >= MOTION_MODELS[model].headingMinSpeed) {
+      this._scalarUpdate(track, TH, toRad(m.heading), (HEADING_SIGMA_RAD / quality) ** 2, true);
+    }
+    if (Number.isFinite(m.gyroZ)) {
+      // Phone z-axis points up: positive gyro is counter-clockwise, compass heading is clockwise
+      this._scalarUpdate(track, W, -m.gyroZ, (GYRO_SIGMA_RAD_S / quality) ** 2);
+    }
+
+    track.samples++;
+    return this._snapshot(track);
+  }
+
+  get(userId) {
+    const track = this.tracks.get(userId);
+    return track ? this._snapshot(track) : null;
+  }
+
+  remove(userId) {
+    this.tracks.delete(userId);
+  }
+
+  // Raw filter state, so another server instance can continue the track
+  exportTrack(userId) {
+    const track = this.tracks.get(userId);
+    return track ? { ...track, s: [...track.s], P: track.P.map((row) => [...row]) } : null;
+  }
+
+  importTrack(userId, track) {
+    if (!track || !Array.isArray(track.s) || track.s.length !== N || !Array.isArray(track.P)) return;
+    this.tracks.set(userId, { ...track, s: [...track.s], P: track.P.map((row) => [...row]) });
+  }
+
+  _init(m, timestampMs, model) {
+    const s = [0, 0, toRad(m.heading ?? 0), Math.max(0, m.speed ?? 0), 0, Number.isFinite(m.gyroZ) ? -m.gyroZ : 0];
+    const posVar = Math.max(1, m.positionUncertainty ?? 10) ** 2;
+    const P = identity();
+    const diag = [posVar, posVar, toRad(30) ** 2, 2 ** 2, 2 ** 2, 0.3 ** 2];
+    for (let i = 0; i < N; i++) P[i][i] = diag[i];
+    return { origin: { lat: m.lat, lng: m.lng }, s, P, lastTs: timestampMs, samples: 1, gated: 0, model };
+  }
+
+  _predict(track, dt) {
+    const F = jacobian(track.s, dt);
+    track.s = transition(track.s, dt);
+    // P = F P Fᵀ + Q
+    const FP = F.map((row) => Array.from({ length: N }, (_, j) => row.reduce((sum, f, k) => sum + f * track.P[k][j], 0)));
+    const P = FP.map((row) => Array.from({ length: N }, (_, j) => row.reduce((sum, v, k) => sum + v * F[j][k], 0)));
+    const q = processNoise(dt, MOTION_MODELS[track.model] || MOTION_MODELS.vehicle);
+    for (let i = 0; i < N; i++) P[i][i] += q[i];
+    track.P = P;
+  }
+
+  // Returns false when the reading fails the innovation gate and was ignored
+  _scalarUpdate(track, i, z, r, angular = false) {
+    const { s, P } = track;
+    const innovation = angular ? wrapAngle(z - s[i]) : z - s[i];
+    const S = P[i][i] + r;
+    if ((innovation * innovation) / S > GATE_CHI2) return false;
+
+    const K = P.map((row) => row[i] / S);
+    for (let k = 0; k < N; k++) s[k] += K[k] * innovation;
+    s[TH] = wrapAngle(s[TH]);
+    s[V] = Math.max(0, s[V]);
+
+    const Pi = [...P[i]];
+    for (let row = 0; row < N; row++) {
+      for (let col = 0; col < N; col++) P[row][col] -= K[row] * Pi[col];
+    }
+    return true;
+  }
+
+  _toLocal(origin, lat, lng) {
+    const cosLat = Math.cos(toRad(origin.lat));
+    return {
+      x: (lng - origin.lng) * METERS_PER_DEG_LAT * cosLat,
+      y: (lat - origin.lat) * METERS_PER_DEG_LAT,
+    };
+  }
+
+  _snapshot(track) {
+    const { s, P, origin } = track;
+    const cosLat = Math.cos(toRad(origin.lat));
+    return {
+      lat: origin.lat + s[Y] / METERS_PER_DEG_LAT,
+      lng: origin.lng + s[X] / (METERS_PER_DEG_LAT * cosLat),
+      heading: (toDeg(s[TH]) + 360) % 360,
+      speed: s[V],
+      accel: s[A],
+      yawRate: toDeg(s[W]),
+      positionSigma: Math.sqrt(Math.max(P[X][X], P[Y][Y])),
+      headingSigma: toDeg(Math.sqrt(P[TH][TH])),
+      speedSigma: Math.sqrt(P[V][V]),
+      accelSigma: Math.sqrt(P[A][A]),
+      samples: track.samples,
+      model: track.model || "vehicle",
+    };
+  }
+}
+
+export default VehicleTracker;
+export { MOTION_MODELS };